@@ -0,0 +1,250 @@
+/**
+ * Configuration file loading for the CLI
+ * Pure JavaScript - no external dependencies
+ */
+
+import { readFileSync, writeFileSync, existsSync } from 'fs';
+import { resolve, dirname } from 'path';
+import {
+    loadModelRegistry,
+    loadPlanCatalog,
+    getPlans,
+    findPlanName,
+    normalizeBillingOptions,
+    normalizeBudgetOptions,
+    normalizeTimezone,
+    validateExperimentLog
+} from '../index.js';
+
+/**
+ * Project-level config file, looked up in the working directory
+ */
+export const PROJECT_CONFIG_FILE = '.cursor-cost-explorer.json';
+
+/**
+ * Experiment log, looked up in the working directory unless the project
+ * config's "experiments" key names another file
+ */
+export const EXPERIMENTS_FILE = '.cursor-cost-explorer-experiments.json';
+
+/**
+ * Reads and parses a JSON file
+ * @param {string} filePath - Path to the JSON file
+ * @returns {Object} Parsed JSON
+ * @throws {Error} If the file is missing or is not valid JSON
+ */
+export function readJSONFile(filePath) {
+    if (!existsSync(filePath)) {
+        throw new Error(`File not found: ${filePath}`);
+    }
+
+    try {
+        return JSON.parse(readFileSync(filePath, 'utf-8'));
+    } catch (error) {
+        throw new Error(`Invalid JSON in ${filePath}: ${error.message}`);
+    }
+}
+
+/**
+ * Loads the project-level config file if one exists
+ * @param {string} [cwd] - Directory to look in (defaults to the working directory)
+ * @returns {Object|null} Parsed config, or null when there is no config file
+ */
+export function loadProjectConfig(cwd = process.cwd()) {
+    const configPath = resolve(cwd, PROJECT_CONFIG_FILE);
+    if (!existsSync(configPath)) {
+        return null;
+    }
+
+    const config = readJSONFile(configPath);
+    config.baseDir = dirname(configPath);
+    return config;
+}
+
+/**
+ * Reads a section of the project config that may point at a separate file
+ * The value is either a path (relative to the config file) or an inline object.
+ * @param {Object|null} projectConfig - Project config from loadProjectConfig
+ * @param {string} key - Section name (e.g. "models", "plans")
+ * @returns {Object|null} Section contents, or null when not configured
+ */
+function readConfigSection(projectConfig, key) {
+    if (!projectConfig || !projectConfig[key]) {
+        return null;
+    }
+
+    const value = projectConfig[key];
+    return typeof value === 'string'
+        ? readJSONFile(resolve(projectConfig.baseDir || process.cwd(), value))
+        : value;
+}
+
+/**
+ * Applies config from the project config section, then from an explicit file
+ * @param {Function} load - Loader taking a config object, returning loaded names
+ * @param {Object|null} section - Project config section (or null)
+ * @param {string|null} file - Path given on the command line
+ * @returns {string[]} Names of the entries that were loaded
+ */
+function applyConfig(load, section, file) {
+    const loaded = [];
+
+    if (section) {
+        loaded.push(...load(section));
+    }
+
+    if (file) {
+        loaded.push(...load(readJSONFile(file)));
+    }
+
+    return loaded;
+}
+
+/**
+ * Applies model registry overrides from the project config and a --models file
+ * The project config's "models" key is either a path to a models file (relative
+ * to the config file) or an inline registry config. It is applied first so an
+ * explicit --models file wins.
+ * @param {Object|null} projectConfig - Project config from loadProjectConfig
+ * @param {string|null} modelsFile - Path given with --models
+ * @returns {string[]} Names of the models that were loaded
+ */
+export function applyModelConfig(projectConfig, modelsFile) {
+    return applyConfig(loadModelRegistry, readConfigSection(projectConfig, 'models'), modelsFile);
+}
+
+/**
+ * Applies plan catalog overrides from the project config and a --plans file
+ * Works like applyModelConfig, using the project config's "plans" key.
+ * @param {Object|null} projectConfig - Project config from loadProjectConfig
+ * @param {string|null} plansFile - Path given with --plans
+ * @returns {string[]} Names of the plans that were loaded
+ */
+export function applyPlanConfig(projectConfig, plansFile) {
+    return applyConfig(loadPlanCatalog, readConfigSection(projectConfig, 'plans'), plansFile);
+}
+
+/**
+ * Resolves the number of seats to bill from the project config and CLI flags
+ * @param {Object|null} projectConfig - Project config from loadProjectConfig
+ * @param {Object} args - Parsed CLI arguments (seats)
+ * @returns {number} Seats (default 1)
+ */
+export function resolveSeats(projectConfig, args) {
+    const seats = args.seats ?? (projectConfig && projectConfig.seats) ?? 1;
+    if (!Number.isInteger(seats) || seats < 1) {
+        throw new Error(`Seats must be a positive integer, got: ${seats}`);
+    }
+    return seats;
+}
+
+/**
+ * Resolves the catalog plan the account is on from the project config and CLI flags
+ * Call after applyPlanConfig, so plans from a custom catalog are known.
+ * @param {Object|null} projectConfig - Project config from loadProjectConfig
+ * @param {Object} args - Parsed CLI arguments (plan)
+ * @returns {string|undefined} Plan name as spelled in the catalog, or undefined to detect it from the usage
+ */
+export function resolveCurrentPlan(projectConfig, args) {
+    const plan = args.plan ?? (projectConfig && projectConfig.plan) ?? undefined;
+    if (plan === undefined) {
+        return undefined;
+    }
+
+    const name = findPlanName(plan);
+    if (!name) {
+        throw new Error(`Unknown plan: ${plan} (known plans: ${getPlans().map(p => p.name).join(', ')})`);
+    }
+    return name;
+}
+
+/**
+ * Resolves billing-cycle options from the project config and CLI flags
+ * CLI flags win over the project config's "billing" entry.
+ * @param {Object|null} projectConfig - Project config from loadProjectConfig
+ * @param {Object} args - Parsed CLI arguments (cycleStartDay, dayBasis)
+ * @returns {Object} Normalized billing options
+ */
+export function resolveBillingOptions(projectConfig, args) {
+    const configured = (projectConfig && projectConfig.billing) || {};
+    return normalizeBillingOptions({
+        cycleStartDay: args.cycleStartDay ?? configured.cycleStartDay,
+        dayBasis: args.dayBasis ?? configured.dayBasis
+    });
+}
+
+/**
+ * Resolves the time zone that days and hours are bucketed in
+ * The --timezone flag wins over the project config's "timezone" entry.
+ * @param {Object|null} projectConfig - Project config from loadProjectConfig
+ * @param {Object} args - Parsed CLI arguments (timezone)
+ * @returns {string} Canonical IANA zone name (default UTC)
+ */
+export function resolveTimezone(projectConfig, args) {
+    return normalizeTimezone(args.timezone ?? (projectConfig && projectConfig.timezone) ?? undefined);
+}
+
+/**
+ * Resolves the budget from the project config and CLI flags
+ * CLI flags win over the project config's "budget" entry.
+ * @param {Object|null} projectConfig - Project config from loadProjectConfig
+ * @param {Object} args - Parsed CLI arguments (budget, budgetThresholds)
+ * @returns {Object|null} Normalized budget options, or null when no budget is set
+ */
+export function resolveBudgetOptions(projectConfig, args) {
+    const configured = (projectConfig && projectConfig.budget) || {};
+    const amount = args.budget ?? configured.amount;
+    if (amount === undefined) {
+        return null;
+    }
+
+    return normalizeBudgetOptions({
+        amount,
+        thresholds: args.budgetThresholds ?? configured.thresholds
+    });
+}
+
+/**
+ * Resolves the path of the experiment log
+ * @param {Object|null} projectConfig - Project config from loadProjectConfig
+ * @param {string} [cwd] - Directory to look in (defaults to the working directory)
+ * @returns {string} Absolute path (the file may not exist yet)
+ */
+export function resolveExperimentsPath(projectConfig, cwd = process.cwd()) {
+    if (projectConfig && typeof projectConfig.experiments === 'string') {
+        return resolve(projectConfig.baseDir || cwd, projectConfig.experiments);
+    }
+    return resolve(cwd, EXPERIMENTS_FILE);
+}
+
+/**
+ * Loads the recorded experiments
+ * @param {string} filePath - Path from resolveExperimentsPath
+ * @returns {Object[]} Experiments (empty when the log does not exist yet)
+ * @throws {Error} If the log is not valid JSON or an experiment is invalid
+ */
+export function loadExperiments(filePath) {
+    if (!existsSync(filePath)) {
+        return [];
+    }
+
+    const log = readJSONFile(filePath);
+    const errors = validateExperimentLog(log);
+    if (errors.length > 0) {
+        throw new Error(`Invalid experiment log ${filePath}:\n  ${errors.join('\n  ')}`);
+    }
+    return log.experiments;
+}
+
+/**
+ * Writes the experiment log, replacing its contents
+ * @param {string} filePath - Path from resolveExperimentsPath
+ * @param {Object[]} experiments - Experiments to store
+ */
+export function saveExperiments(filePath, experiments) {
+    const errors = validateExperimentLog({ experiments });
+    if (errors.length > 0) {
+        throw new Error(`Invalid experiments:\n  ${errors.join('\n  ')}`);
+    }
+    writeFileSync(filePath, JSON.stringify({ experiments }, null, 2) + '\n', 'utf-8');
+}
@@ -1,17 +1,91 @@
 #!/usr/bin/env -S node --no-warnings
 /**
  * CLI entry point for Cursor Cost Explorer
- * Usage: cursor-cost-explorer <csv-file> [--show-graphs] [--output <file>] [--json]
+ * Usage: cursor-cost-explorer <csv-file|directory>... [--show-graphs] [--output <file>] [--json | --format <format>]
+ *        cursor-cost-explorer what-if <csv-file|directory>... --rule <from>=<to>[,options] [--json]
+ *        cursor-cost-explorer compare <baseline> <current> | <csv-file> --period <range> --period <range>
+ *        cursor-cost-explorer team [<label>=]<csv-file|directory>... [--json]
+ *        cursor-cost-explorer experiment add <name> --start <date> --expect-savings <amount> | list | remove <name>
+ * Model registry and plan catalog overrides come from --models / --plans or .cursor-cost-explorer.json
+ * Recorded experiments are evaluated on every analysis run
+ * --stream analyzes a single large export in constant memory
+ * Exits with code 2 when --budget is set and the current billing cycle's spend exceeds it
  */
 
-import { parseCSVFile, analyze, exportJSON, TextFormatter } from '../index.js';
-import { writeFileSync, readFileSync } from 'fs';
+import {
+    parseCSVFile,
+    parseCSVFiles,
+    streamCSVFile,
+    analyze,
+    analyzeStream,
+    exportJSON,
+    whatIf,
+    parseSubstitutionRule,
+    compareAnalyses,
+    comparePeriods,
+    parseDateRange,
+    analyzeTeam,
+    normalizeFilters,
+    CSVParser,
+    TextFormatter,
+    MarkdownFormatter,
+    HtmlFormatter,
+    CsvFormatter
+} from '../index.js';
+import { writeFileSync, readFileSync, realpathSync, statSync, mkdirSync } from 'fs';
 import { fileURLToPath } from 'url';
-import { dirname, resolve } from 'path';
+import {
+    loadProjectConfig,
+    readJSONFile,
+    applyModelConfig,
+    applyPlanConfig,
+    resolveBillingOptions,
+    resolveSeats,
+    resolveCurrentPlan,
+    resolveBudgetOptions,
+    resolveTimezone,
+    resolveExperimentsPath,
+    loadExperiments,
+    saveExperiments,
+    PROJECT_CONFIG_FILE,
+    EXPERIMENTS_FILE
+} from './config.js';
+import { detectTerminalCapabilities } from './terminal.js';
+import { dirname, resolve, basename, extname, join } from 'path';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
+/**
+ * Exit code when spend in the current billing cycle exceeds --budget
+ */
+const EXIT_OVER_BUDGET = 2;
+
+/**
+ * Skipped rows listed by reason before the rest are only counted
+ */
+const MAX_ROW_ERRORS = 10;
+
+/**
+ * Actions of the experiment subcommand
+ */
+const EXPERIMENT_ACTIONS = ['add', 'list', 'remove'];
+
+/**
+ * Report formats accepted by --format (--json is short for --format json)
+ */
+const OUTPUT_FORMATS = ['text', 'json', 'markdown', 'html', 'csv', 'tsv'];
+
+/**
+ * Formats that only render the analysis report
+ */
+const REPORT_ONLY_FORMATS = ['markdown', 'html', 'csv', 'tsv'];
+
+/**
+ * Formats that write one file per table into the --output directory
+ */
+const TABLE_FORMATS = ['csv', 'tsv'];
+
 /**
  * Parses command-line arguments
  * @returns {Object} Parsed arguments
@@ -19,17 +93,55 @@ const __dirname = dirname(__filename);
 function parseArgs() {
     const args = process.argv.slice(2);
     const result = {
-        csvFile: null,
+        command: 'analyze',
+        csvFiles: [],
+        rules: [],
+        periods: [],
+        modelsFile: null,
+        plansFile: null,
+        seats: undefined,
+        plan: undefined,
+        cycleStartDay: undefined,
+        dayBasis: undefined,
+        timezone: undefined,
+        since: undefined,
+        until: undefined,
+        models: [],
+        excludeModels: [],
+        kinds: [],
+        budget: undefined,
+        budgetThresholds: undefined,
+        experimentAction: null,
+        experimentName: null,
+        experimentStart: undefined,
+        expectedSavings: undefined,
+        experimentNote: undefined,
+        teamMembers: [],
         showGraphs: false,
+        noColor: false,
+        ascii: false,
+        stream: false,
         outputFile: null,
+        format: 'text',
         json: false
     };
 
+    // Optional subcommand as first argument
+    if (['what-if', 'compare', 'team', 'experiment'].includes(args[0])) {
+        result.command = args.shift();
+    }
+
     for (let i = 0; i < args.length; i++) {
         const arg = args[i];
 
         if (arg === '--show-graphs' || arg === '-g') {
             result.showGraphs = true;
+        } else if (arg === '--no-color') {
+            result.noColor = true;
+        } else if (arg === '--ascii') {
+            result.ascii = true;
+        } else if (arg === '--stream') {
+            result.stream = true;
         } else if (arg === '--output' || arg === '-o') {
             if (i + 1 < args.length) {
                 result.outputFile = args[++i];
@@ -38,6 +150,129 @@ function parseArgs() {
             }
         } else if (arg === '--json' || arg === '-j') {
             result.json = true;
+        } else if (arg === '--format' || arg === '-f') {
+            if (i + 1 < args.length) {
+                result.format = args[++i];
+            } else {
+                throw new Error('--format requires one of: ' + OUTPUT_FORMATS.join(', '));
+            }
+            if (!OUTPUT_FORMATS.includes(result.format)) {
+                throw new Error(`Unknown format: ${result.format} (expected ${OUTPUT_FORMATS.join(', ')})`);
+            }
+        } else if (arg === '--rule' || arg === '-r') {
+            if (i + 1 < args.length) {
+                result.rules.push(parseSubstitutionRule(args[++i]));
+            } else {
+                throw new Error('--rule requires a substitution rule');
+            }
+        } else if (arg === '--period') {
+            if (i + 1 < args.length) {
+                result.periods.push(parseDateRange(args[++i]));
+            } else {
+                throw new Error('--period requires a date range');
+            }
+        } else if (arg === '--models' || arg === '-m') {
+            if (i + 1 < args.length) {
+                result.modelsFile = args[++i];
+            } else {
+                throw new Error('--models requires a file path');
+            }
+        } else if (arg === '--plans') {
+            if (i + 1 < args.length) {
+                result.plansFile = args[++i];
+            } else {
+                throw new Error('--plans requires a file path');
+            }
+        } else if (arg === '--seats') {
+            if (i + 1 < args.length) {
+                result.seats = Number(args[++i]);
+            } else {
+                throw new Error('--seats requires a number');
+            }
+        } else if (arg === '--plan') {
+            if (i + 1 < args.length) {
+                result.plan = args[++i];
+            } else {
+                throw new Error('--plan requires a plan name');
+            }
+        } else if (arg === '--cycle-start-day') {
+            if (i + 1 < args.length) {
+                result.cycleStartDay = Number(args[++i]);
+            } else {
+                throw new Error('--cycle-start-day requires a day of the month');
+            }
+        } else if (arg === '--budget') {
+            if (i + 1 < args.length) {
+                result.budget = Number(args[++i]);
+            } else {
+                throw new Error('--budget requires an amount');
+            }
+        } else if (arg === '--budget-alerts') {
+            if (i + 1 < args.length) {
+                result.budgetThresholds = args[++i].split(',').map(Number);
+            } else {
+                throw new Error('--budget-alerts requires comma-separated percentages');
+            }
+        } else if (arg === '--start') {
+            if (i + 1 < args.length) {
+                result.experimentStart = args[++i];
+            } else {
+                throw new Error('--start requires a date');
+            }
+        } else if (arg === '--expect-savings') {
+            if (i + 1 < args.length) {
+                result.expectedSavings = Number(args[++i]);
+            } else {
+                throw new Error('--expect-savings requires an amount');
+            }
+        } else if (arg === '--note') {
+            if (i + 1 < args.length) {
+                result.experimentNote = args[++i];
+            } else {
+                throw new Error('--note requires text');
+            }
+        } else if (arg === '--day-basis') {
+            if (i + 1 < args.length) {
+                result.dayBasis = args[++i];
+            } else {
+                throw new Error('--day-basis requires calendar or active');
+            }
+        } else if (arg === '--timezone') {
+            if (i + 1 < args.length) {
+                result.timezone = args[++i];
+            } else {
+                throw new Error('--timezone requires an IANA time zone name or "local"');
+            }
+        } else if (arg === '--since') {
+            if (i + 1 < args.length) {
+                result.since = args[++i];
+            } else {
+                throw new Error('--since requires a date');
+            }
+        } else if (arg === '--until') {
+            if (i + 1 < args.length) {
+                result.until = args[++i];
+            } else {
+                throw new Error('--until requires a date');
+            }
+        } else if (arg === '--model') {
+            if (i + 1 < args.length) {
+                result.models.push(args[++i]);
+            } else {
+                throw new Error('--model requires a model name or glob');
+            }
+        } else if (arg === '--exclude-model') {
+            if (i + 1 < args.length) {
+                result.excludeModels.push(args[++i]);
+            } else {
+                throw new Error('--exclude-model requires a model name or glob');
+            }
+        } else if (arg === '--kind') {
+            if (i + 1 < args.length) {
+                result.kinds.push(args[++i]);
+            } else {
+                throw new Error('--kind requires a request kind');
+            }
         } else if (arg === '--help' || arg === '-h') {
             printHelp();
             process.exit(0);
@@ -45,20 +280,98 @@ function parseArgs() {
             printVersion();
             process.exit(0);
         } else if (!arg.startsWith('-')) {
-            // Positional argument - CSV file path
-            if (!result.csvFile) {
-                result.csvFile = arg;
-            } else {
-                throw new Error(`Unexpected argument: ${arg}`);
-            }
+            // Positional argument - CSV file or directory path
+            result.csvFiles.push(arg);
         } else {
             throw new Error(`Unknown option: ${arg}`);
         }
     }
 
+    // Checked here, not at analysis time, so a mistyped date is a usage error
+    normalizeFilters({ since: result.since, until: result.until });
+
+    if (result.json && result.format !== 'text' && result.format !== 'json') {
+        throw new Error(`--json cannot be combined with --format ${result.format}`);
+    }
+    if (result.json || result.format === 'json') {
+        result.json = true;
+        result.format = 'json';
+    }
+    if (REPORT_ONLY_FORMATS.includes(result.format) && result.command !== 'analyze') {
+        throw new Error(`--format ${result.format} is only available for the analysis report, not ${result.command}`);
+    }
+    if (TABLE_FORMATS.includes(result.format) && !result.outputFile) {
+        throw new Error(`--format ${result.format} writes one file per table and requires --output <directory>`);
+    }
+
+    if (result.stream && result.command !== 'analyze') {
+        throw new Error(`--stream is only available for the analysis report, not ${result.command}`);
+    }
+    if (result.stream && result.csvFiles.length > 1) {
+        throw new Error('--stream requires a single CSV file (merging exports needs them all in memory)');
+    }
+
+    if (result.command === 'what-if' && result.rules.length === 0) {
+        throw new Error('what-if requires at least one --rule');
+    }
+
+    if (result.command === 'compare') {
+        const byPeriod = result.periods.length > 0;
+        if (byPeriod && result.periods.length !== 2) {
+            throw new Error('compare requires exactly two --period ranges');
+        }
+        if (!byPeriod && result.csvFiles.length !== 2) {
+            throw new Error('compare requires two inputs, or one input with two --period ranges');
+        }
+    }
+
+    if (result.command === 'team') {
+        result.teamMembers = result.csvFiles.map(parseTeamInput);
+    }
+
+    if (result.command === 'experiment') {
+        // Positionals are the action and the experiment name, not CSV files
+        const [action, name, ...extra] = result.csvFiles;
+        if (!EXPERIMENT_ACTIONS.includes(action)) {
+            throw new Error(`experiment requires an action: ${EXPERIMENT_ACTIONS.join(', ')}`);
+        }
+        if (action !== 'list' && !name) {
+            throw new Error(`experiment ${action} requires an experiment name`);
+        }
+        if (action === 'add' && (result.experimentStart === undefined || result.expectedSavings === undefined)) {
+            throw new Error('experiment add requires --start and --expect-savings');
+        }
+        if (extra.length > 0 || (action === 'list' && name)) {
+            throw new Error(`Unexpected argument: ${action === 'list' ? name : extra[0]}`);
+        }
+        result.experimentAction = action;
+        result.experimentName = name || null;
+        result.csvFiles = [];
+    }
+
     return result;
 }
 
+/**
+ * Parses a team input: "<label>=<path>", or a path labelled by its file name
+ * An unlabelled directory holds one export per developer.
+ * @param {string} input - Command-line input
+ * @returns {Object} { label, path } (label is null when not given)
+ */
+function parseTeamInput(input) {
+    const separator = input.indexOf('=');
+    if (separator === -1) {
+        return { label: null, path: input };
+    }
+
+    const label = input.slice(0, separator).trim();
+    const path = input.slice(separator + 1);
+    if (!label || !path) {
+        throw new Error(`Invalid team member "${input}" - expected <label>=<csv-file|directory>`);
+    }
+    return { label, path };
+}
+
 /**
  * Prints help message
  */
@@ -67,15 +380,86 @@ function printHelp() {
 Cursor Cost Explorer - Analyze Cursor IDE usage and costs
 
 Usage:
-  cursor-cost-explorer <csv-file> [options]
+  cursor-cost-explorer <csv-file|directory>... [options]
+  cursor-cost-explorer what-if <csv-file|directory>... --rule <rule> [options]
+  cursor-cost-explorer compare <baseline> <current> [options]
+  cursor-cost-explorer compare <csv-file|directory>... --period <range> --period <range> [options]
+  cursor-cost-explorer team [<label>=]<csv-file|directory>... [options]
+  cursor-cost-explorer experiment add <name> --start <date> --expect-savings <amount> [--note <text>]
+  cursor-cost-explorer experiment list
+  cursor-cost-explorer experiment remove <name>
+
+Commands:
+  what-if                 Re-price the usage as if requests had run on other models
+  compare                 Compare two CSVs, two saved --json analyses, or two periods
+                          of one export, and flag improvements and regressions
+  team                    Analyze one export per developer and summarize the team:
+                          spend, efficiency leaderboard, outliers, per-person plans
+                          and team-wide savings. Label inputs as <label>=<path>;
+                          otherwise file names are used, one member per CSV file
+  experiment add <name>   Record a savings experiment (needs --start and --expect-savings)
+  experiment list         List recorded experiments
+  experiment remove <name>
+                          Delete a recorded experiment
+                          Experiments are kept in ${EXPERIMENTS_FILE} and evaluated
+                          on every analysis run
 
 Arguments:
   <csv-file>              Path to CSV file exported from Cursor IDE
+                          Several files or directories can be given; they are
+                          merged and duplicate events across exports dropped
 
 Options:
   --show-graphs, -g       Enable ASCII graph generation (bar charts, trends)
+  --no-color              Disable colored output (also set by the NO_COLOR
+                          environment variable; color is only used on a terminal)
+  --ascii                 Draw charts and symbols with ASCII only (automatic in
+                          CI, for TERM=dumb, non-UTF-8 locales and Windows consoles)
+  --stream                Read a single large export in chunks and analyze it
+                          in constant memory (progress is shown on stderr;
+                          per-user, efficiency, plan, opportunity, price and
+                          experiment sections are left out)
   --output <file>, -o     Save output to file instead of stdout
   --json, -j              Output raw JSON (for programmatic use)
+  --format <format>, -f   Report format: text (default), json, markdown, html,
+                          csv or tsv
+                          (markdown has tables, headings and an opportunity
+                          task list, for pull requests and wikis; html is a
+                          single offline page with charts, sortable tables
+                          and print styles for saving as PDF; csv and tsv
+                          write each aggregated table to its own file in the
+                          --output directory)
+  --rule <rule>, -r       what-if substitution rule (repeatable, first match wins):
+                            <from>=<to>[,share=<0-1>][,min-tokens=<n>][,max-tokens=<n>]
+                          <from> may be * to match any model
+  --period <range>        compare period as YYYY-MM-DD..YYYY-MM-DD (give two:
+                          baseline first, then current)
+  --models <file>, -m     JSON file that extends or overrides the model registry
+                          (defaults to the "models" entry of ${PROJECT_CONFIG_FILE})
+  --plans <file>          JSON file that extends or overrides the plan catalog
+                          (defaults to the "plans" entry of ${PROJECT_CONFIG_FILE})
+  --seats <n>             Seats to bill when simulating plans (default 1)
+  --plan <name>           Catalog plan you are on (detected from your usage if omitted)
+  --cycle-start-day <n>   Day of the month your billing cycle starts (1-31, default 1)
+  --day-basis <basis>     Days used to project partial cycles to a month:
+                            calendar (default) - every day in the data's date range
+                            active             - only days with requests
+  --timezone <zone>       Time zone for days, hours and weekdays: an IANA name
+                          such as Europe/Berlin, or "local" (default UTC)
+  --since <date>          Only analyze requests on or after this day (YYYY-MM-DD)
+  --until <date>          Only analyze requests on or before this day (YYYY-MM-DD)
+  --model <glob>          Only analyze these models (repeatable; * and ? wildcards,
+                          e.g. "claude*")
+  --exclude-model <glob>  Leave out these models (repeatable)
+  --kind <kind>           Only analyze requests of this kind (repeatable), e.g.
+                          Included, On-Demand, Errored or Aborted
+  --budget <amount>       Monthly budget ($); reports spend in the current cycle
+                          against it and exits with code ${EXIT_OVER_BUDGET} when it is exceeded
+  --budget-alerts <list>  Alert thresholds as percent of budget (default 80,100,120)
+  --start <date>          experiment start (intervention) date as YYYY-MM-DD
+  --expect-savings <amount>
+                          experiment hypothesis: expected savings ($ per month)
+  --note <text>           experiment description
   --help, -h              Show this help message
   --version, -v           Show version number
 
@@ -84,6 +468,27 @@ Examples:
   cursor-cost-explorer usage.csv --show-graphs
   cursor-cost-explorer usage.csv --output report.txt
   cursor-cost-explorer usage.csv --json --output analysis.json
+  cursor-cost-explorer usage.csv --format markdown --output report.md
+  cursor-cost-explorer usage.csv --format html --output report.html
+  cursor-cost-explorer usage.csv --format csv --output tables/
+  cursor-cost-explorer week-44.csv week-45.csv week-46.csv
+  cursor-cost-explorer exports/
+  cursor-cost-explorer huge-export.csv --stream --json --output analysis.json
+  cursor-cost-explorer usage.csv --models models.json
+  cursor-cost-explorer usage.csv --cycle-start-day 15
+  cursor-cost-explorer usage.csv --timezone America/New_York
+  cursor-cost-explorer usage.csv --since 2025-11-01 --until 2025-11-07
+  cursor-cost-explorer usage.csv --model "claude*" --kind On-Demand
+  cursor-cost-explorer team-usage.csv --seats 8 --plans plans.json
+  cursor-cost-explorer usage.csv --budget 150 --budget-alerts 50,80,100
+  cursor-cost-explorer what-if usage.csv --rule claude-4.5-sonnet-thinking=claude-4.5-sonnet
+  cursor-cost-explorer what-if usage.csv --rule "*=grok-code-fast-1,max-tokens=50000"
+  cursor-cost-explorer compare last-week.csv this-week.csv
+  cursor-cost-explorer compare october.json november.json
+  cursor-cost-explorer compare usage.csv --period 2025-10-01..2025-10-15 --period 2025-10-16..2025-10-31
+  cursor-cost-explorer team alice=alice.csv bob=bob.csv carol=exports/carol/
+  cursor-cost-explorer team team-exports/
+  cursor-cost-explorer experiment add "Grok for refactors" --start 2025-11-01 --expect-savings 70
 `);
 }
 
@@ -101,6 +506,403 @@ function printVersion() {
     }
 }
 
+/**
+ * Checks whether a path points to a directory
+ * @param {string} path - Path to check
+ * @returns {boolean} True if the path is an existing directory
+ */
+function isDirectory(path) {
+    try {
+        return statSync(path).isDirectory();
+    } catch (e) {
+        return false;
+    }
+}
+
+/**
+ * Prints per-file merge statistics to stderr (keeps stdout clean for --json)
+ * @param {Object} parseResult - Result from parseCSVFiles
+ */
+function printMergeSummary(parseResult) {
+    console.error(`Merged ${parseResult.validRows} records from ${parseResult.files.length} file(s):`);
+    parseResult.files.forEach(file => {
+        console.error(`  ${file.file}: ${file.merged} merged, ${file.deduplicated} duplicates dropped`);
+    });
+}
+
+/**
+ * Prints the rows the parser skipped and why, up to MAX_ROW_ERRORS of them
+ * @param {string[]} errors - Row errors from the parse result
+ */
+function printRowErrors(errors = []) {
+    errors.slice(0, MAX_ROW_ERRORS).forEach(error => console.error(`  ${error}`));
+    if (errors.length > MAX_ROW_ERRORS) {
+        console.error(`  ... and ${errors.length - MAX_ROW_ERRORS} more`);
+    }
+}
+
+/**
+ * Prints why an analysis failed; filters that match no record get their own message
+ * @param {Error} error - Error thrown by the analysis
+ * @param {string} action - What failed, e.g. "analyze usage data"
+ */
+function printAnalysisError(error, action) {
+    if (error.message.startsWith('No records match the filters')) {
+        console.error(`Error: ${error.message}`);
+        console.error('Widen or remove --since, --until, --model, --exclude-model or --kind.');
+    } else {
+        console.error(`Error: Failed to ${action}`);
+        console.error(error.message);
+    }
+}
+
+/**
+ * Creates the text formatter for the output target: color only on an
+ * interactive terminal, ASCII where braille and emoji do not render
+ * @param {Object} args - Parsed arguments
+ * @returns {TextFormatter} Text formatter
+ */
+function createTextFormatter(args) {
+    return new TextFormatter(detectTerminalCapabilities({
+        stream: args.outputFile ? null : process.stdout,
+        noColor: args.noColor,
+        ascii: args.ascii
+    }));
+}
+
+/**
+ * Writes exported tables into a directory (created if missing), exiting on write failure
+ * @param {Array<{fileName: string, content: string}>} tables - Formatted tables
+ * @param {string} directory - Target directory
+ */
+function writeTables(tables, directory) {
+    try {
+        mkdirSync(directory, { recursive: true });
+        tables.forEach(table => writeFileSync(join(directory, table.fileName), table.content, 'utf-8'));
+        console.error(`${tables.length} tables saved to: ${directory}`);
+    } catch (error) {
+        console.error(`Error: Failed to write tables to: ${directory}`);
+        console.error(error.message);
+        process.exit(1);
+    }
+}
+
+/**
+ * Writes output to a file or stdout, exiting on write failure
+ * @param {string} output - Formatted output
+ * @param {string|null} outputFile - Target file, or null for stdout
+ */
+function writeOutput(output, outputFile) {
+    if (outputFile) {
+        try {
+            writeFileSync(outputFile, output, 'utf-8');
+            console.error(`Output saved to: ${outputFile}`);
+        } catch (error) {
+            console.error(`Error: Failed to write output file: ${outputFile}`);
+            console.error(error.message);
+            process.exit(1);
+        }
+    } else {
+        // Output to stdout
+        console.log(output);
+    }
+}
+
+/**
+ * Runs the what-if subcommand and exits
+ * @param {UsageRecord[]} records - Parsed usage records
+ * @param {Object} args - Parsed arguments
+ * @param {Object} analysisOptions - Options passed to the analysis engine
+ */
+function runWhatIf(records, args, analysisOptions) {
+    let result;
+    try {
+        result = whatIf(records, args.rules, analysisOptions);
+    } catch (error) {
+        printAnalysisError(error, 'run what-if scenario');
+        process.exit(1);
+    }
+
+    const output = args.json
+        ? exportJSON(result, true)
+        : createTextFormatter(args).formatWhatIf(result);
+
+    writeOutput(output, args.outputFile);
+    process.exit(0);
+}
+
+/**
+ * Reads and merges usage records from CSV files or directories, exiting on failure
+ * @param {string[]} inputs - CSV file or directory paths
+ * @returns {Promise<UsageRecord[]>} Parsed usage records
+ */
+async function loadRecords(inputs) {
+    const inputList = inputs.join(', ');
+    const isMultiInput = inputs.length > 1 || isDirectory(inputs[0]);
+    let parseResult;
+    try {
+        parseResult = isMultiInput
+            ? parseCSVFiles(inputs)
+            : await parseCSVFile(inputs[0]);
+    } catch (error) {
+        if (error.message.startsWith('File not found') || error.message.startsWith('No CSV files found')) {
+            console.error(`Error: ${error.message}`);
+            console.error('Please check the file path and try again.');
+        } else if (error.message.startsWith('Error reading file')) {
+            console.error(error.message);
+        } else {
+            // Empty file, malformed header or missing columns
+            console.error(`Error: Failed to parse CSV file: ${inputList}`);
+            console.error(error.message);
+        }
+        process.exit(1);
+    }
+
+    if (!parseResult.records || parseResult.records.length === 0) {
+        console.error('Error: CSV file contains no valid records');
+        printRowErrors(parseResult.errors);
+        console.error('Please check that the file is a valid Cursor usage export.');
+        process.exit(1);
+    }
+
+    if (parseResult.errors && parseResult.errors.length > 0) {
+        console.error(`Warning: ${parseResult.errors.length} invalid row(s) skipped:`);
+        printRowErrors(parseResult.errors);
+    }
+
+    if (parseResult.files) {
+        printMergeSummary(parseResult);
+    }
+
+    return parseResult.records;
+}
+
+/**
+ * Streams a single export through the analysis, exiting on failure
+ * Progress is redrawn on stderr while it is a terminal; the row counts are
+ * printed once reading is done.
+ * @param {string} input - CSV file path
+ * @param {Object} analysisOptions - Options passed to the analysis engine
+ * @returns {Promise<Object>} Streaming analysis result (see analyzeStream)
+ */
+async function runStreamAnalysis(input, analysisOptions) {
+    if (isDirectory(input)) {
+        console.error(`Error: --stream requires a CSV file, not a directory: ${input}`);
+        process.exit(1);
+    }
+
+    const interactive = Boolean(process.stderr.isTTY);
+    let finalProgress = null;
+    const records = streamCSVFile(input, {
+        onProgress: progress => {
+            finalProgress = progress;
+            if (interactive) {
+                const percent = progress.totalBytes > 0
+                    ? Math.floor((progress.bytesRead / progress.totalBytes) * 100)
+                    : 100;
+                process.stderr.write(`\rReading ${input}: ${percent}% (${progress.totalRows.toLocaleString()} rows)`);
+            }
+        }
+    });
+
+    let result;
+    try {
+        result = await analyzeStream(records, analysisOptions);
+    } catch (error) {
+        if (interactive && finalProgress) {
+            process.stderr.write('\n');
+        }
+        if (error.message.startsWith('File not found')) {
+            console.error(`Error: ${error.message}`);
+            console.error('Please check the file path and try again.');
+        } else {
+            printAnalysisError(error, 'analyze usage data');
+        }
+        process.exit(1);
+    }
+
+    if (interactive) {
+        process.stderr.write('\n');
+    }
+    console.error(`Streamed ${finalProgress.validRows} records from ${input} (${finalProgress.skippedRows} rows skipped)`);
+    return result;
+}
+
+/**
+ * Loads one side of a comparison: a saved --json analysis or a CSV to analyze
+ * @param {string} input - Path to a .json analysis, a CSV file or a directory
+ * @param {Object} analysisOptions - Options passed to the analysis engine
+ * @returns {Promise<Object>} Analysis result
+ */
+async function loadComparisonSide(input, analysisOptions) {
+    if (extname(input).toLowerCase() === '.json') {
+        return readJSONFile(input);
+    }
+    return analyze(await loadRecords([input]), analysisOptions);
+}
+
+/**
+ * Runs the compare subcommand and exits
+ * @param {Object} args - Parsed arguments
+ * @param {Object} analysisOptions - Options passed to the analysis engine
+ */
+async function runCompare(args, analysisOptions) {
+    let labels;
+    let comparison;
+    try {
+        if (args.periods.length > 0) {
+            const [baselineRange, currentRange] = args.periods;
+            const records = await loadRecords(args.csvFiles);
+            labels = {
+                baseline: `${baselineRange.start} to ${baselineRange.end}`,
+                current: `${currentRange.start} to ${currentRange.end}`
+            };
+            comparison = comparePeriods(records, baselineRange, currentRange, analysisOptions).comparison;
+        } else {
+            const [baselineInput, currentInput] = args.csvFiles;
+            labels = { baseline: basename(baselineInput), current: basename(currentInput) };
+            comparison = compareAnalyses(
+                await loadComparisonSide(baselineInput, analysisOptions),
+                await loadComparisonSide(currentInput, analysisOptions)
+            );
+        }
+    } catch (error) {
+        printAnalysisError(error, 'compare');
+        process.exit(1);
+    }
+
+    const result = { labels, comparison };
+    const output = args.json
+        ? exportJSON(result, true)
+        : createTextFormatter(args).formatComparison(result);
+
+    writeOutput(output, args.outputFile);
+    process.exit(0);
+}
+
+/**
+ * Expands team inputs into members; an unlabelled directory gives one member
+ * per CSV file, named after the file
+ * @param {Object[]} teamInputs - [{ label, path }] from parseArgs
+ * @returns {Object[]} [{ label, inputs }]
+ */
+function resolveTeamMembers(teamInputs) {
+    const members = [];
+    for (const { label, path } of teamInputs) {
+        if (label) {
+            members.push({ label, inputs: [path] });
+        } else if (isDirectory(path)) {
+            const files = new CSVParser().resolveInputPaths([path]);
+            if (files.length === 0) {
+                throw new Error(`No CSV files in ${path}`);
+            }
+            files.forEach(file => members.push({ label: basename(file, extname(file)), inputs: [file] }));
+        } else {
+            members.push({ label: basename(path, extname(path)), inputs: [path] });
+        }
+    }
+    return members;
+}
+
+/**
+ * Runs the team subcommand and exits
+ * Every export is analyzed locally, one member at a time.
+ * @param {Object} args - Parsed arguments
+ * @param {Object} analysisOptions - Options passed to the analysis engine
+ */
+async function runTeam(args, analysisOptions) {
+    let members;
+    try {
+        members = resolveTeamMembers(args.teamMembers);
+    } catch (error) {
+        console.error('Error: Failed to read team exports');
+        console.error(error.message);
+        process.exit(1);
+    }
+
+    const loaded = [];
+    for (const member of members) {
+        loaded.push({ label: member.label, records: await loadRecords(member.inputs) });
+    }
+
+    let result;
+    try {
+        result = analyzeTeam(loaded, analysisOptions);
+    } catch (error) {
+        printAnalysisError(error, 'analyze team');
+        process.exit(1);
+    }
+
+    const output = args.json
+        ? exportJSON(result, true)
+        : createTextFormatter(args).formatTeam(result);
+
+    writeOutput(output, args.outputFile);
+    process.exit(0);
+}
+
+/**
+ * Runs the experiment subcommand (add, list or remove) and exits
+ * @param {Object} args - Parsed arguments
+ */
+function runExperiment(args) {
+    let filePath;
+    let experiments;
+    try {
+        filePath = resolveExperimentsPath(loadProjectConfig());
+        experiments = loadExperiments(filePath);
+    } catch (error) {
+        console.error('Error: Failed to load experiments');
+        console.error(error.message);
+        process.exit(1);
+    }
+
+    const name = args.experimentName;
+    try {
+        if (args.experimentAction === 'add') {
+            if (experiments.some(e => e.name === name)) {
+                throw new Error(`An experiment named "${name}" already exists`);
+            }
+            const experiment = {
+                name,
+                startDate: args.experimentStart,
+                expectedMonthlySavings: args.expectedSavings
+            };
+            if (args.experimentNote !== undefined) {
+                experiment.note = args.experimentNote;
+            }
+            saveExperiments(filePath, [...experiments, experiment]);
+            console.log(`Recorded experiment "${name}" starting ${experiment.startDate} ` +
+                `(expected savings $${experiment.expectedMonthlySavings.toFixed(2)}/month) in ${filePath}`);
+        } else if (args.experimentAction === 'remove') {
+            if (!experiments.some(e => e.name === name)) {
+                throw new Error(`No experiment named "${name}"`);
+            }
+            saveExperiments(filePath, experiments.filter(e => e.name !== name));
+            console.log(`Removed experiment "${name}" from ${filePath}`);
+        } else if (args.json) {
+            writeOutput(exportJSON({ experiments }, true), args.outputFile);
+        } else if (experiments.length === 0) {
+            console.log(`No experiments recorded in ${filePath}`);
+        } else {
+            const lines = [`Experiments in ${filePath}:`, ''];
+            experiments.forEach(e => {
+                lines.push(`  ${e.name}: from ${e.startDate}, expecting $${e.expectedMonthlySavings.toFixed(2)}/month`);
+                if (e.note) {
+                    lines.push(`    ${e.note}`);
+                }
+            });
+            writeOutput(lines.join('\n'), args.outputFile);
+        }
+    } catch (error) {
+        console.error(`Error: Failed to ${args.experimentAction} experiment`);
+        console.error(error.message);
+        process.exit(1);
+    }
+
+    process.exit(0);
+}
+
 /**
  * Main CLI function
  */
@@ -109,73 +911,107 @@ async function main() {
         // Parse arguments
         const args = parseArgs();
 
+        if (args.command === 'experiment') {
+            runExperiment(args);
+        }
+
         // Validate CSV file argument
-        if (!args.csvFile) {
+        if (args.csvFiles.length === 0) {
             console.error('Error: CSV file path is required');
             console.error('Usage: cursor-cost-explorer <csv-file> [options]');
             console.error('Run with --help for more information');
             process.exit(1);
         }
 
-        // Parse CSV file
-        let parseResult;
+        // Load model registry and plan catalog overrides before anything looks them up,
+        // and the experiment log the report evaluates
+        let projectConfig;
+        let experiments;
         try {
-            parseResult = await parseCSVFile(args.csvFile);
+            projectConfig = loadProjectConfig();
+            applyModelConfig(projectConfig, args.modelsFile);
+            applyPlanConfig(projectConfig, args.plansFile);
+            experiments = loadExperiments(resolveExperimentsPath(projectConfig));
         } catch (error) {
-            if (error.code === 'ENOENT') {
-                console.error(`Error: File not found: ${args.csvFile}`);
-                console.error('Please check the file path and try again.');
-            } else if (error.message.includes('parse')) {
-                console.error(`Error: Failed to parse CSV file: ${args.csvFile}`);
-                console.error(error.message);
-            } else {
-                console.error(`Error reading file: ${error.message}`);
-            }
+            console.error('Error: Failed to load configuration');
+            console.error(error.message);
             process.exit(1);
         }
 
-        if (!parseResult.records || parseResult.records.length === 0) {
-            console.error('Error: CSV file contains no valid records');
-            console.error('Please check that the file is a valid Cursor usage export.');
-            process.exit(1);
+        const analysisOptions = {
+            billing: resolveBillingOptions(projectConfig, args),
+            seats: resolveSeats(projectConfig, args),
+            currentPlan: resolveCurrentPlan(projectConfig, args),
+            budget: resolveBudgetOptions(projectConfig, args),
+            timezone: resolveTimezone(projectConfig, args),
+            filters: {
+                since: args.since,
+                until: args.until,
+                models: args.models,
+                excludeModels: args.excludeModels,
+                kinds: args.kinds
+            }
+        };
+
+        if (args.command === 'compare') {
+            await runCompare(args, analysisOptions);
+        }
+
+        if (args.command === 'team') {
+            await runTeam(args, analysisOptions);
         }
 
         // Run analysis
         let analysisResult;
-        try {
-            analysisResult = analyze(parseResult.records);
-        } catch (error) {
-            console.error('Error: Failed to analyze usage data');
-            console.error(error.message);
-            process.exit(1);
+        if (args.stream) {
+            // Records are analyzed as they are read and never held together
+            analysisResult = await runStreamAnalysis(args.csvFiles[0], analysisOptions);
+        } else {
+            // Parse CSV file(s)
+            const records = await loadRecords(args.csvFiles);
+
+            if (args.command === 'what-if') {
+                runWhatIf(records, args, analysisOptions);
+            }
+
+            try {
+                analysisResult = analyze(records, { ...analysisOptions, experiments });
+            } catch (error) {
+                printAnalysisError(error, 'analyze usage data');
+                process.exit(1);
+            }
         }
 
         // Format output
         let output;
-        if (args.json) {
+        if (TABLE_FORMATS.includes(args.format)) {
+            // One CSV/TSV file per aggregated table
+            writeTables(new CsvFormatter({ format: args.format }).formatTables(analysisResult), args.outputFile);
+        } else if (args.json) {
             // JSON output
             output = exportJSON(analysisResult, true);
+        } else if (args.format === 'markdown') {
+            // Markdown output (charts as fenced code blocks)
+            output = new MarkdownFormatter().format(analysisResult, args.showGraphs);
+        } else if (args.format === 'html') {
+            // Self-contained HTML page (charts are always drawn)
+            output = new HtmlFormatter().format(analysisResult);
         } else {
-            // Text output
-            const formatter = new TextFormatter();
+            // Text output, colored and with Unicode charts where the terminal supports them
+            const formatter = createTextFormatter(args);
 
             // Pass showGraphs flag to formatter
             output = formatter.format(analysisResult, args.showGraphs);
         }
 
         // Output results
-        if (args.outputFile) {
-            try {
-                writeFileSync(args.outputFile, output, 'utf-8');
-                console.error(`Output saved to: ${args.outputFile}`);
-            } catch (error) {
-                console.error(`Error: Failed to write output file: ${args.outputFile}`);
-                console.error(error.message);
-                process.exit(1);
-            }
-        } else {
-            // Output to stdout
-            console.log(output);
+        if (output !== undefined) {
+            writeOutput(output, args.outputFile);
+        }
+
+        // Over budget is reported through the exit code so scripts can act on it
+        if (analysisResult.budget && analysisResult.budget.over_budget) {
+            process.exit(EXIT_OVER_BUDGET);
         }
 
         // Success
@@ -183,7 +1019,8 @@ async function main() {
 
     } catch (error) {
         // Handle argument parsing errors
-        if (error.message.includes('requires') || error.message.includes('Unknown') || error.message.includes('Unexpected')) {
+        if (error.message.includes('requires') || error.message.includes('Unknown') || error.message.includes('Unexpected') ||
+            error.message.startsWith('Invalid')) {
             console.error(`Error: ${error.message}`);
             console.error('Run with --help for usage information');
             process.exit(1);
@@ -198,8 +1035,10 @@ async function main() {
     }
 }
 
-// Run CLI
-main();
+// Run CLI only when executed directly (not when imported by tests)
+if (process.argv[1] && realpathSync(process.argv[1]) === __filename) {
+    main();
+}
 
 export { main, parseArgs };
 
@@ -0,0 +1,76 @@
+/**
+ * Terminal capability detection for the CLI's text output
+ * Pure JavaScript - no external dependencies
+ */
+
+/**
+ * Decides whether the text report may use ANSI color and Unicode symbols
+ * Color needs an interactive terminal: it is off when NO_COLOR is set (see
+ * no-color.org), with --no-color, for TERM=dumb and when output is piped or
+ * saved to a file. FORCE_COLOR turns it on regardless (except FORCE_COLOR=0).
+ * Unicode (braille charts, block bars, emoji) is off with --ascii, in CI logs,
+ * for TERM=dumb, under a non-UTF-8 locale and in Windows consoles other than
+ * Windows Terminal and VS Code.
+ * @param {Object} [options]
+ * @param {Object} [options.env] - Environment variables (default process.env)
+ * @param {Object|null} [options.stream] - Output stream, or null when writing to a file (default process.stdout)
+ * @param {string} [options.platform] - Platform name (default process.platform)
+ * @param {boolean} [options.noColor] - --no-color was given
+ * @param {boolean} [options.ascii] - --ascii was given
+ * @returns {{color: boolean, unicode: boolean}} Capabilities for TextFormatter
+ */
+export function detectTerminalCapabilities({
+    env = process.env,
+    stream = process.stdout,
+    platform = process.platform,
+    noColor = false,
+    ascii = false
+} = {}) {
+    return {
+        color: supportsColor(env, stream, noColor),
+        unicode: !ascii && supportsUnicode(env, platform)
+    };
+}
+
+/**
+ * @param {Object} env - Environment variables
+ * @param {Object|null} stream - Output stream (null for a file)
+ * @param {boolean} noColor - --no-color was given
+ * @returns {boolean} True if ANSI color may be used
+ */
+function supportsColor(env, stream, noColor) {
+    if (noColor || isSet(env.NO_COLOR)) {
+        return false;
+    }
+    if (isSet(env.FORCE_COLOR)) {
+        return env.FORCE_COLOR !== '0' && env.FORCE_COLOR !== 'false';
+    }
+    if (env.TERM === 'dumb') {
+        return false;
+    }
+    return Boolean(stream && stream.isTTY);
+}
+
+/**
+ * @param {Object} env - Environment variables
+ * @param {string} platform - Platform name
+ * @returns {boolean} True if braille, block characters and emoji render
+ */
+function supportsUnicode(env, platform) {
+    if (env.TERM === 'dumb' || (isSet(env.CI) && env.CI !== 'false')) {
+        return false;
+    }
+    if (platform === 'win32') {
+        return isSet(env.WT_SESSION) || env.TERM_PROGRAM === 'vscode';
+    }
+    const locale = env.LC_ALL || env.LC_CTYPE || env.LANG;
+    return !locale || /utf-?8/i.test(locale);
+}
+
+/**
+ * @param {string|undefined} value - Environment variable value
+ * @returns {boolean} True if the variable is present and not empty
+ */
+function isSet(value) {
+    return value !== undefined && value !== '';
+}
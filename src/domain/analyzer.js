@@ -10,106 +10,332 @@ import { PlanOptimizer } from './analyzers/plan-optimization.js';
 import { CacheEfficiencyAnalyzer } from './analyzers/cache-efficiency.js';
 import { SavingsOpportunitiesAnalyzer } from './analyzers/savings-opportunities.js';
 import { UsagePatternAnalyzer } from './analyzers/usage-patterns.js';
+import { PriceReconciliationAnalyzer } from './analyzers/price-reconciliation.js';
+import { ForecastAnalyzer } from './analyzers/forecast.js';
+import { BudgetAnalyzer } from './analyzers/budget.js';
+import { ExperimentAnalyzer } from './analyzers/experiments.js';
+import { UserBreakdownAnalyzer } from './analyzers/users.js';
+import { normalizeTimezone, applyTimezone, zoneRecord } from './timezone.js';
+import { normalizeFilters, filterRecords, summarizeFilters, createRecordFilter, describeNoMatch } from './filters.js';
+
+/**
+ * Result sections a streaming analysis leaves null: they need every record
+ * (price checks, experiment windows, per-user seats)
+ */
+const STREAMING_OMITTED_SECTIONS = [
+    'user_breakdown',
+    'experiments',
+    'price_reconciliation'
+];
 
 class AnalysisEngine {
     /**
      * Main analysis function that orchestrates all analysis modules
      * @param {UsageRecord[]} records - Array of usage records
+     * @param {Object} [options] - Analysis options
+     * @param {Object} [options.billing] - { cycleStartDay, dayBasis } (see billing-cycles.js)
+     * @param {number} [options.seats] - Seats to bill when simulating plans (default 1)
+     * @param {string} [options.currentPlan] - Catalog plan the account is on (detected
+     *   from the allowance replay if omitted)
+     * @param {Object} [options.budget] - { amount, thresholds? } - track spend against a monthly budget
+     * @param {Object[]} [options.experiments] - Savings experiments to evaluate (see experiments.js)
+     * @param {string} [options.timezone] - IANA zone or "local" that days, hours and weekdays
+     *   are bucketed in (default UTC)
+     * @param {Object} [options.filters] - Records to analyze ({ since, until, models, excludeModels, kinds },
+     *   see filters.js)
      * @returns {Object} Complete analysis result with all metrics and recommendations
      */
-    analyze(records) {
+    analyze(records, options = {}) {
         if (!records || records.length === 0) {
             throw new Error('Records array cannot be empty');
         }
 
+        // Every analyzer buckets by the records' own date methods, so zoning them once covers all
+        const timezone = normalizeTimezone(options.timezone);
+        records = applyTimezone(records, timezone);
+
+        // Filter after zoning, so since/until are days in the analysis time zone
+        const filters = normalizeFilters(options.filters);
+        records = filterRecords(records, filters);
+
         // Run all analyses
         const costAnalyzer = new CostAnalyzer();
-        const costAnalysis = costAnalyzer.analyze(records);
+        const costAnalysis = costAnalyzer.analyze(records, options);
 
         const modelEfficiencyAnalyzer = new ModelEfficiencyAnalyzer();
         const modelAnalysis = modelEfficiencyAnalyzer.analyze(records);
 
         const planOptimizer = new PlanOptimizer();
-        const planAnalysis = planOptimizer.analyze(records, costAnalysis.summary);
+        const planAnalysis = planOptimizer.analyze(records, costAnalysis.summary, {
+            seats: options.seats,
+            currentPlan: options.currentPlan
+        });
 
         const cacheAnalyzer = new CacheEfficiencyAnalyzer();
         const cacheAnalysis = cacheAnalyzer.analyze(records, costAnalysis.summary);
 
         const savingsAnalyzer = new SavingsOpportunitiesAnalyzer();
-        const savingsAnalysis = savingsAnalyzer.analyze(records);
+        const savingsAnalysis = savingsAnalyzer.rankOpportunities({
+            costAnalysis,
+            planAnalysis,
+            modelAnalysis,
+            cacheAnalysis
+        });
 
         const patternAnalyzer = new UsagePatternAnalyzer();
         const patternAnalysis = patternAnalyzer.analyze(records, costAnalysis.summary);
 
+        const reconciliationAnalyzer = new PriceReconciliationAnalyzer();
+        const reconciliationAnalysis = reconciliationAnalyzer.analyze(records);
+
+        // Per-user breakdown is null unless the export has a user column
+        const userAnalyzer = new UserBreakdownAnalyzer();
+        const userAnalysis = userAnalyzer.analyze(records, options);
+
+        const forecastAnalyzer = new ForecastAnalyzer();
+        const forecastAnalysis = forecastAnalyzer.analyze(records, options);
+
+        // Budget tracking only runs when a budget is given
+        const budgetAnalysis = options.budget
+            ? new BudgetAnalyzer().analyze(records, forecastAnalysis, options)
+            : null;
+
+        // Experiments only run when some are recorded
+        const experimentAnalysis = options.experiments && options.experiments.length > 0
+            ? new ExperimentAnalyzer().analyze(records, options.experiments)
+            : null;
+
         // Assemble complete analysis result
         return {
             metadata: {
                 generated_at: new Date().toISOString(),
                 total_records: records.length,
-                analysis_version: '1.0'
-            },
-            summary: {
-                period: costAnalysis.summary.period,
-                cost: {
-                    total: costAnalysis.summary.cost.total,
-                    daily_average: costAnalysis.summary.cost.daily_average,
-                    by_type: {
-                        included: costAnalysis.breakdown_by_type.included.cost,
-                        on_demand: costAnalysis.breakdown_by_type.on_demand.cost,
-                        errored: costAnalysis.breakdown_by_type.errored.cost
-                    }
-                },
-                usage: {
-                    total_requests: costAnalysis.summary.usage.total_requests,
-                    requests_per_day: costAnalysis.summary.usage.requests_per_day,
-                    total_tokens: costAnalysis.summary.usage.total_tokens,
-                    cache_efficiency: cacheAnalysis.metrics.overall_cache_efficiency
-                }
-            },
-            cost_analysis: {
-                breakdown_by_model: costAnalysis.breakdown_by_model,
-                breakdown_by_type: costAnalysis.breakdown_by_type,
-                daily_costs: costAnalysis.daily_costs,
-                top_expensive_requests: costAnalysis.top_expensive_requests,
-                top_expensive_days: costAnalysis.top_expensive_days,
-                most_expensive_model: costAnalysis.most_expensive_model
+                analysis_version: '1.0',
+                timezone,
+                filters: summarizeFilters(filters)
             },
+            summary: this.buildSummary(costAnalysis, cacheAnalysis),
+            cost_analysis: this.buildCostSection(costAnalysis),
+            user_breakdown: userAnalysis,
             model_efficiency: {
-                rankings: modelAnalysis.rankings
+                rankings: modelAnalysis.rankings,
+                unresolved_models: modelAnalysis.unresolved_models
             },
-            plan_recommendation: {
-                current_plan: planAnalysis.current_plan.plan,
-                current_monthly_cost: planAnalysis.actual_monthly_cost,
-                recommended_plan: planAnalysis.recommendation.recommended_plan,
-                recommended_cost: planAnalysis.recommendation.recommended_cost,
-                savings_monthly: planAnalysis.recommendation.savings_monthly,
-                savings_yearly: planAnalysis.recommendation.savings_yearly,
-                confidence: planAnalysis.recommendation.confidence,
-                reasoning: planAnalysis.recommendation.reasoning,
-                actions: planAnalysis.recommendation.actions
+            forecast: forecastAnalysis,
+            budget: budgetAnalysis,
+            experiments: experimentAnalysis,
+            plan_recommendation: this.buildPlanSection(planAnalysis),
+            cache_efficiency: this.buildCacheSection(cacheAnalysis),
+            opportunities: this.buildOpportunitiesSection(savingsAnalysis),
+            patterns: this.buildPatternsSection(patternAnalysis),
+            price_reconciliation: reconciliationAnalysis
+        };
+    }
+
+    /**
+     * Analyzes records as they arrive, e.g. from streamCSVFile
+     * Memory stays flat however many records there are: cost, model, pattern,
+     * cache, plan, forecast and budget analyzers fold each record into running
+     * totals (see their createAccumulator / analyzeDailyCosts), and no record is kept.
+     * Sections that need every record are null and listed in
+     * metadata.omitted_sections; totals match analyze() on the same records.
+     * The plan section has no allowance replay (allowance_replay is null), so
+     * without options.currentPlan the current plan is estimated from per-day totals.
+     * @param {Iterable<UsageRecord>|AsyncIterable<UsageRecord>} records - Usage records
+     * @param {Object} [options] - Same options as analyze(); experiments are not used
+     * @returns {Promise<Object>} Analysis result with the streaming sections
+     */
+    async analyzeStream(records, options = {}) {
+        if (!records || (!records[Symbol.asyncIterator] && !records[Symbol.iterator])) {
+            throw new Error('Records must be an iterable or async iterable of usage records');
+        }
+
+        const timezone = normalizeTimezone(options.timezone);
+        const filters = normalizeFilters(options.filters);
+        const matches = createRecordFilter(filters);
+
+        const costAccumulator = new CostAnalyzer().createAccumulator(options);
+        const modelAccumulator = new ModelEfficiencyAnalyzer().createAccumulator();
+        const cacheAccumulator = new CacheEfficiencyAnalyzer().createAccumulator();
+        const patternAccumulator = new UsagePatternAnalyzer().createAccumulator();
+        const planAccumulator = new PlanOptimizer().createAccumulator({
+            billing: options.billing,
+            seats: options.seats,
+            currentPlan: options.currentPlan
+        });
+        let totalRecords = 0;
+        let seenRecords = 0;
+
+        for await (const record of records) {
+            seenRecords++;
+            // Zone before filtering, so since/until are days in the analysis time zone
+            const zoned = zoneRecord(record, timezone);
+            if (!matches(zoned)) {
+                continue;
+            }
+            costAccumulator.add(zoned);
+            modelAccumulator.add(zoned);
+            cacheAccumulator.add(zoned);
+            patternAccumulator.add(zoned);
+            planAccumulator.add(zoned);
+            totalRecords++;
+        }
+
+        if (totalRecords === 0) {
+            throw new Error(seenRecords > 0 && filters ? describeNoMatch(filters) : 'Records array cannot be empty');
+        }
+
+        const costAnalysis = costAccumulator.finish();
+        const modelAnalysis = modelAccumulator.finish();
+        const cacheAnalysis = cacheAccumulator.finish(costAnalysis.summary);
+        const patternAnalysis = patternAccumulator.finish(costAnalysis.summary);
+        const planAnalysis = planAccumulator.finish(costAnalysis.summary);
+        const savingsAnalysis = new SavingsOpportunitiesAnalyzer().rankOpportunities({
+            costAnalysis,
+            planAnalysis,
+            modelAnalysis,
+            cacheAnalysis
+        });
+
+        const forecastAnalysis = new ForecastAnalyzer().analyzeDailyCosts(costAnalysis.daily_costs, options);
+        const budgetAnalysis = options.budget
+            ? new BudgetAnalyzer().analyzeDailyCosts(costAnalysis.daily_costs, forecastAnalysis, options)
+            : null;
+
+        // Same section order as analyze(); omitted sections are null
+        return {
+            metadata: {
+                generated_at: new Date().toISOString(),
+                total_records: totalRecords,
+                analysis_version: '1.0',
+                timezone,
+                filters: summarizeFilters(filters),
+                streaming: true,
+                omitted_sections: STREAMING_OMITTED_SECTIONS
             },
-            cache_efficiency: {
-                metrics: cacheAnalysis.metrics,
-                benchmark: cacheAnalysis.benchmark,
-                savings: cacheAnalysis.savings,
-                feedback: cacheAnalysis.feedback
+            summary: this.buildSummary(costAnalysis, cacheAnalysis),
+            cost_analysis: this.buildCostSection(costAnalysis),
+            user_breakdown: null,
+            model_efficiency: {
+                rankings: modelAnalysis.rankings,
+                unresolved_models: modelAnalysis.unresolved_models
             },
-            opportunities: {
-                list: savingsAnalysis.opportunities,
-                total_potential_savings_monthly: savingsAnalysis.total_potential_savings_monthly,
-                total_potential_savings_yearly: savingsAnalysis.total_potential_savings_yearly
+            forecast: forecastAnalysis,
+            budget: budgetAnalysis,
+            experiments: null,
+            plan_recommendation: this.buildPlanSection(planAnalysis),
+            cache_efficiency: this.buildCacheSection(cacheAnalysis),
+            opportunities: this.buildOpportunitiesSection(savingsAnalysis),
+            patterns: this.buildPatternsSection(patternAnalysis),
+            price_reconciliation: null
+        };
+    }
+
+    /**
+     * @param {Object} costAnalysis - CostAnalyzer result
+     * @param {Object} cacheAnalysis - CacheEfficiencyAnalyzer result
+     * @returns {Object} Result summary section
+     */
+    buildSummary(costAnalysis, cacheAnalysis) {
+        return {
+            period: costAnalysis.summary.period,
+            cost: {
+                total: costAnalysis.summary.cost.total,
+                daily_average: costAnalysis.summary.cost.daily_average,
+                by_type: {
+                    included: costAnalysis.breakdown_by_type.included.cost,
+                    on_demand: costAnalysis.breakdown_by_type.on_demand.cost,
+                    errored: costAnalysis.breakdown_by_type.errored.cost
+                }
             },
-            patterns: {
-                hourly_distribution: patternAnalysis.hourly_distribution,
-                daily_distribution: patternAnalysis.daily_distribution,
-                peak_hours: patternAnalysis.peak_hours,
-                sprints: patternAnalysis.sprints,
-                work_style: patternAnalysis.work_style,
-                recommendations: patternAnalysis.recommendations
+            usage: {
+                total_requests: costAnalysis.summary.usage.total_requests,
+                requests_per_day: costAnalysis.summary.usage.requests_per_day,
+                total_tokens: costAnalysis.summary.usage.total_tokens,
+                cache_efficiency: cacheAnalysis.metrics.overall_cache_efficiency
             }
         };
     }
 
+    /**
+     * @param {Object} costAnalysis - CostAnalyzer result
+     * @returns {Object} Result cost_analysis section
+     */
+    buildCostSection(costAnalysis) {
+        return {
+            breakdown_by_model: costAnalysis.breakdown_by_model,
+            breakdown_by_type: costAnalysis.breakdown_by_type,
+            breakdown_by_max_mode: costAnalysis.breakdown_by_max_mode,
+            daily_costs: costAnalysis.daily_costs,
+            top_expensive_requests: costAnalysis.top_expensive_requests,
+            top_expensive_days: costAnalysis.top_expensive_days,
+            most_expensive_model: costAnalysis.most_expensive_model
+        };
+    }
+
+    /**
+     * @param {Object} planAnalysis - PlanOptimizer result
+     * @returns {Object} Result plan_recommendation section
+     */
+    buildPlanSection(planAnalysis) {
+        return {
+            current_plan: planAnalysis.current_plan.plan,
+            current_plan_source: planAnalysis.current_plan.source,
+            current_plan_cost: planAnalysis.recommendation.current_cost,
+            current_monthly_cost: planAnalysis.actual_monthly_cost,
+            recommended_plan: planAnalysis.recommendation.recommended_plan,
+            recommended_cost: planAnalysis.recommendation.recommended_cost,
+            savings_monthly: planAnalysis.recommendation.savings_monthly,
+            savings_yearly: planAnalysis.recommendation.savings_yearly,
+            confidence: planAnalysis.recommendation.confidence,
+            reasoning: planAnalysis.recommendation.reasoning,
+            actions: planAnalysis.recommendation.actions,
+            plan_ranking: planAnalysis.plan_ranking,
+            billing_cycles: planAnalysis.billing_cycles,
+            allowance_replay: planAnalysis.allowance_replay
+        };
+    }
+
+    /**
+     * @param {Object} savingsAnalysis - SavingsOpportunitiesAnalyzer result
+     * @returns {Object} Result opportunities section
+     */
+    buildOpportunitiesSection(savingsAnalysis) {
+        return {
+            list: savingsAnalysis.opportunities,
+            total_potential_savings_monthly: savingsAnalysis.total_potential_savings_monthly,
+            total_potential_savings_yearly: savingsAnalysis.total_potential_savings_yearly
+        };
+    }
+
+    /**
+     * @param {Object} cacheAnalysis - CacheEfficiencyAnalyzer result
+     * @returns {Object} Result cache_efficiency section
+     */
+    buildCacheSection(cacheAnalysis) {
+        return {
+            metrics: cacheAnalysis.metrics,
+            benchmark: cacheAnalysis.benchmark,
+            savings: cacheAnalysis.savings,
+            feedback: cacheAnalysis.feedback
+        };
+    }
+
+    /**
+     * @param {Object} patternAnalysis - UsagePatternAnalyzer result
+     * @returns {Object} Result patterns section
+     */
+    buildPatternsSection(patternAnalysis) {
+        return {
+            hourly_distribution: patternAnalysis.hourly_distribution,
+            daily_distribution: patternAnalysis.daily_distribution,
+            peak_hours: patternAnalysis.peak_hours,
+            sprints: patternAnalysis.sprints,
+            work_style: patternAnalysis.work_style,
+            recommendations: patternAnalysis.recommendations
+        };
+    }
+
     /**
      * Exports analysis result as JSON string
      * @param {Object} analysisResult - Analysis result object
@@ -130,10 +356,21 @@ const engine = new AnalysisEngine();
 /**
  * Main analyze function - public API
  * @param {UsageRecord[]} records - Array of usage records
+ * @param {Object} [options] - Analysis options ({ billing, seats, budget, experiments, timezone, filters })
  * @returns {Object} Complete analysis result
  */
-export function analyze(records) {
-    return engine.analyze(records);
+export function analyze(records, options = {}) {
+    return engine.analyze(records, options);
+}
+
+/**
+ * Streaming analyze function - public API
+ * @param {Iterable<UsageRecord>|AsyncIterable<UsageRecord>} records - Usage records, e.g. from streamCSVFile
+ * @param {Object} [options] - Analysis options ({ billing, budget, timezone, filters })
+ * @returns {Promise<Object>} Analysis result with the streaming sections (see AnalysisEngine.analyzeStream)
+ */
+export function analyzeStream(records, options = {}) {
+    return engine.analyzeStream(records, options);
 }
 
 /**
@@ -146,5 +383,5 @@ export function exportJSON(analysisResult, pretty = false) {
     return engine.exportJSON(analysisResult, pretty);
 }
 
-export { AnalysisEngine };
+export { AnalysisEngine, STREAMING_OMITTED_SECTIONS };
 
@@ -0,0 +1,196 @@
+/**
+ * Budget tracking for Cursor usage data
+ * Measures spend in the current billing cycle against a monthly budget,
+ * projects the cycle total and raises alerts at percentage thresholds
+ * Pure JavaScript - no external dependencies
+ */
+
+import { getBillingCycle, normalizeBillingOptions, countCalendarDays, addDays } from '../billing-cycles.js';
+
+/**
+ * Alert thresholds (percent of budget) used when none are configured
+ */
+const DEFAULT_BUDGET_THRESHOLDS = [80, 100, 120];
+
+/**
+ * Validates budget options and fills in defaults
+ * @param {Object} options - { amount: monthly budget ($), thresholds?: percentages }
+ * @returns {Object} Normalized budget options, thresholds ascending
+ */
+export function normalizeBudgetOptions(options) {
+    const amount = options && options.amount;
+    if (typeof amount !== 'number' || !isFinite(amount) || amount <= 0) {
+        throw new Error(`Budget must be a positive amount, got: ${amount}`);
+    }
+
+    const thresholds = options.thresholds ?? DEFAULT_BUDGET_THRESHOLDS;
+    if (!Array.isArray(thresholds) || thresholds.length === 0 ||
+        thresholds.some(t => typeof t !== 'number' || !isFinite(t) || t <= 0)) {
+        throw new Error(`Budget thresholds must be positive percentages, got: ${thresholds}`);
+    }
+
+    return { amount, thresholds: [...thresholds].sort((a, b) => a - b) };
+}
+
+class BudgetAnalyzer {
+    /**
+     * Tracks spend in the current billing cycle against a budget
+     * The current cycle is the one containing the last record. The projected
+     * cycle total comes from the spending forecast when there is one, otherwise
+     * from the cycle's run rate so far.
+     * @param {UsageRecord[]} records - Array of usage records
+     * @param {Object|null} forecast - Result of ForecastAnalyzer.analyze (optional)
+     * @param {Object} options - { budget: { amount, thresholds? }, billing? }
+     * @returns {Object} Spend to date, percent used, projection, exhaustion date and alerts
+     */
+    analyze(records, forecast, options = {}) {
+        if (!records || records.length === 0) {
+            throw new Error('Records array cannot be empty');
+        }
+
+        const costByDate = new Map();
+        for (const record of records) {
+            const date = record.getDateOnly();
+            costByDate.set(date, (costByDate.get(date) || 0) + record.cost);
+        }
+
+        return this.analyzeDailyCosts(
+            Array.from(costByDate, ([date, cost]) => ({ date, cost })),
+            forecast,
+            options
+        );
+    }
+
+    /**
+     * Tracks the budget from daily cost totals instead of records
+     * Used by streaming analysis, which keeps daily totals but not the records.
+     * @param {Object[]} dailyCosts - [{ date, cost }] for the days with requests (e.g. cost_analysis.daily_costs)
+     * @param {Object|null} forecast - Result of ForecastAnalyzer.analyze (optional)
+     * @param {Object} options - { budget: { amount, thresholds? }, billing? }
+     * @returns {Object} Same result as analyze() on the records behind the totals
+     */
+    analyzeDailyCosts(dailyCosts, forecast, options = {}) {
+        if (!dailyCosts || dailyCosts.length === 0) {
+            throw new Error('Daily costs cannot be empty');
+        }
+
+        const { amount, thresholds } = normalizeBudgetOptions(options.budget);
+        const { cycleStartDay } = normalizeBillingOptions(options.billing);
+
+        const dates = dailyCosts.map(d => d.date).sort();
+        const dataStart = dates[0];
+        const lastDate = dates[dates.length - 1];
+        const cycle = getBillingCycle(lastDate, cycleStartDay);
+
+        // Cumulative spend per day of the cycle, to find when the budget ran out
+        const dailySpend = new Map(
+            dailyCosts.filter(d => d.date >= cycle.start).map(d => [d.date, d.cost])
+        );
+        const spentToDate = Array.from(dailySpend.values()).reduce((sum, cost) => sum + cost, 0);
+
+        const elapsedDays = countCalendarDays(cycle.start > dataStart ? cycle.start : dataStart, lastDate);
+        const remainingDays = countCalendarDays(lastDate, cycle.end) - 1;
+        const projection = this.projectCycle(forecast, spentToDate, elapsedDays, remainingDays, lastDate);
+
+        const exhaustedOn = spentToDate >= amount
+            ? this.findCrossingDate(Array.from(dailySpend.entries()).sort(), 0, amount)
+            : null;
+        const projectedExhaustionDate = exhaustedOn
+            ? null
+            : this.findCrossingDate(projection.daily.map(d => [d.date, d.cost]), spentToDate, amount);
+
+        const percentUsed = (spentToDate / amount) * 100;
+        const projectedPercent = (projection.total / amount) * 100;
+
+        return {
+            amount,
+            thresholds,
+            cycle_start: cycle.start,
+            cycle_end: cycle.end,
+            elapsed_days: elapsedDays,
+            remaining_days: remainingDays,
+            spent_to_date: spentToDate,
+            remaining_budget: Math.max(0, amount - spentToDate),
+            percent_used: percentUsed,
+            projected_total: projection.total,
+            projected_percent: projectedPercent,
+            projection_method: projection.method,
+            projected_overrun: Math.max(0, projection.total - amount),
+            over_budget: spentToDate > amount,
+            exhausted_on: exhaustedOn,
+            projected_exhaustion_date: projectedExhaustionDate,
+            alerts: this.buildAlerts(thresholds, amount, percentUsed, projectedPercent)
+        };
+    }
+
+    /**
+     * Projects spend for the rest of the cycle
+     * @param {Object|null} forecast - Spending forecast (used when it has enough data)
+     * @param {number} spentToDate - Spend so far this cycle
+     * @param {number} elapsedDays - Days of the cycle covered by data
+     * @param {number} remainingDays - Days left in the cycle
+     * @param {string} lastDate - Last day of data (YYYY-MM-DD)
+     * @returns {Object} { method, total, daily: [{ date, cost }] } for the remaining days
+     */
+    projectCycle(forecast, spentToDate, elapsedDays, remainingDays, lastDate) {
+        if (forecast && forecast.sufficient_data) {
+            const daily = forecast.daily
+                .slice(0, remainingDays)
+                .map(d => ({ date: d.date, cost: d.forecast }));
+            return { method: 'forecast', total: forecast.end_of_cycle.forecast, daily };
+        }
+
+        const dailyRate = spentToDate / (elapsedDays || 1);
+        const daily = Array.from({ length: remainingDays }, (_, i) => ({
+            date: addDays(lastDate, i + 1),
+            cost: dailyRate
+        }));
+        return { method: 'run_rate', total: spentToDate + dailyRate * remainingDays, daily };
+    }
+
+    /**
+     * Finds the first day cumulative spend reaches the budget
+     * @param {Array<[string, number]>} days - [date, cost] pairs in date order
+     * @param {number} startingSpend - Spend before the first day
+     * @param {number} amount - Budget
+     * @returns {string|null} Date (YYYY-MM-DD), or null if the budget is not reached
+     */
+    findCrossingDate(days, startingSpend, amount) {
+        let cumulative = startingSpend;
+        for (const [date, cost] of days) {
+            cumulative += cost;
+            if (cumulative >= amount) {
+                return date;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Raises an alert for every threshold reached, or projected to be reached
+     * by the end of the cycle
+     * @param {number[]} thresholds - Percentages, ascending
+     * @param {number} amount - Budget
+     * @param {number} percentUsed - Percent of budget spent so far
+     * @param {number} projectedPercent - Percent of budget projected by cycle end
+     * @returns {Object[]} [{ threshold, status: 'reached'|'projected', severity, message }]
+     */
+    buildAlerts(thresholds, amount, percentUsed, projectedPercent) {
+        return thresholds
+            .filter(threshold => projectedPercent >= threshold || percentUsed >= threshold)
+            .map(threshold => {
+                const reached = percentUsed >= threshold;
+                const limit = `$${(amount * threshold / 100).toFixed(2)}`;
+                return {
+                    threshold,
+                    status: reached ? 'reached' : 'projected',
+                    severity: threshold >= 100 ? 'critical' : 'warning',
+                    message: reached
+                        ? `Spend has reached ${threshold}% of the budget (${limit})`
+                        : `Spend is projected to reach ${threshold}% of the budget (${limit}) by the end of the cycle`
+                };
+            });
+    }
+}
+
+export { BudgetAnalyzer, DEFAULT_BUDGET_THRESHOLDS };
@@ -3,6 +3,8 @@
  * Pure JavaScript - no external dependencies
  */
 
+import { projectMonthly } from '../billing-cycles.js';
+
 /**
  * Cache efficiency benchmarks
  */
@@ -14,6 +16,15 @@ const CACHE_BENCHMARKS = {
     OUTSTANDING: { threshold: 100, label: 'Outstanding', description: 'top 1%' }
 };
 
+/**
+ * Cache token prices relative to fresh input tokens
+ * Writing to the cache costs more than plain input; reading from it costs a fraction
+ */
+const CACHE_PRICING = {
+    READ_MULTIPLIER: 0.1,
+    WRITE_MULTIPLIER: 1.25
+};
+
 class CacheEfficiencyAnalyzer {
     /**
      * Analyzes cache efficiency from usage records
@@ -46,29 +57,67 @@ class CacheEfficiencyAnalyzer {
         };
     }
 
+    /**
+     * Creates an accumulator that analyzes records one at a time
+     * Its result equals analyze() on the same records, but it keeps only token
+     * and cost totals, never the records.
+     * @returns {CacheEfficiencyAccumulator} Accumulator ({ add(record), finish(costSummary) })
+     */
+    createAccumulator() {
+        return new CacheEfficiencyAccumulator(this);
+    }
+
     /**
      * Calculates cache metrics from usage records
-     * Cache hit rate = cacheTokens / (cacheTokens + inputTokens)
+     * Cache hit rate = cacheTokens / (cacheTokens + cacheWriteTokens + inputTokens)
      * @param {UsageRecord[]} records - Array of usage records
      * @returns {Object} Cache metrics
      */
     calculateCacheMetrics(records) {
         let totalCacheTokens = 0;
+        let totalCacheWriteTokens = 0;
         let totalInputTokens = 0;
         let totalOutputTokens = 0;
         let totalTokens = 0;
 
         for (const record of records) {
             totalCacheTokens += record.cacheRead || 0;
+            totalCacheWriteTokens += record.cacheWrite || 0;
             totalInputTokens += record.input || 0;
             totalOutputTokens += record.output || 0;
             totalTokens += record.totalTokens || 0;
         }
 
-        // Cache hit rate: cache tokens / (cache tokens + input tokens)
+        return this.buildCacheMetrics({
+            totalCacheTokens,
+            totalCacheWriteTokens,
+            totalInputTokens,
+            totalOutputTokens,
+            totalTokens
+        });
+    }
+
+    /**
+     * Derives cache metrics from token totals
+     * @param {Object} totals - { totalCacheTokens, totalCacheWriteTokens, totalInputTokens, totalOutputTokens, totalTokens }
+     * @returns {Object} Cache metrics
+     */
+    buildCacheMetrics({ totalCacheTokens, totalCacheWriteTokens, totalInputTokens, totalOutputTokens, totalTokens }) {
+        // Cache hit rate: cache tokens / all prompt tokens (cached, written to cache, fresh)
         // This represents how much of the input was served from cache vs fresh processing
-        const cacheHitRate = (totalCacheTokens + totalInputTokens) > 0
-            ? (totalCacheTokens / (totalCacheTokens + totalInputTokens)) * 100
+        const promptTokens = totalCacheTokens + totalCacheWriteTokens + totalInputTokens;
+        const cacheHitRate = promptTokens > 0
+            ? (totalCacheTokens / promptTokens) * 100
+            : 0;
+
+        // Write/read ratio: tokens written to cache per token read back
+        const writeReadRatio = totalCacheTokens > 0
+            ? totalCacheWriteTokens / totalCacheTokens
+            : 0;
+
+        // Reuse factor: how many times each cache-written token was read back
+        const cacheReuseFactor = totalCacheWriteTokens > 0
+            ? totalCacheTokens / totalCacheWriteTokens
             : 0;
 
         // Overall cache efficiency: cache tokens / total tokens
@@ -79,17 +128,22 @@ class CacheEfficiencyAnalyzer {
 
         return {
             total_cache_tokens: totalCacheTokens,
+            total_cache_write_tokens: totalCacheWriteTokens,
             total_input_tokens: totalInputTokens,
             total_output_tokens: totalOutputTokens,
             total_tokens: totalTokens,
             cache_hit_rate: cacheHitRate,
-            overall_cache_efficiency: overallCacheEfficiency
+            overall_cache_efficiency: overallCacheEfficiency,
+            write_read_ratio: writeReadRatio,
+            cache_reuse_factor: cacheReuseFactor
         };
     }
 
     /**
      * Calculates estimated cost savings from cache usage
-     * Assumes cache tokens would have cost the same as input tokens if not cached
+     * Without a cache, every cache-read and cache-write token would have been fresh input.
+     * With it, reads are billed at a discount and writes at a premium (see CACHE_PRICING),
+     * so poorly reused cache writes can make caching a net cost
      * @param {UsageRecord[]} records - Array of usage records
      * @param {Object} metrics - Cache metrics
      * @returns {Object} Cost savings information
@@ -110,26 +164,47 @@ class CacheEfficiencyAnalyzer {
             }
         }
 
+        return this.buildCacheSavings(totalInputCost, totalInputTokens, metrics);
+    }
+
+    /**
+     * Estimates cache savings from the cost attributed to fresh input tokens
+     * @param {number} totalInputCost - Cost share of fresh input tokens
+     * @param {number} totalInputTokens - Fresh input tokens
+     * @param {Object} metrics - Cache metrics
+     * @returns {Object} Cost savings information
+     */
+    buildCacheSavings(totalInputCost, totalInputTokens, metrics) {
         const avgCostPerInputToken = totalInputTokens > 0
             ? totalInputCost / totalInputTokens
             : 0;
 
-        // Estimate what cache tokens would have cost if not cached
-        const estimatedCostWithoutCache = metrics.total_cache_tokens * avgCostPerInputToken;
+        const cacheReadTokens = metrics.total_cache_tokens;
+        const cacheWriteTokens = metrics.total_cache_write_tokens || 0;
+
+        // Estimate what cached prompt tokens would have cost as fresh input
+        const estimatedCostWithoutCache = (cacheReadTokens + cacheWriteTokens) * avgCostPerInputToken;
 
-        // Actual cost (cache tokens are free or significantly cheaper)
-        // For simplicity, assume cache tokens cost 0 (they're already paid for)
-        const actualCostWithCache = 0;
+        // Actual cost: cache reads at a discount, cache writes at a premium
+        const cacheReadCost = cacheReadTokens * avgCostPerInputToken * CACHE_PRICING.READ_MULTIPLIER;
+        const cacheWriteCost = cacheWriteTokens * avgCostPerInputToken * CACHE_PRICING.WRITE_MULTIPLIER;
+        const actualCostWithCache = cacheReadCost + cacheWriteCost;
 
-        const monthlySavings = estimatedCostWithoutCache;
+        // Net savings can be negative when written cache is rarely read back
+        const netSavings = estimatedCostWithoutCache - actualCostWithCache;
+        const monthlySavings = Math.max(0, netSavings);
         const yearlySavings = monthlySavings * 12;
 
         return {
             estimated_cost_without_cache: estimatedCostWithoutCache,
             actual_cost_with_cache: actualCostWithCache,
+            cache_read_cost: cacheReadCost,
+            cache_write_cost: cacheWriteCost,
+            net_savings: netSavings,
             savings_monthly: monthlySavings,
             savings_yearly: yearlySavings,
-            cache_tokens_processed: metrics.total_cache_tokens
+            cache_tokens_processed: cacheReadTokens,
+            cache_write_tokens_processed: cacheWriteTokens
         };
     }
 
@@ -183,8 +258,7 @@ class CacheEfficiencyAnalyzer {
         };
 
         const cacheHitRate = metrics.cache_hit_rate;
-        const days = costSummary?.period?.days || 30;
-        const monthlyCost = costSummary?.cost?.total ? (costSummary.cost.total / days) * 30 : 0;
+        const monthlyCost = costSummary?.cost?.total ? projectMonthly(costSummary.cost.total, costSummary.period) : 0;
 
         if (benchmark.level === CACHE_BENCHMARKS.POOR.label) {
             feedback.summary = `⚠️ Your cache rate (${cacheHitRate.toFixed(1)}%) is below average`;
@@ -241,5 +315,68 @@ class CacheEfficiencyAnalyzer {
     }
 }
 
-export { CacheEfficiencyAnalyzer, CACHE_BENCHMARKS };
+/**
+ * Streaming counterpart of CacheEfficiencyAnalyzer.analyze (see CacheEfficiencyAnalyzer.createAccumulator)
+ */
+class CacheEfficiencyAccumulator {
+    /**
+     * @param {CacheEfficiencyAnalyzer} analyzer - Analyzer whose builders shape the result
+     */
+    constructor(analyzer) {
+        this.analyzer = analyzer;
+        this.requests = 0;
+        this.totals = {
+            totalCacheTokens: 0,
+            totalCacheWriteTokens: 0,
+            totalInputTokens: 0,
+            totalOutputTokens: 0,
+            totalTokens: 0
+        };
+        this.freshInputCost = 0;
+        this.freshInputTokens = 0;
+    }
+
+    /**
+     * Adds one record's tokens and input cost share to the totals
+     * @param {UsageRecord} record - Usage record
+     */
+    add(record) {
+        this.requests += 1;
+        this.totals.totalCacheTokens += record.cacheRead || 0;
+        this.totals.totalCacheWriteTokens += record.cacheWrite || 0;
+        this.totals.totalInputTokens += record.input || 0;
+        this.totals.totalOutputTokens += record.output || 0;
+        this.totals.totalTokens += record.totalTokens || 0;
+
+        const inputTokens = record.input || 0;
+        if (inputTokens > 0) {
+            this.freshInputCost += record.cost * (inputTokens / (record.totalTokens || 1));
+            this.freshInputTokens += inputTokens;
+        }
+    }
+
+    /**
+     * @param {Object} costSummary - Summary statistics from cost analysis
+     * @returns {Object} Same result as CacheEfficiencyAnalyzer.analyze on the added records
+     */
+    finish(costSummary) {
+        if (this.requests === 0) {
+            throw new Error('Records array cannot be empty');
+        }
+
+        const analyzer = this.analyzer;
+        const metrics = analyzer.buildCacheMetrics(this.totals);
+        const savings = analyzer.buildCacheSavings(this.freshInputCost, this.freshInputTokens, metrics);
+        const benchmark = analyzer.benchmarkCacheEfficiency(metrics.cacheHitRate);
+
+        return {
+            metrics,
+            benchmark,
+            savings,
+            feedback: analyzer.generateFeedback(metrics, benchmark, savings, costSummary)
+        };
+    }
+}
+
+export { CacheEfficiencyAnalyzer, CACHE_BENCHMARKS, CACHE_PRICING };
 
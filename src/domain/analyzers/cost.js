@@ -6,16 +6,24 @@
 import { UsageRecord } from '../entities/UsageRecord.js';
 import { ModelUsage } from '../entities/ModelUsage.js';
 import { DailyUsage } from '../entities/DailyUsage.js';
+import { normalizeBillingOptions, countCalendarDays, getBasisDays } from '../billing-cycles.js';
 
 class CostAnalyzer {
-    analyze(records) {
+    /**
+     * Analyzes costs from usage records
+     * @param {UsageRecord[]} records - Array of usage records
+     * @param {Object} [options] - { billing: { cycleStartDay, dayBasis } } (see billing-cycles.js)
+     * @returns {Object} Summary, breakdowns, daily costs and top expenses
+     */
+    analyze(records, options = {}) {
         if (!records || records.length === 0) {
             throw new Error('Records array cannot be empty');
         }
 
-        const summary = this.calculateSummary(records);
+        const summary = this.calculateSummary(records, options.billing);
         const breakdownByModel = this.calculateBreakdownByModel(records);
         const breakdownByType = this.calculateBreakdownByType(records);
+        const breakdownByMaxMode = this.calculateBreakdownByMaxMode(records);
         const dailyCosts = this.calculateDailyCosts(records);
         const topExpensiveRequests = this.findTopExpensiveRequests(records, 5);
         const topExpensiveDays = this.findTopExpensiveDays(dailyCosts, 5);
@@ -25,6 +33,7 @@ class CostAnalyzer {
             summary,
             breakdown_by_model: breakdownByModel,
             breakdown_by_type: breakdownByType,
+            breakdown_by_max_mode: breakdownByMaxMode,
             daily_costs: dailyCosts,
             top_expensive_requests: topExpensiveRequests,
             top_expensive_days: topExpensiveDays,
@@ -32,14 +41,38 @@ class CostAnalyzer {
         };
     }
 
-    calculateSummary(records) {
+    /**
+     * Creates an accumulator that analyzes records one at a time
+     * Its result equals analyze() on the same records, but it keeps only
+     * per-model, per-day and top-request totals, never the records.
+     * @param {Object} [options] - Same options as analyze()
+     * @returns {CostAccumulator} Accumulator ({ add(record), finish() })
+     */
+    createAccumulator(options = {}) {
+        return new CostAccumulator(this, options);
+    }
+
+    calculateSummary(records, billingOptions = {}) {
         const totalCost = records.reduce((sum, r) => sum + r.cost, 0);
         const totalRequests = records.length;
         const totalTokens = records.reduce((sum, r) => sum + r.totalTokens, 0);
 
         // Extract unique dates using entity method
         const dates = records.map(r => r.getDateOnly());
-        const uniqueDates = new Set(dates);
+
+        return this.buildSummary({ totalCost, totalRequests, totalTokens, dates: new Set(dates) }, billingOptions);
+    }
+
+    /**
+     * Builds the summary from running totals
+     * Daily averages divide by the day basis (calendar days unless dayBasis is
+     * "active"); period.days stays the number of days with requests.
+     * @param {Object} totals - { totalCost, totalRequests, totalTokens, dates (Set of YYYY-MM-DD) }
+     * @param {Object} [billingOptions] - { cycleStartDay, dayBasis }
+     * @returns {Object} Period, cost and usage summary
+     */
+    buildSummary({ totalCost, totalRequests, totalTokens, dates: uniqueDates }, billingOptions = {}) {
+        const { cycleStartDay, dayBasis } = normalizeBillingOptions(billingOptions);
         const uniqueDays = uniqueDates.size;
 
         // Find date range
@@ -47,26 +80,28 @@ class CostAnalyzer {
         const start = sortedDates[0] || '';
         const end = sortedDates[sortedDates.length - 1] || '';
 
-        // Calculate days in period
-        const days = uniqueDays > 0 ? uniqueDays : 1;
-        const dailyAverage = totalCost / days;
+        const period = {
+            start,
+            end,
+            days: uniqueDays,
+            active_days: uniqueDays,
+            calendar_days: countCalendarDays(start, end),
+            day_basis: dayBasis,
+            cycle_start_day: cycleStartDay
+        };
 
-        // Calculate requests per day
-        const requestsPerDay = totalRequests / days;
+        // Spread over the same days the monthly projections use
+        const basisDays = uniqueDays > 0 ? getBasisDays(period) : 1;
 
         return {
-            period: {
-                start,
-                end,
-                days: uniqueDays
-            },
+            period,
             cost: {
                 total: totalCost,
-                daily_average: dailyAverage
+                daily_average: totalCost / basisDays
             },
             usage: {
                 total_requests: totalRequests,
-                requests_per_day: requestsPerDay,
+                requests_per_day: totalRequests / basisDays,
                 total_tokens: totalTokens
             }
         };
@@ -84,10 +119,19 @@ class CostAnalyzer {
         }
 
         const totalCost = records.reduce((sum, r) => sum + r.cost, 0);
+        const modelUsages = Object.entries(modelGroups).map(([model, modelRecords]) => new ModelUsage(model, modelRecords));
+
+        return this.buildBreakdownByModel(modelUsages, totalCost);
+    }
 
-        // Create ModelUsage entities and convert to plain objects with percentages
-        const breakdown = Object.entries(modelGroups).map(([model, modelRecords]) => {
-            const modelUsage = new ModelUsage(model, modelRecords);
+    /**
+     * @param {ModelUsage[]} modelUsages - Usage per model
+     * @param {number} totalCost - Total cost of all models
+     * @returns {Object[]} Breakdown with percentages, most expensive model first
+     */
+    buildBreakdownByModel(modelUsages, totalCost) {
+        // Convert ModelUsage entities to plain objects with percentages
+        const breakdown = modelUsages.map(modelUsage => {
             const obj = modelUsage.toObject();
             return {
                 model: obj.model,
@@ -133,6 +177,16 @@ class CostAnalyzer {
 
         const totalCost = records.reduce((sum, r) => sum + r.cost, 0);
 
+        return this.buildBreakdownByType(typeCosts, typeCounts, totalCost);
+    }
+
+    /**
+     * @param {Object} typeCosts - { included, on_demand, errored } costs
+     * @param {Object} typeCounts - { included, on_demand, errored } request counts
+     * @param {number} totalCost - Total cost
+     * @returns {Object} Cost, requests and share of cost per request type
+     */
+    buildBreakdownByType(typeCosts, typeCounts, totalCost) {
         return {
             included: {
                 cost: typeCosts.included,
@@ -152,6 +206,60 @@ class CostAnalyzer {
         };
     }
 
+    /**
+     * Splits cost, requests and cost/M tokens by Max Mode on/off, overall and per model
+     * @param {UsageRecord[]} records - Array of usage records
+     * @returns {Object} Max Mode breakdown with totals and per-model split
+     */
+    calculateBreakdownByMaxMode(records) {
+        const modelGroups = {};
+        for (const record of records) {
+            if (!modelGroups[record.model]) {
+                modelGroups[record.model] = { maxMode: [], standard: [] };
+            }
+            modelGroups[record.model][record.isMaxMode() ? 'maxMode' : 'standard'].push(record);
+        }
+
+        const byModel = Object.entries(modelGroups).map(([model, groups]) => ({
+            model,
+            max_mode: this.summarizeMaxModeGroup(groups.maxMode),
+            standard: this.summarizeMaxModeGroup(groups.standard)
+        }));
+
+        // Models with the most Max Mode spend first
+        byModel.sort((a, b) => b.max_mode.cost - a.max_mode.cost ||
+            (b.standard.cost - a.standard.cost));
+
+        return {
+            max_mode: this.summarizeMaxModeGroup(records.filter(r => r.isMaxMode())),
+            standard: this.summarizeMaxModeGroup(records.filter(r => !r.isMaxMode())),
+            by_model: byModel
+        };
+    }
+
+    summarizeMaxModeGroup(records) {
+        const cost = records.reduce((sum, r) => sum + r.cost, 0);
+        const totalTokens = records.reduce((sum, r) => sum + r.totalTokens, 0);
+
+        return this.summarizeMaxModeTotals(cost, records.length, totalTokens);
+    }
+
+    /**
+     * @param {number} cost - Cost of the group
+     * @param {number} requestCount - Requests in the group
+     * @param {number} totalTokens - Tokens of the group
+     * @returns {Object} Cost, requests, tokens and cost/M tokens of a Max Mode group
+     */
+    summarizeMaxModeTotals(cost, requestCount, totalTokens) {
+        return {
+            cost,
+            request_count: requestCount,
+            total_tokens: totalTokens,
+            average_tokens_per_request: requestCount > 0 ? totalTokens / requestCount : 0,
+            cost_per_million_tokens: totalTokens > 0 ? (cost / totalTokens) * 1_000_000 : 0
+        };
+    }
+
     calculateDailyCosts(records) {
         // Group records by date
         const dailyGroups = {};
@@ -168,8 +276,16 @@ class CostAnalyzer {
             new DailyUsage(date, dateRecords)
         );
 
+        return this.buildDailyCosts(dailyUsages);
+    }
+
+    /**
+     * @param {DailyUsage[]} dailyUsages - Usage per day
+     * @returns {Object[]} Daily costs in date order
+     */
+    buildDailyCosts(dailyUsages) {
         // Sort by date and convert to plain objects
-        return dailyUsages
+        return [...dailyUsages]
             .sort((a, b) => a.date.localeCompare(b.date))
             .map(du => du.toObject());
     }
@@ -235,5 +351,147 @@ class CostAnalyzer {
     }
 }
 
+/**
+ * Streaming counterpart of CostAnalyzer.analyze (see CostAnalyzer.createAccumulator)
+ * Totals are added in record order, so results match the batch analysis exactly.
+ */
+class CostAccumulator {
+    /**
+     * @param {CostAnalyzer} analyzer - Analyzer whose builders shape the result
+     * @param {Object} options - { billing }
+     */
+    constructor(analyzer, options) {
+        this.analyzer = analyzer;
+        this.options = options;
+        this.topLimit = 5;
+
+        this.totalCost = 0;
+        this.totalRequests = 0;
+        this.totalTokens = 0;
+        this.dates = new Set();
+        this.models = {};
+        this.days = {};
+        this.typeCosts = { included: 0, on_demand: 0, errored: 0 };
+        this.typeCounts = { included: 0, on_demand: 0, errored: 0 };
+        this.maxModeTotals = { maxMode: this.createMaxModeTotals(), standard: this.createMaxModeTotals() };
+        this.maxModeByModel = {};
+        this.topRequests = [];
+    }
+
+    /**
+     * Adds one record to every running total
+     * @param {UsageRecord} record - Usage record
+     */
+    add(record) {
+        this.totalCost += record.cost;
+        this.totalRequests += 1;
+        this.totalTokens += record.totalTokens;
+
+        const date = record.getDateOnly();
+        this.dates.add(date);
+        (this.days[date] ||= new DailyUsage(date)).add(record);
+        (this.models[record.model] ||= new ModelUsage(record.model)).add(record);
+
+        if (record.isIncluded()) {
+            this.typeCosts.included += record.cost;
+            this.typeCounts.included++;
+        } else if (record.isOnDemand()) {
+            this.typeCosts.on_demand += record.cost;
+            this.typeCounts.on_demand++;
+        } else if (record.isErrored()) {
+            // Errored requests are NOT charged (cost = 0 for billing purposes)
+            this.typeCosts.errored += 0;
+            this.typeCounts.errored++;
+        }
+
+        const group = record.isMaxMode() ? 'maxMode' : 'standard';
+        this.addToMaxModeTotals(this.maxModeTotals[group], record);
+        const modelGroups = (this.maxModeByModel[record.model] ||= {
+            maxMode: this.createMaxModeTotals(),
+            standard: this.createMaxModeTotals()
+        });
+        this.addToMaxModeTotals(modelGroups[group], record);
+
+        this.addTopRequest(record, this.totalRequests);
+    }
+
+    /**
+     * @returns {Object} Same result as CostAnalyzer.analyze on the added records
+     */
+    finish() {
+        if (this.totalRequests === 0) {
+            throw new Error('Records array cannot be empty');
+        }
+
+        const analyzer = this.analyzer;
+        const summary = analyzer.buildSummary({
+            totalCost: this.totalCost,
+            totalRequests: this.totalRequests,
+            totalTokens: this.totalTokens,
+            dates: this.dates
+        }, this.options.billing);
+        const breakdownByModel = analyzer.buildBreakdownByModel(Object.values(this.models), this.totalCost);
+        const dailyCosts = analyzer.buildDailyCosts(Object.values(this.days));
+
+        const summarize = totals => analyzer.summarizeMaxModeTotals(totals.cost, totals.requests, totals.tokens);
+        const byModel = Object.entries(this.maxModeByModel).map(([model, groups]) => ({
+            model,
+            max_mode: summarize(groups.maxMode),
+            standard: summarize(groups.standard)
+        }));
+        byModel.sort((a, b) => b.max_mode.cost - a.max_mode.cost ||
+            (b.standard.cost - a.standard.cost));
+
+        return {
+            summary,
+            breakdown_by_model: breakdownByModel,
+            breakdown_by_type: analyzer.buildBreakdownByType(this.typeCosts, this.typeCounts, this.totalCost),
+            breakdown_by_max_mode: {
+                max_mode: summarize(this.maxModeTotals.maxMode),
+                standard: summarize(this.maxModeTotals.standard),
+                by_model: byModel
+            },
+            daily_costs: dailyCosts,
+            top_expensive_requests: this.topRequests,
+            top_expensive_days: analyzer.findTopExpensiveDays(dailyCosts, 5),
+            most_expensive_model: analyzer.findMostExpensiveModel(breakdownByModel)
+        };
+    }
+
+    createMaxModeTotals() {
+        return { cost: 0, requests: 0, tokens: 0 };
+    }
+
+    addToMaxModeTotals(totals, record) {
+        totals.cost += record.cost;
+        totals.requests += 1;
+        totals.tokens += record.totalTokens;
+    }
+
+    /**
+     * Keeps the most expensive requests; on equal cost the earlier row wins,
+     * as in the batch analysis' stable sort
+     * @param {UsageRecord} record - Usage record
+     * @param {number} rowNumber - 1-based position of the record
+     */
+    addTopRequest(record, rowNumber) {
+        const position = this.topRequests.findIndex(top => record.cost > top.cost);
+        const index = position === -1 ? this.topRequests.length : position;
+        if (index >= this.topLimit) {
+            return;
+        }
+
+        this.topRequests.splice(index, 0, {
+            date: record.date,
+            model: record.model,
+            kind: record.kind,
+            cost: record.cost,
+            total_tokens: record.totalTokens,
+            row_number: rowNumber
+        });
+        this.topRequests.length = Math.min(this.topRequests.length, this.topLimit);
+    }
+}
+
 export { CostAnalyzer };
 
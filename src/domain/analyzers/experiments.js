@@ -0,0 +1,304 @@
+/**
+ * Savings experiment tracking for Cursor usage data
+ * Splits the records at each experiment's intervention date, compares spend,
+ * model mix and cache rate before and after, and judges the result against
+ * the expected monthly savings
+ * Pure JavaScript - no external dependencies
+ */
+
+import { countCalendarDays, addDays, DAYS_PER_MONTH } from '../billing-cycles.js';
+
+/**
+ * Where an experiment is in its evaluation window
+ * - pending: no records from the start date on yet
+ * - in_progress: fewer than EVALUATION_DAYS days since the start date
+ * - complete: a full evaluation window has been observed
+ */
+const EXPERIMENT_STATUS = {
+    PENDING: 'pending',
+    IN_PROGRESS: 'in_progress',
+    COMPLETE: 'complete'
+};
+
+/**
+ * How the measured savings compare with the hypothesis
+ * - confirmed: at least SAVINGS_TOLERANCE short of the expected savings, or better
+ * - partial: saving money, but clearly less than expected
+ * - not_confirmed: no savings, or spend went up
+ * - insufficient_data: too few days on one side of the start date to judge
+ */
+const EXPERIMENT_VERDICT = {
+    CONFIRMED: 'confirmed',
+    PARTIAL: 'partial',
+    NOT_CONFIRMED: 'not_confirmed',
+    INSUFFICIENT_DATA: 'insufficient_data'
+};
+
+/**
+ * Days after the start date before an experiment counts as complete
+ */
+const EVALUATION_DAYS = 30;
+
+/**
+ * Each side of the start date needs this many days to be judged
+ */
+const MIN_SIDE_DAYS = 7;
+
+/**
+ * Savings within this fraction of the hypothesis still confirm it
+ */
+const SAVINGS_TOLERANCE = 0.1;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Validates one experiment definition
+ * @param {Object} experiment - { name, startDate, expectedMonthlySavings, note? }
+ * @returns {string[]} Validation errors (empty when valid)
+ */
+export function validateExperiment(experiment) {
+    if (!experiment || typeof experiment !== 'object') {
+        return ['experiment must be an object'];
+    }
+
+    const errors = [];
+    const label = typeof experiment.name === 'string' && experiment.name.trim()
+        ? `"${experiment.name}"`
+        : 'experiment';
+
+    if (typeof experiment.name !== 'string' || !experiment.name.trim()) {
+        errors.push('experiment: name must be a non-empty string');
+    }
+    if (typeof experiment.startDate !== 'string' || !DATE_PATTERN.test(experiment.startDate) ||
+        isNaN(Date.parse(experiment.startDate))) {
+        errors.push(`${label}: startDate must be a date as YYYY-MM-DD`);
+    }
+    const savings = experiment.expectedMonthlySavings;
+    if (typeof savings !== 'number' || !isFinite(savings) || savings <= 0) {
+        errors.push(`${label}: expectedMonthlySavings must be a positive amount`);
+    }
+    if (experiment.note !== undefined && typeof experiment.note !== 'string') {
+        errors.push(`${label}: note must be a string`);
+    }
+
+    return errors;
+}
+
+/**
+ * Validates an experiment log ({ experiments: [...] })
+ * @param {Object} log - Parsed experiment log
+ * @returns {string[]} Validation errors (empty when valid)
+ */
+export function validateExperimentLog(log) {
+    if (!log || typeof log !== 'object' || !Array.isArray(log.experiments)) {
+        return ['experiment log must have an "experiments" array'];
+    }
+
+    const errors = log.experiments.flatMap(validateExperiment);
+    const names = new Set();
+    for (const experiment of log.experiments) {
+        if (experiment && names.has(experiment.name)) {
+            errors.push(`"${experiment.name}": experiment names must be unique`);
+        }
+        names.add(experiment && experiment.name);
+    }
+
+    return errors;
+}
+
+class ExperimentAnalyzer {
+    /**
+     * Evaluates every experiment against the records
+     * @param {UsageRecord[]} records - Array of usage records
+     * @param {Object[]} experiments - Experiment definitions (see validateExperiment)
+     * @returns {Object[]} One evaluation per experiment, in start-date order
+     */
+    analyze(records, experiments) {
+        if (!records || records.length === 0) {
+            throw new Error('Records array cannot be empty');
+        }
+
+        const errors = experiments.flatMap(validateExperiment);
+        if (errors.length > 0) {
+            throw new Error(`Invalid experiments:\n  ${errors.join('\n  ')}`);
+        }
+
+        return [...experiments]
+            .sort((a, b) => a.startDate.localeCompare(b.startDate))
+            .map(experiment => this.evaluate(records, experiment));
+    }
+
+    /**
+     * Splits the records at the start date and compares the two sides
+     * Savings are volume-adjusted: the drop in cost per request, applied to the
+     * request volume after the start date, so working more or less after the
+     * change doesn't read as savings or losses.
+     * @param {UsageRecord[]} records - Array of usage records
+     * @param {Object} experiment - Experiment definition
+     * @returns {Object} Before/after metrics, changes, monthly savings, status and verdict
+     */
+    evaluate(records, experiment) {
+        const dates = records.map(r => r.getDateOnly()).sort();
+        const firstDate = dates[0];
+        const lastDate = dates[dates.length - 1];
+        const { startDate } = experiment;
+
+        const beforeRecords = records.filter(r => r.getDateOnly() < startDate);
+        const afterRecords = records.filter(r => r.getDateOnly() >= startDate);
+
+        const before = beforeRecords.length > 0
+            ? this.measure(beforeRecords, firstDate, addDays(startDate, -1))
+            : null;
+        const after = afterRecords.length > 0
+            ? this.measure(afterRecords, startDate, lastDate)
+            : null;
+
+        let status = EXPERIMENT_STATUS.PENDING;
+        if (after) {
+            status = after.days >= EVALUATION_DAYS ? EXPERIMENT_STATUS.COMPLETE : EXPERIMENT_STATUS.IN_PROGRESS;
+        }
+
+        const evaluation = {
+            name: experiment.name,
+            start_date: startDate,
+            note: experiment.note || null,
+            expected_monthly_savings: experiment.expectedMonthlySavings,
+            status,
+            days_observed: after ? after.days : 0,
+            before,
+            after,
+            changes: null,
+            model_shifts: [],
+            monthly_savings: null,
+            realized_percentage: null
+        };
+
+        if (before && after) {
+            const rawSavings = (before.cost_per_day - after.cost_per_day) * DAYS_PER_MONTH;
+            const adjustedSavings = (before.cost_per_request - after.cost_per_request) *
+                after.requests_per_day * DAYS_PER_MONTH;
+
+            evaluation.changes = {
+                cost_per_day_percentage: this.percentChange(before.cost_per_day, after.cost_per_day),
+                requests_per_day_percentage: this.percentChange(before.requests_per_day, after.requests_per_day),
+                cost_per_request_percentage: this.percentChange(before.cost_per_request, after.cost_per_request),
+                cache_hit_rate_points: after.cache_hit_rate - before.cache_hit_rate
+            };
+            evaluation.model_shifts = this.compareModelMix(before.model_mix, after.model_mix);
+            evaluation.monthly_savings = { raw: rawSavings, volume_adjusted: adjustedSavings };
+            evaluation.realized_percentage = (adjustedSavings / experiment.expectedMonthlySavings) * 100;
+        }
+
+        return { ...evaluation, ...this.judge(evaluation) };
+    }
+
+    /**
+     * Measures spend, volume, cache rate and model mix over a date range
+     * @param {UsageRecord[]} records - Records within the range
+     * @param {string} start - First day of the range (YYYY-MM-DD)
+     * @param {string} end - Last day of the range (YYYY-MM-DD)
+     * @returns {Object} { start, end, days, requests, cost, cost_per_day, requests_per_day,
+     *   cost_per_request, cache_hit_rate, model_mix }
+     */
+    measure(records, start, end) {
+        const days = countCalendarDays(start, end);
+        const cost = records.reduce((sum, r) => sum + r.cost, 0);
+
+        let cacheRead = 0;
+        let promptTokens = 0;
+        const requestsByModel = {};
+        for (const record of records) {
+            cacheRead += record.cacheRead || 0;
+            promptTokens += (record.cacheRead || 0) + (record.cacheWrite || 0) + (record.input || 0);
+            requestsByModel[record.model] = (requestsByModel[record.model] || 0) + 1;
+        }
+
+        const modelMix = {};
+        for (const [model, count] of Object.entries(requestsByModel)) {
+            modelMix[model] = (count / records.length) * 100;
+        }
+
+        return {
+            start,
+            end,
+            days,
+            requests: records.length,
+            cost,
+            cost_per_day: cost / days,
+            requests_per_day: records.length / days,
+            cost_per_request: cost / records.length,
+            cache_hit_rate: promptTokens > 0 ? (cacheRead / promptTokens) * 100 : 0,
+            model_mix: modelMix
+        };
+    }
+
+    /**
+     * Lists each model's change in share of requests, biggest shift first
+     * @param {Object} beforeMix - Model → share (%) before the start date
+     * @param {Object} afterMix - Model → share (%) after the start date
+     * @returns {Object[]} [{ model, before_share, after_share, difference_points }]
+     */
+    compareModelMix(beforeMix, afterMix) {
+        const models = new Set([...Object.keys(beforeMix), ...Object.keys(afterMix)]);
+
+        return Array.from(models)
+            .map(model => ({
+                model,
+                before_share: beforeMix[model] || 0,
+                after_share: afterMix[model] || 0,
+                difference_points: (afterMix[model] || 0) - (beforeMix[model] || 0)
+            }))
+            .sort((a, b) => Math.abs(b.difference_points) - Math.abs(a.difference_points));
+    }
+
+    /**
+     * Judges the measured savings against the hypothesis
+     * @param {Object} evaluation - Evaluation from evaluate (without verdict)
+     * @returns {Object} { verdict, message }
+     */
+    judge(evaluation) {
+        const { before, after, expected_monthly_savings: expected } = evaluation;
+
+        if (!after) {
+            return {
+                verdict: EXPERIMENT_VERDICT.INSUFFICIENT_DATA,
+                message: `No usage since ${evaluation.start_date} yet`
+            };
+        }
+        if (!before || before.days < MIN_SIDE_DAYS || after.days < MIN_SIDE_DAYS) {
+            return {
+                verdict: EXPERIMENT_VERDICT.INSUFFICIENT_DATA,
+                message: `At least ${MIN_SIDE_DAYS} days of data before and after the start date are needed to judge`
+            };
+        }
+
+        const savings = evaluation.monthly_savings.volume_adjusted;
+        const summary = `saving $${savings.toFixed(2)}/month vs $${expected.toFixed(2)} expected`;
+        const window = evaluation.status === EXPERIMENT_STATUS.COMPLETE
+            ? ''
+            : ` (${after.days} of ${EVALUATION_DAYS} days observed)`;
+
+        if (savings >= expected * (1 - SAVINGS_TOLERANCE)) {
+            return { verdict: EXPERIMENT_VERDICT.CONFIRMED, message: `Hypothesis confirmed: ${summary}${window}` };
+        }
+        if (savings > 0) {
+            return { verdict: EXPERIMENT_VERDICT.PARTIAL, message: `Partly confirmed: ${summary}${window}` };
+        }
+        return {
+            verdict: EXPERIMENT_VERDICT.NOT_CONFIRMED,
+            message: `Not confirmed: cost per request did not drop${window}`
+        };
+    }
+
+    /**
+     * Relative change in percent (0 when the baseline is 0)
+     * @param {number} before - Value before the start date
+     * @param {number} after - Value after the start date
+     * @returns {number} Change in percent
+     */
+    percentChange(before, after) {
+        return before !== 0 ? ((after - before) / before) * 100 : 0;
+    }
+}
+
+export { ExperimentAnalyzer, EXPERIMENT_STATUS, EXPERIMENT_VERDICT, EVALUATION_DAYS };
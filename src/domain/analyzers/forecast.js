@@ -0,0 +1,275 @@
+/**
+ * Spending forecast for Cursor usage data
+ * Fits a linear trend plus weekday seasonality to daily spend and projects it
+ * forward with a low/high band
+ * Pure JavaScript - no external dependencies
+ */
+
+import { getBillingCycle, normalizeBillingOptions, countCalendarDays, addDays } from '../billing-cycles.js';
+
+/**
+ * Days projected forward by default
+ */
+const DEFAULT_HORIZON_DAYS = 30;
+
+/**
+ * Fewer days than this are too few to fit a trend to
+ */
+const MIN_HISTORY_DAYS = 7;
+
+/**
+ * Weekday seasonality needs every weekday seen at least twice
+ */
+const MIN_SEASONALITY_DAYS = 14;
+
+/**
+ * z-score of the low/high band (80% of days fall inside it)
+ */
+const BAND_Z = 1.2816;
+
+/**
+ * Monthly growth within +/- this percentage is reported as flat
+ */
+const FLAT_GROWTH_PERCENTAGE = 5;
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+class ForecastAnalyzer {
+    /**
+     * Forecasts spend for the coming days and the end of the current billing cycle
+     * @param {UsageRecord[]} records - Array of usage records
+     * @param {Object} [options] - Forecast options
+     * @param {Object} [options.billing] - { cycleStartDay, dayBasis } (see billing-cycles.js)
+     * @param {number} [options.horizonDays=30] - Days to project forward
+     * @returns {Object} Trend, weekday adjustments, daily forecast with band,
+     *   next-period and end-of-cycle totals (sufficient_data is false with too little history)
+     */
+    analyze(records, options = {}) {
+        if (!records || records.length === 0) {
+            throw new Error('Records array cannot be empty');
+        }
+
+        return this.analyzeSeries(this.buildDailySeries(records), options);
+    }
+
+    /**
+     * Forecasts spend from daily cost totals instead of records
+     * Used by streaming analysis, which keeps daily totals but not the records.
+     * @param {Object[]} dailyCosts - [{ date, cost }] for the days with requests (e.g. cost_analysis.daily_costs)
+     * @param {Object} [options] - Same options as analyze()
+     * @returns {Object} Same result as analyze() on the records behind the totals
+     */
+    analyzeDailyCosts(dailyCosts, options = {}) {
+        if (!dailyCosts || dailyCosts.length === 0) {
+            throw new Error('Daily costs cannot be empty');
+        }
+        return this.analyzeSeries(this.fillDailySeries(new Map(dailyCosts.map(d => [d.date, d.cost]))), options);
+    }
+
+    /**
+     * @param {Object[]} history - [{ date, cost }] for every day of the data
+     * @param {Object} options - Forecast options (see analyze)
+     * @returns {Object} Forecast result
+     */
+    analyzeSeries(history, options) {
+        const billing = normalizeBillingOptions(options.billing);
+        const horizonDays = options.horizonDays ?? DEFAULT_HORIZON_DAYS;
+        const historyEnd = history[history.length - 1].date;
+        const totalCost = history.reduce((sum, d) => sum + d.cost, 0);
+
+        const result = {
+            sufficient_data: history.length >= MIN_HISTORY_DAYS,
+            history_days: history.length,
+            history_start: history[0].date,
+            history_end: historyEnd,
+            horizon_days: horizonDays,
+            band_level: 0.8,
+            typical_period_cost: (totalCost / history.length) * horizonDays
+        };
+
+        if (!result.sufficient_data) {
+            return {
+                ...result,
+                message: `At least ${MIN_HISTORY_DAYS} days of data are needed for a forecast`
+            };
+        }
+
+        const model = this.fitModel(history);
+        const daily = this.project(model, historyEnd, horizonDays);
+
+        // Current cycle: what was spent so far plus the forecast for the days left
+        const cycle = getBillingCycle(historyEnd, billing.cycleStartDay);
+        const spentToDate = history.filter(d => d.date >= cycle.start).reduce((sum, d) => sum + d.cost, 0);
+        const remainingDays = countCalendarDays(historyEnd, cycle.end) - 1;
+        const remaining = this.sumForecast(model, this.project(model, historyEnd, remainingDays));
+
+        return {
+            ...result,
+            trend: model.trend,
+            weekday_adjustments: model.weekdayAdjustments,
+            residual_std_dev: model.stdDev,
+            daily,
+            next_period: this.sumForecast(model, daily),
+            end_of_cycle: {
+                cycle_start: cycle.start,
+                cycle_end: cycle.end,
+                spent_to_date: spentToDate,
+                remaining_days: remainingDays,
+                forecast: spentToDate + remaining.forecast,
+                low: spentToDate + remaining.low,
+                high: spentToDate + remaining.high
+            }
+        };
+    }
+
+    /**
+     * Totals spend per calendar day, counting days without requests as zero
+     * @param {UsageRecord[]} records - Array of usage records
+     * @returns {Object[]} [{ date, cost }] for every day from the first to the last record
+     */
+    buildDailySeries(records) {
+        const costByDate = new Map();
+        for (const record of records) {
+            const date = record.getDateOnly();
+            costByDate.set(date, (costByDate.get(date) || 0) + record.cost);
+        }
+
+        return this.fillDailySeries(costByDate);
+    }
+
+    /**
+     * @param {Map<string, number>} costByDate - Spend per day with requests
+     * @returns {Object[]} [{ date, cost }] for every day from the first to the last, zero when idle
+     */
+    fillDailySeries(costByDate) {
+        const dates = Array.from(costByDate.keys()).sort();
+        const days = countCalendarDays(dates[0], dates[dates.length - 1]);
+
+        return Array.from({ length: days }, (_, i) => {
+            const date = addDays(dates[0], i);
+            return { date, cost: costByDate.get(date) || 0 };
+        });
+    }
+
+    /**
+     * Fits a least-squares trend, then weekday offsets to what the trend leaves
+     * @param {Object[]} history - Daily series from buildDailySeries
+     * @returns {Object} Model: { intercept, slope, offsets, stdDev, length, trend, weekdayAdjustments }
+     */
+    fitModel(history) {
+        const n = history.length;
+        const meanX = (n - 1) / 2;
+        const meanY = history.reduce((sum, d) => sum + d.cost, 0) / n;
+
+        let covariance = 0;
+        let variance = 0;
+        history.forEach((d, x) => {
+            covariance += (x - meanX) * (d.cost - meanY);
+            variance += (x - meanX) ** 2;
+        });
+        const slope = variance > 0 ? covariance / variance : 0;
+        const intercept = meanY - slope * meanX;
+
+        // Average residual per weekday, centered so the offsets don't shift the trend
+        const offsets = new Array(7).fill(0);
+        const seasonal = n >= MIN_SEASONALITY_DAYS;
+        if (seasonal) {
+            const sums = new Array(7).fill(0);
+            const counts = new Array(7).fill(0);
+            history.forEach((d, x) => {
+                const weekday = this.getWeekday(d.date);
+                sums[weekday] += d.cost - (intercept + slope * x);
+                counts[weekday]++;
+            });
+            const means = sums.map((sum, i) => sum / counts[i]);
+            const center = means.reduce((sum, m) => sum + m, 0) / 7;
+            means.forEach((m, i) => { offsets[i] = m - center; });
+        }
+
+        const squaredError = history.reduce((sum, d, x) => {
+            const fitted = intercept + slope * x + offsets[this.getWeekday(d.date)];
+            return sum + (d.cost - fitted) ** 2;
+        }, 0);
+        const parameters = seasonal ? 8 : 2;
+        const stdDev = Math.sqrt(squaredError / Math.max(1, n - parameters));
+
+        // A month of trend relative to the average day, so a low last day doesn't inflate it
+        const level = intercept + slope * (n - 1);
+        const monthlyGrowth = meanY > 0 ? (slope * 30 / meanY) * 100 : 0;
+
+        return {
+            intercept,
+            slope,
+            offsets,
+            stdDev,
+            length: n,
+            trend: {
+                slope_per_day: slope,
+                current_daily_level: Math.max(0, level),
+                monthly_growth_percentage: monthlyGrowth,
+                direction: Math.abs(monthlyGrowth) < FLAT_GROWTH_PERCENTAGE
+                    ? 'flat'
+                    : (monthlyGrowth > 0 ? 'increasing' : 'decreasing')
+            },
+            weekdayAdjustments: seasonal
+                ? Object.fromEntries(DAY_NAMES.map((name, i) => [name, offsets[i]]))
+                : null
+        };
+    }
+
+    /**
+     * Projects the model forward, day by day
+     * Spend can't go negative, so forecasts and low bounds are floored at zero.
+     * @param {Object} model - Model from fitModel
+     * @param {string} lastDate - Last day of history (YYYY-MM-DD)
+     * @param {number} days - Days to project
+     * @returns {Object[]} [{ date, weekday, forecast, low, high }]
+     */
+    project(model, lastDate, days) {
+        const margin = BAND_Z * model.stdDev;
+
+        return Array.from({ length: Math.max(0, days) }, (_, i) => {
+            const date = addDays(lastDate, i + 1);
+            const weekday = this.getWeekday(date);
+            const x = model.length + i;
+            const forecast = Math.max(0, model.intercept + model.slope * x + model.offsets[weekday]);
+
+            return {
+                date,
+                weekday: DAY_NAMES[weekday],
+                forecast,
+                low: Math.max(0, forecast - margin),
+                high: forecast + margin
+            };
+        });
+    }
+
+    /**
+     * Totals a daily forecast; daily errors are treated as independent, so the
+     * band of the total grows with the square root of the number of days
+     * @param {Object} model - Model from fitModel
+     * @param {Object[]} daily - Daily forecast from project
+     * @returns {Object} { forecast, low, high }
+     */
+    sumForecast(model, daily) {
+        const forecast = daily.reduce((sum, d) => sum + d.forecast, 0);
+        const margin = BAND_Z * model.stdDev * Math.sqrt(daily.length);
+
+        return {
+            forecast,
+            low: Math.max(0, forecast - margin),
+            high: forecast + margin
+        };
+    }
+
+    /**
+     * Gets the weekday of a date (0 = Sunday)
+     * @param {string} dateOnly - YYYY-MM-DD
+     * @returns {number} Weekday index
+     */
+    getWeekday(dateOnly) {
+        return new Date(`${dateOnly}T00:00:00Z`).getUTCDay();
+    }
+}
+
+export { ForecastAnalyzer };
@@ -4,13 +4,14 @@
  */
 
 import { ModelUsage } from '../entities/ModelUsage.js';
-import { getModelRecommendation } from '../models/registry.js';
+import { getModelRecommendation, resolveModel, describeResolution } from '../models/registry.js';
 
 class ModelEfficiencyAnalyzer {
     /**
      * Analyzes model efficiency from usage records
      * @param {UsageRecord[]} records - Array of usage records
-     * @returns {Object} Analysis result with efficiency rankings and recommendations
+     * @returns {Object} Analysis result with efficiency rankings (each with its registry
+     *   resolution path) and the models that did not resolve to a registry entry
      */
     analyze(records) {
         if (!records || records.length === 0) {
@@ -23,6 +24,25 @@ class ModelEfficiencyAnalyzer {
             new ModelUsage(model, modelRecords)
         );
 
+        return this.rankModels(modelUsages);
+    }
+
+    /**
+     * Creates an accumulator that analyzes records one at a time
+     * Its result equals analyze() on the same records, but it keeps only the
+     * per-model totals (see ModelUsage.add), never the records.
+     * @returns {ModelEfficiencyAccumulator} Accumulator ({ add(record), finish() })
+     */
+    createAccumulator() {
+        return new ModelEfficiencyAccumulator(this);
+    }
+
+    /**
+     * Scores and ranks per-model usage totals
+     * @param {ModelUsage[]} modelUsages - Usage totals, one per model
+     * @returns {Object} Analysis result (see analyze)
+     */
+    rankModels(modelUsages) {
         // Calculate efficiency scores
         const efficiencyData = modelUsages.map(modelUsage => ({
             modelUsage,
@@ -33,6 +53,10 @@ class ModelEfficiencyAnalyzer {
         // Rank by efficiency score (highest first)
         efficiencyData.sort((a, b) => b.efficiencyScore - a.efficiencyScore);
 
+        const resolutions = Object.fromEntries(
+            modelUsages.map(modelUsage => [modelUsage.model, this.describeModelResolution(modelUsage.model)])
+        );
+
         return {
             rankings: efficiencyData.map((item, index) => ({
                 rank: index + 1,
@@ -43,13 +67,40 @@ class ModelEfficiencyAnalyzer {
                 average_cost_per_request: item.modelUsage.getAverageCostPerRequest(),
                 category: item.modelUsage.getCategory(),
                 is_thinking_model: item.modelUsage.isThinkingModel(),
-                recommendation: item.recommendation,
+                // Unresolved models get no guessed use-case guidance
+                recommendation: resolutions[item.modelUsage.model].method === 'unresolved'
+                    ? null
+                    : item.recommendation,
+                resolution: resolutions[item.modelUsage.model],
                 // Include full model usage stats
                 total_cost: item.modelUsage.totalCost,
                 request_count: item.modelUsage.requestCount,
                 total_tokens: item.modelUsage.totalTokens,
                 cache_efficiency: item.modelUsage.getCacheEfficiency()
-            }))
+            })),
+            unresolved_models: modelUsages
+                .filter(modelUsage => resolutions[modelUsage.model].method === 'unresolved')
+                .sort((a, b) => b.totalCost - a.totalCost)
+                .map(modelUsage => ({
+                    model: modelUsage.model,
+                    request_count: modelUsage.requestCount,
+                    total_cost: modelUsage.totalCost,
+                    total_tokens: modelUsage.totalTokens
+                }))
+        };
+    }
+
+    /**
+     * Describes how a model name resolved against the registry
+     * @param {string} modelName - Model name from the usage data
+     * @returns {Object} { method, resolved_to, path } - path is a display string
+     */
+    describeModelResolution(modelName) {
+        const resolution = resolveModel(modelName);
+        return {
+            method: resolution.method,
+            resolved_to: resolution.resolved_to,
+            path: describeResolution(resolution)
         };
     }
 
@@ -124,5 +175,39 @@ class ModelEfficiencyAnalyzer {
     }
 }
 
+/**
+ * Streaming counterpart of ModelEfficiencyAnalyzer.analyze (see ModelEfficiencyAnalyzer.createAccumulator)
+ */
+class ModelEfficiencyAccumulator {
+    /**
+     * @param {ModelEfficiencyAnalyzer} analyzer - Analyzer that scores and ranks the totals
+     */
+    constructor(analyzer) {
+        this.analyzer = analyzer;
+        this.models = new Map();
+    }
+
+    /**
+     * Adds one record to its model's totals
+     * @param {UsageRecord} record - Usage record
+     */
+    add(record) {
+        if (!this.models.has(record.model)) {
+            this.models.set(record.model, new ModelUsage(record.model));
+        }
+        this.models.get(record.model).add(record);
+    }
+
+    /**
+     * @returns {Object} Same result as ModelEfficiencyAnalyzer.analyze on the added records
+     */
+    finish() {
+        if (this.models.size === 0) {
+            throw new Error('Records array cannot be empty');
+        }
+        return this.analyzer.rankModels(Array.from(this.models.values()));
+    }
+}
+
 export { ModelEfficiencyAnalyzer };
 
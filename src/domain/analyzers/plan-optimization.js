@@ -4,29 +4,17 @@
  */
 
 import { PlanRecommendation } from '../entities/PlanRecommendation.js';
+import { splitIntoCycles, createCycleAccumulator, normalizeBillingOptions, getBillingCycle, projectMonthly } from '../billing-cycles.js';
+import { getPlans, findPlanName, getBilledSeats, describeIncludedUsage } from '../models/plan-catalog.js';
+import { PlanReplaySimulator } from './plan-replay.js';
 
 /**
- * Cursor plan tiers and limits
+ * Share of the export's Included / On-Demand rows a plan's replay must bill the
+ * same way for the detected current plan to have high or medium confidence
  */
-const PLAN_TIERS = {
-    FREE: {
-        name: 'Free',
-        monthlyCost: 0,
-        fastRequestsLimit: 50,
-        description: 'Free tier with limited requests'
-    },
-    PRO: {
-        name: 'Pro',
-        monthlyCost: 20,
-        fastRequestsLimit: 500,
-        description: 'Pro tier with 500 fast requests/month'
-    },
-    ULTRA: {
-        name: 'Ultra',
-        monthlyCost: 200,
-        fastRequestsLimit: 10000, // Approximate, Ultra has much higher limits
-        description: 'Ultra tier with ~10,000 fast requests/month'
-    }
+const DETECTION_CONFIDENCE = {
+    high: 0.95,
+    medium: 0.8
 };
 
 class PlanOptimizer {
@@ -34,9 +22,14 @@ class PlanOptimizer {
      * Analyzes usage data and generates plan recommendations
      * @param {UsageRecord[]} records - Array of usage records
      * @param {Object} costSummary - Summary statistics from cost analysis
-     * @returns {Object} Plan recommendation with current plan, recommended plan, savings, etc.
+     * @param {Object} [options] - { seats, currentPlan } - seats to bill on every plan
+     *   (default 1) and the catalog plan the account is on (detected from the replay if omitted)
+     * @returns {Object} Plan recommendation with current plan, recommended plan, savings,
+     *   every catalog plan ranked by simulated cost, per-billing-cycle
+     *   recommendations with their average and worst case, and a replay of the
+     *   records against each plan's allowance
      */
-    analyze(records, costSummary) {
+    analyze(records, costSummary, options = {}) {
         if (!records || records.length === 0) {
             throw new Error('Records array cannot be empty');
         }
@@ -45,93 +38,292 @@ class PlanOptimizer {
             throw new Error('Cost summary is required');
         }
 
+        // Analyze request volume
+        const requestAnalysis = this.analyzeRequestVolume(records, costSummary);
+
+        // Split the usage into real billing cycles
+        const seats = options.seats || 1;
+        const billing = {
+            cycleStartDay: costSummary.period.cycle_start_day,
+            dayBasis: costSummary.period.day_basis
+        };
+        const cycles = splitIntoCycles(records, billing);
+
+        // Replay the records in time order to find when each allowance runs out
+        const allowanceReplay = new PlanReplaySimulator().analyze(records, { billing, seats });
+
+        return this.summarizePlans(costSummary, requestAnalysis, cycles, allowanceReplay, options);
+    }
+
+    /**
+     * Creates an accumulator that analyzes records one at a time
+     * It keeps per-billing-cycle and per-day totals, never the records. Plans
+     * are ranked and cycles recommended exactly as in analyze(). Without the
+     * records in time order there is no allowance replay: allowance_replay is
+     * null, and the current plan is detected from each day's Included and
+     * On-Demand totals (see estimateReplayMatches).
+     * @param {Object} [options] - { billing, seats, currentPlan } - billing options
+     *   (see billing-cycles.js) and the options of analyze()
+     * @returns {PlanOptimizationAccumulator} Accumulator ({ add(record), finish(costSummary) })
+     */
+    createAccumulator(options = {}) {
+        return new PlanOptimizationAccumulator(this, options);
+    }
+
+    /**
+     * Ranks the catalog plans over the billing cycles and recommends one
+     * Shared by analyze() and the accumulator.
+     * @param {Object} costSummary - Summary statistics from cost analysis
+     * @param {Object} requestAnalysis - Request volume (see analyzeRequestVolume)
+     * @param {Object[]} cycles - Billing cycles (see splitIntoCycles)
+     * @param {Object} replay - Allowance replay (PlanReplaySimulator), or an estimate of
+     *   its matches ({ estimated: true, plans }) when the records were not kept
+     * @param {Object} [options] - { seats, currentPlan } (see analyze)
+     * @returns {Object} Result of analyze()
+     */
+    summarizePlans(costSummary, requestAnalysis, cycles, replay, options = {}) {
+        const seats = options.seats || 1;
+
         // Calculate actual monthly cost
         const actualMonthlyCost = this.calculateMonthlyCost(costSummary);
 
-        // Detect current plan
-        const currentPlan = this.detectCurrentPlan(records, costSummary, actualMonthlyCost);
+        // Simulate every catalog plan against each real billing cycle
+        const planRanking = this.rankPlans(
+            cycles.map(c => ({
+                usage_cost: c.projected_cost,
+                requests: c.projected_requests,
+                on_demand_requests: c.projected_on_demand_requests,
+                weight: c.covered_days
+            })),
+            seats
+        );
 
-        // Analyze request volume
-        const requestAnalysis = this.analyzeRequestVolume(records, costSummary);
+        // Detect current plan
+        const currentPlan = this.detectCurrentPlan(requestAnalysis, {
+            plan: options.currentPlan,
+            ranking: planRanking,
+            replay
+        });
 
         // Generate recommendation
         const recommendation = this.generateRecommendation(
             currentPlan,
             actualMonthlyCost,
             requestAnalysis,
-            costSummary
+            costSummary,
+            { seats, ranking: planRanking }
         );
 
+        // Recommend per real billing cycle
+        const billingCycles = this.analyzeBillingCycles(cycles, costSummary, currentPlan, seats);
+
         return {
             current_plan: currentPlan,
             actual_monthly_cost: actualMonthlyCost,
             request_analysis: requestAnalysis,
-            recommendation: recommendation.toObject() // Convert entity to plain object
+            recommendation: recommendation.toObject(), // Convert entity to plain object
+            plan_ranking: planRanking,
+            billing_cycles: billingCycles,
+            allowance_replay: replay.estimated ? null : replay
+        };
+    }
+
+    /**
+     * Estimates how many Included / On-Demand rows each plan's replay would bill
+     * the way the export did, from per-day totals instead of the records
+     * Days are replayed in order like the records in PlanReplaySimulator. Within
+     * a day the Included rows are taken to come before the On-Demand rows, as
+     * they do when an allowance runs out, and each row to cost the average of
+     * its kind: a plan matches the share of Included rows its allowance covers
+     * and, if it bills overage, the share of On-Demand rows beyond it.
+     * @param {Object[]} days - Per day, in date order: { date, included_cost,
+     *   included_requests, on_demand_cost, on_demand_requests }
+     * @param {Object[]} ranking - Plans ranked by simulated cost (rankPlans)
+     * @param {Object} [options] - { billing, seats }
+     * @returns {Object} { estimated: true, plans: [{ plan, matching_requests, classified_requests }] },
+     *   plans in ranking order
+     */
+    estimateReplayMatches(days, ranking, options = {}) {
+        const { cycleStartDay } = normalizeBillingOptions(options.billing);
+        const plansByName = new Map(getPlans().map(plan => [plan.name, plan]));
+        const classified = days.reduce((sum, d) => sum + d.included_requests + d.on_demand_requests, 0);
+
+        const plans = ranking.map(({ plan: name }) => {
+            const plan = plansByName.get(name);
+            const { dollars, requests } = plan.includedUsage;
+            const byRequests = dollars === undefined;
+            const allowance = (byRequests ? requests : dollars) * getBilledSeats(plan, options.seats || 1);
+
+            let cycleStart = null;
+            let remaining = 0;
+            let matching = 0;
+            for (const day of days) {
+                const cycle = getBillingCycle(day.date, cycleStartDay);
+                if (cycle.start !== cycleStart) {
+                    cycleStart = cycle.start;
+                    remaining = allowance;
+                }
+
+                const included = byRequests ? day.included_requests : day.included_cost;
+                const onDemand = byRequests ? day.on_demand_requests : day.on_demand_cost;
+                const includedCovered = Math.min(included, remaining);
+                remaining -= includedCovered;
+                const onDemandCovered = Math.min(onDemand, remaining);
+                remaining -= onDemandCovered;
+
+                matching += included > 0 ? day.included_requests * (includedCovered / included) : day.included_requests;
+                if (plan.overage) {
+                    matching += onDemand > 0 ? day.on_demand_requests * (1 - onDemandCovered / onDemand) : day.on_demand_requests;
+                }
+            }
+
+            return { plan: name, matching_requests: matching, classified_requests: classified };
+        });
+
+        return { estimated: true, plans };
+    }
+
+    /**
+     * Computes a plan recommendation for every billing cycle in the data
+     * Partial cycles are projected to their full length. The average weights
+     * cycles by the days of data they cover; the worst case is the most
+     * expensive complete cycle (or any cycle if none is complete).
+     * @param {Object[]} billingCycles - Cycles from splitIntoCycles
+     * @param {Object} costSummary - Summary statistics (period carries the billing options)
+     * @param {Object} currentPlan - Current plan information
+     * @param {number} seats - Seats to bill
+     * @returns {Object} Cycles with their recommended plan, plus average and worst case
+     */
+    analyzeBillingCycles(billingCycles, costSummary, currentPlan, seats = 1) {
+        const { period } = costSummary;
+        const usageOf = cycle => ({
+            cost: cycle.projected_cost,
+            requests: cycle.projected_requests,
+            on_demand_requests: cycle.projected_on_demand_requests
+        });
+        const cycles = billingCycles.map(cycle => ({
+            ...cycle,
+            recommended_plan: this.recommendForCycle(currentPlan, usageOf(cycle), costSummary, seats).recommended_plan
+        }));
+
+        const coveredDays = cycles.reduce((sum, c) => sum + c.covered_days, 0) || 1;
+        const average = field => cycles.reduce((sum, c) => sum + c[field] * c.covered_days, 0) / coveredDays;
+        const averageUsage = {
+            cost: average('projected_cost'),
+            requests: average('projected_requests'),
+            on_demand_requests: average('projected_on_demand_requests')
+        };
+
+        const completeCycles = cycles.filter(c => c.complete);
+        const worstCycle = (completeCycles.length > 0 ? completeCycles : cycles)
+            .reduce((worst, c) => (!worst || c.projected_cost > worst.projected_cost ? c : worst), null);
+
+        return {
+            cycle_start_day: period.cycle_start_day,
+            day_basis: period.day_basis,
+            cycles,
+            average: this.summarizeCycleRecommendation(
+                this.recommendForCycle(currentPlan, averageUsage, costSummary, seats)
+            ),
+            worst_case: worstCycle
+                ? {
+                    cycle_start: worstCycle.start,
+                    ...this.summarizeCycleRecommendation(
+                        this.recommendForCycle(currentPlan, usageOf(worstCycle), costSummary, seats)
+                    )
+                }
+                : null
+        };
+    }
+
+    /**
+     * Ranks the catalog plans for one cycle's cost and request volume
+     * @param {Object} currentPlan - Current plan information
+     * @param {Object} usage - Cycle usage: { cost, requests, on_demand_requests }
+     * @param {Object} costSummary - Summary statistics
+     * @param {number} seats - Seats to bill
+     * @returns {Object} Recommendation as a plain object
+     */
+    recommendForCycle(currentPlan, usage, costSummary, seats = 1) {
+        const requestAnalysis = {
+            monthly_requests: usage.requests,
+            monthly_on_demand_requests: usage.on_demand_requests
+        };
+        return this.generateRecommendation(currentPlan, usage.cost, requestAnalysis, costSummary, { seats }).toObject();
+    }
+
+    /**
+     * Picks the fields reported for an average or worst-case cycle
+     * @param {Object} recommendation - Recommendation as a plain object
+     * @returns {Object} Monthly cost, requests and recommended plan
+     */
+    summarizeCycleRecommendation(recommendation) {
+        return {
+            monthly_cost: recommendation.actual_monthly_cost,
+            monthly_requests: recommendation.monthly_requests,
+            recommended_plan: recommendation.recommended_plan,
+            recommended_cost: recommendation.recommended_cost,
+            savings_monthly: recommendation.savings_monthly
         };
     }
 
     /**
      * Calculates actual monthly cost from usage data
+     * Spreads the total over calendar or active days (per the period's day basis)
      * @param {Object} costSummary - Summary statistics
      * @returns {number} Estimated monthly cost
      */
     calculateMonthlyCost(costSummary) {
-        const days = costSummary.period.days || 1;
         const totalCost = costSummary.cost.total || 0;
-
-        // Monthly cost = (total cost / days) * 30
-        return (totalCost / days) * 30;
+        return projectMonthly(totalCost, costSummary.period);
     }
 
     /**
-     * Detects current plan type from usage patterns
-     * @param {UsageRecord[]} records - Array of usage records
-     * @param {Object} costSummary - Summary statistics
-     * @param {number} monthlyCost - Calculated monthly cost
-     * @returns {Object} Current plan information
+     * Picks the catalog plan the account is on
+     * A configured plan is taken as given. Otherwise each plan's replay is checked
+     * against the export: the plan whose allowance bills the most Included and
+     * On-Demand rows the way the export recorded them wins, the cheaper replay on a tie.
+     * @param {Object} requestAnalysis - Request volume (see analyzeRequestVolume)
+     * @param {Object} detection - { plan, ranking, replay } - configured plan name (optional),
+     *   plans ranked by simulated cost (rankPlans) and the allowance replay (PlanReplaySimulator)
+     *   or its estimate (estimateReplayMatches)
+     * @returns {Object} Current plan information; monthly_cost is the plan's simulated cost
      */
-    detectCurrentPlan(records, costSummary, monthlyCost) {
-        const totalRequests = records.length;
-        const days = costSummary.period.days || 1;
-        const monthlyRequests = (totalRequests / days) * 30;
+    detectCurrentPlan(requestAnalysis, detection) {
+        const { ranking, replay } = detection;
+        const totalRequests = requestAnalysis.total_requests;
 
-        // Count included vs on-demand requests
-        const includedRequests = records.filter(r => r.isIncluded()).length;
-        const onDemandRequests = records.filter(r => r.isOnDemand()).length;
-        const includedPercentage = (includedRequests / totalRequests) * 100;
+        let planName;
+        let source;
+        let confidence;
+        let matchRate = null;
 
-        // Heuristic: If spending > $200/month, likely Ultra
-        // If spending $15-200/month with mostly included requests, likely Pro
-        // If spending < $15/month or very few requests, likely Free
-
-        let planType;
-        let confidence = 'low';
-
-        if (monthlyCost > 220) {
-            planType = PLAN_TIERS.ULTRA.name;
-            confidence = 'high';
-        } else if (monthlyCost > 15 && monthlyCost <= 220) {
-            if (includedPercentage > 70 && monthlyRequests > 400) {
-                planType = PLAN_TIERS.PRO.name;
-                confidence = 'high';
-            } else if (monthlyRequests > 1000) {
-                planType = PLAN_TIERS.ULTRA.name;
-                confidence = 'medium';
-            } else {
-                planType = PLAN_TIERS.PRO.name;
-                confidence = 'medium';
+        if (detection.plan) {
+            planName = findPlanName(detection.plan);
+            if (!planName) {
+                throw new Error(`Unknown plan: ${detection.plan} (known plans: ${ranking.map(r => r.plan).join(', ')})`);
             }
+            source = 'configured';
+            confidence = 'high';
         } else {
-            planType = PLAN_TIERS.FREE.name;
-            confidence = monthlyCost < 5 ? 'high' : 'medium';
+            // Replay plans are ordered cheapest first, so ties keep the cheaper plan
+            const best = replay.plans.reduce((winner, plan) =>
+                (!winner || plan.matching_requests > winner.matching_requests ? plan : winner), null);
+            planName = best.plan;
+            source = replay.estimated ? 'replay_estimate' : 'replay';
+            matchRate = best.classified_requests > 0 ? best.matching_requests / best.classified_requests : 0;
+            confidence = matchRate >= DETECTION_CONFIDENCE.high ? 'high'
+                : matchRate >= DETECTION_CONFIDENCE.medium ? 'medium' : 'low';
         }
 
         return {
-            plan: planType,
+            plan: planName,
+            source: source,
             confidence: confidence,
-            monthly_cost: monthlyCost,
-            monthly_requests: monthlyRequests,
-            included_requests_percentage: includedPercentage
+            match_rate: matchRate,
+            monthly_cost: ranking.find(r => r.plan === planName).monthly_cost,
+            monthly_requests: requestAnalysis.monthly_requests,
+            included_requests_percentage: (requestAnalysis.included_requests / totalRequests) * 100
         };
     }
 
@@ -142,115 +334,267 @@ class PlanOptimizer {
      * @returns {Object} Request analysis
      */
     analyzeRequestVolume(records, costSummary) {
-        const totalRequests = records.length;
+        return this.summarizeRequestVolume({
+            total: records.length,
+            included: records.filter(r => r.isIncluded()).length,
+            on_demand: records.filter(r => r.isOnDemand()).length,
+            errored: records.filter(r => r.isErrored()).length
+        }, costSummary);
+    }
+
+    /**
+     * Builds the request analysis from request counts
+     * @param {Object} counts - { total, included, on_demand, errored } requests
+     * @param {Object} costSummary - Summary statistics
+     * @returns {Object} Request analysis (see analyzeRequestVolume)
+     */
+    summarizeRequestVolume(counts, costSummary) {
         const days = costSummary.period.days || 1;
-        const monthlyRequests = (totalRequests / days) * 30;
 
-        const includedRequests = records.filter(r => r.isIncluded()).length;
-        const onDemandRequests = records.filter(r => r.isOnDemand()).length;
-        const erroredRequests = records.filter(r => r.isErrored()).length;
+        return {
+            total_requests: counts.total,
+            monthly_requests: projectMonthly(counts.total, costSummary.period),
+            monthly_on_demand_requests: projectMonthly(counts.on_demand, costSummary.period),
+            included_requests: counts.included,
+            on_demand_requests: counts.on_demand,
+            errored_requests: counts.errored,
+            requests_per_day: counts.total / days
+        };
+    }
+
+    /**
+     * Simulates one plan against one billing cycle of usage
+     * A capped plan with a request allowance prices requests, not dollars, so it
+     * cannot serve On-Demand usage: that spend went past a paid allowance, and
+     * counting it as covered would price it at $0. Those requests are unserved.
+     * @param {Object} plan - Plan terms from the catalog
+     * @param {number} usageCost - Usage in the cycle at API prices ($)
+     * @param {number} requests - Requests in the cycle
+     * @param {number} seats - Seats to bill (raised to the plan's minimum)
+     * @param {number} [onDemandRequests] - Requests in the cycle billed On-Demand
+     * @returns {Object} Subscription, overage and total cost, plus requests a capped plan cannot serve
+     */
+    simulatePlanCycle(plan, usageCost, requests, seats = 1, onDemandRequests = 0) {
+        const billedSeats = getBilledSeats(plan, seats);
+        const subscriptionCost = plan.monthlyFee * billedSeats;
+        const { dollars, requests: includedRequests } = plan.includedUsage;
 
-        // Determine if user is exceeding plan limits
-        const exceedsProLimit = monthlyRequests > PLAN_TIERS.PRO.fastRequestsLimit;
-        const exceedsUltraLimit = monthlyRequests > PLAN_TIERS.ULTRA.fastRequestsLimit;
+        // Share of the cycle's usage beyond the pooled allowance
+        const overShare = dollars !== undefined
+            ? (usageCost > 0 ? Math.max(0, usageCost - dollars * billedSeats) / usageCost : 0)
+            : (requests > 0 ? Math.max(0, requests - includedRequests * billedSeats) / requests : 0);
+
+        let overageCost = 0;
+        let unservedRequests = 0;
+        if (!plan.overage) {
+            unservedRequests = requests * overShare;
+            if (dollars === undefined) {
+                unservedRequests = Math.max(unservedRequests, onDemandRequests);
+            }
+        } else if (plan.overage.costMultiplier !== undefined) {
+            overageCost = usageCost * overShare * plan.overage.costMultiplier;
+        } else {
+            overageCost = requests * overShare * plan.overage.pricePerRequest;
+        }
 
         return {
-            total_requests: totalRequests,
-            monthly_requests: monthlyRequests,
-            included_requests: includedRequests,
-            on_demand_requests: onDemandRequests,
-            errored_requests: erroredRequests,
-            exceeds_pro_limit: exceedsProLimit,
-            exceeds_ultra_limit: exceedsUltraLimit,
-            requests_per_day: totalRequests / days
+            seats: billedSeats,
+            subscription_cost: subscriptionCost,
+            overage_cost: overageCost,
+            total_cost: subscriptionCost + overageCost,
+            unserved_requests: unservedRequests
         };
     }
 
     /**
-     * Generates plan recommendation based on usage patterns
+     * Simulates every catalog plan over a set of usage periods and ranks them
+     * Costs are averaged over the periods by weight. Plans whose capped
+     * allowance cannot serve every request rank after those that can.
+     * @param {Object[]} periods - [{ usage_cost, requests, on_demand_requests, weight }]
+     * @param {number} seats - Seats to bill
+     * @returns {Object[]} Plan simulations, cheapest first
+     */
+    rankPlans(periods, seats = 1) {
+        const totalWeight = periods.reduce((sum, p) => sum + p.weight, 0) || 1;
+
+        const simulations = getPlans().map(plan => {
+            const cycles = periods.map(p => this.simulatePlanCycle(plan, p.usage_cost, p.requests, seats, p.on_demand_requests));
+            const average = field => cycles.reduce((sum, c, i) => sum + c[field] * periods[i].weight, 0) / totalWeight;
+
+            return {
+                plan: plan.name,
+                description: plan.description || '',
+                seats: getBilledSeats(plan, seats),
+                included_usage: describeIncludedUsage(plan),
+                subscription_cost: average('subscription_cost'),
+                overage_cost: average('overage_cost'),
+                monthly_cost: average('total_cost'),
+                unserved_requests: average('unserved_requests'),
+                covers_usage: cycles.every(c => c.unserved_requests === 0)
+            };
+        });
+
+        simulations.sort((a, b) => (b.covers_usage - a.covers_usage) || (a.monthly_cost - b.monthly_cost));
+
+        return simulations.map((simulation, index) => ({ rank: index + 1, ...simulation }));
+    }
+
+    /**
+     * Generates plan recommendation by ranking the catalog plans on simulated cost
+     * Savings compare the current plan's simulated cost with the recommended plan's,
+     * never the usage spend with a plan cost.
      * @param {Object} currentPlan - Current plan information
-     * @param {number} monthlyCost - Actual monthly cost
+     * @param {number} monthlyCost - Actual monthly cost (usage at API prices)
      * @param {Object} requestAnalysis - Request volume analysis
      * @param {Object} costSummary - Summary statistics
+     * @param {Object} [options] - { seats, ranking } - without a ranking, plans are
+     *   simulated against monthlyCost and the monthly request volume
      * @returns {Object} Recommendation with plan, savings, confidence, reasoning, and actions
      */
-    generateRecommendation(currentPlan, monthlyCost, requestAnalysis, costSummary) {
-        const days = costSummary.period.days || 1;
-        let recommendedPlan;
-        let savings = 0;
-        let confidence = currentPlan.confidence;
+    generateRecommendation(currentPlan, monthlyCost, requestAnalysis, costSummary, options = {}) {
+        const seats = options.seats || 1;
+        const monthlyRequests = requestAnalysis.monthly_requests || 0;
+        const ranking = options.ranking || this.rankPlans(
+            [{
+                usage_cost: monthlyCost,
+                requests: monthlyRequests,
+                on_demand_requests: requestAnalysis.monthly_on_demand_requests || 0,
+                weight: 1
+            }],
+            seats
+        );
+
+        const best = ranking[0];
+        const runnerUp = ranking[1];
+        const current = ranking.find(r => r.plan === currentPlan.plan);
         const reasoning = [];
         const actions = [];
 
-        // Decision tree based on spending
-        if (monthlyCost > 220) {
-            // Spending > $220/month → Recommend Ultra (saves money)
-            recommendedPlan = PLAN_TIERS.ULTRA.name;
-            savings = monthlyCost - PLAN_TIERS.ULTRA.monthlyCost;
-            reasoning.push(`You're spending $${monthlyCost.toFixed(2)}/month, which exceeds Ultra's fixed cost of $${PLAN_TIERS.ULTRA.monthlyCost}/month`);
-            reasoning.push(`Upgrading to Ultra would save $${savings.toFixed(2)}/month`);
-            if (requestAnalysis.exceedsProLimit) {
-                reasoning.push(`You consistently exceed Pro's ${PLAN_TIERS.PRO.fastRequestsLimit} request limit`);
-            }
-            actions.push('Visit cursor.sh/settings → Billing → Upgrade to Ultra');
-            confidence = 'high';
-        } else if (monthlyCost >= 180 && monthlyCost <= 220) {
-            // Spending $180-220/month → Recommend Ultra (better experience)
-            recommendedPlan = PLAN_TIERS.ULTRA.name;
-            savings = monthlyCost - PLAN_TIERS.ULTRA.monthlyCost;
-            reasoning.push(`You're spending $${monthlyCost.toFixed(2)}/month, close to Ultra's fixed cost`);
-            reasoning.push(`Ultra provides unlimited requests and priority access for a predictable cost`);
-            if (requestAnalysis.exceedsProLimit) {
-                reasoning.push(`You're exceeding Pro's ${PLAN_TIERS.PRO.fastRequestsLimit} request limit`);
-            }
-            actions.push('Consider upgrading to Ultra for better experience and predictable costs');
-            confidence = 'medium';
-        } else if (monthlyCost >= 15 && monthlyCost < 180) {
-            // Spending $15-180/month → Stay on Pro (optimal)
-            recommendedPlan = PLAN_TIERS.PRO.name;
-            savings = 0;
-            reasoning.push(`You're spending $${monthlyCost.toFixed(2)}/month, which is optimal for Pro tier`);
-            if (!requestAnalysis.exceedsProLimit) {
-                reasoning.push(`Your usage (${requestAnalysis.monthly_requests.toFixed(0)} requests/month) fits within Pro's limits`);
-            } else {
-                reasoning.push(`You're exceeding Pro's ${PLAN_TIERS.PRO.fastRequestsLimit} request limit - consider Ultra if this continues`);
-            }
-            actions.push('Stay on Pro - your current usage is well-suited for this tier');
-            confidence = 'high';
+        reasoning.push(`Simulated against $${monthlyCost.toFixed(2)}/month of usage (${monthlyRequests.toFixed(0)} requests/month), ${best.plan} is the cheapest plan at $${best.monthly_cost.toFixed(2)}/month`);
+        if (best.overage_cost > 0) {
+            reasoning.push(`That is $${best.subscription_cost.toFixed(2)} subscription plus $${best.overage_cost.toFixed(2)} of usage beyond the ${best.included_usage} allowance`);
+        }
+        if (current && current.plan !== best.plan) {
+            reasoning.push(`Your current plan (${current.plan}) would cost $${current.monthly_cost.toFixed(2)}/month for the same usage`);
+        }
+        if (runnerUp && runnerUp.covers_usage) {
+            reasoning.push(`Next best: ${runnerUp.plan} at $${runnerUp.monthly_cost.toFixed(2)}/month`);
+        }
+
+        const cappedPlans = ranking.filter(r => !r.covers_usage).map(r => r.plan);
+        if (cappedPlans.length > 0) {
+            reasoning.push(`${cappedPlans.join(', ')} would not cover your usage (too many requests, or On-Demand usage a request allowance does not include)`);
+        }
+
+        if (current && current.plan === best.plan) {
+            actions.push(`Stay on ${best.plan} - it is the cheapest plan for your usage`);
         } else {
-            // Spending < $15/month → Consider downgrading or Free tier
-            recommendedPlan = PLAN_TIERS.FREE.name;
-            savings = monthlyCost; // Would save the entire monthly cost
-            reasoning.push(`You're spending $${monthlyCost.toFixed(2)}/month, which is low`);
-            reasoning.push(`Consider downgrading to Free tier if you can work within the ${PLAN_TIERS.FREE.fastRequestsLimit} request limit`);
-            if (requestAnalysis.monthly_requests > PLAN_TIERS.FREE.fastRequestsLimit) {
-                reasoning.push(`However, your usage (${requestAnalysis.monthly_requests.toFixed(0)} requests/month) exceeds Free tier limits`);
-                recommendedPlan = PLAN_TIERS.PRO.name;
-                savings = 0;
-                reasoning.push('Pro tier is recommended to avoid request limits');
-            }
-            actions.push('Evaluate if Free tier meets your needs, or stay on Pro for flexibility');
-            confidence = monthlyCost < 5 ? 'high' : 'medium';
+            actions.push(`Visit cursor.com/settings → Billing → Switch to ${best.plan}`);
         }
 
+        // Confidence from how clearly the best plan beats the runner-up
+        let confidence = 'high';
+        if (runnerUp && runnerUp.covers_usage && best.monthly_cost > 0) {
+            const gap = (runnerUp.monthly_cost - best.monthly_cost) / best.monthly_cost;
+            confidence = gap >= 0.2 ? 'high' : gap >= 0.05 ? 'medium' : 'low';
+        }
+
+        const currentCost = current ? current.monthly_cost : 0;
+        const savings = current ? Math.max(0, currentCost - best.monthly_cost) : 0;
+
         // Calculate conservative savings (under-promise)
         const conservativeSavings = savings > 0 ? savings * 0.9 : 0; // 10% buffer
 
         return new PlanRecommendation({
             current_plan: currentPlan.plan,
-            recommended_plan: recommendedPlan,
-            recommended_cost: PLAN_TIERS[recommendedPlan.toUpperCase()].monthlyCost,
+            current_cost: currentCost,
+            recommended_plan: best.plan,
+            recommended_cost: best.monthly_cost,
             actual_monthly_cost: monthlyCost,
             savings_monthly: Math.max(0, conservativeSavings),
             savings_yearly: Math.max(0, conservativeSavings * 12),
             confidence: confidence,
             reasoning: reasoning,
             actions: actions,
-            monthly_requests: requestAnalysis.monthly_requests,
-            exceeds_pro_limit: requestAnalysis.exceeds_pro_limit
+            monthly_requests: monthlyRequests
         });
     }
 }
 
-export { PlanOptimizer, PLAN_TIERS };
+/**
+ * Streaming counterpart of PlanOptimizer.analyze (see PlanOptimizer.createAccumulator)
+ */
+class PlanOptimizationAccumulator {
+    /**
+     * @param {PlanOptimizer} optimizer - Optimizer that ranks and recommends from the totals
+     * @param {Object} options - { billing, seats, currentPlan }
+     */
+    constructor(optimizer, options) {
+        this.optimizer = optimizer;
+        this.options = options;
+        this.cycles = createCycleAccumulator(options.billing);
+        this.days = new Map();
+        this.counts = { total: 0, included: 0, on_demand: 0, errored: 0 };
+    }
+
+    /**
+     * Adds one record to the request counts, its billing cycle's and its day's totals
+     * @param {UsageRecord} record - Usage record
+     */
+    add(record) {
+        this.counts.total++;
+        this.cycles.add(record);
+
+        const date = record.getDateOnly();
+        if (!this.days.has(date)) {
+            this.days.set(date, { date, included_cost: 0, included_requests: 0, on_demand_cost: 0, on_demand_requests: 0 });
+        }
+        const kinds = this.days.get(date);
+
+        if (record.isIncluded()) {
+            this.counts.included++;
+            kinds.included_cost += record.cost;
+            kinds.included_requests++;
+        } else if (record.isOnDemand()) {
+            this.counts.on_demand++;
+            kinds.on_demand_cost += record.cost;
+            kinds.on_demand_requests++;
+        } else if (record.isErrored()) {
+            this.counts.errored++;
+        }
+    }
+
+    /**
+     * @param {Object} costSummary - Summary statistics of the added records
+     * @returns {Object} Result of PlanOptimizer.analyze on the added records, with
+     *   allowance_replay null and the current plan detected from daily totals
+     */
+    finish(costSummary) {
+        if (this.counts.total === 0) {
+            throw new Error('Records array cannot be empty');
+        }
+
+        const { optimizer, options } = this;
+        const seats = options.seats || 1;
+        const cycles = this.cycles.finish();
+        const requestAnalysis = optimizer.summarizeRequestVolume(this.counts, costSummary);
+
+        // The estimate only needs the ranking's order, which does not depend on the detected plan
+        const ranking = optimizer.rankPlans(
+            cycles.map(c => ({
+                usage_cost: c.projected_cost,
+                requests: c.projected_requests,
+                on_demand_requests: c.projected_on_demand_requests,
+                weight: c.covered_days
+            })),
+            seats
+        );
+        const days = Array.from(this.days.values()).sort((a, b) => a.date.localeCompare(b.date));
+        const replay = optimizer.estimateReplayMatches(days, ranking, { billing: options.billing, seats });
+
+        return optimizer.summarizePlans(costSummary, requestAnalysis, cycles, replay, options);
+    }
+}
+
+export { PlanOptimizer };
 
@@ -0,0 +1,241 @@
+/**
+ * Plan replay simulation for Cursor usage data
+ * Walks the records in time order within each billing cycle, draws each plan's
+ * included allowance down request by request and attributes every request as
+ * included or on-demand, so the day the allowance runs out is known exactly
+ * Pure JavaScript - no external dependencies
+ */
+
+import { getBillingCycle, normalizeBillingOptions } from '../billing-cycles.js';
+import { getPlans, getBilledSeats, describeIncludedUsage } from '../models/plan-catalog.js';
+
+/**
+ * How a request is billed under a simulated plan
+ * - included: fully covered by the allowance
+ * - on_demand: at least partly beyond the allowance, billed as overage
+ * - unserved: beyond the allowance of a capped plan (no overage billing)
+ * - not_charged: errored or aborted, does not draw on the allowance
+ */
+const REQUEST_BILLING = {
+    INCLUDED: 'included',
+    ON_DEMAND: 'on_demand',
+    UNSERVED: 'unserved',
+    NOT_CHARGED: 'not_charged'
+};
+
+/**
+ * Allowance left below this is treated as used up (guards against float drift)
+ */
+const EPSILON = 1e-9;
+
+class PlanReplaySimulator {
+    /**
+     * Replays the records against every plan in the catalog
+     * @param {UsageRecord[]} records - Array of usage records
+     * @param {Object} [options] - { billing, seats } (see billing-cycles.js)
+     * @returns {Object} Per-plan replays, cheapest total first
+     */
+    analyze(records, options = {}) {
+        if (!records || records.length === 0) {
+            throw new Error('Records array cannot be empty');
+        }
+
+        const billing = normalizeBillingOptions(options.billing);
+        const seats = options.seats || 1;
+
+        const plans = getPlans()
+            .map(plan => this.replayPlan(records, plan, { billing, seats }))
+            .sort((a, b) => (a.capped_cycles - b.capped_cycles) || (a.total_cost - b.total_cost));
+
+        return {
+            cycle_start_day: billing.cycleStartDay,
+            seats,
+            plans
+        };
+    }
+
+    /**
+     * Replays the records against one plan and summarizes each billing cycle
+     * Cycles report what the records in them actually cost; partial cycles are
+     * not projected, since the point is when the allowance ran out.
+     * @param {UsageRecord[]} records - Array of usage records
+     * @param {Object} plan - Plan terms from the catalog
+     * @param {Object} [options] - { billing, seats }
+     * @returns {Object} Plan replay with per-cycle exhaustion dates and totals, and how
+     *   many Included / On-Demand rows the replay bills the same way as the export
+     */
+    replayPlan(records, plan, options = {}) {
+        const seats = getBilledSeats(plan, options.seats || 1);
+        const attributions = this.attributeRecords(records, plan, options);
+        const allowance = this.getAllowance(plan, seats);
+
+        const cycles = new Map();
+        for (const attribution of attributions) {
+            if (!cycles.has(attribution.cycle_start)) {
+                cycles.set(attribution.cycle_start, {
+                    start: attribution.cycle_start,
+                    end: attribution.cycle_end,
+                    allowance,
+                    exhausted_at: null,
+                    exhausted_on: null,
+                    included_requests: 0,
+                    included_cost: 0,
+                    on_demand_requests: 0,
+                    on_demand_cost: 0,
+                    overage_cost: 0,
+                    unserved_requests: 0,
+                    matching_requests: 0,
+                    subscription_cost: plan.monthlyFee * seats,
+                    total_cost: 0
+                });
+            }
+
+            const cycle = cycles.get(attribution.cycle_start);
+            const { record } = attribution;
+
+            if (attribution.exhausts_allowance) {
+                cycle.exhausted_at = record.date;
+                cycle.exhausted_on = record.getDateOnly();
+            }
+
+            cycle.included_cost += attribution.included_cost;
+            if (attribution.billing === REQUEST_BILLING.INCLUDED) {
+                cycle.included_requests++;
+            } else if (attribution.billing === REQUEST_BILLING.ON_DEMAND) {
+                cycle.on_demand_requests++;
+                cycle.on_demand_cost += record.cost - attribution.included_cost;
+                cycle.overage_cost += attribution.overage_cost;
+            } else if (attribution.billing === REQUEST_BILLING.UNSERVED) {
+                cycle.unserved_requests++;
+            }
+
+            if (this.matchesExportKind(attribution)) {
+                cycle.matching_requests++;
+            }
+        }
+
+        const cycleList = Array.from(cycles.values()).sort((a, b) => a.start.localeCompare(b.start));
+        cycleList.forEach(cycle => {
+            cycle.total_cost = cycle.subscription_cost + cycle.overage_cost;
+        });
+
+        const sum = field => cycleList.reduce((total, c) => total + c[field], 0);
+
+        return {
+            plan: plan.name,
+            seats,
+            included_usage: describeIncludedUsage(plan),
+            capped: !plan.overage,
+            cycles: cycleList,
+            exhausted_cycles: cycleList.filter(c => c.exhausted_on).length,
+            capped_cycles: cycleList.filter(c => c.unserved_requests > 0).length,
+            subscription_cost: sum('subscription_cost'),
+            overage_cost: sum('overage_cost'),
+            total_cost: sum('total_cost'),
+            on_demand_requests: sum('on_demand_requests'),
+            unserved_requests: sum('unserved_requests'),
+            matching_requests: sum('matching_requests'),
+            classified_requests: attributions.filter(a => a.record.isIncluded() || a.record.isOnDemand()).length
+        };
+    }
+
+    /**
+     * Checks whether a simulated request is billed the way the export says it was
+     * Only Included and On-Demand rows say how a request was billed.
+     * @param {Object} attribution - Attribution from attributeRecords
+     * @returns {boolean} True if the export kind agrees with the simulated billing
+     */
+    matchesExportKind(attribution) {
+        const { record, billing } = attribution;
+        return (record.isIncluded() && billing === REQUEST_BILLING.INCLUDED) ||
+            (record.isOnDemand() && billing === REQUEST_BILLING.ON_DEMAND);
+    }
+
+    /**
+     * Attributes every record as included or on-demand under a plan
+     * Records are walked in time order; each billing cycle starts with the
+     * plan's pooled allowance. A request that crosses a dollar allowance is
+     * split: the covered part is included, the rest is billed as overage.
+     * @param {UsageRecord[]} records - Array of usage records
+     * @param {Object} plan - Plan terms from the catalog
+     * @param {Object} [options] - { billing, seats }
+     * @returns {Object[]} [{ record, cycle_start, cycle_end, billing, included_cost, overage_cost, exhausts_allowance }]
+     *   in time order
+     */
+    attributeRecords(records, plan, options = {}) {
+        const { cycleStartDay } = normalizeBillingOptions(options.billing);
+        const seats = getBilledSeats(plan, options.seats || 1);
+        const allowance = this.getAllowance(plan, seats);
+        const byRequests = plan.includedUsage.requests !== undefined;
+
+        const sorted = [...records].sort((a, b) => a.date.localeCompare(b.date));
+        const attributions = [];
+        let cycleStart = null;
+        let remaining = 0;
+
+        for (const record of sorted) {
+            const cycle = getBillingCycle(record.getDateOnly(), cycleStartDay);
+            if (cycle.start !== cycleStart) {
+                cycleStart = cycle.start;
+                remaining = allowance;
+            }
+
+            const attribution = {
+                record,
+                cycle_start: cycle.start,
+                cycle_end: cycle.end,
+                billing: REQUEST_BILLING.INCLUDED,
+                included_cost: 0,
+                overage_cost: 0,
+                exhausts_allowance: false
+            };
+            attributions.push(attribution);
+
+            // Errored requests are not charged, so they draw nothing down
+            if (record.isErrored()) {
+                attribution.billing = REQUEST_BILLING.NOT_CHARGED;
+                continue;
+            }
+
+            const hadAllowance = remaining > EPSILON;
+            let excessCost;
+            if (byRequests) {
+                excessCost = hadAllowance ? 0 : record.cost;
+                remaining = hadAllowance ? remaining - 1 : 0;
+            } else {
+                const covered = Math.min(record.cost, Math.max(0, remaining));
+                excessCost = record.cost - covered;
+                remaining -= covered;
+            }
+
+            attribution.included_cost = record.cost - excessCost;
+            attribution.exhausts_allowance = hadAllowance && remaining <= EPSILON;
+
+            if (excessCost > EPSILON || !hadAllowance) {
+                if (!plan.overage) {
+                    attribution.billing = REQUEST_BILLING.UNSERVED;
+                } else {
+                    attribution.billing = REQUEST_BILLING.ON_DEMAND;
+                    attribution.overage_cost = plan.overage.costMultiplier !== undefined
+                        ? excessCost * plan.overage.costMultiplier
+                        : plan.overage.pricePerRequest;
+                }
+            }
+        }
+
+        return attributions;
+    }
+
+    /**
+     * Gets a plan's pooled allowance per cycle, in dollars or requests
+     * @param {Object} plan - Plan terms from the catalog
+     * @param {number} seats - Billed seats
+     * @returns {number} Allowance
+     */
+    getAllowance(plan, seats) {
+        const { dollars, requests } = plan.includedUsage;
+        return (dollars !== undefined ? dollars : requests) * seats;
+    }
+}
+
+export { PlanReplaySimulator, REQUEST_BILLING };
@@ -0,0 +1,140 @@
+/**
+ * Price reconciliation for Cursor usage data
+ * Compares each exported Cost against the price computed from its token breakdown
+ * Pure JavaScript - no external dependencies
+ */
+
+import { priceRecord } from '../models/pricing.js';
+
+/**
+ * Default divergence tolerance
+ * Exported costs are rounded to cents, so small requests need an absolute allowance
+ */
+const DEFAULT_TOLERANCE = {
+    absolute: 0.01,
+    relative: 0.25
+};
+
+class PriceReconciliationAnalyzer {
+    /**
+     * Reconciles exported costs with computed token prices
+     * @param {UsageRecord[]} records - Array of usage records
+     * @param {Object} [options] - Reconciliation options
+     * @param {number} [options.absoluteTolerance=0.01] - Allowed difference in dollars
+     * @param {number} [options.relativeTolerance=0.25] - Allowed difference as a fraction of the computed price
+     * @param {number} [options.limit=10] - Maximum number of flagged rows to list
+     * @returns {Object} Reconciliation report with totals, per-model summary and flagged rows
+     *   (skipped_rows counts errored and zero-cost rows, which are not comparable)
+     */
+    analyze(records, options = {}) {
+        if (!records || records.length === 0) {
+            throw new Error('Records array cannot be empty');
+        }
+
+        const tolerance = {
+            absolute: options.absoluteTolerance ?? DEFAULT_TOLERANCE.absolute,
+            relative: options.relativeTolerance ?? DEFAULT_TOLERANCE.relative
+        };
+        const limit = options.limit ?? 10;
+
+        const flagged = [];
+        const modelTotals = {};
+        const unpricedModels = new Set();
+        let checkedRows = 0;
+        let unpricedRows = 0;
+        let skippedRows = 0;
+        let totalExportedCost = 0;
+        let totalComputedCost = 0;
+
+        records.forEach((record, index) => {
+            // Errored requests are not charged, and $0 rows were covered by the plan
+            // rather than billed at token prices: neither can be reconciled
+            if (record.isErrored() || record.cost === 0) {
+                skippedRows++;
+                return;
+            }
+
+            const priced = priceRecord(record);
+            if (!priced) {
+                unpricedRows++;
+                unpricedModels.add(record.model);
+                return;
+            }
+
+            checkedRows++;
+            totalExportedCost += record.cost;
+            totalComputedCost += priced.total;
+
+            if (!modelTotals[record.model]) {
+                modelTotals[record.model] = {
+                    model: record.model,
+                    rows: 0,
+                    flagged_rows: 0,
+                    exported_cost: 0,
+                    computed_cost: 0
+                };
+            }
+            const modelTotal = modelTotals[record.model];
+            modelTotal.rows++;
+            modelTotal.exported_cost += record.cost;
+            modelTotal.computed_cost += priced.total;
+
+            if (this.isDivergent(record.cost, priced.total, tolerance)) {
+                modelTotal.flagged_rows++;
+                flagged.push({
+                    row_number: index + 1,
+                    date: record.date,
+                    model: record.model,
+                    kind: record.kind,
+                    exported_cost: record.cost,
+                    computed_cost: priced.total,
+                    difference: record.cost - priced.total,
+                    difference_percentage: priced.total > 0
+                        ? ((record.cost - priced.total) / priced.total) * 100
+                        : 0
+                });
+            }
+        });
+
+        // Largest absolute divergences first
+        flagged.sort((a, b) => Math.abs(b.difference) - Math.abs(a.difference));
+
+        const byModel = Object.values(modelTotals)
+            .map(m => ({
+                ...m,
+                difference: m.exported_cost - m.computed_cost,
+                difference_percentage: m.computed_cost > 0
+                    ? ((m.exported_cost - m.computed_cost) / m.computed_cost) * 100
+                    : 0
+            }))
+            .sort((a, b) => Math.abs(b.difference) - Math.abs(a.difference));
+
+        return {
+            tolerance,
+            checked_rows: checkedRows,
+            flagged_rows: flagged.length,
+            unpriced_rows: unpricedRows,
+            unpriced_models: Array.from(unpricedModels).sort(),
+            skipped_rows: skippedRows,
+            total_exported_cost: totalExportedCost,
+            total_computed_cost: totalComputedCost,
+            total_difference: totalExportedCost - totalComputedCost,
+            by_model: byModel,
+            flagged: flagged.slice(0, limit)
+        };
+    }
+
+    /**
+     * Checks whether an exported cost diverges from the computed price
+     * @param {number} exportedCost - Cost from the CSV export
+     * @param {number} computedCost - Cost computed from token prices
+     * @param {Object} tolerance - {absolute, relative} tolerance
+     * @returns {boolean} True if the difference exceeds the tolerance
+     */
+    isDivergent(exportedCost, computedCost, tolerance) {
+        const allowed = Math.max(tolerance.absolute, tolerance.relative * computedCost);
+        return Math.abs(exportedCost - computedCost) > allowed;
+    }
+}
+
+export { PriceReconciliationAnalyzer, DEFAULT_TOLERANCE };
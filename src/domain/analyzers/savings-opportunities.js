@@ -8,6 +8,7 @@ import { ModelEfficiencyAnalyzer } from './model-efficiency.js';
 import { CacheEfficiencyAnalyzer } from './cache-efficiency.js';
 import { CostAnalyzer } from './cost.js';
 import { SavingsOpportunity } from '../entities/SavingsOpportunity.js';
+import { projectMonthly } from '../billing-cycles.js';
 
 /**
  * Opportunity types
@@ -16,9 +17,16 @@ const OPPORTUNITY_TYPES = {
     PLAN_OPTIMIZATION: 'plan_optimization',
     MODEL_MIGRATION: 'model_migration',
     ERROR_REDUCTION: 'error_reduction',
-    CACHE_OPTIMIZATION: 'cache_optimization'
+    CACHE_OPTIMIZATION: 'cache_optimization',
+    MAX_MODE: 'max_mode'
 };
 
+/**
+ * Max Mode is considered worthwhile when its requests use at least this many
+ * times the tokens of the same model's standard requests
+ */
+const MAX_MODE_TOKEN_RATIO_THRESHOLD = 1.5;
+
 /**
  * Difficulty levels
  */
@@ -41,19 +49,23 @@ class SavingsOpportunitiesAnalyzer {
     /**
      * Analyzes usage data and identifies savings opportunities
      * @param {UsageRecord[]} records - Array of usage records
+     * @param {Object} [options] - { billing, seats, currentPlan } options passed to the cost and plan analyses
      * @returns {Object} Analysis result with ranked opportunities
      */
-    analyze(records) {
+    analyze(records, options = {}) {
         if (!records || records.length === 0) {
             throw new Error('Records array cannot be empty');
         }
 
         // Run all analyses
         const costAnalyzer = new CostAnalyzer();
-        const costAnalysis = costAnalyzer.analyze(records);
+        const costAnalysis = costAnalyzer.analyze(records, options);
 
         const planOptimizer = new PlanOptimizer();
-        const planAnalysis = planOptimizer.analyze(records, costAnalysis.summary);
+        const planAnalysis = planOptimizer.analyze(records, costAnalysis.summary, {
+            seats: options.seats,
+            currentPlan: options.currentPlan
+        });
 
         const modelEfficiencyAnalyzer = new ModelEfficiencyAnalyzer();
         const modelAnalysis = modelEfficiencyAnalyzer.analyze(records);
@@ -61,6 +73,17 @@ class SavingsOpportunitiesAnalyzer {
         const cacheAnalyzer = new CacheEfficiencyAnalyzer();
         const cacheAnalysis = cacheAnalyzer.analyze(records, costAnalysis.summary);
 
+        return this.rankOpportunities({ costAnalysis, planAnalysis, modelAnalysis, cacheAnalysis });
+    }
+
+    /**
+     * Identifies and ranks savings opportunities from finished analyses
+     * Needs no records, so it serves the streaming analysis as well.
+     * @param {Object} analyses - { costAnalysis, planAnalysis, modelAnalysis, cacheAnalysis }
+     *   results of the cost, plan, model efficiency and cache analyzers
+     * @returns {Object} Analysis result with ranked opportunities (see analyze)
+     */
+    rankOpportunities({ costAnalysis, planAnalysis, modelAnalysis, cacheAnalysis }) {
         // Identify opportunities
         const opportunities = [];
 
@@ -75,7 +98,7 @@ class SavingsOpportunitiesAnalyzer {
         opportunities.push(...modelOpportunities);
 
         // 3. Error reduction opportunity
-        const errorOpportunity = this.identifyErrorReductionOpportunity(records, costAnalysis);
+        const errorOpportunity = this.identifyErrorReductionOpportunity(costAnalysis);
         if (errorOpportunity) {
             opportunities.push(errorOpportunity);
         }
@@ -86,6 +109,10 @@ class SavingsOpportunitiesAnalyzer {
             opportunities.push(cacheOpportunity);
         }
 
+        // 5. Max Mode opportunities
+        const maxModeOpportunities = this.identifyMaxModeOpportunities(costAnalysis);
+        opportunities.push(...maxModeOpportunities);
+
         // Rank by priority score (combines ROI, impact, and savings)
         opportunities.sort((a, b) => b.getPriorityScore() - a.getPriorityScore());
 
@@ -196,8 +223,7 @@ class SavingsOpportunitiesAnalyzer {
             const alternativeCostForMigratable = alternativeCostPerRequest * migratableRequests;
 
             const monthlySavings = (expensiveCostForMigratable - alternativeCostForMigratable);
-            const days = costSummary.period.days || 30;
-            const monthlySavingsScaled = (monthlySavings / days) * 30;
+            const monthlySavingsScaled = projectMonthly(monthlySavings, costSummary.period);
 
             // Only create opportunity if savings is significant (> $5/month)
             if (monthlySavingsScaled < 5) {
@@ -222,15 +248,67 @@ class SavingsOpportunitiesAnalyzer {
         return opportunities;
     }
 
+    /**
+     * Identifies models where Max Mode adds cost without adding many tokens
+     * Savings = Max Mode cost minus the same tokens priced at the model's standard rate
+     * @param {Object} costAnalysis - Cost analysis results
+     * @returns {Array} Array of Max Mode opportunities
+     */
+    identifyMaxModeOpportunities(costAnalysis) {
+        const opportunities = [];
+        const breakdown = costAnalysis.breakdown_by_max_mode;
+        if (!breakdown) {
+            return opportunities;
+        }
+
+        for (const entry of breakdown.by_model) {
+            const maxMode = entry.max_mode;
+            const standard = entry.standard;
+
+            // Need both modes for the same model to compare against
+            if (maxMode.request_count === 0 || standard.request_count === 0 || standard.total_tokens === 0) {
+                continue;
+            }
+
+            const tokenRatio = maxMode.average_tokens_per_request / standard.average_tokens_per_request;
+            if (tokenRatio >= MAX_MODE_TOKEN_RATIO_THRESHOLD) {
+                continue;
+            }
+
+            const costAtStandardRate = (maxMode.total_tokens / 1_000_000) * standard.cost_per_million_tokens;
+            const extraCost = maxMode.cost - costAtStandardRate;
+            const monthlySavings = projectMonthly(extraCost, costAnalysis.summary.period);
+
+            // Only create opportunity if savings is significant (> $5/month)
+            if (monthlySavings < 5) {
+                continue;
+            }
+
+            opportunities.push(new SavingsOpportunity({
+                type: OPPORTUNITY_TYPES.MAX_MODE,
+                title: `Turn off Max Mode for ${entry.model}`,
+                savings_monthly: monthlySavings,
+                savings_yearly: monthlySavings * 12,
+                difficulty: DIFFICULTY.EASY,
+                impact: monthlySavings > 30 ? IMPACT.HIGH : monthlySavings > 10 ? IMPACT.MEDIUM : IMPACT.LOW,
+                action: `Disable Max Mode for ${entry.model} unless the task needs a very large context`,
+                reasoning: `Max Mode requests on ${entry.model} cost $${maxMode.cost_per_million_tokens.toFixed(2)}/M tokens vs $${standard.cost_per_million_tokens.toFixed(2)}/M without it, while using only ${tokenRatio.toFixed(1)}x the tokens per request`,
+                confidence: maxMode.request_count >= 10 ? 'medium' : 'low',
+                model: entry.model
+            }));
+        }
+
+        return opportunities;
+    }
+
     /**
      * Identifies error reduction opportunity
-     * @param {UsageRecord[]} records - Array of usage records
      * @param {Object} costAnalysis - Cost analysis results
      * @returns {Object|null} Opportunity or null if error rate is acceptable
      */
-    identifyErrorReductionOpportunity(records, costAnalysis) {
-        const totalRequests = records.length;
-        const erroredRequests = records.filter(r => r.isErrored()).length;
+    identifyErrorReductionOpportunity(costAnalysis) {
+        const totalRequests = costAnalysis.summary.usage.total_requests;
+        const erroredRequests = costAnalysis.breakdown_by_type.errored.request_count;
         const errorRate = (erroredRequests / totalRequests) * 100;
 
         // Note: Errored requests are NOT charged in Cursor, so there's no direct cost saving
@@ -269,7 +347,7 @@ class SavingsOpportunitiesAnalyzer {
         // If no potential savings calculated, estimate based on improvement
         let estimatedSavings = potentialSavings;
         if (estimatedSavings === 0) {
-            const monthlyCost = costSummary.cost.total ? (costSummary.cost.total / (costSummary.period.days || 30)) * 30 : 0;
+            const monthlyCost = costSummary.cost.total ? projectMonthly(costSummary.cost.total, costSummary.period) : 0;
             const improvementPotential = 75 - cacheHitRate; // Target 75%
             estimatedSavings = monthlyCost * (improvementPotential / 100) * 0.5; // Conservative estimate
         }
@@ -290,5 +368,5 @@ class SavingsOpportunitiesAnalyzer {
     }
 }
 
-export { SavingsOpportunitiesAnalyzer, OPPORTUNITY_TYPES, DIFFICULTY, IMPACT };
+export { SavingsOpportunitiesAnalyzer, OPPORTUNITY_TYPES, DIFFICULTY, IMPACT, MAX_MODE_TOKEN_RATIO_THRESHOLD };
 
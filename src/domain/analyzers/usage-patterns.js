@@ -55,6 +55,16 @@ class UsagePatternAnalyzer {
         };
     }
 
+    /**
+     * Creates an accumulator that analyzes records one at a time
+     * Its result equals analyze() on the same records, but it keeps only
+     * hourly, weekday and per-day totals, never the records.
+     * @returns {UsagePatternAccumulator} Accumulator ({ add(record), finish(costSummary) })
+     */
+    createAccumulator() {
+        return new UsagePatternAccumulator(this);
+    }
+
     /**
      * Calculates hourly distribution of usage
      * @param {UsageRecord[]} records - Array of usage records
@@ -69,8 +79,7 @@ class UsagePatternAnalyzer {
 
         for (const record of records) {
             try {
-                const date = new Date(record.date);
-                const hour = date.getUTCHours();
+                const hour = record.getHour();
                 hourlyData[hour].requests += 1;
                 hourlyData[hour].cost += record.cost;
             } catch (e) {
@@ -82,13 +91,7 @@ class UsagePatternAnalyzer {
         const totalRequests = records.length;
         const totalCost = records.reduce((sum, r) => sum + r.cost, 0);
 
-        return hourlyData.map(data => ({
-            hour: data.hour,
-            requests: data.requests,
-            cost: data.cost,
-            percentage: totalRequests > 0 ? (data.requests / totalRequests) * 100 : 0,
-            cost_percentage: totalCost > 0 ? (data.cost / totalCost) * 100 : 0
-        }));
+        return this.buildDistribution(hourlyData, totalRequests, totalCost);
     }
 
     /**
@@ -107,8 +110,7 @@ class UsagePatternAnalyzer {
 
         for (const record of records) {
             try {
-                const date = new Date(record.date);
-                const day = date.getUTCDay();
+                const day = record.getDayOfWeek();
                 dailyData[day].requests += 1;
                 dailyData[day].cost += record.cost;
             } catch (e) {
@@ -120,13 +122,23 @@ class UsagePatternAnalyzer {
         const totalRequests = records.length;
         const totalCost = records.reduce((sum, r) => sum + r.cost, 0);
 
-        return dailyData.map(data => ({
-            day: data.day,
-            dayName: data.dayName,
-            requests: data.requests,
-            cost: data.cost,
-            percentage: totalRequests > 0 ? (data.requests / totalRequests) * 100 : 0,
-            cost_percentage: totalCost > 0 ? (data.cost / totalCost) * 100 : 0
+        return this.buildDistribution(dailyData, totalRequests, totalCost);
+    }
+
+    /**
+     * Adds each bucket's share of all requests and of the total cost
+     * @param {Object[]} buckets - Hour or weekday buckets with requests and cost
+     * @param {number} totalRequests - Requests of all records
+     * @param {number} totalCost - Cost of all records
+     * @returns {Array} Buckets with percentage and cost_percentage
+     */
+    buildDistribution(buckets, totalRequests, totalCost) {
+        return buckets.map(({ requests, cost, ...bucket }) => ({
+            ...bucket,
+            requests,
+            cost,
+            percentage: totalRequests > 0 ? (requests / totalRequests) * 100 : 0,
+            cost_percentage: totalCost > 0 ? (cost / totalCost) * 100 : 0
         }));
     }
 
@@ -160,8 +172,7 @@ class UsagePatternAnalyzer {
 
         for (const record of records) {
             try {
-                const date = new Date(record.date);
-                const dayKey = date.toISOString().split('T')[0];
+                const dayKey = record.getDateOnly();
 
                 if (!dailyCosts[dayKey]) {
                     dailyCosts[dayKey] = {
@@ -178,7 +189,15 @@ class UsagePatternAnalyzer {
             }
         }
 
-        const days = Object.values(dailyCosts);
+        return this.findSprints(Object.values(dailyCosts));
+    }
+
+    /**
+     * Picks the sprint days out of per-day totals
+     * @param {Object[]} days - [{ date, cost, requests }], one per day with usage
+     * @returns {Array} Up to five sprint days, most expensive first
+     */
+    findSprints(days) {
         const daysCount = days.length;
 
         if (daysCount === 0) {
@@ -220,6 +239,18 @@ class UsagePatternAnalyzer {
      * @returns {Object} Work style information
      */
     identifyWorkStyle(hourlyDistribution, dailyDistribution, records, costSummary) {
+        return this.classifyWorkStyle(hourlyDistribution, dailyDistribution, this.getDailyCosts(records), costSummary);
+    }
+
+    /**
+     * Identifies work style characteristics from distributions and per-day costs
+     * @param {Array} hourlyDistribution - Hourly distribution
+     * @param {Array} dailyDistribution - Daily distribution
+     * @param {number[]} dailyCosts - Cost of each day with usage
+     * @param {Object} costSummary - Summary statistics
+     * @returns {WorkStyle} Work style information
+     */
+    classifyWorkStyle(hourlyDistribution, dailyDistribution, dailyCosts, costSummary) {
         const characteristics = [];
         const styles = [];
 
@@ -241,7 +272,6 @@ class UsagePatternAnalyzer {
 
         // Check for sprint worker (usage in bursts, high variance)
         const days = costSummary.period.days || 1;
-        const dailyCosts = this.getDailyCosts(records);
         const variance = this.calculateVariance(dailyCosts);
         const avgDailyCost = dailyCosts.reduce((sum, c) => sum + c, 0) / dailyCosts.length;
         const coefficientOfVariation = avgDailyCost > 0 ? Math.sqrt(variance) / avgDailyCost : 0;
@@ -283,8 +313,7 @@ class UsagePatternAnalyzer {
 
         for (const record of records) {
             try {
-                const date = new Date(record.date);
-                const dayKey = date.toISOString().split('T')[0];
+                const dayKey = record.getDateOnly();
                 dailyCosts[dayKey] = (dailyCosts[dayKey] || 0) + record.cost;
             } catch (e) {
                 continue;
@@ -384,5 +413,95 @@ class UsagePatternAnalyzer {
     }
 }
 
+/**
+ * Streaming counterpart of UsagePatternAnalyzer.analyze (see UsagePatternAnalyzer.createAccumulator)
+ */
+class UsagePatternAccumulator {
+    /**
+     * @param {UsagePatternAnalyzer} analyzer - Analyzer whose builders shape the result
+     */
+    constructor(analyzer) {
+        const dayNames = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+        this.analyzer = analyzer;
+        this.hourlyData = Array(24).fill(null).map((_, hour) => ({ hour, requests: 0, cost: 0 }));
+        this.dailyData = dayNames.map((dayName, day) => ({ day, dayName, requests: 0, cost: 0 }));
+        this.days = {};
+        this.totalRequests = 0;
+        this.totalCost = 0;
+    }
+
+    /**
+     * Adds one record to the hourly, weekday and per-day totals
+     * @param {UsageRecord} record - Usage record
+     */
+    add(record) {
+        this.totalRequests += 1;
+        this.totalCost += record.cost;
+
+        // Records with invalid dates count toward the totals only, as in the batch analysis
+        try {
+            const hour = this.hourlyData[record.getHour()];
+            hour.requests += 1;
+            hour.cost += record.cost;
+        } catch (e) {
+            // Skip invalid dates
+        }
+        try {
+            const day = this.dailyData[record.getDayOfWeek()];
+            day.requests += 1;
+            day.cost += record.cost;
+        } catch (e) {
+            // Skip invalid dates
+        }
+        try {
+            const date = record.getDateOnly();
+            const day = (this.days[date] ||= { date, cost: 0, requests: 0 });
+            day.cost += record.cost;
+            day.requests += 1;
+        } catch (e) {
+            // Skip invalid dates
+        }
+    }
+
+    /**
+     * @param {Object} costSummary - Summary statistics from cost analysis
+     * @returns {Object} Same result as UsagePatternAnalyzer.analyze on the added records
+     */
+    finish(costSummary) {
+        if (this.totalRequests === 0) {
+            throw new Error('Records array cannot be empty');
+        }
+
+        const analyzer = this.analyzer;
+        const days = Object.values(this.days);
+        const hourlyDistribution = analyzer.buildDistribution(this.hourlyData, this.totalRequests, this.totalCost);
+        const dailyDistribution = analyzer.buildDistribution(this.dailyData, this.totalRequests, this.totalCost);
+        const peakHours = analyzer.identifyPeakHours(hourlyDistribution);
+        const sprints = analyzer.findSprints(days);
+        const workStyle = analyzer.classifyWorkStyle(
+            hourlyDistribution,
+            dailyDistribution,
+            days.map(d => d.cost),
+            costSummary
+        );
+
+        return {
+            hourly_distribution: hourlyDistribution,
+            daily_distribution: dailyDistribution,
+            peak_hours: peakHours,
+            sprints,
+            work_style: workStyle.toObject(),
+            recommendations: analyzer.generatePatternRecommendations(
+                workStyle,
+                peakHours,
+                sprints,
+                dailyDistribution,
+                costSummary
+            )
+        };
+    }
+}
+
 export { UsagePatternAnalyzer, WORK_STYLES };
 
@@ -0,0 +1,121 @@
+/**
+ * Per-user breakdown for Cursor team-admin exports
+ * Groups one export by its user column and reports each seat's cost, models
+ * and cache rate, and whether the seat should move to another plan
+ * Pure JavaScript - no external dependencies
+ */
+
+import { CostAnalyzer } from './cost.js';
+import { CacheEfficiencyAnalyzer } from './cache-efficiency.js';
+import { PlanOptimizer } from './plan-optimization.js';
+
+/**
+ * What to do with a user's seat
+ */
+const SEAT_ACTIONS = {
+    UPGRADE: 'upgrade',
+    DOWNGRADE: 'downgrade',
+    KEEP: 'keep'
+};
+
+/**
+ * Label for records without a user in an export that has a user column
+ */
+const UNASSIGNED_USER = '(unassigned)';
+
+class UserBreakdownAnalyzer {
+    /**
+     * Breaks the records down by user
+     * @param {UsageRecord[]} records - Array of usage records
+     * @param {Object} [options] - { billing, currentPlan } (see billing-cycles.js); a configured
+     *   current plan is every seat's plan, otherwise each seat's plan is detected
+     * @returns {Object|null} Per-user breakdown, most expensive user first,
+     *   or null when no record carries a user
+     */
+    analyze(records, options = {}) {
+        if (!records || records.length === 0) {
+            throw new Error('Records array cannot be empty');
+        }
+
+        if (!records.some(r => r.user)) {
+            return null;
+        }
+
+        const byUser = new Map();
+        for (const record of records) {
+            const user = record.user || UNASSIGNED_USER;
+            if (!byUser.has(user)) {
+                byUser.set(user, []);
+            }
+            byUser.get(user).push(record);
+        }
+
+        const totalCost = records.reduce((sum, r) => sum + r.cost, 0);
+        const users = Array.from(byUser.entries())
+            .map(([user, userRecords]) => this.analyzeUser(user, userRecords, totalCost, options))
+            .sort((a, b) => b.total_cost - a.total_cost);
+
+        const countAction = action => users.filter(u => u.seat.action === action).length;
+
+        return {
+            user_count: users.filter(u => u.user !== UNASSIGNED_USER).length,
+            unassigned_requests: byUser.has(UNASSIGNED_USER) ? byUser.get(UNASSIGNED_USER).length : 0,
+            users,
+            seat_changes: {
+                upgrade: countAction(SEAT_ACTIONS.UPGRADE),
+                downgrade: countAction(SEAT_ACTIONS.DOWNGRADE),
+                keep: countAction(SEAT_ACTIONS.KEEP),
+                savings_monthly: users.reduce((sum, u) => sum + Math.max(0, u.seat.savings_monthly), 0)
+            }
+        };
+    }
+
+    /**
+     * Summarizes one user's records and recommends a plan for their seat
+     * @param {string} user - User identifier
+     * @param {UsageRecord[]} records - The user's records
+     * @param {number} totalCost - Cost of the whole export
+     * @param {Object} options - { billing, currentPlan }
+     * @returns {Object} User breakdown
+     */
+    analyzeUser(user, records, totalCost, options) {
+        const costAnalysis = new CostAnalyzer().analyze(records, options);
+        const { summary } = costAnalysis;
+        const cacheMetrics = new CacheEfficiencyAnalyzer().calculateCacheMetrics(records);
+        const plan = new PlanOptimizer().analyze(records, summary, { currentPlan: options.currentPlan, seats: 1 });
+        const recommendation = plan.recommendation;
+
+        let action = SEAT_ACTIONS.KEEP;
+        if (recommendation.is_upgrade) {
+            action = SEAT_ACTIONS.UPGRADE;
+        } else if (recommendation.is_downgrade) {
+            action = SEAT_ACTIONS.DOWNGRADE;
+        }
+
+        return {
+            user,
+            total_cost: summary.cost.total,
+            cost_percentage: totalCost > 0 ? (summary.cost.total / totalCost) * 100 : 0,
+            monthly_cost: plan.actual_monthly_cost,
+            total_requests: summary.usage.total_requests,
+            cost_per_request: summary.cost.total / summary.usage.total_requests,
+            cache_hit_rate: cacheMetrics.cache_hit_rate,
+            models: costAnalysis.breakdown_by_model.map(m => ({
+                model: m.model,
+                total_cost: m.total_cost,
+                request_count: m.request_count,
+                percentage: m.percentage
+            })),
+            seat: {
+                current_plan: recommendation.current_plan,
+                recommended_plan: recommendation.recommended_plan,
+                action,
+                recommended_cost: recommendation.recommended_cost,
+                savings_monthly: recommendation.savings_monthly,
+                confidence: recommendation.confidence
+            }
+        };
+    }
+}
+
+export { UserBreakdownAnalyzer, SEAT_ACTIONS, UNASSIGNED_USER };
@@ -0,0 +1,264 @@
+/**
+ * Billing-cycle modeling for Cursor usage data
+ * Splits usage into real billing cycles and projects costs to a month
+ * Pure JavaScript - no external dependencies
+ */
+
+/**
+ * How days are counted when projecting partial data to a month
+ * - calendar: every day from the first to the last record counts (default)
+ * - active: only days with at least one request count
+ */
+export const DAY_BASIS = {
+    CALENDAR: 'calendar',
+    ACTIVE: 'active'
+};
+
+/**
+ * Days in a projected month when no cycle length is known
+ */
+export const DAYS_PER_MONTH = 30;
+
+/**
+ * Default billing options: cycles start on the 1st, projections use calendar days
+ */
+export const DEFAULT_BILLING_OPTIONS = {
+    cycleStartDay: 1,
+    dayBasis: DAY_BASIS.CALENDAR
+};
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Validates billing options and fills in defaults
+ * @param {Object} [options] - { cycleStartDay?: 1-31, dayBasis?: 'calendar'|'active' }
+ * @returns {Object} Normalized billing options
+ */
+export function normalizeBillingOptions(options = {}) {
+    const cycleStartDay = options.cycleStartDay ?? DEFAULT_BILLING_OPTIONS.cycleStartDay;
+    const dayBasis = options.dayBasis ?? DEFAULT_BILLING_OPTIONS.dayBasis;
+
+    if (!Number.isInteger(cycleStartDay) || cycleStartDay < 1 || cycleStartDay > 31) {
+        throw new Error(`Billing cycle start day must be an integer from 1 to 31, got: ${cycleStartDay}`);
+    }
+
+    if (!Object.values(DAY_BASIS).includes(dayBasis)) {
+        throw new Error(`Day basis must be one of: ${Object.values(DAY_BASIS).join(', ')}, got: ${dayBasis}`);
+    }
+
+    return { cycleStartDay, dayBasis };
+}
+
+/**
+ * Converts a YYYY-MM-DD string to a UTC day number
+ * @param {string} dateOnly - Date as YYYY-MM-DD
+ * @returns {number} Days since the epoch
+ */
+function toDayNumber(dateOnly) {
+    return Math.round(Date.parse(`${dateOnly}T00:00:00Z`) / MS_PER_DAY);
+}
+
+/**
+ * Formats a UTC year/month/day as YYYY-MM-DD (month is 0-based and may overflow)
+ * @returns {string} Date as YYYY-MM-DD
+ */
+function formatDate(year, month, day) {
+    return new Date(Date.UTC(year, month, day)).toISOString().split('T')[0];
+}
+
+/**
+ * Gets the day a cycle starts in a given month, clamped to the month's length
+ * (a cycle starting on the 31st starts on the 30th in April)
+ * @returns {number} Day of month
+ */
+function cycleAnchorDay(year, month, cycleStartDay) {
+    const daysInMonth = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+    return Math.min(cycleStartDay, daysInMonth);
+}
+
+/**
+ * Counts calendar days from start to end, both inclusive
+ * @param {string} start - YYYY-MM-DD
+ * @param {string} end - YYYY-MM-DD
+ * @returns {number} Number of days
+ */
+export function countCalendarDays(start, end) {
+    if (!start || !end) {
+        return 0;
+    }
+    return toDayNumber(end) - toDayNumber(start) + 1;
+}
+
+/**
+ * Adds days to a date
+ * @param {string} dateOnly - YYYY-MM-DD
+ * @param {number} days - Days to add (may be negative)
+ * @returns {string} Date as YYYY-MM-DD
+ */
+export function addDays(dateOnly, days) {
+    const [year, month, day] = dateOnly.split('-').map(Number);
+    return formatDate(year, month - 1, day + days);
+}
+
+/**
+ * Finds the billing cycle containing a date
+ * @param {string} dateOnly - Date as YYYY-MM-DD
+ * @param {number} cycleStartDay - Day of month cycles start on (1-31)
+ * @returns {Object} { start, end } as YYYY-MM-DD, both inclusive
+ */
+export function getBillingCycle(dateOnly, cycleStartDay = DEFAULT_BILLING_OPTIONS.cycleStartDay) {
+    const [year, month, day] = dateOnly.split('-').map(Number);
+    const monthIndex = month - 1;
+
+    // Cycle started this month if we're past the anchor, otherwise last month
+    const startMonth = day >= cycleAnchorDay(year, monthIndex, cycleStartDay) ? monthIndex : monthIndex - 1;
+    const startDate = new Date(Date.UTC(year, startMonth, 1));
+    const startYear = startDate.getUTCFullYear();
+    const startMonthIndex = startDate.getUTCMonth();
+
+    const start = formatDate(startYear, startMonthIndex, cycleAnchorDay(startYear, startMonthIndex, cycleStartDay));
+
+    // Cycle ends the day before the next cycle's anchor (day 0 rolls back a month)
+    const nextDate = new Date(Date.UTC(startYear, startMonthIndex + 1, 1));
+    const nextYear = nextDate.getUTCFullYear();
+    const nextMonthIndex = nextDate.getUTCMonth();
+    const end = formatDate(nextYear, nextMonthIndex, cycleAnchorDay(nextYear, nextMonthIndex, cycleStartDay) - 1);
+
+    return { start, end };
+}
+
+/**
+ * Gets the number of days the projection divides by for a period
+ * @param {Object} period - Cost summary period ({ days, active_days?, calendar_days?, day_basis? })
+ * @returns {number} Days the observed cost was spread over
+ */
+export function getBasisDays(period) {
+    if (!period) {
+        return DAYS_PER_MONTH;
+    }
+
+    const activeDays = period.active_days || period.days;
+    const basisDays = period.day_basis === DAY_BASIS.ACTIVE
+        ? activeDays
+        : (period.calendar_days || activeDays);
+
+    return basisDays || DAYS_PER_MONTH;
+}
+
+/**
+ * Projects an amount observed over a period to a month
+ * With the calendar basis, idle days count, so part-time usage is not inflated
+ * @param {number} amount - Amount observed over the period (cost, savings, ...)
+ * @param {Object} period - Cost summary period
+ * @returns {number} Projected monthly amount
+ */
+export function projectMonthly(amount, period) {
+    return (amount / getBasisDays(period)) * DAYS_PER_MONTH;
+}
+
+/**
+ * Splits records into the billing cycles they fall in
+ *
+ * Each cycle reports its actual total. Cycles the data only partly covers
+ * (usually the first and last) are also projected to the full cycle length,
+ * using calendar or active days as configured.
+ *
+ * @param {UsageRecord[]} records - Array of usage records
+ * @param {Object} [options] - Billing options (see normalizeBillingOptions)
+ * @returns {Object[]} Cycles in chronological order
+ */
+export function splitIntoCycles(records, options = {}) {
+    const accumulator = createCycleAccumulator(options);
+    (records || []).forEach(record => accumulator.add(record));
+    return accumulator.finish();
+}
+
+/**
+ * Creates an accumulator that splits records into cycles one record at a time
+ * Records may arrive in any order; finish() gives the same cycles as splitIntoCycles.
+ * @param {Object} [options] - Billing options (see normalizeBillingOptions)
+ * @returns {CycleAccumulator} Accumulator with add(record) and finish()
+ */
+export function createCycleAccumulator(options = {}) {
+    return new CycleAccumulator(normalizeBillingOptions(options));
+}
+
+/**
+ * Running per-cycle totals behind splitIntoCycles (see createCycleAccumulator)
+ */
+class CycleAccumulator {
+    /**
+     * @param {Object} billing - Normalized billing options
+     */
+    constructor({ cycleStartDay, dayBasis }) {
+        this.cycleStartDay = cycleStartDay;
+        this.dayBasis = dayBasis;
+        this.cycles = new Map();
+        this.dataStart = null;
+        this.dataEnd = null;
+    }
+
+    /**
+     * Adds one record to its cycle's totals
+     * @param {UsageRecord} record - Usage record
+     */
+    add(record) {
+        const dateOnly = record.getDateOnly();
+        const { start, end } = getBillingCycle(dateOnly, this.cycleStartDay);
+
+        if (!this.cycles.has(start)) {
+            this.cycles.set(start, { start, end, cost: 0, requests: 0, onDemandRequests: 0, activeDates: new Set() });
+        }
+
+        const cycle = this.cycles.get(start);
+        cycle.cost += record.cost;
+        cycle.requests += 1;
+        if (record.isOnDemand()) {
+            cycle.onDemandRequests += 1;
+        }
+        cycle.activeDates.add(dateOnly);
+
+        if (this.dataStart === null || dateOnly < this.dataStart) {
+            this.dataStart = dateOnly;
+        }
+        if (this.dataEnd === null || dateOnly > this.dataEnd) {
+            this.dataEnd = dateOnly;
+        }
+    }
+
+    /**
+     * @returns {Object[]} Cycles in chronological order (see splitIntoCycles)
+     */
+    finish() {
+        const { dataStart, dataEnd } = this;
+
+        return Array.from(this.cycles.values())
+            .sort((a, b) => a.start.localeCompare(b.start))
+            .map(cycle => {
+                const lengthDays = countCalendarDays(cycle.start, cycle.end);
+                const coveredDays = countCalendarDays(
+                    cycle.start > dataStart ? cycle.start : dataStart,
+                    cycle.end < dataEnd ? cycle.end : dataEnd
+                );
+                const activeDays = cycle.activeDates.size;
+                const complete = coveredDays === lengthDays;
+                const basisDays = this.dayBasis === DAY_BASIS.ACTIVE ? activeDays : coveredDays;
+                const scale = complete ? 1 : lengthDays / basisDays;
+
+                return {
+                    start: cycle.start,
+                    end: cycle.end,
+                    length_days: lengthDays,
+                    covered_days: coveredDays,
+                    active_days: activeDays,
+                    complete,
+                    actual_cost: cycle.cost,
+                    projected_cost: cycle.cost * scale,
+                    request_count: cycle.requests,
+                    projected_requests: cycle.requests * scale,
+                    on_demand_requests: cycle.onDemandRequests,
+                    projected_on_demand_requests: cycle.onDemandRequests * scale
+                };
+            });
+    }
+}
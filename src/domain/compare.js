@@ -0,0 +1,331 @@
+/**
+ * Side-by-side comparison of two analyses for Cursor usage data
+ * Compares two record sets, two periods of one record set, or two saved
+ * analysis results, and flags each metric change as an improvement or regression
+ * Pure JavaScript - no external dependencies
+ */
+
+import { AnalysisEngine } from './analyzer.js';
+import { normalizeTimezone, applyTimezone } from './timezone.js';
+import { projectMonthly } from './billing-cycles.js';
+
+/**
+ * How a metric change is judged
+ * - improved / regressed: the metric moved in a better / worse direction
+ * - unchanged: the change is within the tolerance
+ * - changed: the metric has no better direction (e.g. model mix)
+ */
+const CHANGE_STATUS = {
+    IMPROVED: 'improved',
+    REGRESSED: 'regressed',
+    UNCHANGED: 'unchanged',
+    CHANGED: 'changed'
+};
+
+/**
+ * Relative changes below this percentage count as unchanged
+ */
+const DEFAULT_TOLERANCE_PERCENTAGE = 1;
+
+/**
+ * Model mix shifts below this many percentage points count as unchanged
+ */
+const MIX_TOLERANCE_POINTS = 1;
+
+class ComparisonEngine {
+    constructor() {
+        this.engine = new AnalysisEngine();
+    }
+
+    /**
+     * Analyzes two record sets and compares them
+     * @param {UsageRecord[]} baselineRecords - Records of the earlier / reference period
+     * @param {UsageRecord[]} currentRecords - Records of the period to judge
+     * @param {Object} [options] - Analysis options passed to both runs ({ billing, seats, timezone })
+     * @returns {Object} Baseline and current analyses with their comparison
+     */
+    compareRecords(baselineRecords, currentRecords, options = {}) {
+        if (!baselineRecords || baselineRecords.length === 0) {
+            throw new Error('Baseline has no records');
+        }
+        if (!currentRecords || currentRecords.length === 0) {
+            throw new Error('Current has no records');
+        }
+
+        const baseline = this.engine.analyze(baselineRecords, options);
+        const current = this.engine.analyze(currentRecords, options);
+
+        return {
+            comparison: this.compare(baseline, current),
+            baseline,
+            current
+        };
+    }
+
+    /**
+     * Splits one record set into two date ranges and compares them
+     * @param {UsageRecord[]} records - Array of usage records
+     * @param {Object} baselineRange - { start, end } as YYYY-MM-DD, both inclusive
+     * @param {Object} currentRange - { start, end } as YYYY-MM-DD, both inclusive
+     * @param {Object} [options] - Analysis options passed to both runs
+     * @returns {Object} Baseline and current analyses with their comparison
+     */
+    comparePeriods(records, baselineRange, currentRange, options = {}) {
+        // Period days are days in the analysis time zone
+        const zonedRecords = applyTimezone(records, normalizeTimezone(options.timezone));
+        const inRange = range => zonedRecords.filter(r => {
+            const date = r.getDateOnly();
+            return date >= range.start && date <= range.end;
+        });
+
+        const baselineRecords = inRange(baselineRange);
+        const currentRecords = inRange(currentRange);
+
+        if (baselineRecords.length === 0) {
+            throw new Error(`No records between ${baselineRange.start} and ${baselineRange.end}`);
+        }
+        if (currentRecords.length === 0) {
+            throw new Error(`No records between ${currentRange.start} and ${currentRange.end}`);
+        }
+
+        return this.compareRecords(baselineRecords, currentRecords, options);
+    }
+
+    /**
+     * Compares two analysis results metric by metric
+     * Works on fresh results and on results saved with --json, including
+     * streaming results, which have no plan recommendation.
+     * @param {Object} baseline - Baseline analysis result
+     * @param {Object} current - Current analysis result
+     * @returns {Object} Metric deltas, each flagged with a change status;
+     *   plan_recommendation is null unless both sides have one
+     */
+    compare(baseline, current) {
+        if (!this.isAnalysisResult(baseline) || !this.isAnalysisResult(current)) {
+            throw new Error('Both sides of a comparison must be analysis results');
+        }
+
+        const lowerIsBetter = (baselineValue, currentValue) =>
+            this.delta(baselineValue, currentValue, { lowerIsBetter: true });
+
+        return {
+            periods: {
+                baseline: baseline.summary.period,
+                current: current.summary.period
+            },
+            filters: {
+                baseline: baseline.metadata?.filters ?? null,
+                current: current.metadata?.filters ?? null
+            },
+            total_cost: lowerIsBetter(baseline.summary.cost.total, current.summary.cost.total),
+            daily_average_cost: lowerIsBetter(baseline.summary.cost.daily_average, current.summary.cost.daily_average),
+            monthly_cost: lowerIsBetter(this.monthlyCost(baseline), this.monthlyCost(current)),
+            cost_per_request: lowerIsBetter(this.costPerRequest(baseline), this.costPerRequest(current)),
+            cache_hit_rate: this.delta(
+                baseline.cache_efficiency.metrics.cache_hit_rate,
+                current.cache_efficiency.metrics.cache_hit_rate,
+                { lowerIsBetter: false }
+            ),
+            error_rate: lowerIsBetter(this.errorRate(baseline), this.errorRate(current)),
+            cost_by_model: this.compareModels(baseline, current),
+            model_mix: this.compareModelMix(baseline, current),
+            plan_recommendation: this.comparePlans(baseline.plan_recommendation, current.plan_recommendation)
+        };
+    }
+
+    /**
+     * Compares the recommended plan on both sides
+     * @param {Object|null} baselinePlan - Baseline plan recommendation
+     * @param {Object|null} currentPlan - Current plan recommendation
+     * @returns {Object|null} Plans and recommended cost delta, or null if either side has no recommendation
+     */
+    comparePlans(baselinePlan, currentPlan) {
+        if (!baselinePlan || !currentPlan) {
+            return null;
+        }
+
+        return {
+            baseline: baselinePlan.recommended_plan,
+            current: currentPlan.recommended_plan,
+            changed: baselinePlan.recommended_plan !== currentPlan.recommended_plan,
+            recommended_cost: this.delta(baselinePlan.recommended_cost, currentPlan.recommended_cost, { lowerIsBetter: true })
+        };
+    }
+
+    /**
+     * Compares cost per model; models used on one side only compare against zero
+     * @param {Object} baseline - Baseline analysis result
+     * @param {Object} current - Current analysis result
+     * @returns {Object[]} Per-model deltas, biggest increase first
+     */
+    compareModels(baseline, current) {
+        const baselineModels = this.byModel(baseline);
+        const currentModels = this.byModel(current);
+        const models = new Set([...Object.keys(baselineModels), ...Object.keys(currentModels)]);
+
+        return Array.from(models)
+            .map(model => ({
+                model,
+                ...this.delta(
+                    baselineModels[model] ? baselineModels[model].total_cost : 0,
+                    currentModels[model] ? currentModels[model].total_cost : 0,
+                    { lowerIsBetter: true }
+                )
+            }))
+            .sort((a, b) => b.difference - a.difference);
+    }
+
+    /**
+     * Compares each model's share of requests, in percentage points
+     * @param {Object} baseline - Baseline analysis result
+     * @param {Object} current - Current analysis result
+     * @returns {Object[]} Per-model shares, biggest shift first
+     */
+    compareModelMix(baseline, current) {
+        const share = analysisResult => {
+            const total = analysisResult.summary.usage.total_requests || 1;
+            const shares = {};
+            for (const item of analysisResult.cost_analysis.breakdown_by_model) {
+                shares[item.model] = (item.request_count / total) * 100;
+            }
+            return shares;
+        };
+
+        const baselineShares = share(baseline);
+        const currentShares = share(current);
+        const models = new Set([...Object.keys(baselineShares), ...Object.keys(currentShares)]);
+
+        return Array.from(models)
+            .map(model => {
+                const baselineShare = baselineShares[model] || 0;
+                const currentShare = currentShares[model] || 0;
+                const points = currentShare - baselineShare;
+                return {
+                    model,
+                    baseline_share: baselineShare,
+                    current_share: currentShare,
+                    difference_points: points,
+                    status: Math.abs(points) < MIX_TOLERANCE_POINTS ? CHANGE_STATUS.UNCHANGED : CHANGE_STATUS.CHANGED
+                };
+            })
+            .sort((a, b) => Math.abs(b.difference_points) - Math.abs(a.difference_points));
+    }
+
+    /**
+     * Builds a delta between two values and judges its direction
+     * @param {number} baselineValue - Baseline value
+     * @param {number} currentValue - Current value
+     * @param {Object} options - { lowerIsBetter }
+     * @returns {Object} { baseline, current, difference, difference_percentage, status }
+     */
+    delta(baselineValue, currentValue, { lowerIsBetter }) {
+        const baselineNumber = baselineValue || 0;
+        const currentNumber = currentValue || 0;
+        const difference = currentNumber - baselineNumber;
+        const differencePercentage = baselineNumber !== 0
+            ? (difference / Math.abs(baselineNumber)) * 100
+            : (difference !== 0 ? 100 * Math.sign(difference) : 0);
+
+        let status = CHANGE_STATUS.UNCHANGED;
+        if (Math.abs(differencePercentage) >= DEFAULT_TOLERANCE_PERCENTAGE) {
+            const better = lowerIsBetter ? difference < 0 : difference > 0;
+            status = better ? CHANGE_STATUS.IMPROVED : CHANGE_STATUS.REGRESSED;
+        }
+
+        return {
+            baseline: baselineNumber,
+            current: currentNumber,
+            difference,
+            difference_percentage: differencePercentage,
+            status
+        };
+    }
+
+    byModel(analysisResult) {
+        const models = {};
+        for (const item of analysisResult.cost_analysis.breakdown_by_model) {
+            models[item.model] = item;
+        }
+        return models;
+    }
+
+    /**
+     * Projects the analyzed spend to a month, as the plan recommendation does
+     * Taken from the summary, so results without a plan recommendation compare too
+     * @param {Object} analysisResult - Analysis result
+     * @returns {number} Monthly cost
+     */
+    monthlyCost(analysisResult) {
+        return projectMonthly(analysisResult.summary.cost.total, analysisResult.summary.period);
+    }
+
+    costPerRequest(analysisResult) {
+        const requests = analysisResult.summary.usage.total_requests;
+        return requests > 0 ? analysisResult.summary.cost.total / requests : 0;
+    }
+
+    errorRate(analysisResult) {
+        const requests = analysisResult.summary.usage.total_requests;
+        const errored = analysisResult.cost_analysis.breakdown_by_type.errored.request_count;
+        return requests > 0 ? (errored / requests) * 100 : 0;
+    }
+
+    isAnalysisResult(value) {
+        return Boolean(value && value.summary && value.cost_analysis && value.cache_efficiency);
+    }
+}
+
+/**
+ * Parses a date range from its command-line form
+ * Format: "<start>..<end>" with dates as YYYY-MM-DD, both inclusive
+ * @param {string} text - Range text
+ * @returns {Object} { start, end }
+ */
+export function parseDateRange(text) {
+    const match = /^(\d{4}-\d{2}-\d{2})\.\.(\d{4}-\d{2}-\d{2})$/.exec(String(text).trim());
+    if (!match || isNaN(Date.parse(match[1])) || isNaN(Date.parse(match[2]))) {
+        throw new Error(`Invalid period "${text}" - expected <YYYY-MM-DD>..<YYYY-MM-DD>`);
+    }
+    if (match[1] > match[2]) {
+        throw new Error(`Invalid period "${text}" - start is after end`);
+    }
+    return { start: match[1], end: match[2] };
+}
+
+// Export singleton instance
+const comparisonEngine = new ComparisonEngine();
+
+/**
+ * Compares two analysis results - public API
+ * @param {Object} baseline - Baseline analysis result
+ * @param {Object} current - Current analysis result
+ * @returns {Object} Metric deltas
+ */
+export function compareAnalyses(baseline, current) {
+    return comparisonEngine.compare(baseline, current);
+}
+
+/**
+ * Analyzes and compares two record sets - public API
+ * @param {UsageRecord[]} baselineRecords - Baseline records
+ * @param {UsageRecord[]} currentRecords - Current records
+ * @param {Object} [options] - Analysis options ({ billing, seats, timezone })
+ * @returns {Object} Baseline and current analyses with their comparison
+ */
+export function compareRecords(baselineRecords, currentRecords, options = {}) {
+    return comparisonEngine.compareRecords(baselineRecords, currentRecords, options);
+}
+
+/**
+ * Compares two date ranges of one record set - public API
+ * @param {UsageRecord[]} records - Array of usage records
+ * @param {Object} baselineRange - { start, end }
+ * @param {Object} currentRange - { start, end }
+ * @param {Object} [options] - Analysis options ({ billing, seats, timezone })
+ * @returns {Object} Baseline and current analyses with their comparison
+ */
+export function comparePeriods(records, baselineRange, currentRange, options = {}) {
+    return comparisonEngine.comparePeriods(records, baselineRange, currentRange, options);
+}
+
+export { ComparisonEngine, CHANGE_STATUS };
@@ -20,6 +20,17 @@ class DailyUsage {
         this.total_tokens = records.reduce((sum, r) => sum + r.totalTokens, 0);
     }
 
+    /**
+     * Adds one record to the aggregated stats without keeping the record,
+     * so a stream of records can be totaled in constant memory
+     * @param {UsageRecord} record - Usage record of this day
+     */
+    add(record) {
+        this.cost += record.cost;
+        this.request_count += 1;
+        this.total_tokens += record.totalTokens;
+    }
+
     /**
      * Calculates average cost per request for this day
      * @returns {number} Average cost per request
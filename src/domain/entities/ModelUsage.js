@@ -19,6 +19,20 @@ class ModelUsage {
         this.totalCacheRead = records.reduce((sum, r) => sum + r.cacheRead, 0);
     }
 
+    /**
+     * Adds one record to the aggregated stats without keeping the record,
+     * so a stream of records can be totaled in constant memory
+     * @param {UsageRecord} record - Usage record of this model
+     */
+    add(record) {
+        this.totalCost += record.cost;
+        this.requestCount += 1;
+        this.totalTokens += record.totalTokens;
+        this.totalInputTokens += record.input;
+        this.totalOutputTokens += record.output;
+        this.totalCacheRead += record.cacheRead;
+    }
+
     /**
      * Calculates cost per million tokens
      */
@@ -3,9 +3,21 @@
  * Encapsulates business logic for plan comparison and decision-making
  */
 
+import { getPlans } from '../models/plan-catalog.js';
+
+/**
+ * Ranks catalog plans by monthly fee (1 = cheapest) to tell upgrades from downgrades
+ * @returns {Object.<string, number>} Tier rank by plan name
+ */
+function getPlanTiers() {
+    const plans = [...getPlans()].sort((a, b) => a.monthlyFee - b.monthlyFee);
+    return Object.fromEntries(plans.map((plan, index) => [plan.name, index + 1]));
+}
+
 class PlanRecommendation {
     constructor(data) {
         this.current_plan = data.current_plan || 'Free';
+        this.current_cost = data.current_cost || 0;
         this.recommended_plan = data.recommended_plan || 'Free';
         this.recommended_cost = data.recommended_cost || 0;
         this.actual_monthly_cost = data.actual_monthly_cost || 0;
@@ -15,7 +27,6 @@ class PlanRecommendation {
         this.reasoning = data.reasoning || [];
         this.actions = data.actions || [];
         this.monthly_requests = data.monthly_requests || 0;
-        this.exceeds_pro_limit = data.exceeds_pro_limit || false;
     }
 
     /**
@@ -27,12 +38,12 @@ class PlanRecommendation {
     }
 
     /**
-     * Calculates savings percentage
+     * Calculates savings as a share of the current plan's simulated cost
      * @returns {number} Savings percentage (0-100)
      */
     getSavingsPercentage() {
-        if (this.actual_monthly_cost === 0) return 0;
-        return (this.savings_monthly / this.actual_monthly_cost) * 100;
+        if (this.current_cost === 0) return 0;
+        return (this.savings_monthly / this.current_cost) * 100;
     }
 
     /**
@@ -75,7 +86,7 @@ class PlanRecommendation {
      * @returns {boolean} True if recommended plan is higher tier
      */
     isUpgrade() {
-        const tiers = { 'Free': 1, 'Pro': 2, 'Ultra': 3 };
+        const tiers = getPlanTiers();
         return (tiers[this.recommended_plan] || 0) > (tiers[this.current_plan] || 0);
     }
 
@@ -84,7 +95,7 @@ class PlanRecommendation {
      * @returns {boolean} True if recommended plan is lower tier
      */
     isDowngrade() {
-        const tiers = { 'Free': 1, 'Pro': 2, 'Ultra': 3 };
+        const tiers = getPlanTiers();
         return (tiers[this.recommended_plan] || 0) < (tiers[this.current_plan] || 0);
     }
 
@@ -114,6 +125,7 @@ class PlanRecommendation {
     toObject() {
         return {
             current_plan: this.current_plan,
+            current_cost: this.current_cost,
             recommended_plan: this.recommended_plan,
             recommended_cost: this.recommended_cost,
             actual_monthly_cost: this.actual_monthly_cost,
@@ -127,8 +139,7 @@ class PlanRecommendation {
             should_act: this.shouldAct(),
             is_upgrade: this.isUpgrade(),
             is_downgrade: this.isDowngrade(),
-            monthly_requests: this.monthly_requests,
-            exceeds_pro_limit: this.exceeds_pro_limit
+            monthly_requests: this.monthly_requests
         };
     }
 }
@@ -19,6 +19,7 @@ class SavingsOpportunity {
         this.migration_percentage = data.migration_percentage;
         this.from_model = data.from_model;
         this.to_model = data.to_model;
+        this.model = data.model;
         this.current_error_rate = data.current_error_rate;
         this.target_error_rate = data.target_error_rate;
         this.current_cache_rate = data.current_cache_rate;
@@ -140,6 +141,7 @@ class SavingsOpportunity {
             migration_percentage: this.migration_percentage,
             from_model: this.from_model,
             to_model: this.to_model,
+            model: this.model,
             current_error_rate: this.current_error_rate,
             target_error_rate: this.target_error_rate,
             current_cache_rate: this.current_cache_rate,
@@ -3,6 +3,8 @@
  * Encapsulates business logic for usage records
  */
 
+import { getZonedParts } from '../timezone.js';
+
 class UsageRecord {
     constructor(data) {
         this.date = data.date;
@@ -11,8 +13,24 @@ class UsageRecord {
         this.cost = data.cost;
         this.totalTokens = data.totalTokens;
         this.cacheRead = data.cacheRead;
+        this.cacheWrite = data.cacheWrite || 0;
         this.input = data.input;
         this.output = data.output;
+        this.maxMode = data.maxMode === true;
+        // Who made the request (team-admin exports only), e.g. an email address
+        this.user = data.user || null;
+        // IANA zone that dates, hours and weekdays are bucketed in (null = the timestamp's UTC)
+        this.timezone = data.timezone || null;
+        this.zonedParts = undefined;
+    }
+
+    /**
+     * Copies this record with its dates bucketed in another time zone
+     * @param {string} timezone - Canonical IANA zone name (see normalizeTimezone)
+     * @returns {UsageRecord} Zoned copy
+     */
+    withTimezone(timezone) {
+        return new UsageRecord({ ...this.toObject(), timezone });
     }
 
     /**
@@ -37,6 +55,13 @@ class UsageRecord {
         return kind.includes('errored') || kind.includes('aborted');
     }
 
+    /**
+     * Checks if this request ran with Max Mode enabled
+     */
+    isMaxMode() {
+        return this.maxMode;
+    }
+
     /**
      * Calculates cost per million tokens
      */
@@ -61,10 +86,56 @@ class UsageRecord {
     }
 
     /**
-     * Gets the date portion (YYYY-MM-DD) without time
+     * Gets the date portion (YYYY-MM-DD) without time, in the record's time zone
      */
     getDateOnly() {
-        return this.date.split('T')[0];
+        const parts = this.getZonedParts();
+        return parts ? parts.date : this.date.split('T')[0];
+    }
+
+    /**
+     * Gets the hour of day (0-23) in the record's time zone (NaN for an invalid date)
+     */
+    getHour() {
+        const parts = this.getZonedParts();
+        return parts ? parts.hour : new Date(this.date).getUTCHours();
+    }
+
+    /**
+     * Gets the day of week (0-6, Sunday = 0) in the record's time zone (NaN for an invalid date)
+     */
+    getDayOfWeek() {
+        const parts = this.getZonedParts();
+        return parts ? parts.weekday : new Date(this.date).getUTCDay();
+    }
+
+    /**
+     * Gets (and caches) the date parts in the record's time zone
+     * @returns {Object|null} { date, hour, weekday }, or null without a zone or for an invalid date
+     */
+    getZonedParts() {
+        if (this.zonedParts === undefined) {
+            this.zonedParts = this.timezone ? getZonedParts(this.date, this.timezone) : null;
+        }
+        return this.zonedParts;
+    }
+
+    /**
+     * Builds a key identifying this event across overlapping exports
+     * (timestamp, user, model, kind and token counts)
+     */
+    getDedupKey() {
+        return [
+            this.date,
+            this.user || '',
+            this.model,
+            this.kind,
+            this.input,
+            this.output,
+            this.cacheRead,
+            this.cacheWrite,
+            this.totalTokens
+        ].join('|');
     }
 
     /**
@@ -94,8 +165,11 @@ class UsageRecord {
             cost: this.cost,
             totalTokens: this.totalTokens,
             cacheRead: this.cacheRead,
+            cacheWrite: this.cacheWrite,
             input: this.input,
-            output: this.output
+            output: this.output,
+            maxMode: this.maxMode,
+            user: this.user
         };
     }
 }
@@ -0,0 +1,191 @@
+/**
+ * Record filters applied in front of the analysis
+ * Narrows usage records to a date range, to models (by glob) and to kinds
+ * before any analyzer sees them
+ * Pure JavaScript - no external dependencies
+ */
+
+/**
+ * Validates filters and fills in defaults
+ * Filter shape: {since?, until?, models?, excludeModels?, kinds?}
+ *   - since / until: first and last day as YYYY-MM-DD, both inclusive, in the analysis time zone
+ *   - models: model globs to keep ("*" matches any run of characters, "?" one character)
+ *   - excludeModels: model globs to drop, applied after models
+ *   - kinds: kinds to keep, e.g. "On-Demand" or "Errored" (matches "Errored, Not Charged")
+ * Matching is case-insensitive. A single string is accepted wherever a list is.
+ * @param {Object} [filters] - Filters
+ * @returns {Object|null} Normalized filters, or null when nothing is filtered
+ */
+export function normalizeFilters(filters = {}) {
+    if (!filters) {
+        return null;
+    }
+
+    const normalized = {
+        since: normalizeDay(filters.since, 'since'),
+        until: normalizeDay(filters.until, 'until'),
+        models: normalizeList(filters.models, 'models'),
+        excludeModels: normalizeList(filters.excludeModels, 'excludeModels'),
+        kinds: normalizeList(filters.kinds, 'kinds')
+    };
+
+    if (normalized.since && normalized.until && normalized.since > normalized.until) {
+        throw new Error(`Invalid filters - since (${normalized.since}) is after until (${normalized.until})`);
+    }
+
+    const isEmpty = !normalized.since && !normalized.until &&
+        normalized.models.length === 0 && normalized.excludeModels.length === 0 && normalized.kinds.length === 0;
+    return isEmpty ? null : normalized;
+}
+
+/**
+ * Keeps the records that pass every filter
+ * Dates are compared with record.getDateOnly(), so records should already be
+ * in the analysis time zone (see applyTimezone).
+ * @param {UsageRecord[]} records - Array of usage records
+ * @param {Object|null} filters - Normalized filters (see normalizeFilters)
+ * @returns {UsageRecord[]} Matching records
+ * @throws {Error} If no record matches
+ */
+export function filterRecords(records, filters) {
+    if (!filters) {
+        return records;
+    }
+
+    const matching = records.filter(createRecordFilter(filters));
+    if (matching.length === 0) {
+        throw new Error(describeNoMatch(filters));
+    }
+    return matching;
+}
+
+/**
+ * Builds the predicate behind filterRecords, for records that arrive one at a time
+ * @param {Object|null} filters - Normalized filters (see normalizeFilters)
+ * @returns {function(UsageRecord): boolean} True for records that pass every filter
+ */
+export function createRecordFilter(filters) {
+    if (!filters) {
+        return () => true;
+    }
+
+    const models = filters.models.map(globToRegExp);
+    const excludeModels = filters.excludeModels.map(globToRegExp);
+    const kinds = filters.kinds.map(kind => kind.toLowerCase());
+
+    return record => {
+        if (filters.since || filters.until) {
+            const day = record.getDateOnly();
+            if ((filters.since && day < filters.since) || (filters.until && day > filters.until)) {
+                return false;
+            }
+        }
+        if (models.length > 0 && !models.some(pattern => pattern.test(record.model))) {
+            return false;
+        }
+        if (excludeModels.some(pattern => pattern.test(record.model))) {
+            return false;
+        }
+        return kinds.length === 0 || kinds.some(kind => matchesKind(record.kind, kind));
+    };
+}
+
+/**
+ * @param {Object} filters - Normalized filters
+ * @returns {string} Error message for filters that left no records
+ */
+export function describeNoMatch(filters) {
+    return `No records match the filters (${describeFilters(filters)})`;
+}
+
+/**
+ * Converts filters to their result form for metadata
+ * @param {Object|null} filters - Normalized filters
+ * @returns {Object|null} { since, until, models, exclude_models, kinds }, or null when unfiltered
+ */
+export function summarizeFilters(filters) {
+    if (!filters) {
+        return null;
+    }
+    return {
+        since: filters.since,
+        until: filters.until,
+        models: filters.models,
+        exclude_models: filters.excludeModels,
+        kinds: filters.kinds
+    };
+}
+
+/**
+ * @param {Object} filters - Normalized filters
+ * @returns {string} One-line description, e.g. "since 2025-11-01, model claude*"
+ */
+function describeFilters(filters) {
+    const parts = [];
+    if (filters.since) parts.push(`since ${filters.since}`);
+    if (filters.until) parts.push(`until ${filters.until}`);
+    if (filters.models.length > 0) parts.push(`model ${filters.models.join(' or ')}`);
+    if (filters.excludeModels.length > 0) parts.push(`excluding model ${filters.excludeModels.join(', ')}`);
+    if (filters.kinds.length > 0) parts.push(`kind ${filters.kinds.join(' or ')}`);
+    return parts.join(', ');
+}
+
+/**
+ * @param {string} kind - Record kind
+ * @param {string} wanted - Lowercased filter kind
+ * @returns {boolean} True if the kind, or its part before the first comma, is the wanted kind
+ */
+function matchesKind(kind, wanted) {
+    const normalized = String(kind || '').toLowerCase();
+    return normalized === wanted || normalized.split(',')[0].trim() === wanted;
+}
+
+/**
+ * @param {string} glob - Model glob
+ * @returns {RegExp} Case-insensitive regular expression matching the whole model name
+ */
+function globToRegExp(glob) {
+    const source = glob
+        .split('')
+        .map(char => {
+            if (char === '*') return '.*';
+            if (char === '?') return '.';
+            return char.replace(/[\\^$.+()[\]{}|]/g, '\\$&');
+        })
+        .join('');
+    return new RegExp(`^${source}$`, 'i');
+}
+
+/**
+ * @param {string} [value] - Day as YYYY-MM-DD
+ * @param {string} name - Filter name for error messages
+ * @returns {string|null} The day, or null when not given
+ */
+function normalizeDay(value, name) {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+    const day = String(value).trim();
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(day) || isNaN(Date.parse(day))) {
+        throw new Error(`Invalid ${name} date "${value}" - expected YYYY-MM-DD`);
+    }
+    return day;
+}
+
+/**
+ * @param {string|string[]} [value] - One value or a list
+ * @param {string} name - Filter name for error messages
+ * @returns {string[]} Trimmed, non-empty values
+ */
+function normalizeList(value, name) {
+    if (value === undefined || value === null) {
+        return [];
+    }
+    const list = Array.isArray(value) ? value : [value];
+    return list.map(item => {
+        if (typeof item !== 'string' || item.trim() === '') {
+            throw new Error(`Invalid ${name} filter - expected non-empty strings`);
+        }
+        return item.trim();
+    });
+}
@@ -0,0 +1,257 @@
+/**
+ * Plan catalog - Cursor subscription plans with their fees and allowances
+ * Based on: https://cursor.com/pricing
+ * Fees and allowances change over time; load your own catalog to override them.
+ */
+
+/**
+ * Plan catalog mapping plan names to their terms
+ * - monthlyFee: subscription fee per seat per month ($)
+ * - minSeats: minimum number of billed seats (team plans)
+ * - includedUsage: allowance per seat per month, either { dollars } of usage
+ *   at API prices or a number of { requests }
+ * - overage: how usage beyond the allowance is billed, either { costMultiplier }
+ *   applied to API-priced cost or { pricePerRequest }; omitted when usage is
+ *   capped at the allowance
+ */
+export const PLAN_CATALOG = {
+    'Free': {
+        name: 'Free',
+        description: 'Hobby tier with a small request allowance',
+        monthlyFee: 0,
+        includedUsage: { requests: 50 }
+    },
+
+    'Pro': {
+        name: 'Pro',
+        description: '$20 of included usage, usage-based billing beyond it',
+        monthlyFee: 20,
+        includedUsage: { dollars: 20 },
+        overage: { costMultiplier: 1 }
+    },
+
+    'Pro+': {
+        name: 'Pro+',
+        description: '$70 of included usage, usage-based billing beyond it',
+        monthlyFee: 60,
+        includedUsage: { dollars: 70 },
+        overage: { costMultiplier: 1 }
+    },
+
+    'Ultra': {
+        name: 'Ultra',
+        description: '$400 of included usage, usage-based billing beyond it',
+        monthlyFee: 200,
+        includedUsage: { dollars: 400 },
+        overage: { costMultiplier: 1 }
+    },
+
+    'Teams': {
+        name: 'Teams',
+        description: 'Per-seat plan with pooled usage and admin controls',
+        monthlyFee: 40,
+        includedUsage: { dollars: 20 },
+        overage: { costMultiplier: 1 }
+    },
+
+    'Business': {
+        name: 'Business',
+        description: 'Per-seat plan with SSO, audit logs and a larger pooled allowance',
+        monthlyFee: 60,
+        minSeats: 5,
+        includedUsage: { dollars: 40 },
+        overage: { costMultiplier: 1 }
+    }
+};
+
+/**
+ * Built-in catalog snapshot, used to undo user overrides
+ */
+const DEFAULT_PLAN_CATALOG = structuredClone(PLAN_CATALOG);
+
+/**
+ * Plan schema: field name -> expected type
+ */
+const PLAN_SCHEMA = {
+    name: 'string',
+    description: 'string',
+    monthlyFee: 'number',
+    minSeats: 'number',
+    includedUsage: 'object',
+    overage: 'object'
+};
+
+const INCLUDED_USAGE_FIELDS = ['dollars', 'requests'];
+const OVERAGE_FIELDS = ['costMultiplier', 'pricePerRequest'];
+
+/**
+ * Checks that an object holds exactly one of the allowed non-negative numbers
+ * @param {string} path - Field path for error messages
+ * @param {Object} value - Object to check
+ * @param {string[]} fields - Allowed fields
+ * @returns {string[]} Validation errors
+ */
+function validateOneOf(path, value, fields) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        return [`${path} must be an object`];
+    }
+
+    const errors = [];
+    const keys = Object.keys(value);
+
+    for (const key of keys) {
+        if (!fields.includes(key)) {
+            errors.push(`${path}.${key} is not a known field`);
+        } else if (typeof value[key] !== 'number' || !isFinite(value[key]) || value[key] < 0) {
+            errors.push(`${path}.${key} must be a non-negative number`);
+        }
+    }
+
+    if (keys.filter(key => fields.includes(key)).length !== 1) {
+        errors.push(`${path} must have exactly one of: ${fields.join(', ')}`);
+    }
+
+    return errors;
+}
+
+/**
+ * Validates a single plan
+ * @param {string} key - Catalog key (plan name)
+ * @param {Object} plan - Plan terms
+ * @returns {string[]} Validation errors (empty if valid)
+ */
+export function validatePlan(key, plan) {
+    const path = `plans["${key}"]`;
+
+    if (!plan || typeof plan !== 'object' || Array.isArray(plan)) {
+        return [`${path} must be an object`];
+    }
+
+    const errors = [];
+
+    for (const [field, value] of Object.entries(plan)) {
+        const expectedType = PLAN_SCHEMA[field];
+        if (!expectedType) {
+            errors.push(`${path}.${field} is not a known field`);
+        } else if (expectedType !== 'object' && typeof value !== expectedType) {
+            errors.push(`${path}.${field} must be a ${expectedType}`);
+        }
+    }
+
+    if (typeof plan.monthlyFee !== 'number' || plan.monthlyFee < 0) {
+        errors.push(`${path}.monthlyFee must be a non-negative number`);
+    }
+
+    if (plan.minSeats !== undefined && (!Number.isInteger(plan.minSeats) || plan.minSeats < 1)) {
+        errors.push(`${path}.minSeats must be a positive integer`);
+    }
+
+    if (plan.includedUsage === undefined) {
+        errors.push(`${path}.includedUsage is required`);
+    } else {
+        errors.push(...validateOneOf(`${path}.includedUsage`, plan.includedUsage, INCLUDED_USAGE_FIELDS));
+    }
+
+    if (plan.overage !== undefined) {
+        errors.push(...validateOneOf(`${path}.overage`, plan.overage, OVERAGE_FIELDS));
+    }
+
+    return errors;
+}
+
+/**
+ * Validates a plan catalog config object
+ * Shape: { "replace": false, "plans": { "<plan-name>": { ...plan } } }
+ * @param {Object} config - Plan catalog config
+ * @returns {string[]} Validation errors (empty if valid)
+ */
+export function validatePlanCatalogConfig(config) {
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+        return ['Plan catalog config must be an object'];
+    }
+
+    if (config.replace !== undefined && typeof config.replace !== 'boolean') {
+        return ['"replace" must be a boolean'];
+    }
+
+    if (!config.plans || typeof config.plans !== 'object' || Array.isArray(config.plans)) {
+        return ['Plan catalog config requires a "plans" object'];
+    }
+
+    return Object.entries(config.plans).flatMap(([key, plan]) => validatePlan(key, plan));
+}
+
+/**
+ * Extends or overrides the plan catalog from a config object
+ * Plans are replaced whole (their terms must be complete); new plans are added.
+ * With `replace: true` the built-in plans are dropped first.
+ * @param {Object} config - Plan catalog config (see validatePlanCatalogConfig)
+ * @returns {string[]} Names of the plans that were loaded
+ */
+export function loadPlanCatalog(config) {
+    const errors = validatePlanCatalogConfig(config);
+    if (errors.length > 0) {
+        throw new Error(`Invalid plan catalog:\n  ${errors.join('\n  ')}`);
+    }
+
+    if (config.replace) {
+        for (const key of Object.keys(PLAN_CATALOG)) {
+            delete PLAN_CATALOG[key];
+        }
+    }
+
+    for (const [key, plan] of Object.entries(config.plans)) {
+        PLAN_CATALOG[key] = { ...plan, name: plan.name || key };
+    }
+
+    return Object.keys(config.plans);
+}
+
+/**
+ * Restores the built-in plan catalog, discarding loaded overrides
+ */
+export function resetPlanCatalog() {
+    for (const key of Object.keys(PLAN_CATALOG)) {
+        delete PLAN_CATALOG[key];
+    }
+    Object.assign(PLAN_CATALOG, structuredClone(DEFAULT_PLAN_CATALOG));
+}
+
+/**
+ * Gets all plans in catalog order
+ * @returns {Object[]} Plans
+ */
+export function getPlans() {
+    return Object.values(PLAN_CATALOG);
+}
+
+/**
+ * Finds a plan by name, ignoring case
+ * @param {string} name - Plan name as the user wrote it (e.g. "ultra")
+ * @returns {string|undefined} Catalog spelling of the name (e.g. "Ultra"), or undefined if unknown
+ */
+export function findPlanName(name) {
+    const wanted = String(name).toLowerCase();
+    const plan = getPlans().find(p => p.name.toLowerCase() === wanted);
+    return plan ? plan.name : undefined;
+}
+
+/**
+ * Gets the number of seats a plan bills for (raised to its minimum)
+ * @param {Object} plan - Plan terms
+ * @param {number} seats - Seats requested
+ * @returns {number} Billed seats
+ */
+export function getBilledSeats(plan, seats = 1) {
+    return Math.max(seats, plan.minSeats || 1);
+}
+
+/**
+ * Describes a plan's allowance for display (e.g. "$20/seat" or "500 requests/seat")
+ * @param {Object} plan - Plan terms
+ * @returns {string} Display string
+ */
+export function describeIncludedUsage(plan) {
+    const { dollars, requests } = plan.includedUsage;
+    return dollars !== undefined ? `$${dollars}/seat` : `${requests} requests/seat`;
+}
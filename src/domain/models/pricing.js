@@ -0,0 +1,63 @@
+/**
+ * Token-level pricing for Cursor models
+ * Recomputes request cost from its token breakdown using the model registry price table
+ */
+
+import { getModelInfo } from './registry.js';
+
+const TOKENS_PER_MILLION = 1_000_000;
+
+/**
+ * Surcharge on token prices for requests run with Max Mode (20% over the API price)
+ */
+export const MAX_MODE_UPLIFT = 0.2;
+
+/**
+ * Gets the per-token-type price table for a model
+ * @param {string} modelName - The model name to look up
+ * @returns {Object|null} Prices in $/M tokens ({input, cacheWrite, cacheRead, output}) or null if unknown
+ */
+export function getModelPricing(modelName) {
+    const info = getModelInfo(modelName);
+    return info && info.pricing ? info.pricing : null;
+}
+
+/**
+ * Checks if a model has a token-level price table
+ * @param {string} modelName - The model name to check
+ * @returns {boolean} True if the model can be priced
+ */
+export function hasModelPricing(modelName) {
+    return getModelPricing(modelName) !== null;
+}
+
+/**
+ * Computes what a usage record costs on a model from its token breakdown
+ * Defaults to the model the record actually ran on; pass another model to ask
+ * "what would this request have cost on model X?"
+ * Max Mode requests are priced with the MAX_MODE_UPLIFT surcharge.
+ * @param {UsageRecord} record - Usage record with token counts
+ * @param {string} [modelName] - Model to price the record on (defaults to record.model)
+ * @returns {Object|null} Cost breakdown by token type, or null if the model has no price table
+ */
+export function priceRecord(record, modelName = record.model) {
+    const pricing = getModelPricing(modelName);
+    if (!pricing) {
+        return null;
+    }
+
+    const multiplier = record.maxMode ? 1 + MAX_MODE_UPLIFT : 1;
+    const inputCost = ((record.input || 0) / TOKENS_PER_MILLION) * pricing.input * multiplier;
+    const cacheWriteCost = ((record.cacheWrite || 0) / TOKENS_PER_MILLION) * pricing.cacheWrite * multiplier;
+    const cacheReadCost = ((record.cacheRead || 0) / TOKENS_PER_MILLION) * pricing.cacheRead * multiplier;
+    const outputCost = ((record.output || 0) / TOKENS_PER_MILLION) * pricing.output * multiplier;
+
+    return {
+        model: modelName,
+        input_cost: inputCost,
+        cache_write_cost: cacheWriteCost,
+        cache_read_cost: cacheReadCost,
+        output_cost: outputCost,
+        total: inputCost + cacheWriteCost + cacheReadCost + outputCost
+    };
+}
@@ -5,15 +5,19 @@
 
 /**
  * Model registry mapping model names to their properties
+ * `pricing` holds per-token-type prices in $ per million tokens:
+ * fresh input, input written to cache, input read from cache, and output
  */
 export const MODEL_REGISTRY = {
     // Cost-Efficient Models (< $50/M tokens)
     'grok-code-fast-1': {
         name: 'grok-code-fast-1',
+        aliases: ['grok-code-fast'],
         displayName: 'Grok Code Fast',
         category: 'cost_efficient',
         useCase: 'Syntax checks, quick refactors, simple questions',
-        typicalCostPerMillionTokens: 47
+        typicalCostPerMillionTokens: 47,
+        pricing: { input: 0.20, cacheWrite: 0.20, cacheRead: 0.02, output: 1.50 }
     },
 
     'gemini-2.5-pro': {
@@ -21,74 +25,401 @@ export const MODEL_REGISTRY = {
         displayName: 'Gemini 2.5 Pro',
         category: 'cost_efficient',
         useCase: 'Code analysis, documentation, general coding tasks',
-        typicalCostPerMillionTokens: 112
+        typicalCostPerMillionTokens: 112,
+        pricing: { input: 1.25, cacheWrite: 1.25, cacheRead: 0.125, output: 10.00 }
     },
 
     // Specialized Models ($50-$500/M tokens)
     'composer-1': {
         name: 'composer-1',
+        aliases: ['composer'],
         displayName: 'Composer',
         category: 'specialized',
         useCase: 'Multi-file edits, complex refactoring',
-        typicalCostPerMillionTokens: 183
+        typicalCostPerMillionTokens: 183,
+        pricing: { input: 1.25, cacheWrite: 1.25, cacheRead: 0.125, output: 10.00 }
     },
 
     'claude-4.5-sonnet': {
         name: 'claude-4.5-sonnet',
+        aliases: ['claude-sonnet-4.5', 'sonnet-4.5'],
         displayName: 'Claude 4.5 Sonnet',
         category: 'specialized',
         useCase: 'Complex features, architectural decisions, difficult problems',
-        typicalCostPerMillionTokens: 530
+        typicalCostPerMillionTokens: 530,
+        pricing: { input: 3.00, cacheWrite: 3.75, cacheRead: 0.30, output: 15.00 }
     },
 
     // Premium Models (> $500/M tokens)
     'claude-4.5-sonnet-thinking': {
         name: 'claude-4.5-sonnet-thinking',
+        aliases: ['claude-sonnet-4.5-thinking', 'sonnet-4.5-thinking'],
         displayName: 'Claude 4.5 Sonnet Thinking',
         category: 'premium',
         useCase: 'Architecture planning, critical design decisions only',
         typicalCostPerMillionTokens: 776,
+        pricing: { input: 3.00, cacheWrite: 3.75, cacheRead: 0.30, output: 15.00 },
         isThinkingModel: true
     },
 
     'claude-4-opus': {
         name: 'claude-4-opus',
+        aliases: ['claude-opus-4', 'opus-4'],
         displayName: 'Claude 4 Opus',
         category: 'premium',
         useCase: 'Most complex problems requiring highest quality reasoning',
-        typicalCostPerMillionTokens: 1500
+        typicalCostPerMillionTokens: 1500,
+        pricing: { input: 15.00, cacheWrite: 18.75, cacheRead: 1.50, output: 75.00 }
     }
 };
 
 /**
- * Gets model information from registry
- * @param {string} modelName - The model name to look up
+ * Variant suffixes: "<base>-<variant>" resolves through <base> when the full
+ * name has no entry of its own (e.g. "gpt-5-high" -> "gpt-5")
+ */
+export const MODEL_VARIANTS = ['thinking', 'high', 'max'];
+
+/**
+ * Model families: names matching `pattern` resolve to the family's reference
+ * `model` (e.g. an older "claude-4-sonnet" is priced like "claude-4.5-sonnet")
+ * Change families through loadModelRegistry, which recompiles the patterns.
+ */
+export const MODEL_FAMILIES = {
+    'claude-sonnet': { pattern: '^claude-\\d+(\\.\\d+)?-sonnet$', model: 'claude-4.5-sonnet' },
+    'claude-opus': { pattern: '^claude-\\d+(\\.\\d+)?-opus$', model: 'claude-4-opus' },
+    'gemini-pro': { pattern: '^gemini-\\d+(\\.\\d+)?-pro$', model: 'gemini-2.5-pro' }
+};
+
+/**
+ * Built-in registry and family snapshots, used to undo user overrides
+ */
+const DEFAULT_MODEL_REGISTRY = structuredClone(MODEL_REGISTRY);
+const DEFAULT_MODEL_FAMILIES = structuredClone(MODEL_FAMILIES);
+
+/**
+ * Family patterns compiled once, since every record's model is resolved;
+ * recompiled whenever the families change
+ */
+let compiledFamilies = compileFamilies();
+
+/**
+ * Compiles the family patterns (case-insensitive)
+ * @returns {Object[]} [{ family, regex, model }] in declaration order
+ */
+function compileFamilies() {
+    return Object.entries(MODEL_FAMILIES).map(([family, { pattern, model }]) => ({
+        family,
+        regex: new RegExp(pattern, 'i'),
+        model
+    }));
+}
+
+/**
+ * Registry entry schema: field name -> expected type
+ */
+const MODEL_ENTRY_SCHEMA = {
+    name: 'string',
+    aliases: 'array',
+    displayName: 'string',
+    category: 'string',
+    useCase: 'string',
+    typicalCostPerMillionTokens: 'number',
+    pricing: 'object',
+    isThinkingModel: 'boolean'
+};
+
+const MODEL_CATEGORIES = ['cost_efficient', 'specialized', 'premium'];
+// Every price is required: a guessed cache price skews cache costs (cache reads
+// are typically a tenth of the input price)
+const PRICING_FIELDS = ['input', 'cacheWrite', 'cacheRead', 'output'];
+
+/**
+ * Validates a single registry entry
+ * @param {string} key - Registry key (model name)
+ * @param {Object} entry - Model entry
+ * @returns {string[]} Validation errors (empty if valid)
+ */
+export function validateModelEntry(key, entry) {
+    const path = `models["${key}"]`;
+
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+        return [`${path} must be an object`];
+    }
+
+    const errors = [];
+
+    for (const [field, value] of Object.entries(entry)) {
+        const expectedType = MODEL_ENTRY_SCHEMA[field];
+        if (!expectedType) {
+            errors.push(`${path}.${field} is not a known field`);
+        } else if (expectedType === 'array') {
+            if (!Array.isArray(value) || value.some(item => typeof item !== 'string')) {
+                errors.push(`${path}.${field} must be an array of strings`);
+            }
+        } else if (typeof value !== expectedType || value === null || Array.isArray(value)) {
+            errors.push(`${path}.${field} must be a ${expectedType}`);
+        }
+    }
+
+    if (entry.category !== undefined && !MODEL_CATEGORIES.includes(entry.category)) {
+        errors.push(`${path}.category must be one of: ${MODEL_CATEGORIES.join(', ')}`);
+    }
+
+    if (typeof entry.typicalCostPerMillionTokens === 'number' && entry.typicalCostPerMillionTokens < 0) {
+        errors.push(`${path}.typicalCostPerMillionTokens must not be negative`);
+    }
+
+    if (entry.pricing && typeof entry.pricing === 'object' && !Array.isArray(entry.pricing)) {
+        for (const field of Object.keys(entry.pricing)) {
+            if (!PRICING_FIELDS.includes(field)) {
+                errors.push(`${path}.pricing.${field} is not a known field`);
+            }
+        }
+        for (const field of PRICING_FIELDS) {
+            const price = entry.pricing[field];
+            if (price === undefined) {
+                errors.push(`${path}.pricing.${field} is required`);
+            } else if (typeof price !== 'number' || !isFinite(price) || price < 0) {
+                errors.push(`${path}.pricing.${field} must be a non-negative number`);
+            }
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Validates a single family declaration
+ * @param {string} key - Family name
+ * @param {Object} family - Family with `pattern` (regular expression) and `model`
+ * @returns {string[]} Validation errors (empty if valid)
+ */
+export function validateModelFamily(key, family) {
+    const path = `families["${key}"]`;
+
+    if (!family || typeof family !== 'object' || Array.isArray(family)) {
+        return [`${path} must be an object`];
+    }
+
+    const errors = [];
+
+    for (const field of Object.keys(family)) {
+        if (field !== 'pattern' && field !== 'model') {
+            errors.push(`${path}.${field} is not a known field`);
+        }
+    }
+
+    if (typeof family.model !== 'string') {
+        errors.push(`${path}.model must be a string`);
+    }
+
+    if (typeof family.pattern !== 'string') {
+        errors.push(`${path}.pattern must be a string`);
+    } else {
+        try {
+            new RegExp(family.pattern);
+        } catch (error) {
+            errors.push(`${path}.pattern is not a valid regular expression`);
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Validates a registry config object
+ * Shape: { "replace": false, "models": { "<model-name>": { ...entry } },
+ *          "families": { "<family>": { "pattern": "...", "model": "<model-name>" } } }
+ * @param {Object} config - Registry config
+ * @returns {string[]} Validation errors (empty if valid)
+ */
+export function validateModelRegistryConfig(config) {
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+        return ['Model registry config must be an object'];
+    }
+
+    if (config.replace !== undefined && typeof config.replace !== 'boolean') {
+        return ['"replace" must be a boolean'];
+    }
+
+    if (!config.models || typeof config.models !== 'object' || Array.isArray(config.models)) {
+        return ['Model registry config requires a "models" object'];
+    }
+
+    if (config.families !== undefined &&
+        (!config.families || typeof config.families !== 'object' || Array.isArray(config.families))) {
+        return ['"families" must be an object'];
+    }
+
+    return [
+        ...Object.entries(config.models).flatMap(([key, entry]) => validateModelEntry(key, entry)),
+        ...Object.entries(config.families || {}).flatMap(([key, family]) => validateModelFamily(key, family))
+    ];
+}
+
+/**
+ * Extends or overrides the model registry from a config object
+ * Entries for existing models are merged field by field; new models are added.
+ * With `replace: true` the built-in models and families are dropped first.
+ * @param {Object} config - Registry config (see validateModelRegistryConfig)
+ * @returns {string[]} Names of the models that were loaded
+ */
+export function loadModelRegistry(config) {
+    const errors = validateModelRegistryConfig(config);
+    if (errors.length > 0) {
+        throw new Error(`Invalid model registry:\n  ${errors.join('\n  ')}`);
+    }
+
+    if (config.replace) {
+        clearObject(MODEL_REGISTRY);
+        clearObject(MODEL_FAMILIES);
+    }
+
+    for (const [key, entry] of Object.entries(config.models)) {
+        const existing = MODEL_REGISTRY[key] || {};
+        MODEL_REGISTRY[key] = { ...existing, ...entry, name: entry.name || key };
+    }
+
+    Object.assign(MODEL_FAMILIES, config.families);
+    compiledFamilies = compileFamilies();
+
+    return Object.keys(config.models);
+}
+
+/**
+ * Restores the built-in model registry and families, discarding loaded overrides
+ */
+export function resetModelRegistry() {
+    clearObject(MODEL_REGISTRY);
+    clearObject(MODEL_FAMILIES);
+    Object.assign(MODEL_REGISTRY, structuredClone(DEFAULT_MODEL_REGISTRY));
+    Object.assign(MODEL_FAMILIES, structuredClone(DEFAULT_MODEL_FAMILIES));
+    compiledFamilies = compileFamilies();
+}
+
+/**
+ * Removes every key from an object in place (the registry is shared by reference)
+ * @param {Object} target - Object to clear
+ */
+function clearObject(target) {
+    for (const key of Object.keys(target)) {
+        delete target[key];
+    }
+}
+
+/**
+ * Lists the model names that are not in the registry
+ * @param {string[]} modelNames - Model names seen in the usage data
+ * @returns {string[]} Unknown model names, sorted
+ */
+export function getUnknownModels(modelNames) {
+    return Array.from(new Set(modelNames))
+        .filter(name => getModelInfo(name) === null)
+        .sort();
+}
+
+/**
+ * Resolves a model name against the registry
+ *
+ * Resolution order (case-insensitive, first hit wins):
+ * 1. exact   - the name is a registry key
+ * 2. alias   - the name is listed in an entry's `aliases`
+ * 3. variant - the name is "<base>-<variant>" and <base> resolves
+ * 4. family  - the name matches a family pattern; resolves to the family's model
+ * Anything else is unresolved - names are never matched by substring.
+ *
+ * @param {string} modelName - The model name to resolve
+ * @returns {Object} { model, info, method, resolved_to, path } where `path` lists
+ *   the steps taken (e.g. ['variant:high', 'exact:gpt-5']); info is null if unresolved
+ */
+export function resolveModel(modelName) {
+    const name = String(modelName);
+    const steps = [];
+    const info = resolveName(name.toLowerCase(), steps);
+
+    if (!info) {
+        return { model: name, info: null, method: 'unresolved', resolved_to: null, path: [] };
+    }
+
+    return {
+        model: name,
+        info,
+        method: steps[0].split(':')[0],
+        resolved_to: steps[steps.length - 1].split(':')[1],
+        path: steps
+    };
+}
+
+/**
+ * Formats a resolution path for display (e.g. "variant:high > exact:gpt-5")
+ * @param {Object} resolution - Result of resolveModel
+ * @returns {string} Display string
+ */
+export function describeResolution(resolution) {
+    return resolution.path.length > 0 ? resolution.path.join(' > ') : 'unresolved';
+}
+
+/**
+ * Resolves a lower-cased name, recording each step taken
+ * @param {string} name - Lower-cased model name
+ * @param {string[]} steps - Resolution steps (appended to)
  * @returns {Object|null} Model information or null if not found
  */
-export function getModelInfo(modelName) {
-    // Try exact match first
-    if (MODEL_REGISTRY[modelName]) {
-        return MODEL_REGISTRY[modelName];
+function resolveName(name, steps) {
+    const entries = Object.entries(MODEL_REGISTRY);
+
+    const exact = entries.find(([key]) => key.toLowerCase() === name);
+    if (exact) {
+        steps.push(`exact:${exact[0]}`);
+        return exact[1];
     }
 
-    // Try case-insensitive match
-    const lowerModelName = modelName.toLowerCase();
-    for (const [key, value] of Object.entries(MODEL_REGISTRY)) {
-        if (key.toLowerCase() === lowerModelName) {
-            return value;
+    const aliased = entries.find(([, info]) =>
+        (info.aliases || []).some(alias => alias.toLowerCase() === name)
+    );
+    if (aliased) {
+        steps.push(`alias:${aliased[0]}`);
+        return aliased[1];
+    }
+
+    for (const variant of MODEL_VARIANTS) {
+        const suffix = `-${variant}`;
+        if (!name.endsWith(suffix) || name.length === suffix.length) {
+            continue;
+        }
+
+        const depth = steps.length;
+        steps.push(`variant:${variant}`);
+        const baseInfo = resolveName(name.slice(0, -suffix.length), steps);
+        if (baseInfo) {
+            return {
+                ...baseInfo,
+                variant,
+                isThinkingModel: baseInfo.isThinkingModel === true || variant === 'thinking'
+            };
         }
+        steps.length = depth;
     }
 
-    // Try partial match (for variations like "claude-4.5-sonnet-thinking" matching "claude-4.5-sonnet")
-    for (const [key, value] of Object.entries(MODEL_REGISTRY)) {
-        if (lowerModelName.includes(key.toLowerCase()) || key.toLowerCase().includes(lowerModelName)) {
-            return value;
+    for (const { family, regex, model } of compiledFamilies) {
+        if (MODEL_REGISTRY[model] && regex.test(name)) {
+            steps.push(`family:${family}`, `exact:${model}`);
+            return MODEL_REGISTRY[model];
         }
     }
 
     return null;
 }
 
+/**
+ * Gets model information from registry
+ * @param {string} modelName - The model name to look up
+ * @returns {Object|null} Model information or null if the name does not resolve
+ */
+export function getModelInfo(modelName) {
+    return resolveModel(modelName).info;
+}
+
 /**
  * Checks if a model is a thinking model
  * @param {string} modelName - The model name to check
@@ -0,0 +1,234 @@
+/**
+ * RFC 4180 CSV tokenizer
+ * A character-level state machine that splits CSV text into records, so
+ * quoted fields may hold delimiters, escaped quotes ("") and line breaks.
+ * Text can be fed in chunks of any size (file streams, browser Blobs).
+ * Has no Node.js imports and is shared by the Node and browser parsers.
+ * Pure JavaScript - no external dependencies
+ */
+
+/**
+ * Tokenizer states
+ */
+const FIELD_START = 0;     // Before the first character of a field
+const UNQUOTED = 1;        // Inside an unquoted field
+const QUOTED = 2;          // Inside a quoted field
+const QUOTE_IN_QUOTED = 3; // Just read a quote inside a quoted field: escape or closing quote
+const AFTER_QUOTED = 4;    // After the closing quote, expecting a delimiter or line break
+const SKIP_RECORD = 5;     // After a syntax error, discarding the rest of the line
+
+const BYTE_ORDER_MARK = '\uFEFF';
+
+class CSVTokenizer {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.delimiter=','] - Field delimiter (one character)
+     */
+    constructor({ delimiter = ',' } = {}) {
+        this.delimiter = delimiter;
+        this.state = FIELD_START;
+        this.line = 1;
+        this.column = 0;
+        this.atStart = true;
+        this.pendingLineFeed = false;
+        this.resetRecord();
+    }
+
+    /**
+     * Tokenizes the next chunk of text
+     * A record split across chunks is returned once its last chunk arrives.
+     * @param {string} chunk - Next part of the CSV text
+     * @returns {Array<{fields: string[], line: number, error?: string}>} Records completed by this chunk;
+     *   line is the physical line the record starts on (1-based). Records with a syntax
+     *   error carry an error message ("Line 3, column 14: ...") and should be skipped.
+     */
+    push(chunk) {
+        const records = [];
+        let start = 0;
+        if (this.atStart && chunk.length > 0) {
+            this.atStart = false;
+            if (chunk[0] === BYTE_ORDER_MARK) {
+                start = 1;
+            }
+        }
+
+        for (let i = start; i < chunk.length; i++) {
+            this.consume(chunk[i], records);
+        }
+        return records;
+    }
+
+    /**
+     * Completes the last record once all text has been pushed
+     * A final record without a trailing line break is returned here.
+     * @returns {Array<{fields: string[], line: number, error?: string}>} The last record, if any
+     */
+    end() {
+        const records = [];
+        if (this.state === QUOTED) {
+            const { line, column } = this.quoteStart;
+            this.error = `Line ${line}, column ${column}: Unterminated quoted field - missing closing quote`;
+        }
+        if (this.state === QUOTED || this.state === QUOTE_IN_QUOTED) {
+            this.state = AFTER_QUOTED;
+        }
+        this.endRecord(records);
+        return records;
+    }
+
+    /**
+     * Advances the state machine by one character
+     * @param {string} char - Next character
+     * @param {Array} records - Completed records are appended here
+     */
+    consume(char, records) {
+        // A CRLF line break was already counted at its CR
+        if (this.pendingLineFeed) {
+            this.pendingLineFeed = false;
+            if (char === '\n') {
+                if (this.state === QUOTED) {
+                    this.field += char;
+                }
+                return;
+            }
+        }
+
+        const isLineBreak = char === '\n' || char === '\r';
+        this.column++;
+
+        switch (this.state) {
+            case FIELD_START:
+                if (char === '"') {
+                    this.startContent();
+                    this.quoteStart = { line: this.line, column: this.column };
+                    this.state = QUOTED;
+                } else if (char === this.delimiter) {
+                    this.startContent();
+                    this.endField();
+                } else if (isLineBreak) {
+                    this.endRecord(records);
+                } else if (char !== ' ' && char !== '\t') {
+                    // Leading blanks of unquoted fields are dropped
+                    this.startContent();
+                    this.field = char;
+                    this.state = UNQUOTED;
+                }
+                break;
+
+            case UNQUOTED:
+                if (char === this.delimiter) {
+                    this.endField();
+                } else if (isLineBreak) {
+                    this.endRecord(records);
+                } else {
+                    this.field += char;
+                }
+                break;
+
+            case QUOTED:
+                if (char === '"') {
+                    this.state = QUOTE_IN_QUOTED;
+                } else {
+                    this.field += char;
+                }
+                break;
+
+            case QUOTE_IN_QUOTED:
+                if (char === '"') {
+                    // Escaped quote
+                    this.field += '"';
+                    this.state = QUOTED;
+                } else {
+                    this.state = AFTER_QUOTED;
+                    this.afterQuoted(char, isLineBreak, records);
+                }
+                break;
+
+            case AFTER_QUOTED:
+                this.afterQuoted(char, isLineBreak, records);
+                break;
+
+            case SKIP_RECORD:
+                if (isLineBreak) {
+                    this.endRecord(records);
+                }
+                break;
+        }
+
+        if (isLineBreak) {
+            this.line++;
+            this.column = 0;
+            this.pendingLineFeed = char === '\r';
+        }
+    }
+
+    /**
+     * Handles a character after the closing quote of a field
+     * @param {string} char - Current character
+     * @param {boolean} isLineBreak - The character is CR or LF
+     * @param {Array} records - Completed records are appended here
+     */
+    afterQuoted(char, isLineBreak, records) {
+        if (char === this.delimiter) {
+            this.endField();
+        } else if (isLineBreak) {
+            this.endRecord(records);
+        } else if (char !== ' ' && char !== '\t') {
+            this.error = `Line ${this.line}, column ${this.column}: Unexpected character '${char}' after closing quote`;
+            this.state = SKIP_RECORD;
+        }
+    }
+
+    /**
+     * Marks the record as started on the current line (blank lines have no content)
+     */
+    startContent() {
+        if (!this.hasContent) {
+            this.hasContent = true;
+            this.recordLine = this.line;
+        }
+    }
+
+    endField() {
+        this.fields.push(this.state === UNQUOTED ? this.field.trimEnd() : this.field);
+        this.field = '';
+        this.state = FIELD_START;
+    }
+
+    /**
+     * Completes the current record; blank lines produce no record
+     * @param {Array} records - Completed records are appended here
+     */
+    endRecord(records) {
+        if (this.error) {
+            records.push({ fields: [], line: this.recordLine, error: this.error });
+        } else if (this.hasContent) {
+            this.endField();
+            records.push({ fields: this.fields, line: this.recordLine });
+        }
+        this.state = FIELD_START;
+        this.resetRecord();
+    }
+
+    resetRecord() {
+        this.fields = [];
+        this.field = '';
+        this.hasContent = false;
+        this.error = null;
+        this.quoteStart = null;
+        this.recordLine = this.line;
+    }
+}
+
+/**
+ * Tokenizes a complete CSV text
+ * @param {string} content - CSV text
+ * @param {Object} [options] - Tokenizer options (see CSVTokenizer)
+ * @returns {Array<{fields: string[], line: number, error?: string}>} All records
+ */
+function tokenizeCSV(content, options) {
+    const tokenizer = new CSVTokenizer(options);
+    return [...tokenizer.push(content), ...tokenizer.end()];
+}
+
+export { CSVTokenizer, tokenizeCSV };
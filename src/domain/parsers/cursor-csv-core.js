@@ -0,0 +1,407 @@
+/**
+ * Environment-agnostic parser core for Cursor usage exports
+ * Validates the header, maps columns and turns rows into UsageRecords, from
+ * a complete text or from text chunks. The Node adapter (cursor-csv.js) and
+ * the browser adapter (web/browser-csv-parser.js) only add file access.
+ * Pure JavaScript - no external dependencies
+ */
+
+import { UsageRecord } from '../entities/UsageRecord.js';
+import { CSVTokenizer, tokenizeCSV } from './csv-tokenizer.js';
+
+/**
+ * Rows between two progress reports of parseChunks
+ */
+const DEFAULT_PROGRESS_INTERVAL = 10000;
+
+/**
+ * Tokenizes text chunk by chunk
+ * @param {AsyncIterable<string>|Iterable<string>} chunks - Text chunks
+ * @param {CSVTokenizer} tokenizer - Tokenizer for the text
+ * @returns {AsyncGenerator<Object>} Tokenized rows ({ fields, line, error? })
+ */
+async function* readRows(chunks, tokenizer) {
+    for await (const chunk of chunks) {
+        yield* tokenizer.push(chunk);
+    }
+    yield* tokenizer.end();
+}
+
+class CursorCSVParser {
+    constructor() {
+        this.requiredColumns = [
+            'Date',
+            'Kind',
+            'Model',
+            'Cost',
+            'Total Tokens',
+            'Cache Read'
+        ];
+
+        this.columnAliases = {
+            'Input': ['Input', 'Input (w/o Cache Write)'],
+            'Cache Write': ['Input (w/ Cache Write)', 'Cache Write'],
+            'Output': ['Output', 'Output Tokens'],
+            'Max Mode': ['Max Mode', 'MAX Mode'],
+            // Team-admin exports identify who made each request
+            'User': ['User', 'Email', 'User Email', 'User ID', 'Member']
+        };
+    }
+
+    /**
+     * Splits a single CSV record into fields (see CSVTokenizer)
+     * @param {string} line - One record; quoted fields may span lines
+     * @returns {string[]} Field values; quoted values are kept verbatim
+     * @throws {Error} If the record is malformed
+     */
+    parseCSVLine(line) {
+        const [record] = tokenizeCSV(line);
+        if (!record) return [''];
+        if (record.error) throw new Error(record.error);
+        return record.fields;
+    }
+
+    findColumnIndex(headers, columnName) {
+        const normalized = columnName.toLowerCase().trim();
+        return headers.findIndex(h => h.toLowerCase().trim() === normalized);
+    }
+
+    findColumnIndexWithAliases(headers, aliases) {
+        for (const alias of aliases) {
+            const index = this.findColumnIndex(headers, alias);
+            if (index !== -1) return index;
+        }
+        return -1;
+    }
+
+    parseNumber(value) {
+        if (typeof value === 'number') return value;
+        if (typeof value !== 'string') return 0;
+        // Remove quotes and parse
+        const cleaned = value.replace(/^"|"$/g, '').replace(/[^0-9.-]/g, '');
+        const parsed = parseFloat(cleaned);
+        return isNaN(parsed) ? 0 : parsed;
+    }
+
+    parseBoolean(value) {
+        if (typeof value === 'boolean') return value;
+        if (typeof value !== 'string') return false;
+        const cleaned = value.replace(/^"|"$/g, '').trim().toLowerCase();
+        return cleaned === 'yes' || cleaned === 'true' || cleaned === '1';
+    }
+
+    rowToUsageRecord(row, columnMap, headers, rowNumber) {
+        const getValue = (columnName, defaultValue = 0) => {
+            const index = columnMap[columnName];
+            if (index === undefined || index < 0) {
+                return defaultValue;
+            }
+            const value = row[index];
+            if (value === null || value === undefined || value === '') {
+                return defaultValue;
+            }
+            return value;
+        };
+
+        const getValueWithAliases = (aliases, defaultValue = 0) => {
+            const index = this.findColumnIndexWithAliases(headers, aliases);
+            if (index === -1 || index >= row.length) {
+                return defaultValue;
+            }
+            const value = row[index];
+            if (value === null || value === undefined || value === '') {
+                return defaultValue;
+            }
+            return value;
+        };
+
+        const date = getValue('Date', '');
+        const kind = getValue('Kind', '');
+        const model = getValue('Model', '');
+
+        const recordData = {
+            date: date.replace(/^"|"$/g, '').trim(),
+            kind: kind.replace(/^"|"$/g, '').trim(),
+            model: model.replace(/^"|"$/g, '').trim(),
+            cost: this.parseNumber(getValue('Cost')),
+            totalTokens: this.parseNumber(getValue('Total Tokens')),
+            cacheRead: this.parseNumber(getValue('Cache Read')),
+            cacheWrite: this.parseNumber(getValueWithAliases(this.columnAliases['Cache Write'])),
+            input: this.parseNumber(getValueWithAliases(this.columnAliases['Input'])),
+            output: this.parseNumber(getValueWithAliases(this.columnAliases['Output'])),
+            maxMode: this.parseBoolean(getValueWithAliases(this.columnAliases['Max Mode'], '')),
+            user: String(getValue('User', '')).replace(/^"|"$/g, '').trim() || null
+        };
+
+        return new UsageRecord(recordData);
+    }
+
+    validateColumns(headers) {
+        const missing = [];
+        const columnMap = {};
+
+        for (const required of this.requiredColumns) {
+            const index = this.findColumnIndex(headers, required);
+            if (index === -1) {
+                missing.push(required);
+            } else {
+                columnMap[required] = index;
+            }
+        }
+
+        // Optional user dimension (team-admin exports)
+        const userIndex = this.findColumnIndexWithAliases(headers, this.columnAliases['User']);
+        if (userIndex !== -1) {
+            columnMap['User'] = userIndex;
+        }
+
+        return { valid: missing.length === 0, missing, columnMap };
+    }
+
+    detectFormatVersion(headers) {
+        // Future: detect format changes by checking for new columns
+        // For now, return '1.0' if all required columns present
+        const { valid } = this.validateColumns(headers);
+        return valid ? '1.0' : 'unknown';
+    }
+
+    parseContent(csvContent) {
+        const errors = [];
+        const records = [];
+
+        if (typeof csvContent !== 'string') {
+            throw new Error('CSV content must be a string');
+        }
+
+        // Blank lines produce no rows, so an empty file fails like it does when streamed
+        const rows = tokenizeCSV(csvContent);
+
+        if (rows.length === 0) {
+            throw new Error('CSV file is empty');
+        }
+
+        const header = this.parseHeader(rows[0]);
+
+        // Parse data rows
+        for (let i = 1; i < rows.length; i++) {
+            const { record, error } = this.parseRow(rows[i], header);
+            if (error) {
+                errors.push(error);
+            } else {
+                records.push(record);
+            }
+        }
+
+        return {
+            records,
+            errors,
+            formatVersion: header.formatVersion,
+            userColumn: header.userColumn,
+            totalRows: rows.length - 1,
+            validRows: records.length
+        };
+    }
+
+    /**
+     * Parses and validates the header row
+     * @param {Object} row - First tokenized row of the export ({ fields, line, error? })
+     * @returns {Object} { headers, columnMap, formatVersion, userColumn }
+     * @throws {Error} If the header is malformed or a required column is missing
+     */
+    parseHeader(row) {
+        if (row.error) {
+            throw new Error(`Header is malformed - ${row.error}`);
+        }
+
+        const headers = row.fields;
+        const { valid, missing, columnMap } = this.validateColumns(headers);
+
+        if (!valid) {
+            const missingList = missing.join(', ');
+            throw new Error(
+                `Column${missing.length > 1 ? 's' : ''} '${missingList}' missing - is this a Cursor usage export?`
+            );
+        }
+
+        return {
+            headers,
+            columnMap,
+            formatVersion: this.detectFormatVersion(headers),
+            userColumn: columnMap['User'] !== undefined ? headers[columnMap['User']] : null
+        };
+    }
+
+    /**
+     * Parses one tokenized data row into a record
+     * Error messages name the physical line the row starts on, so rows after
+     * a multi-line quoted field are still easy to find in an editor.
+     * @param {Object} row - Tokenized row ({ fields, line, error? })
+     * @param {Object} header - Result of parseHeader
+     * @returns {{record: UsageRecord}|{error: string}} The record, or why the row was skipped
+     */
+    parseRow(row, header) {
+        if (row.error) {
+            // Already names the line and column
+            return { error: `${row.error}, skipped` };
+        }
+
+        const skip = reason => ({ error: `Line ${row.line}: ${reason}, skipped` });
+
+        try {
+            const record = this.rowToUsageRecord(row.fields, header.columnMap, header.headers, row.line);
+
+            // Skip records with missing essential data
+            if (!record.date || !record.model) {
+                return skip('Missing date or model');
+            }
+
+            // Validate date format (basic check)
+            if (!/^\d{4}-\d{2}-\d{2}/.test(record.date)) {
+                return skip(`Date format invalid - expected ISO 8601 (YYYY-MM-DD), got "${record.date}"`);
+            }
+
+            return { record };
+        } catch (error) {
+            return skip(error.message);
+        }
+    }
+
+    /**
+     * Parses an export arriving in text chunks and yields its records as they are parsed
+     * Only the current chunk is held in memory, so exports of any size can be
+     * analyzed (see analyzeStream). Rows are tokenized, numbered and skipped
+     * exactly as by parseContent.
+     * @param {AsyncIterable<string>|Iterable<string>} chunks - Text of the export, in order
+     * @param {Object} [options]
+     * @param {string} [options.file] - File name reported in progress
+     * @param {number} [options.totalBytes] - Size of the export reported in progress
+     * @param {Function} [options.getBytesRead] - Returns the bytes consumed so far
+     * @param {Function} [options.onProgress] - Called every progressInterval rows and once at the end with
+     *   { file, bytesRead, totalBytes, totalRows, validRows, skippedRows, formatVersion, userColumn, done }
+     * @param {Function} [options.onError] - Called with the message of each skipped row
+     * @param {number} [options.progressInterval=10000] - Rows between progress reports
+     * @returns {AsyncGenerator<UsageRecord>} Usage records in export order
+     * @throws {Error} If the export is empty or not a Cursor usage export
+     */
+    async *parseChunks(chunks, {
+        file = null,
+        totalBytes = null,
+        getBytesRead = () => null,
+        onProgress,
+        onError,
+        progressInterval = DEFAULT_PROGRESS_INTERVAL
+    } = {}) {
+        const tokenizer = new CSVTokenizer();
+
+        let header = null;
+        const progress = {
+            file,
+            bytesRead: 0,
+            totalBytes,
+            totalRows: 0,
+            validRows: 0,
+            skippedRows: 0,
+            formatVersion: null,
+            userColumn: null,
+            done: false
+        };
+        const report = () => {
+            if (onProgress) {
+                onProgress({ ...progress, bytesRead: progress.done ? totalBytes : getBytesRead() });
+            }
+        };
+
+        for await (const row of readRows(chunks, tokenizer)) {
+            if (!header) {
+                header = this.parseHeader(row);
+                progress.formatVersion = header.formatVersion;
+                progress.userColumn = header.userColumn;
+                continue;
+            }
+
+            progress.totalRows++;
+            const { record, error } = this.parseRow(row, header);
+            if (error) {
+                progress.skippedRows++;
+                if (onError) onError(error);
+            } else {
+                progress.validRows++;
+                yield record;
+            }
+
+            if (progress.totalRows % progressInterval === 0) {
+                report();
+            }
+        }
+
+        if (!header) {
+            throw new Error('CSV file is empty');
+        }
+
+        progress.done = true;
+        report();
+    }
+
+    /**
+     * Merges the parse results of several exports into one record set
+     * Events already seen in an earlier export are dropped, so overlapping
+     * weekly exports can be analyzed together
+     * @param {Array<{file: string, result: Object}>} parsed - Parse result of each export, in order
+     * @returns {Object} Merged parse result with per-file merge statistics
+     */
+    mergeResults(parsed) {
+        const seenKeys = new Set();
+        const records = [];
+        const errors = [];
+        const files = [];
+        const formatVersions = new Set();
+        let userColumn = null;
+        let totalRows = 0;
+
+        for (const { file: filePath, result } of parsed) {
+            const fileKeys = [];
+            let merged = 0;
+            let deduplicated = 0;
+
+            for (const record of result.records) {
+                const key = record.getDedupKey();
+                // Only compare against earlier files - identical rows inside one
+                // export are distinct events and are kept
+                if (seenKeys.has(key)) {
+                    deduplicated++;
+                    continue;
+                }
+                fileKeys.push(key);
+                records.push(record);
+                merged++;
+            }
+
+            fileKeys.forEach(key => seenKeys.add(key));
+            errors.push(...result.errors.map(error => `${filePath}: ${error}`));
+            formatVersions.add(result.formatVersion);
+            userColumn = userColumn || result.userColumn;
+            totalRows += result.totalRows;
+
+            files.push({
+                file: filePath,
+                totalRows: result.totalRows,
+                validRows: result.validRows,
+                merged,
+                deduplicated
+            });
+        }
+
+        return {
+            records,
+            errors,
+            formatVersion: formatVersions.size === 1 ? [...formatVersions][0] : 'mixed',
+            userColumn,
+            totalRows,
+            validRows: records.length,
+            duplicateRows: files.reduce((sum, f) => sum + f.deduplicated, 0),
+            files
+        };
+    }
+}
+
+export { CursorCSVParser, DEFAULT_PROGRESS_INTERVAL };
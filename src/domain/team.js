@@ -0,0 +1,288 @@
+/**
+ * Team analytics for Cursor usage data
+ * Analyzes one export per developer and summarizes the team: spend, an
+ * efficiency leaderboard, outliers, per-person plans and team-wide savings
+ * Pure JavaScript - no external dependencies
+ */
+
+import { AnalysisEngine } from './analyzer.js';
+import { OPPORTUNITY_TYPES } from './analyzers/savings-opportunities.js';
+import { normalizeFilters, summarizeFilters, createRecordFilter, describeNoMatch } from './filters.js';
+import { normalizeTimezone, applyTimezone } from './timezone.js';
+
+/**
+ * Outliers are only flagged in teams of at least this many members
+ */
+const MIN_MEMBERS_FOR_OUTLIERS = 3;
+
+/**
+ * A member is an outlier at this multiple of the team median (cost, errors)
+ */
+const OUTLIER_RATIO = 2;
+
+/**
+ * A member is an outlier this many points below the team's median cache hit rate
+ */
+const CACHE_OUTLIER_POINTS = 20;
+
+class TeamAnalysisEngine {
+    constructor() {
+        this.engine = new AnalysisEngine();
+    }
+
+    /**
+     * Analyzes every member's records and summarizes the team
+     * Each member is analyzed on their own, so plan recommendations are per person.
+     * Filters are applied to each member first: a member with no matching records
+     * is left out of the team figures and listed in skipped_members.
+     * @param {Object[]} members - [{ label, records }], one per developer
+     * @param {Object} [options] - { billing, timezone, filters } passed to each member's analysis
+     * @returns {Object} Team summary, members, skipped members, leaderboard, outliers and savings
+     * @throws {Error} If the filters leave no member with records
+     */
+    analyze(members, options = {}) {
+        if (!members || members.length === 0) {
+            throw new Error('Team analysis needs at least one member');
+        }
+
+        const labels = new Set();
+        for (const member of members) {
+            if (labels.has(member.label)) {
+                throw new Error(`Duplicate team member: ${member.label}`);
+            }
+            labels.add(member.label);
+            if (!member.records || member.records.length === 0) {
+                throw new Error(`Team member "${member.label}" has no records`);
+            }
+        }
+
+        // Zone before filtering, so since/until are days in the analysis time zone
+        const timezone = normalizeTimezone(options.timezone);
+        const filters = normalizeFilters(options.filters);
+        const matches = createRecordFilter(filters);
+
+        const analysisOptions = { billing: options.billing, timezone };
+        const memberResults = [];
+        const skippedMembers = [];
+        for (const member of members) {
+            const records = applyTimezone(member.records, timezone).filter(matches);
+            if (records.length === 0) {
+                skippedMembers.push({ label: member.label, reason: 'No records match the filters' });
+                continue;
+            }
+            memberResults.push(this.summarizeMember(member.label, this.engine.analyze(records, analysisOptions)));
+        }
+        if (memberResults.length === 0) {
+            throw new Error(describeNoMatch(filters));
+        }
+
+        // Efficiency is relative: the member paying least per token scores 100
+        const bestCostPerMillion = Math.min(...memberResults.map(m => m.cost_per_million_tokens).filter(c => c > 0));
+        memberResults.forEach(member => {
+            member.efficiency_score = member.cost_per_million_tokens > 0
+                ? Math.round((bestCostPerMillion / member.cost_per_million_tokens) * 10000) / 100
+                : 100;
+        });
+
+        const outliers = this.findOutliers(memberResults);
+        const outlierLabels = new Set(outliers.map(o => o.label));
+        memberResults.forEach(member => {
+            member.is_outlier = outlierLabels.has(member.label);
+        });
+
+        return {
+            member_count: memberResults.length,
+            period: {
+                start: memberResults.map(m => m.period.start).sort()[0],
+                end: memberResults.map(m => m.period.end).sort().reverse()[0]
+            },
+            summary: this.summarizeTeam(memberResults),
+            members: memberResults,
+            skipped_members: skippedMembers,
+            leaderboard: this.buildLeaderboard(memberResults),
+            outliers,
+            savings: this.summarizeSavings(memberResults),
+            filters: summarizeFilters(filters)
+        };
+    }
+
+    /**
+     * Extracts the per-person figures the team report needs from an analysis
+     * @param {string} label - Member label
+     * @param {Object} analysisResult - Member's analysis result
+     * @returns {Object} Member summary
+     */
+    summarizeMember(label, analysisResult) {
+        const { summary, plan_recommendation: plan } = analysisResult;
+        const requests = summary.usage.total_requests;
+        const errored = analysisResult.cost_analysis.breakdown_by_type.errored.request_count;
+        const tokens = summary.usage.total_tokens;
+
+        // Plan switches are counted from the plan recommendation, not twice
+        const opportunitySavings = analysisResult.opportunities.list
+            .filter(o => o.type !== OPPORTUNITY_TYPES.PLAN_OPTIMIZATION)
+            .reduce((sum, o) => sum + o.savings_monthly, 0);
+
+        return {
+            label,
+            period: summary.period,
+            total_cost: summary.cost.total,
+            daily_average_cost: summary.cost.daily_average,
+            monthly_cost: plan.current_monthly_cost,
+            total_requests: requests,
+            cost_per_request: requests > 0 ? summary.cost.total / requests : 0,
+            cache_hit_rate: analysisResult.cache_efficiency.metrics.cache_hit_rate,
+            error_rate: requests > 0 ? (errored / requests) * 100 : 0,
+            cost_per_million_tokens: tokens > 0 ? (summary.cost.total / tokens) * 1_000_000 : 0,
+            efficiency_score: 0,
+            top_model: analysisResult.cost_analysis.most_expensive_model
+                ? analysisResult.cost_analysis.most_expensive_model.model
+                : null,
+            current_plan: plan.current_plan,
+            recommended_plan: plan.recommended_plan,
+            recommended_cost: plan.recommended_cost,
+            plan_savings_monthly: Math.max(0, plan.savings_monthly || 0),
+            opportunity_savings_monthly: opportunitySavings,
+            is_outlier: false
+        };
+    }
+
+    /**
+     * Totals and averages across the team
+     * @param {Object[]} members - Member summaries
+     * @returns {Object} Team spend and volume
+     */
+    summarizeTeam(members) {
+        const sum = field => members.reduce((total, m) => total + m[field], 0);
+        const totalCost = sum('total_cost');
+        const totalRequests = sum('total_requests');
+
+        return {
+            total_cost: totalCost,
+            average_cost: totalCost / members.length,
+            median_cost: this.median(members.map(m => m.total_cost)),
+            total_monthly_cost: sum('monthly_cost'),
+            average_monthly_cost: sum('monthly_cost') / members.length,
+            total_requests: totalRequests,
+            cost_per_request: totalRequests > 0 ? totalCost / totalRequests : 0
+        };
+    }
+
+    /**
+     * Ranks members by efficiency score (highest first), cheaper requests breaking ties
+     * Cost per token rewards cheap models and cache reuse without penalizing
+     * developers who simply send bigger or more requests.
+     * @param {Object[]} members - Member summaries
+     * @returns {Object[]} [{ rank, label, efficiency_score, cost_per_million_tokens, cost_per_request, cache_hit_rate }]
+     */
+    buildLeaderboard(members) {
+        return [...members]
+            .sort((a, b) => (b.efficiency_score - a.efficiency_score) || (a.cost_per_request - b.cost_per_request))
+            .map((member, index) => ({
+                rank: index + 1,
+                label: member.label,
+                efficiency_score: member.efficiency_score,
+                cost_per_million_tokens: member.cost_per_million_tokens,
+                cost_per_request: member.cost_per_request,
+                cache_hit_rate: member.cache_hit_rate
+            }));
+    }
+
+    /**
+     * Flags members far from the team median
+     * Medians keep one heavy spender from hiding the others.
+     * @param {Object[]} members - Member summaries
+     * @returns {Object[]} [{ label, metric, value, team_median, message }]
+     */
+    findOutliers(members) {
+        if (members.length < MIN_MEMBERS_FOR_OUTLIERS) {
+            return [];
+        }
+
+        const outliers = [];
+        const checks = [
+            { metric: 'monthly_cost', name: 'monthly cost' },
+            { metric: 'cost_per_request', name: 'cost per request' },
+            { metric: 'error_rate', name: 'error rate' }
+        ];
+
+        for (const { metric, name } of checks) {
+            const median = this.median(members.map(m => m[metric]));
+            for (const member of members) {
+                if (median > 0 && member[metric] >= median * OUTLIER_RATIO) {
+                    outliers.push({
+                        label: member.label,
+                        metric,
+                        value: member[metric],
+                        team_median: median,
+                        message: `${member.label}'s ${name} is ${(member[metric] / median).toFixed(1)}x the team median`
+                    });
+                }
+            }
+        }
+
+        const cacheMedian = this.median(members.map(m => m.cache_hit_rate));
+        for (const member of members) {
+            if (member.cache_hit_rate <= cacheMedian - CACHE_OUTLIER_POINTS) {
+                outliers.push({
+                    label: member.label,
+                    metric: 'cache_hit_rate',
+                    value: member.cache_hit_rate,
+                    team_median: cacheMedian,
+                    message: `${member.label}'s cache hit rate is ` +
+                        `${(cacheMedian - member.cache_hit_rate).toFixed(1)} points below the team median`
+                });
+            }
+        }
+
+        return outliers;
+    }
+
+    /**
+     * Totals savings across the team
+     * Plan switches and usage opportunities are kept apart, since acting on
+     * one can shrink the other.
+     * @param {Object[]} members - Member summaries
+     * @returns {Object} { plan_switch_monthly, opportunities_monthly, total_monthly, total_yearly, plan_changes }
+     */
+    summarizeSavings(members) {
+        const planSwitch = members.reduce((sum, m) => sum + m.plan_savings_monthly, 0);
+        const opportunities = members.reduce((sum, m) => sum + m.opportunity_savings_monthly, 0);
+
+        return {
+            plan_switch_monthly: planSwitch,
+            opportunities_monthly: opportunities,
+            total_monthly: planSwitch + opportunities,
+            total_yearly: (planSwitch + opportunities) * 12,
+            plan_changes: members
+                .filter(m => m.plan_savings_monthly > 0)
+                .map(m => ({
+                    label: m.label,
+                    current_plan: m.current_plan,
+                    recommended_plan: m.recommended_plan,
+                    savings_monthly: m.plan_savings_monthly
+                }))
+        };
+    }
+
+    median(values) {
+        const sorted = [...values].sort((a, b) => a - b);
+        const middle = Math.floor(sorted.length / 2);
+        return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+    }
+}
+
+// Export singleton instance
+const teamEngine = new TeamAnalysisEngine();
+
+/**
+ * Analyzes a team of developers - public API
+ * @param {Object[]} members - [{ label, records }], one per developer
+ * @param {Object} [options] - Analysis options ({ billing })
+ * @returns {Object} Team analysis
+ */
+export function analyzeTeam(members, options = {}) {
+    return teamEngine.analyze(members, options);
+}
+
+export { TeamAnalysisEngine };
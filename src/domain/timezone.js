@@ -0,0 +1,111 @@
+/**
+ * Time zones for date bucketing
+ * Usage timestamps are UTC; analyses bucket them into days, hours and
+ * weekdays of a chosen IANA time zone
+ * Pure JavaScript - no external dependencies
+ */
+
+/**
+ * Zone used when none is given (the timestamps' own zone)
+ */
+export const DEFAULT_TIMEZONE = 'UTC';
+
+/**
+ * Accepted in place of an IANA name: the zone of the machine running the analysis
+ */
+export const LOCAL_TIMEZONE = 'local';
+
+/**
+ * Formatters by zone; building one is far slower than using it
+ */
+const formatters = new Map();
+
+/**
+ * Validates a time zone and resolves "local" to the system zone
+ * @param {string} [timezone] - IANA name (e.g. "America/Sao_Paulo"), "local" or "UTC" (default)
+ * @returns {string} Canonical IANA zone name
+ * @throws {Error} If the zone is unknown
+ */
+export function normalizeTimezone(timezone) {
+    if (timezone === undefined || timezone === null) {
+        return DEFAULT_TIMEZONE;
+    }
+    if (timezone === LOCAL_TIMEZONE) {
+        return Intl.DateTimeFormat().resolvedOptions().timeZone || DEFAULT_TIMEZONE;
+    }
+
+    try {
+        return getFormatter(timezone).resolvedOptions().timeZone;
+    } catch {
+        throw new Error(`Unknown timezone: ${timezone} (expected an IANA name such as Asia/Tokyo, or "${LOCAL_TIMEZONE}")`);
+    }
+}
+
+/**
+ * Buckets records in a time zone
+ * Records already in the zone are kept; the others are copied (see UsageRecord.withTimezone).
+ * @param {UsageRecord[]} records - Array of usage records
+ * @param {string} timezone - Canonical IANA zone name (see normalizeTimezone)
+ * @returns {UsageRecord[]} Records whose dates, hours and weekdays follow the zone
+ */
+export function applyTimezone(records, timezone) {
+    return records.map(record => zoneRecord(record, timezone));
+}
+
+/**
+ * Buckets one record in a time zone (see applyTimezone)
+ * @param {UsageRecord} record - Usage record
+ * @param {string} timezone - Canonical IANA zone name (see normalizeTimezone)
+ * @returns {UsageRecord} The record, or a copy in the zone
+ */
+export function zoneRecord(record, timezone) {
+    // UTC is the timestamps' own zone: those records need no conversion
+    const zone = timezone === DEFAULT_TIMEZONE ? null : timezone;
+    return record.timezone === zone ? record : record.withTimezone(zone);
+}
+
+/**
+ * Splits a timestamp into the calendar date, hour and weekday of a zone
+ * @param {string} timestamp - ISO 8601 timestamp
+ * @param {string} timezone - Canonical IANA zone name (see normalizeTimezone)
+ * @returns {{date: string, hour: number, weekday: number}|null} YYYY-MM-DD, 0-23 and 0-6 (Sunday = 0);
+ *   null if the timestamp is not a valid date
+ */
+export function getZonedParts(timestamp, timezone) {
+    const instant = new Date(timestamp);
+    if (Number.isNaN(instant.getTime())) {
+        return null;
+    }
+
+    const parts = {};
+    for (const { type, value } of getFormatter(timezone).formatToParts(instant)) {
+        parts[type] = value;
+    }
+
+    const date = `${parts.year}-${parts.month}-${parts.day}`;
+    return {
+        date,
+        hour: Number(parts.hour),
+        weekday: new Date(`${date}T00:00:00Z`).getUTCDay()
+    };
+}
+
+/**
+ * @param {string} timezone - IANA zone name
+ * @returns {Intl.DateTimeFormat} Cached formatter for the zone's date and 24-hour clock
+ */
+function getFormatter(timezone) {
+    let formatter = formatters.get(timezone);
+    if (!formatter) {
+        formatter = new Intl.DateTimeFormat('en-US', {
+            timeZone: timezone,
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            hourCycle: 'h23'
+        });
+        formatters.set(timezone, formatter);
+    }
+    return formatter;
+}
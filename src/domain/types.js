@@ -50,6 +50,8 @@ export function createEmptyAnalysisResult() {
         model_efficiency: [],
         plan_recommendation: {
             current_plan: 'Free',
+            current_plan_source: 'replay',
+            current_plan_cost: 0,
             current_monthly_cost: 0,
             recommended_plan: 'Free',
             recommended_cost: 0,
@@ -0,0 +1,302 @@
+/**
+ * Counterfactual "what-if" re-pricing for Cursor usage data
+ * Applies model-substitution rules to the record stream, re-prices substituted
+ * records from their token counts and compares baseline vs scenario analyses
+ *
+ * Re-pricing is calibrated: when the source model has a price table, the exported
+ * cost is scaled by target/source token price, so systematic differences between
+ * the price table and actual billing cancel out. Unpriced source models fall back
+ * to the target model's absolute token price.
+ * Pure JavaScript - no external dependencies
+ */
+
+import { AnalysisEngine } from './analyzer.js';
+import { normalizeTimezone, applyTimezone } from './timezone.js';
+import { normalizeFilters, filterRecords } from './filters.js';
+import { UsageRecord } from './entities/UsageRecord.js';
+import { priceRecord, hasModelPricing } from './models/pricing.js';
+
+/**
+ * Wildcard matching every source model
+ */
+const ANY_MODEL = '*';
+
+class WhatIfEngine {
+    constructor() {
+        this.engine = new AnalysisEngine();
+    }
+
+    /**
+     * Runs a what-if scenario
+     * Rules are tried in order; each record is substituted by the first rule it matches.
+     * Rule shape: {from, to, share?, minTokens?, maxTokens?}
+     *   - from: source model name, or '*' for any model
+     *   - to: target model (must have a price table)
+     *   - share: fraction (0-1] of matching requests to move, spread evenly over time
+     *   - minTokens / maxTokens: only move requests with totalTokens in [minTokens, maxTokens)
+     * @param {UsageRecord[]} records - Array of usage records
+     * @param {Object[]} rules - Substitution rules
+     * @param {Object} [options] - Analysis options passed to both runs ({ billing, seats, timezone, filters })
+     * @returns {Object} Baseline and scenario analyses with a side-by-side comparison
+     */
+    run(records, rules, options = {}) {
+        if (!records || records.length === 0) {
+            throw new Error('Records array cannot be empty');
+        }
+
+        if (!Array.isArray(rules) || rules.length === 0) {
+            throw new Error('At least one substitution rule is required');
+        }
+
+        const normalizedRules = rules.map(rule => this.normalizeRule(rule));
+
+        // Filter before substituting: model filters pick the models actually used,
+        // and substituted records must stay in the scenario
+        const selected = filterRecords(
+            applyTimezone(records, normalizeTimezone(options.timezone)),
+            normalizeFilters(options.filters)
+        );
+        const { records: scenarioRecords, ruleStats } = this.applyRules(selected, normalizedRules);
+
+        const baseline = this.engine.analyze(selected, options);
+        const scenario = this.engine.analyze(scenarioRecords, { ...options, filters: null });
+        scenario.metadata.filters = baseline.metadata.filters;
+
+        return {
+            rules: normalizedRules,
+            substitution: {
+                substituted_requests: ruleStats.reduce((sum, r) => sum + r.substituted, 0),
+                by_rule: ruleStats
+            },
+            comparison: this.compare(baseline, scenario),
+            baseline,
+            scenario
+        };
+    }
+
+    /**
+     * Validates a rule and fills in defaults
+     * @param {Object} rule - Substitution rule
+     * @returns {Object} Normalized rule
+     */
+    normalizeRule(rule) {
+        if (!rule || !rule.to) {
+            throw new Error('Substitution rule requires a target model ("to")');
+        }
+
+        if (!hasModelPricing(rule.to)) {
+            throw new Error(`No price table for target model: ${rule.to}`);
+        }
+
+        const share = rule.share ?? 1;
+        if (typeof share !== 'number' || share <= 0 || share > 1) {
+            throw new Error(`Rule share must be between 0 and 1, got ${rule.share}`);
+        }
+
+        return {
+            from: rule.from || ANY_MODEL,
+            to: rule.to,
+            share,
+            minTokens: rule.minTokens ?? 0,
+            maxTokens: rule.maxTokens ?? Infinity
+        };
+    }
+
+    /**
+     * Checks whether a record falls under a rule's model and token-size bucket
+     * @param {UsageRecord} record - Usage record
+     * @param {Object} rule - Normalized rule
+     * @returns {boolean} True if the rule applies to the record
+     */
+    matchesRule(record, rule) {
+        if (rule.from !== ANY_MODEL && record.model !== rule.from) {
+            return false;
+        }
+        if (record.model === rule.to) {
+            return false;
+        }
+        return record.totalTokens >= rule.minTokens && record.totalTokens < rule.maxTokens;
+    }
+
+    /**
+     * Applies substitution rules and re-prices the substituted records
+     * @param {UsageRecord[]} records - Array of usage records
+     * @param {Object[]} rules - Normalized rules
+     * @returns {Object} Scenario records and per-rule statistics
+     */
+    applyRules(records, rules) {
+        const ruleStats = rules.map(rule => ({
+            rule,
+            matched: 0,
+            substituted: 0,
+            baseline_cost: 0,
+            scenario_cost: 0
+        }));
+
+        // Oldest first so share-based selection is spread evenly over time
+        const chronological = records
+            .map((record, index) => ({ record, index }))
+            .sort((a, b) => a.record.date.localeCompare(b.record.date));
+
+        const scenarioRecords = new Array(records.length);
+
+        for (const { record, index } of chronological) {
+            scenarioRecords[index] = record;
+
+            // Errored requests are not charged, so moving them changes nothing
+            if (record.isErrored()) {
+                continue;
+            }
+
+            const ruleIndex = rules.findIndex(rule => this.matchesRule(record, rule));
+            if (ruleIndex === -1) {
+                continue;
+            }
+
+            const rule = rules[ruleIndex];
+            const stats = ruleStats[ruleIndex];
+            stats.matched++;
+
+            // Deterministic share: take a record whenever the running quota crosses a whole request
+            if (Math.floor(stats.matched * rule.share) === Math.floor((stats.matched - 1) * rule.share)) {
+                continue;
+            }
+
+            const scenarioCost = this.repriceRecord(record, rule.to);
+            scenarioRecords[index] = new UsageRecord({
+                ...record.toObject(),
+                model: rule.to,
+                cost: scenarioCost
+            });
+
+            stats.substituted++;
+            stats.baseline_cost += record.cost;
+            stats.scenario_cost += scenarioCost;
+        }
+
+        return { records: scenarioRecords, ruleStats };
+    }
+
+    /**
+     * Computes what a record would have cost on another model
+     * @param {UsageRecord} record - Usage record
+     * @param {string} targetModel - Model to re-price on
+     * @returns {number} Scenario cost
+     */
+    repriceRecord(record, targetModel) {
+        const target = priceRecord(record, targetModel);
+        const source = priceRecord(record);
+
+        if (source && source.total > 0) {
+            return record.cost * (target.total / source.total);
+        }
+        return target.total;
+    }
+
+    /**
+     * Builds a side-by-side comparison of two analysis results
+     * @param {Object} baseline - Baseline analysis result
+     * @param {Object} scenario - Scenario analysis result
+     * @returns {Object} Metric deltas
+     */
+    compare(baseline, scenario) {
+        const baselineModels = this.costsByModel(baseline);
+        const scenarioModels = this.costsByModel(scenario);
+        const models = new Set([...Object.keys(baselineModels), ...Object.keys(scenarioModels)]);
+
+        const costByModel = Array.from(models)
+            .map(model => ({
+                model,
+                ...this.delta(baselineModels[model] || 0, scenarioModels[model] || 0)
+            }))
+            .sort((a, b) => a.difference - b.difference);
+
+        return {
+            total_cost: this.delta(baseline.summary.cost.total, scenario.summary.cost.total),
+            monthly_cost: this.delta(
+                baseline.plan_recommendation.current_monthly_cost,
+                scenario.plan_recommendation.current_monthly_cost
+            ),
+            cache_hit_rate: this.delta(
+                baseline.cache_efficiency.metrics.cache_hit_rate,
+                scenario.cache_efficiency.metrics.cache_hit_rate
+            ),
+            cost_by_model: costByModel,
+            recommended_plan: {
+                baseline: baseline.plan_recommendation.recommended_plan,
+                scenario: scenario.plan_recommendation.recommended_plan
+            }
+        };
+    }
+
+    costsByModel(analysisResult) {
+        const costs = {};
+        for (const item of analysisResult.cost_analysis.breakdown_by_model) {
+            costs[item.model] = item.total_cost;
+        }
+        return costs;
+    }
+
+    delta(baselineValue, scenarioValue) {
+        const difference = scenarioValue - baselineValue;
+        return {
+            baseline: baselineValue,
+            scenario: scenarioValue,
+            difference,
+            difference_percentage: baselineValue !== 0 ? (difference / baselineValue) * 100 : 0
+        };
+    }
+}
+
+/**
+ * Parses a substitution rule from its command-line form
+ * Format: "<from>=<to>[,share=<0-1>][,min-tokens=<n>][,max-tokens=<n>]"
+ * Example: "claude-4.5-sonnet-thinking=claude-4.5-sonnet,share=0.5"
+ * @param {string} text - Rule text
+ * @returns {Object} Substitution rule
+ */
+export function parseSubstitutionRule(text) {
+    const [mapping, ...options] = String(text).split(',').map(part => part.trim());
+    const [from, to] = mapping.split('=').map(part => part.trim());
+
+    if (!from || !to) {
+        throw new Error(`Invalid rule "${text}" - expected <from>=<to>`);
+    }
+
+    const rule = { from, to };
+    for (const option of options) {
+        const [key, value] = option.split('=').map(part => part.trim());
+        const number = Number(value);
+        if (value === undefined || value === '' || isNaN(number)) {
+            throw new Error(`Invalid rule option "${option}" in "${text}"`);
+        }
+
+        if (key === 'share') {
+            rule.share = number;
+        } else if (key === 'min-tokens') {
+            rule.minTokens = number;
+        } else if (key === 'max-tokens') {
+            rule.maxTokens = number;
+        } else {
+            throw new Error(`Unknown rule option "${key}" in "${text}"`);
+        }
+    }
+
+    return rule;
+}
+
+// Export singleton instance
+const whatIfEngine = new WhatIfEngine();
+
+/**
+ * Runs a what-if scenario - public API
+ * @param {UsageRecord[]} records - Array of usage records
+ * @param {Object[]} rules - Substitution rules
+ * @param {Object} [options] - Analysis options ({ billing, seats })
+ * @returns {Object} Baseline vs scenario analysis
+ */
+export function whatIf(records, rules, options = {}) {
+    return whatIfEngine.run(records, rules, options);
+}
+
+export { WhatIfEngine };
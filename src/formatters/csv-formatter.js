@@ -0,0 +1,169 @@
+/**
+ * CSV/TSV formatter for AnalysisResult
+ * Converts each aggregated table of the analysis result to its own CSV (or
+ * TSV) document for spreadsheets: stable snake_case headers, raw numbers
+ * Pure JavaScript - no external dependencies
+ */
+
+/**
+ * Exported tables, in file order. Each column is [header, accessor]; headers
+ * are part of the export format, so only ever append columns.
+ */
+const EXPORT_TABLES = [
+    {
+        name: 'breakdown_by_model',
+        rows: result => result.cost_analysis?.breakdown_by_model,
+        columns: [
+            ['model', row => row.model],
+            ['total_cost', row => row.total_cost],
+            ['request_count', row => row.request_count],
+            ['percentage', row => row.percentage]
+        ]
+    },
+    {
+        name: 'daily_costs',
+        rows: result => result.cost_analysis?.daily_costs,
+        columns: [
+            ['date', row => row.date],
+            ['cost', row => row.cost],
+            ['request_count', row => row.request_count],
+            ['total_tokens', row => row.total_tokens],
+            ['average_cost_per_request', row => row.average_cost_per_request],
+            ['average_tokens_per_request', row => row.average_tokens_per_request]
+        ]
+    },
+    {
+        name: 'hourly_distribution',
+        rows: result => result.patterns?.hourly_distribution,
+        columns: [
+            ['hour', row => row.hour],
+            ['requests', row => row.requests],
+            ['cost', row => row.cost],
+            ['percentage', row => row.percentage],
+            ['cost_percentage', row => row.cost_percentage]
+        ]
+    },
+    {
+        name: 'daily_distribution',
+        rows: result => result.patterns?.daily_distribution,
+        columns: [
+            ['day', row => row.day],
+            ['day_name', row => row.dayName],
+            ['requests', row => row.requests],
+            ['cost', row => row.cost],
+            ['percentage', row => row.percentage],
+            ['cost_percentage', row => row.cost_percentage]
+        ]
+    },
+    {
+        name: 'model_rankings',
+        rows: result => result.model_efficiency?.rankings,
+        columns: [
+            ['rank', row => row.rank],
+            ['model', row => row.model],
+            ['efficiency_score', row => row.efficiency_score],
+            ['cost_per_million_tokens', row => row.cost_per_million_tokens],
+            ['cost_per_million_output_tokens', row => row.cost_per_million_output_tokens],
+            ['average_cost_per_request', row => row.average_cost_per_request],
+            ['total_cost', row => row.total_cost],
+            ['request_count', row => row.request_count],
+            ['total_tokens', row => row.total_tokens],
+            ['cache_efficiency', row => row.cache_efficiency],
+            ['category', row => row.category],
+            ['is_thinking_model', row => row.is_thinking_model],
+            ['registry_match', row => row.resolution?.path],
+            ['recommendation', row => row.recommendation]
+        ]
+    },
+    {
+        name: 'opportunities',
+        rows: result => result.opportunities?.list,
+        columns: [
+            ['type', row => row.type],
+            ['title', row => row.title],
+            ['savings_monthly', row => row.savings_monthly],
+            ['savings_yearly', row => row.savings_yearly],
+            ['difficulty', row => row.difficulty],
+            ['impact', row => row.impact],
+            ['confidence', row => row.confidence],
+            ['action', row => row.action],
+            ['reasoning', row => row.reasoning],
+            ['from_model', row => row.from_model],
+            ['to_model', row => row.to_model],
+            ['migration_percentage', row => row.migration_percentage]
+        ]
+    }
+];
+
+/**
+ * Delimiters by export format
+ */
+const DELIMITERS = {
+    csv: ',',
+    tsv: '\t'
+};
+
+class CsvFormatter {
+    /**
+     * @param {Object} [options] - { format: 'csv' (default) or 'tsv' }
+     */
+    constructor({ format = 'csv' } = {}) {
+        if (!DELIMITERS[format]) {
+            throw new Error(`Unknown table format: ${format} (expected ${Object.keys(DELIMITERS).join(', ')})`);
+        }
+        this.extension = format;
+        this.delimiter = DELIMITERS[format];
+    }
+
+    /**
+     * Formats every exported table of an AnalysisResult
+     * Every table is returned, header-only when the result has no rows for it,
+     * so an export directory always holds the same files.
+     * @param {Object} analysisResult - Analysis result from analyzer
+     * @returns {Array<{name: string, fileName: string, content: string}>} One document per table
+     */
+    formatTables(analysisResult) {
+        if (!analysisResult) {
+            throw new Error('AnalysisResult cannot be null or undefined');
+        }
+
+        return EXPORT_TABLES.map(table => ({
+            name: table.name,
+            fileName: `${table.name}.${this.extension}`,
+            content: this.formatTable(table.columns, table.rows(analysisResult) || [])
+        }));
+    }
+
+    /**
+     * Formats rows as one delimited document with a header line
+     * @param {Array<Array>} columns - [header, accessor] pairs
+     * @param {Object[]} rows - Table rows
+     * @returns {string} Delimited document (newline-terminated)
+     */
+    formatTable(columns, rows) {
+        const lines = [columns.map(([header]) => this.formatCell(header))];
+        rows.forEach(row => {
+            lines.push(columns.map(([, accessor]) => this.formatCell(accessor(row))));
+        });
+        return lines.map(cells => cells.join(this.delimiter)).join('\n') + '\n';
+    }
+
+    /**
+     * Formats one cell: numbers unformatted, lists joined with "; ", and
+     * quoted when the value holds the delimiter, a quote or a line break
+     * @param {*} value - Cell value
+     * @returns {string} Cell text
+     */
+    formatCell(value) {
+        if (value === null || value === undefined || (typeof value === 'number' && !Number.isFinite(value))) {
+            return '';
+        }
+        const text = Array.isArray(value) ? value.join('; ') : String(value);
+        if (text.includes(this.delimiter) || /["\r\n]/.test(text)) {
+            return `"${text.replace(/"/g, '""')}"`;
+        }
+        return text;
+    }
+}
+
+export { CsvFormatter, EXPORT_TABLES };
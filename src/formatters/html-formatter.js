@@ -0,0 +1,1105 @@
+/**
+ * HTML formatter for AnalysisResult
+ * Converts analysis results to a single self-contained HTML page: inline CSS,
+ * inline SVG charts and a small inline script for sortable tables, with
+ * print styles so the browser can save it as a PDF
+ * Pure JavaScript - no external dependencies
+ */
+
+import { TextFormatter } from './text-formatter.js';
+
+/**
+ * Slice and bar colors, starting from the web UI's navy
+ */
+const CHART_COLORS = ['#1a3a52', '#c0783c', '#5a8f7b', '#8b2e2e', '#7a6a9e', '#b59a48', '#4f7fa8', '#9a9a9a'];
+
+/**
+ * Models shown as their own pie slice; the rest are grouped as "Other"
+ */
+const PIE_MAX_SLICES = 6;
+
+/**
+ * Sorts a table by the clicked column (numbers numerically, anything else as text)
+ */
+const SORT_SCRIPT = `
+document.querySelectorAll('table.sortable th').forEach(function (th) {
+    th.addEventListener('click', function () {
+        var table = th.closest('table');
+        var index = Array.prototype.indexOf.call(th.parentNode.children, th);
+        var ascending = th.getAttribute('aria-sort') !== 'ascending';
+        table.querySelectorAll('th').forEach(function (other) { other.removeAttribute('aria-sort'); });
+        th.setAttribute('aria-sort', ascending ? 'ascending' : 'descending');
+        var body = table.tBodies[0];
+        var rows = Array.prototype.slice.call(body.rows);
+        rows.sort(function (a, b) {
+            var x = sortKey(a.cells[index]);
+            var y = sortKey(b.cells[index]);
+            var result = typeof x === 'number' && typeof y === 'number' ? x - y : String(x).localeCompare(String(y));
+            return ascending ? result : -result;
+        });
+        rows.forEach(function (row) { body.appendChild(row); });
+    });
+});
+function sortKey(cell) {
+    var text = cell ? cell.textContent.trim() : '';
+    if (/^[-+]?[$]?[-+]?[0-9.,]+(%|x| pts)?$/.test(text)) {
+        return parseFloat(text.replace(/[$,%x]|pts/g, ''));
+    }
+    return text.toLowerCase();
+}`;
+
+const STYLES = `
+:root { --navy: #1a3a52; --sand: #e8dcc4; --paper: #faf7f0; --muted: #5b6b78; --alert: #8b2e2e; }
+* { box-sizing: border-box; }
+body { margin: 0; background: var(--paper); color: var(--navy); font: 14px/1.5 'JetBrains Mono', ui-monospace, 'SFMono-Regular', Menlo, Consolas, monospace; }
+header.report-header { background: var(--navy); color: var(--sand); padding: 24px 40px; border-bottom: 4px solid var(--sand); }
+header.report-header h1 { margin: 0 0 8px; font-size: 20px; font-weight: 400; letter-spacing: 4px; text-transform: uppercase; }
+header.report-header p { margin: 0; color: var(--sand); opacity: 0.85; }
+main { max-width: 1100px; margin: 0 auto; padding: 16px 40px 48px; }
+section { margin-top: 32px; }
+h2 { font-size: 16px; letter-spacing: 2px; text-transform: uppercase; border-bottom: 2px solid var(--navy); padding-bottom: 4px; }
+h3 { font-size: 14px; margin: 20px 0 8px; }
+table { border-collapse: collapse; width: 100%; margin: 8px 0 16px; }
+th, td { border: 1px solid #d5ccb8; padding: 4px 8px; text-align: left; vertical-align: top; }
+th { background: var(--sand); }
+td.num { text-align: right; white-space: nowrap; }
+table.sortable th { cursor: pointer; user-select: none; }
+table.sortable th[aria-sort="ascending"]::after { content: " \\25B2"; }
+table.sortable th[aria-sort="descending"]::after { content: " \\25BC"; }
+figure { margin: 8px 0 16px; }
+figcaption { color: var(--muted); font-size: 12px; }
+svg { max-width: 100%; height: auto; font: 11px ui-monospace, monospace; }
+.note { color: var(--muted); }
+.alert { border-left: 4px solid var(--alert); padding: 4px 12px; color: var(--alert); }
+.opportunity { border: 1px solid #d5ccb8; padding: 8px 16px; margin: 8px 0; }
+.opportunity h3 { margin-top: 4px; }
+.opportunity .checkbox { display: inline-block; width: 12px; height: 12px; border: 1px solid var(--navy); margin-right: 8px; }
+dl { display: grid; grid-template-columns: max-content 1fr; gap: 2px 16px; margin: 8px 0; }
+dt { font-weight: bold; }
+dd { margin: 0; }
+@page { margin: 15mm; }
+@media print {
+    body { background: #fff; font-size: 10pt; -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+    header.report-header { padding: 12px 0; }
+    main { max-width: none; padding: 0; }
+    h2, h3 { break-after: avoid; }
+    tr, figure, .opportunity { break-inside: avoid; }
+    table.sortable th { cursor: default; }
+    table.sortable th::after { content: none; }
+}`;
+
+class HtmlFormatter {
+    constructor() {
+        // Number formatting is shared with the text report
+        this.text = new TextFormatter();
+    }
+
+    /**
+     * Formats an AnalysisResult object to a self-contained HTML document
+     * Charts are always included; the page loads no external assets.
+     * @param {Object} analysisResult - Analysis result from analyzer
+     * @returns {string} HTML document
+     */
+    format(analysisResult) {
+        if (!analysisResult) {
+            throw new Error('AnalysisResult cannot be null or undefined');
+        }
+
+        const period = analysisResult.summary && analysisResult.summary.period;
+        const title = period
+            ? `Cursor Cost Explorer - Analysis Report (${period.start} to ${period.end})`
+            : 'Cursor Cost Explorer - Analysis Report';
+
+        const sections = [
+            this.formatSummary(analysisResult.summary),
+            this.formatCostAnalysis(analysisResult.cost_analysis),
+            this.formatUserBreakdown(analysisResult.user_breakdown),
+            this.formatModelEfficiency(analysisResult.model_efficiency),
+            this.formatUnresolvedModels(analysisResult.model_efficiency),
+            this.formatForecast(analysisResult.forecast),
+            this.formatBudget(analysisResult.budget),
+            this.formatExperiments(analysisResult.experiments),
+            this.formatPlanRecommendation(analysisResult.plan_recommendation),
+            this.formatCacheEfficiency(analysisResult.cache_efficiency),
+            this.formatOpportunities(analysisResult.opportunities),
+            this.formatPatterns(analysisResult.patterns),
+            this.formatPriceReconciliation(analysisResult.price_reconciliation)
+        ];
+
+        return [
+            '<!DOCTYPE html>',
+            '<html lang="en">',
+            '<head>',
+            '<meta charset="utf-8">',
+            '<meta name="viewport" content="width=device-width, initial-scale=1">',
+            `<title>${this.escape(title)}</title>`,
+            `<style>${STYLES}\n</style>`,
+            '</head>',
+            '<body>',
+            this.formatMetadata(analysisResult.metadata, period),
+            '<main>',
+            sections.filter(s => s).join('\n'),
+            '</main>',
+            `<script>${SORT_SCRIPT}\n</script>`,
+            '</body>',
+            '</html>',
+            ''
+        ].join('\n');
+    }
+
+    /**
+     * Formats the page header with the report metadata
+     * @param {Object} metadata - Metadata object
+     * @param {Object} [period] - Summary period ({ start, end, days })
+     * @returns {string} Header HTML
+     */
+    formatMetadata(metadata, period) {
+        const details = [];
+        if (period) {
+            details.push(`${period.start} to ${period.end} (${period.days} days)`);
+        }
+        if (metadata) {
+            details.push(`${metadata.total_records || 0} records`);
+            details.push(`Generated ${this.text.formatDate(metadata.generated_at)}`);
+            details.push(`Analysis version ${metadata.analysis_version || '1.0'}`);
+            if (metadata.timezone) {
+                details.push(`Times in ${metadata.timezone}`);
+            }
+            if (metadata.filters) {
+                details.push(`Filtered: ${this.text.formatFilters(metadata.filters)}`);
+            }
+            const mode = this.text.formatAnalysisMode(metadata);
+            if (mode) {
+                details.push(`Mode: ${mode}`);
+            }
+        }
+
+        return [
+            '<header class="report-header">',
+            '<h1>Cursor Cost Explorer - Analysis Report</h1>',
+            `<p>${details.map(d => this.escape(d)).join(' &middot; ')}</p>`,
+            '</header>'
+        ].join('\n');
+    }
+
+    /**
+     * Formats summary section
+     * @param {Object} summary - Summary object
+     * @returns {string} Section HTML
+     */
+    formatSummary(summary) {
+        if (!summary) return '';
+
+        const parts = [];
+        if (summary.cost) {
+            parts.push(this.formatTable([
+                ['Cost', 'Value'],
+                ['Total Cost', this.text.formatCurrency(summary.cost.total)],
+                ['Daily Average', this.text.formatCurrency(summary.cost.daily_average)],
+                ['Included Cost', this.text.formatCurrency(summary.cost.by_type?.included || 0)],
+                ['On-Demand Cost', this.text.formatCurrency(summary.cost.by_type?.on_demand || 0)]
+            ], { sortable: false }));
+        }
+        if (summary.usage) {
+            parts.push(this.formatTable([
+                ['Usage', 'Value'],
+                ['Total Requests', this.text.formatNumber(summary.usage.total_requests)],
+                ['Requests per Day', this.text.formatNumber(summary.usage.requests_per_day, 2)],
+                ['Total Tokens', this.text.formatNumber(summary.usage.total_tokens)],
+                ['Cache Efficiency', this.text.formatPercentage(summary.usage.cache_efficiency)]
+            ], { sortable: false }));
+        }
+
+        return this.formatSection('Summary', parts);
+    }
+
+    /**
+     * Formats cost analysis section with the daily cost line and model pie charts
+     * @param {Object} costAnalysis - Cost analysis object
+     * @returns {string} Section HTML
+     */
+    formatCostAnalysis(costAnalysis) {
+        if (!costAnalysis) return '';
+
+        const parts = [];
+
+        if (costAnalysis.daily_costs && costAnalysis.daily_costs.length > 1) {
+            parts.push(this.formatFigure(this.generateLineChart(costAnalysis.daily_costs), 'Daily cost'));
+        }
+
+        if (costAnalysis.breakdown_by_model && costAnalysis.breakdown_by_model.length > 0) {
+            parts.push('<h3>Cost by Model</h3>');
+            parts.push(this.formatFigure(this.generatePieChart(costAnalysis.breakdown_by_model), 'Share of cost by model'));
+            const modelTable = [['Model', 'Cost', 'Requests', 'Percentage']];
+            costAnalysis.breakdown_by_model.forEach(item => {
+                modelTable.push([
+                    item.model || 'Unknown',
+                    this.text.formatCurrency(item.total_cost || 0),
+                    this.text.formatNumber(item.request_count || 0),
+                    this.text.formatPercentage(item.percentage || 0)
+                ]);
+            });
+            parts.push(this.formatTable(modelTable));
+        }
+
+        if (costAnalysis.breakdown_by_type) {
+            parts.push('<h3>Cost by Type</h3>');
+            const typeTable = [['Type', 'Cost', 'Requests', 'Avg Cost/Request']];
+            ['included', 'on_demand'].forEach(type => {
+                const data = costAnalysis.breakdown_by_type[type];
+                if (data) {
+                    typeTable.push([
+                        type.charAt(0).toUpperCase() + type.slice(1).replace('_', '-'),
+                        this.text.formatCurrency(data.cost || 0),
+                        this.text.formatNumber(data.request_count || 0),
+                        this.text.formatCurrency(data.request_count > 0 ? data.cost / data.request_count : 0)
+                    ]);
+                }
+            });
+            const erroredData = costAnalysis.breakdown_by_type.errored;
+            if (erroredData && erroredData.request_count > 0) {
+                typeTable.push(['Errored (Not Charged)', '$0.00', this.text.formatNumber(erroredData.request_count), '$0.00']);
+            }
+            parts.push(this.formatTable(typeTable));
+        }
+
+        const maxModeBreakdown = costAnalysis.breakdown_by_max_mode;
+        if (maxModeBreakdown && maxModeBreakdown.max_mode && maxModeBreakdown.max_mode.request_count > 0) {
+            parts.push('<h3>Max Mode</h3>');
+            const maxModeTable = [['Model', 'Max Cost', 'Max Requests', 'Max Cost/M', 'Std Cost', 'Std Requests', 'Std Cost/M']];
+            maxModeBreakdown.by_model
+                .filter(item => item.max_mode.request_count > 0)
+                .forEach(item => {
+                    maxModeTable.push([
+                        item.model || 'Unknown',
+                        this.text.formatCurrency(item.max_mode.cost),
+                        this.text.formatNumber(item.max_mode.request_count),
+                        this.text.formatCurrency(item.max_mode.cost_per_million_tokens),
+                        this.text.formatCurrency(item.standard.cost),
+                        this.text.formatNumber(item.standard.request_count),
+                        this.text.formatCurrency(item.standard.cost_per_million_tokens)
+                    ]);
+                });
+            parts.push(this.formatTable(maxModeTable));
+        }
+
+        if (costAnalysis.most_expensive_model) {
+            parts.push(`<p><strong>Most Expensive Model:</strong> ${this.escape(costAnalysis.most_expensive_model.model || 'Unknown')} ` +
+                `(${this.text.formatCurrency(costAnalysis.most_expensive_model.total_cost || 0)})</p>`);
+        }
+
+        if (costAnalysis.top_expensive_days && costAnalysis.top_expensive_days.length > 0) {
+            parts.push('<h3>Top 5 Most Expensive Days</h3>');
+            const daysTable = [['Date', 'Cost', 'Requests']];
+            costAnalysis.top_expensive_days.forEach(day => {
+                daysTable.push([
+                    day.date || 'Unknown',
+                    this.text.formatCurrency(day.cost || 0),
+                    this.text.formatNumber(day.request_count || 0)
+                ]);
+            });
+            parts.push(this.formatTable(daysTable));
+        }
+
+        return this.formatSection('Cost Analysis', parts);
+    }
+
+    /**
+     * Formats the per-user breakdown of a team-admin export
+     * @param {Object|null} userBreakdown - Per-user breakdown (null without a user column)
+     * @returns {string} Section HTML
+     */
+    formatUserBreakdown(userBreakdown) {
+        if (!userBreakdown) return '';
+
+        const summary = [`Users: ${userBreakdown.user_count}`];
+        if (userBreakdown.unassigned_requests > 0) {
+            summary.push(`Requests without a user: ${this.text.formatNumber(userBreakdown.unassigned_requests)}`);
+        }
+
+        const table = [['User', 'Cost', '% of Total', 'Requests', 'Cache Hit', 'Top Model', 'Seat']];
+        userBreakdown.users.forEach(user => {
+            const { seat } = user;
+            table.push([
+                user.user,
+                this.text.formatCurrency(user.total_cost),
+                this.text.formatPercentage(user.cost_percentage),
+                this.text.formatNumber(user.total_requests),
+                this.text.formatPercentage(user.cache_hit_rate),
+                user.models.length > 0 ? user.models[0].model : '-',
+                seat.action === 'keep'
+                    ? `keep ${seat.current_plan}`
+                    : `${seat.action}: ${seat.current_plan} → ${seat.recommended_plan}`
+            ]);
+        });
+
+        const { seat_changes: changes } = userBreakdown;
+        const seatSummary = `Seat changes: ${changes.upgrade} upgrade(s), ${changes.downgrade} downgrade(s), ${changes.keep} unchanged` +
+            (changes.savings_monthly > 0 ? ` - potential savings ${this.text.formatCurrency(changes.savings_monthly)}/month` : '');
+
+        return this.formatSection('Per-User Breakdown', [
+            `<p>${summary.map(s => this.escape(s)).join(' &middot; ')}</p>`,
+            this.formatTable(table),
+            `<p>${this.escape(seatSummary)}</p>`
+        ]);
+    }
+
+    /**
+     * Formats model efficiency section
+     * @param {Object} modelEfficiency - Model efficiency object
+     * @returns {string} Section HTML
+     */
+    formatModelEfficiency(modelEfficiency) {
+        if (!modelEfficiency || !modelEfficiency.rankings || modelEfficiency.rankings.length === 0) {
+            return '';
+        }
+
+        const rankingsTable = [['Rank', 'Model', 'Efficiency', 'Cost/M Tokens', 'Cost/M Output', 'Registry Match']];
+        modelEfficiency.rankings.forEach(item => {
+            rankingsTable.push([
+                String(item.rank || ''),
+                item.model || 'Unknown',
+                this.text.formatNumber(item.efficiency_score || 0, 2),
+                this.text.formatCurrency(item.cost_per_million_tokens || 0),
+                this.text.formatCurrency(item.cost_per_million_output_tokens || 0),
+                item.resolution ? item.resolution.path : ''
+            ]);
+        });
+
+        const recommendations = modelEfficiency.rankings
+            .filter(item => item.recommendation)
+            .map(item => `<strong>${this.escape(item.model)}:</strong> ${this.escape(item.recommendation)}`);
+
+        return this.formatSection('Model Efficiency Rankings', [
+            '<p class="note">Ranked by efficiency score (0-100, higher is cheaper per token). Thinking models are scored ' +
+                'on output tokens and get a 20% boost.</p>',
+            this.formatTable(rankingsTable),
+            recommendations.length > 0 ? '<h3>Recommendations</h3>' : '',
+            this.formatList(recommendations)
+        ]);
+    }
+
+    /**
+     * Formats the models that did not resolve to a registry entry
+     * @param {Object} modelEfficiency - Model efficiency object
+     * @returns {string} Section HTML
+     */
+    formatUnresolvedModels(modelEfficiency) {
+        const unresolved = (modelEfficiency && modelEfficiency.unresolved_models) || [];
+        if (unresolved.length === 0) {
+            return '';
+        }
+
+        const table = [['Model', 'Requests', 'Cost', 'Tokens']];
+        unresolved.forEach(item => {
+            table.push([
+                item.model,
+                this.text.formatNumber(item.request_count || 0),
+                this.text.formatCurrency(item.total_cost || 0),
+                this.text.formatNumber(item.total_tokens || 0)
+            ]);
+        });
+
+        return this.formatSection('Unresolved Models', [
+            `<p class="alert">${unresolved.length} model(s) did not match the model registry by name, alias, variant ` +
+                'or family. They have no registry category, pricing or use-case guidance. Describe them in a models ' +
+                'file and pass it with <code>--models &lt;file&gt;</code>.</p>',
+            this.formatTable(table)
+        ]);
+    }
+
+    /**
+     * Formats spending forecast section
+     * @param {Object} forecast - Forecast object
+     * @returns {string} Section HTML
+     */
+    formatForecast(forecast) {
+        if (!forecast) return '';
+
+        const parts = [
+            `<p>Based on ${forecast.history_days} days (${this.escape(forecast.history_start)} to ${this.escape(forecast.history_end)}).</p>`
+        ];
+
+        if (!forecast.sufficient_data) {
+            parts.push(`<p>${this.escape(forecast.message)}</p>`);
+            return this.formatSection('Spending Forecast', parts);
+        }
+
+        const { trend } = forecast;
+        const growth = trend.monthly_growth_percentage;
+        parts.push(`<p><strong>Current trajectory:</strong> ${growth >= 0 ? '+' : ''}${growth.toFixed(1)}% monthly growth ` +
+            `(${this.escape(trend.direction)})</p>`);
+
+        const band = `${Math.round(forecast.band_level * 100)}% band`;
+        parts.push(this.formatTable([
+            ['Period', 'Forecast', `Low (${band})`, `High (${band})`],
+            [
+                `Next ${forecast.horizon_days} days`,
+                this.text.formatCurrency(forecast.next_period.forecast),
+                this.text.formatCurrency(forecast.next_period.low),
+                this.text.formatCurrency(forecast.next_period.high)
+            ],
+            [
+                `Cycle ending ${forecast.end_of_cycle.cycle_end}`,
+                this.text.formatCurrency(forecast.end_of_cycle.forecast),
+                this.text.formatCurrency(forecast.end_of_cycle.low),
+                this.text.formatCurrency(forecast.end_of_cycle.high)
+            ]
+        ], { sortable: false }));
+
+        const notes = [
+            `Your typical ${forecast.horizon_days} days: ${this.text.formatCurrency(forecast.typical_period_cost)}`,
+            `Spent this cycle so far: ${this.text.formatCurrency(forecast.end_of_cycle.spent_to_date)} ` +
+                `(${forecast.end_of_cycle.remaining_days} days left)`
+        ];
+        if (forecast.weekday_adjustments) {
+            const weekdays = Object.entries(forecast.weekday_adjustments).sort((a, b) => b[1] - a[1]);
+            const [busiest, busiestOffset] = weekdays[0];
+            const [quietest, quietestOffset] = weekdays[weekdays.length - 1];
+            notes.push(`Busiest weekday: ${busiest} (+${this.text.formatCurrency(busiestOffset)}/day), ` +
+                `quietest: ${quietest} (-${this.text.formatCurrency(-quietestOffset)}/day)`);
+        }
+        parts.push(this.formatList(notes.map(note => this.escape(note))));
+
+        return this.formatSection('Spending Forecast', parts);
+    }
+
+    /**
+     * Formats budget tracking section
+     * @param {Object|null} budget - Budget object
+     * @returns {string} Section HTML (empty without a budget)
+     */
+    formatBudget(budget) {
+        if (!budget) return '';
+
+        const exhaustion = budget.exhausted_on
+            ? `Exhausted on ${budget.exhausted_on}`
+            : (budget.projected_exhaustion_date ? `Expected ${budget.projected_exhaustion_date}` : 'Not expected this cycle');
+
+        const parts = [this.formatTable([
+            ['Metric', 'Value'],
+            ['Monthly Budget', this.text.formatCurrency(budget.amount)],
+            ['Current Cycle', `${budget.cycle_start} to ${budget.cycle_end} (${budget.remaining_days} days left)`],
+            ['Spent So Far', `${this.text.formatCurrency(budget.spent_to_date)} (${this.text.formatPercentage(budget.percent_used)})`],
+            ['Projected Cycle Total', `${this.text.formatCurrency(budget.projected_total)} (${this.text.formatPercentage(budget.projected_percent)})`],
+            ['Projected From', this.text.formatProjectionMethod(budget.projection_method)],
+            ['Projected Overrun', this.text.formatCurrency(budget.projected_overrun)],
+            ['Budget Exhausted', exhaustion]
+        ], { sortable: false })];
+        if (budget.projection_method === 'forecast') {
+            parts.push(`<p class="note">${this.escape(this.text.formatProjectionNote())}</p>`);
+        }
+
+        if (budget.alerts.length === 0) {
+            parts.push(`<p>No alerts: spend is projected to stay under ${budget.thresholds[0]}% of the budget.</p>`);
+        } else {
+            parts.push('<h3>Alerts</h3>');
+            parts.push(this.formatList(budget.alerts.map(alert =>
+                `<strong>${this.escape(alert.severity.toUpperCase())}:</strong> ${this.escape(alert.message)}`)));
+        }
+
+        if (budget.over_budget) {
+            parts.push(`<p class="alert"><strong>Over budget</strong> by ${this.text.formatCurrency(budget.spent_to_date - budget.amount)}</p>`);
+        }
+
+        return this.formatSection('Budget', parts);
+    }
+
+    /**
+     * Formats the experiment log: before/after metrics and a verdict per experiment
+     * @param {Object[]|null} experiments - Experiment evaluations (null when none are recorded)
+     * @returns {string} Section HTML
+     */
+    formatExperiments(experiments) {
+        if (!experiments || experiments.length === 0) return '';
+
+        const statusLabels = {
+            pending: 'Pending (no data since the start date)',
+            in_progress: 'In progress',
+            complete: 'Complete'
+        };
+        const points = value => `${value >= 0 ? '+' : ''}${value.toFixed(1)} pts`;
+
+        const parts = [];
+        experiments.forEach((experiment, index) => {
+            parts.push(`<h3>Experiment ${index + 1}: ${this.escape(experiment.name)}</h3>`);
+            if (experiment.note) {
+                parts.push(`<p class="note">${this.escape(experiment.note)}</p>`);
+            }
+            const observed = experiment.status !== 'pending' && experiment.days_observed > 0
+                ? ` (${experiment.days_observed} days)`
+                : '';
+            parts.push(this.formatDefinitions([
+                ['Started', experiment.start_date],
+                ['Hypothesis', `Save ${this.text.formatCurrency(experiment.expected_monthly_savings)}/month`],
+                ['Status', `${statusLabels[experiment.status]}${observed}`]
+            ]));
+
+            if (experiment.before && experiment.after) {
+                const { before, after, changes } = experiment;
+                parts.push(this.formatTable([
+                    ['Metric', 'Before', 'After', 'Change'],
+                    ['Cost per Day', this.text.formatCurrency(before.cost_per_day), this.text.formatCurrency(after.cost_per_day),
+                        this.text.formatChange(changes.cost_per_day_percentage)],
+                    ['Requests per Day', before.requests_per_day.toFixed(1), after.requests_per_day.toFixed(1),
+                        this.text.formatChange(changes.requests_per_day_percentage)],
+                    ['Cost per Request', `$${before.cost_per_request.toFixed(4)}`, `$${after.cost_per_request.toFixed(4)}`,
+                        this.text.formatChange(changes.cost_per_request_percentage)],
+                    ['Cache Hit Rate', this.text.formatPercentage(before.cache_hit_rate), this.text.formatPercentage(after.cache_hit_rate),
+                        points(changes.cache_hit_rate_points)]
+                ], { sortable: false }));
+
+                const shifts = experiment.model_shifts.filter(s => Math.abs(s.difference_points) >= 1).slice(0, 5);
+                if (shifts.length > 0) {
+                    parts.push('<p><strong>Model mix:</strong></p>');
+                    parts.push(this.formatList(shifts.map(shift => this.escape(
+                        `${shift.model}: ${this.text.formatPercentage(shift.before_share)} → ` +
+                        `${this.text.formatPercentage(shift.after_share)} (${points(shift.difference_points)})`
+                    ))));
+                }
+
+                parts.push(this.formatDefinitions([
+                    ['Monthly savings (volume-adjusted)', `${this.text.formatCurrency(experiment.monthly_savings.volume_adjusted)} ` +
+                        `vs ${this.text.formatCurrency(experiment.expected_monthly_savings)} expected`],
+                    ['Monthly savings (raw cost per day)', this.text.formatCurrency(experiment.monthly_savings.raw)]
+                ]));
+            }
+
+            parts.push(`<p><strong>Verdict:</strong> ${this.escape(experiment.message)}</p>`);
+        });
+
+        return this.formatSection('Experiment Log', parts);
+    }
+
+    /**
+     * Formats plan recommendation section, with the plan ranking, billing
+     * cycles and allowance replay as subsections
+     * @param {Object} planRecommendation - Plan recommendation object
+     * @returns {string} Section HTML
+     */
+    formatPlanRecommendation(planRecommendation) {
+        if (!planRecommendation) return '';
+
+        const parts = [this.formatTable([
+            ['Metric', 'Value'],
+            [this.text.formatCurrentPlanLabel(planRecommendation), planRecommendation.current_plan || 'Unknown'],
+            ['Current Plan Cost (Simulated)', this.text.formatCurrency(planRecommendation.current_plan_cost || 0)],
+            ['Recommended Plan', planRecommendation.recommended_plan || 'Unknown'],
+            ['Recommended Plan Cost (Simulated)', this.text.formatCurrency(planRecommendation.recommended_cost || 0)],
+            ['Monthly Savings', this.text.formatCurrency(planRecommendation.savings_monthly || 0)],
+            ['Yearly Savings', this.text.formatCurrency(planRecommendation.savings_yearly || 0)],
+            ['Monthly Usage at API Prices', this.text.formatCurrency(planRecommendation.current_monthly_cost || 0)],
+            ['Confidence', planRecommendation.confidence || 'low']
+        ], { sortable: false })];
+
+        const ranking = planRecommendation.plan_ranking;
+        if (ranking && ranking.length > 0) {
+            parts.push('<h3>Plans Simulated Against Your Usage</h3>');
+            const rankingTable = [['Rank', 'Plan', 'Seats', 'Included', 'Subscription', 'Overage', 'Monthly Cost']];
+            ranking.forEach(item => {
+                rankingTable.push([
+                    String(item.rank),
+                    item.plan,
+                    String(item.seats),
+                    item.included_usage,
+                    this.text.formatCurrency(item.subscription_cost || 0),
+                    this.text.formatCurrency(item.overage_cost || 0),
+                    item.covers_usage
+                        ? this.text.formatCurrency(item.monthly_cost || 0)
+                        : `${this.text.formatCurrency(item.monthly_cost || 0)} (capped)`
+                ]);
+            });
+            parts.push(this.formatTable(rankingTable));
+        }
+
+        const billingCycles = planRecommendation.billing_cycles;
+        if (billingCycles && billingCycles.cycles && billingCycles.cycles.length > 0) {
+            parts.push('<h3>Billing Cycles</h3>');
+            parts.push(`<p class="note">Cycles start on day ${billingCycles.cycle_start_day}; partial cycles are projected by ` +
+                `${this.escape(billingCycles.day_basis)} days.</p>`);
+            const cycleTable = [['Cycle', 'Days Covered', 'Actual Cost', 'Projected Cost', 'Best Plan']];
+            billingCycles.cycles.forEach(cycle => {
+                cycleTable.push([
+                    `${cycle.start} to ${cycle.end}`,
+                    `${cycle.covered_days}/${cycle.length_days}`,
+                    this.text.formatCurrency(cycle.actual_cost || 0),
+                    cycle.complete ? '-' : this.text.formatCurrency(cycle.projected_cost || 0),
+                    cycle.recommended_plan || 'Unknown'
+                ]);
+            });
+            parts.push(this.formatTable(cycleTable));
+
+            const cycleNotes = [];
+            if (billingCycles.average) {
+                cycleNotes.push(['Average cycle', `${this.text.formatCurrency(billingCycles.average.monthly_cost || 0)} → ` +
+                    `${billingCycles.average.recommended_plan}`]);
+            }
+            if (billingCycles.worst_case) {
+                cycleNotes.push([`Worst case (${billingCycles.worst_case.cycle_start})`,
+                    `${this.text.formatCurrency(billingCycles.worst_case.monthly_cost || 0)} → ${billingCycles.worst_case.recommended_plan}`]);
+            }
+            parts.push(this.formatDefinitions(cycleNotes));
+        }
+
+        const replay = planRecommendation.allowance_replay;
+        if (replay && replay.plans && replay.plans.length > 0) {
+            parts.push('<h3>Allowance Replay</h3>');
+            parts.push('<p class="note">Requests replayed in time order against each plan\'s allowance, per billing cycle.</p>');
+            const replayTable = [['Plan', 'Cycle', 'Allowance', 'Exhausted On', 'Included', 'On-Demand', 'Overage After']];
+            replay.plans.forEach(plan => {
+                plan.cycles.forEach(cycle => {
+                    replayTable.push([
+                        plan.plan,
+                        `${cycle.start} to ${cycle.end}`,
+                        plan.included_usage.replace('/seat', plan.seats > 1 ? ` x ${plan.seats}` : ''),
+                        cycle.exhausted_on || 'not exhausted',
+                        this.text.formatNumber(cycle.included_requests),
+                        plan.capped
+                            ? `${this.text.formatNumber(cycle.unserved_requests)} (capped)`
+                            : this.text.formatNumber(cycle.on_demand_requests),
+                        this.text.formatCurrency(cycle.overage_cost || 0)
+                    ]);
+                });
+            });
+            parts.push(this.formatTable(replayTable));
+        }
+
+        if (planRecommendation.reasoning) {
+            const reasons = Array.isArray(planRecommendation.reasoning)
+                ? planRecommendation.reasoning
+                : [planRecommendation.reasoning];
+            parts.push('<h3>Reasoning</h3>');
+            parts.push(this.formatList(reasons.map(reason => this.escape(reason))));
+        }
+
+        if (planRecommendation.actions && planRecommendation.actions.length > 0) {
+            parts.push('<h3>Recommended Actions</h3>');
+            parts.push(this.formatList(planRecommendation.actions.map(action => this.escape(action)), { ordered: true }));
+        }
+
+        return this.formatSection('Plan Recommendation', parts);
+    }
+
+    /**
+     * Formats cache efficiency section
+     * @param {Object} cacheEfficiency - Cache efficiency object
+     * @returns {string} Section HTML
+     */
+    formatCacheEfficiency(cacheEfficiency) {
+        if (!cacheEfficiency) return '';
+
+        const parts = [];
+        const { metrics } = cacheEfficiency;
+
+        if (metrics) {
+            const metricsTable = [
+                ['Metric', 'Value'],
+                ['Overall Cache Efficiency', this.text.formatPercentage(metrics.overall_cache_efficiency || 0)],
+                ['Cache Hit Rate', this.text.formatPercentage(metrics.cache_hit_rate || 0)],
+                ['Average Cache Read Ratio', this.text.formatPercentage(metrics.average_cache_read_ratio || 0)]
+            ];
+            if (metrics.total_cache_reads !== undefined) {
+                metricsTable.push(['Total Cache Reads', this.text.formatNumber(metrics.total_cache_reads)]);
+            }
+            if (metrics.total_tokens !== undefined) {
+                metricsTable.push(['Total Tokens', this.text.formatNumber(metrics.total_tokens)]);
+            }
+            if (metrics.total_cache_write_tokens > 0) {
+                metricsTable.push(['Cache Write Tokens', this.text.formatNumber(metrics.total_cache_write_tokens)]);
+                metricsTable.push(['Write/Read Ratio', this.text.formatNumber(metrics.write_read_ratio, 3)]);
+                metricsTable.push(['Cache Reuse Factor', `${this.text.formatNumber(metrics.cache_reuse_factor, 1)}x`]);
+            }
+            parts.push(this.formatTable(metricsTable, { sortable: false }));
+        }
+
+        if (cacheEfficiency.feedback && cacheEfficiency.feedback.length > 0) {
+            parts.push('<h3>Feedback</h3>');
+            parts.push(this.formatList(cacheEfficiency.feedback.map(feedback => this.escape(feedback))));
+        }
+
+        return this.formatSection('Cache Efficiency', parts);
+    }
+
+    /**
+     * Formats opportunities section, one checklist card per opportunity
+     * @param {Object} opportunities - Opportunities object
+     * @returns {string} Section HTML
+     */
+    formatOpportunities(opportunities) {
+        if (!opportunities || !opportunities.list || opportunities.list.length === 0) {
+            return '';
+        }
+
+        const parts = [];
+        if (opportunities.total_potential_savings_monthly !== undefined) {
+            parts.push(`<p><strong>Total Potential Savings:</strong> ${this.text.formatCurrency(opportunities.total_potential_savings_monthly)}/month ` +
+                `(${this.text.formatCurrency(opportunities.total_potential_savings_yearly || 0)}/year)</p>`);
+        }
+
+        opportunities.list.forEach(opp => {
+            const details = [
+                ['Savings', `${this.text.formatCurrency(opp.savings_monthly || 0)}/month (${this.text.formatCurrency(opp.savings_yearly || 0)}/year)`],
+                ['Type', opp.type || 'Unknown'],
+                ['Difficulty', opp.difficulty || 'medium'],
+                ['Impact', opp.impact || 'medium'],
+                ['Confidence', opp.confidence || 'low']
+            ];
+            if (opp.action) {
+                details.push(['Action', opp.action]);
+            }
+            if (opp.reasoning) {
+                details.push(['Reasoning', Array.isArray(opp.reasoning) ? opp.reasoning.join(' ') : opp.reasoning]);
+            }
+            if (opp.from_model && opp.to_model) {
+                const share = opp.migration_percentage !== undefined
+                    ? ` (${this.text.formatPercentage(opp.migration_percentage)} of requests)`
+                    : '';
+                details.push(['Migration', `${opp.from_model} → ${opp.to_model}${share}`]);
+            }
+
+            parts.push([
+                '<article class="opportunity">',
+                `<h3><span class="checkbox"></span>${this.escape(opp.title || 'Untitled Opportunity')}</h3>`,
+                this.formatDefinitions(details),
+                opp.tips && opp.tips.length > 0 ? this.formatList(opp.tips.map(tip => this.escape(tip))) : '',
+                '</article>'
+            ].filter(s => s).join('\n'));
+        });
+
+        return this.formatSection('Savings Opportunities', parts);
+    }
+
+    /**
+     * Formats patterns section with the hourly bar chart
+     * @param {Object} patterns - Patterns object
+     * @returns {string} Section HTML
+     */
+    formatPatterns(patterns) {
+        if (!patterns) return '';
+
+        const parts = [];
+        const details = [];
+
+        if (patterns.work_style) {
+            if (typeof patterns.work_style === 'string') {
+                details.push(['Work Style', patterns.work_style]);
+            } else if (patterns.work_style.primary_style) {
+                const style = patterns.work_style;
+                details.push(['Work Style', style.primary_style +
+                    (style.secondary_style ? ` (secondary: ${style.secondary_style})` : '') +
+                    (style.description ? ` - ${style.description}` : '')]);
+            }
+        }
+        if (patterns.peak_hours && patterns.peak_hours.length > 0) {
+            details.push(['Peak Hours', patterns.peak_hours
+                .map(h => (typeof h === 'object' && h.hour !== undefined ? `${h.hour}:00` : `${h}:00`))
+                .join(', ')]);
+        }
+        if (patterns.usage_consistency) {
+            details.push(['Usage Consistency', patterns.usage_consistency]);
+        }
+        if (patterns.weekend_ratio !== undefined) {
+            details.push(['Weekend Usage Ratio', this.text.formatPercentage(patterns.weekend_ratio)]);
+        }
+        parts.push(this.formatDefinitions(details));
+
+        if (patterns.hourly_distribution && patterns.hourly_distribution.length > 0) {
+            parts.push('<h3>Requests by Hour</h3>');
+            parts.push(this.formatFigure(this.generateBarChart(patterns.hourly_distribution), 'Requests by hour of day'));
+        }
+
+        if (patterns.daily_distribution && patterns.daily_distribution.length > 0) {
+            const dayNames = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+            parts.push('<h3>Weekly Usage Pattern</h3>');
+            const dailyTable = [['Day', 'Requests']];
+            patterns.daily_distribution.forEach((item, index) => {
+                const count = typeof item === 'object' && item.requests !== undefined ? item.requests : item;
+                dailyTable.push([dayNames[index] || `Day ${index}`, this.text.formatNumber(count)]);
+            });
+            parts.push(this.formatTable(dailyTable));
+        }
+
+        if (patterns.recommendations && patterns.recommendations.length > 0) {
+            parts.push('<h3>Recommendations</h3>');
+            parts.push(this.formatList(patterns.recommendations.map(rec => this.escape(
+                typeof rec === 'string' ? rec : (rec.message || rec.title || JSON.stringify(rec))
+            )), { ordered: true }));
+        }
+
+        return this.formatSection('Usage Patterns', parts);
+    }
+
+    /**
+     * Formats price reconciliation section (exported Cost vs token-computed price)
+     * @param {Object} reconciliation - Price reconciliation object
+     * @returns {string} Section HTML
+     */
+    formatPriceReconciliation(reconciliation) {
+        if (!reconciliation || reconciliation.checked_rows === 0) return '';
+
+        const parts = [this.formatTable([
+            ['Metric', 'Value'],
+            ['Rows Checked', this.text.formatNumber(reconciliation.checked_rows)],
+            ['Rows Flagged', this.text.formatNumber(reconciliation.flagged_rows)],
+            ['Exported Cost', this.text.formatCurrency(reconciliation.total_exported_cost)],
+            ['Computed Cost', this.text.formatCurrency(reconciliation.total_computed_cost)],
+            ['Difference', this.text.formatCurrency(reconciliation.total_difference)]
+        ], { sortable: false })];
+
+        if (reconciliation.flagged && reconciliation.flagged.length > 0) {
+            parts.push('<h3>Largest Divergences</h3>');
+            const flaggedTable = [['Row', 'Date', 'Model', 'Exported', 'Computed', 'Difference']];
+            reconciliation.flagged.forEach(row => {
+                flaggedTable.push([
+                    String(row.row_number),
+                    (row.date || '').split('T')[0],
+                    row.model,
+                    this.text.formatCurrency(row.exported_cost),
+                    this.text.formatCurrency(row.computed_cost),
+                    this.text.formatPercentage(row.difference_percentage)
+                ]);
+            });
+            parts.push(this.formatTable(flaggedTable));
+        }
+
+        if (reconciliation.unpriced_models && reconciliation.unpriced_models.length > 0) {
+            parts.push(`<p><strong>Not priced (no price table):</strong> ${this.escape(reconciliation.unpriced_models.join(', '))}</p>`);
+        }
+
+        return this.formatSection('Price Reconciliation', parts);
+    }
+
+    /**
+     * Generates an SVG line chart of daily cost
+     * @param {Object[]} dailyCosts - [{ date, cost }] in date order
+     * @returns {string} SVG markup
+     */
+    generateLineChart(dailyCosts) {
+        const width = 720;
+        const height = 220;
+        const left = 64;
+        const right = 16;
+        const top = 16;
+        const bottom = 32;
+        const plotWidth = width - left - right;
+        const plotHeight = height - top - bottom;
+        const maxCost = Math.max(...dailyCosts.map(d => d.cost || 0)) || 1;
+
+        const x = index => left + (dailyCosts.length > 1 ? (index / (dailyCosts.length - 1)) * plotWidth : 0);
+        const y = cost => top + plotHeight - ((cost || 0) / maxCost) * plotHeight;
+        const points = dailyCosts.map((day, index) => `${x(index).toFixed(1)},${y(day.cost).toFixed(1)}`);
+
+        const grid = [0, 0.5, 1].map(fraction => {
+            const gridY = y(maxCost * fraction).toFixed(1);
+            return `<line x1="${left}" y1="${gridY}" x2="${width - right}" y2="${gridY}" stroke="#d5ccb8"/>` +
+                `<text x="${left - 6}" y="${gridY}" text-anchor="end" dominant-baseline="middle">${this.text.formatCurrency(maxCost * fraction)}</text>`;
+        });
+
+        const labelIndexes = [...new Set([0, Math.floor((dailyCosts.length - 1) / 2), dailyCosts.length - 1])];
+        const labels = labelIndexes.map(index =>
+            `<text x="${x(index).toFixed(1)}" y="${height - 10}" text-anchor="middle">${this.escape(dailyCosts[index].date)}</text>`);
+
+        const dots = dailyCosts.map((day, index) =>
+            `<circle cx="${x(index).toFixed(1)}" cy="${y(day.cost).toFixed(1)}" r="2.5" fill="${CHART_COLORS[0]}">` +
+            `<title>${this.escape(day.date)}: ${this.text.formatCurrency(day.cost)}</title></circle>`);
+
+        return [
+            `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${height}" role="img" aria-label="Daily cost">`,
+            ...grid,
+            `<polyline points="${points.join(' ')}" fill="none" stroke="${CHART_COLORS[0]}" stroke-width="2"/>`,
+            ...dots,
+            ...labels,
+            '</svg>'
+        ].join('\n');
+    }
+
+    /**
+     * Generates an SVG pie chart of cost by model, with a legend
+     * @param {Object[]} breakdownByModel - [{ model, total_cost, percentage }], most expensive first
+     * @returns {string} SVG markup
+     */
+    generatePieChart(breakdownByModel) {
+        const slices = breakdownByModel.slice(0, PIE_MAX_SLICES).map(item => ({
+            label: item.model || 'Unknown',
+            value: item.total_cost || 0
+        }));
+        const rest = breakdownByModel.slice(PIE_MAX_SLICES).reduce((sum, item) => sum + (item.total_cost || 0), 0);
+        if (rest > 0) {
+            slices.push({ label: 'Other', value: rest });
+        }
+
+        const total = slices.reduce((sum, slice) => sum + slice.value, 0);
+        const cx = 110;
+        const cy = 110;
+        const radius = 100;
+        const height = Math.max(220, slices.length * 22 + 20);
+        const shapes = [];
+        const legend = [];
+        let angle = -Math.PI / 2;
+
+        slices.forEach((slice, index) => {
+            const share = total > 0 ? slice.value / total : 0;
+            const color = CHART_COLORS[index % CHART_COLORS.length];
+            const title = `<title>${this.escape(slice.label)}: ${this.text.formatCurrency(slice.value)} ` +
+                `(${this.text.formatPercentage(share * 100)})</title>`;
+
+            if (share >= 0.9999) {
+                shapes.push(`<circle cx="${cx}" cy="${cy}" r="${radius}" fill="${color}">${title}</circle>`);
+            } else if (share > 0) {
+                const end = angle + share * 2 * Math.PI;
+                const point = a => `${(cx + radius * Math.cos(a)).toFixed(2)},${(cy + radius * Math.sin(a)).toFixed(2)}`;
+                shapes.push(`<path d="M${cx},${cy} L${point(angle)} A${radius},${radius} 0 ${share > 0.5 ? 1 : 0},1 ${point(end)} Z" ` +
+                    `fill="${color}" stroke="#fff" stroke-width="1">${title}</path>`);
+                angle = end;
+            }
+
+            const legendY = 20 + index * 22;
+            legend.push(`<rect x="240" y="${legendY - 10}" width="12" height="12" fill="${color}"/>` +
+                `<text x="260" y="${legendY}">${this.escape(slice.label)} - ${this.text.formatPercentage(share * 100)} ` +
+                `(${this.text.formatCurrency(slice.value)})</text>`);
+        });
+
+        return [
+            `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 720 ${height}" role="img" aria-label="Share of cost by model">`,
+            ...shapes,
+            ...legend,
+            '</svg>'
+        ].join('\n');
+    }
+
+    /**
+     * Generates an SVG bar chart of requests per hour of day
+     * @param {Array<number|Object>} hourlyDistribution - Request counts, or [{ hour, requests, cost }]
+     * @returns {string} SVG markup
+     */
+    generateBarChart(hourlyDistribution) {
+        const hours = hourlyDistribution.map((item, hour) => (typeof item === 'object' && item !== null
+            ? { hour: item.hour ?? hour, requests: item.requests || 0, cost: item.cost }
+            : { hour, requests: item || 0, cost: undefined }));
+
+        const width = 720;
+        const height = 200;
+        const left = 48;
+        const bottom = 28;
+        const top = 12;
+        const plotHeight = height - top - bottom;
+        const slot = (width - left - 8) / hours.length;
+        const maxRequests = Math.max(...hours.map(h => h.requests)) || 1;
+
+        const bars = hours.map((item, index) => {
+            const barHeight = (item.requests / maxRequests) * plotHeight;
+            const cost = item.cost !== undefined ? `, ${this.text.formatCurrency(item.cost)}` : '';
+            return `<rect x="${(left + index * slot + 2).toFixed(1)}" y="${(top + plotHeight - barHeight).toFixed(1)}" ` +
+                `width="${(slot - 4).toFixed(1)}" height="${barHeight.toFixed(1)}" fill="${CHART_COLORS[0]}">` +
+                `<title>${item.hour}:00 - ${item.requests} requests${cost}</title></rect>`;
+        });
+
+        const labels = hours
+            .filter((item, index) => index % 3 === 0)
+            .map(item => {
+                const index = hours.indexOf(item);
+                return `<text x="${(left + index * slot + slot / 2).toFixed(1)}" y="${height - 10}" text-anchor="middle">${item.hour}:00</text>`;
+            });
+
+        return [
+            `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${height}" role="img" aria-label="Requests by hour of day">`,
+            `<line x1="${left}" y1="${top + plotHeight}" x2="${width - 8}" y2="${top + plotHeight}" stroke="#d5ccb8"/>`,
+            `<text x="${left - 6}" y="${top}" text-anchor="end" dominant-baseline="middle">${maxRequests}</text>`,
+            `<text x="${left - 6}" y="${top + plotHeight}" text-anchor="end" dominant-baseline="middle">0</text>`,
+            ...bars,
+            ...labels,
+            '</svg>'
+        ].join('\n');
+    }
+
+    /**
+     * Formats a table; the first row is the header
+     * Cells that hold a single number, amount or percentage are right-aligned.
+     * @param {Array<Array<string>>} rows - Array of rows, each row is an array of cells
+     * @param {Object} [options] - { sortable } (default true: click a header to sort)
+     * @returns {string} Table HTML
+     */
+    formatTable(rows, { sortable = true } = {}) {
+        if (!rows || rows.length === 0) return '';
+
+        const [header, ...body] = rows;
+        const numeric = /^[-+]?\$?[-+]?[\d.,]+(%|x| pts)?$/;
+        const cell = value => {
+            const text = String(value ?? '');
+            return numeric.test(text) ? `<td class="num">${this.escape(text)}</td>` : `<td>${this.escape(text)}</td>`;
+        };
+
+        return [
+            `<table${sortable ? ' class="sortable"' : ''}>`,
+            `<thead><tr>${header.map(h => `<th scope="col">${this.escape(h)}</th>`).join('')}</tr></thead>`,
+            '<tbody>',
+            ...body.map(row => `<tr>${row.map(cell).join('')}</tr>`),
+            '</tbody>',
+            '</table>'
+        ].join('\n');
+    }
+
+    /**
+     * Formats a list of items that are already HTML
+     * @param {string[]} items - List items (escaped HTML)
+     * @param {Object} [options] - { ordered }
+     * @returns {string} List HTML (empty without items)
+     */
+    formatList(items, { ordered = false } = {}) {
+        if (!items || items.length === 0) return '';
+        const tag = ordered ? 'ol' : 'ul';
+        return `<${tag}>\n${items.map(item => `<li>${item}</li>`).join('\n')}\n</${tag}>`;
+    }
+
+    /**
+     * Formats label/value pairs as a definition list
+     * @param {Array<Array<string>>} pairs - [label, value] pairs (plain text)
+     * @returns {string} Definition list HTML (empty without pairs)
+     */
+    formatDefinitions(pairs) {
+        if (!pairs || pairs.length === 0) return '';
+        return `<dl>\n${pairs.map(([label, value]) =>
+            `<dt>${this.escape(label)}</dt><dd>${this.escape(value)}</dd>`).join('\n')}\n</dl>`;
+    }
+
+    /**
+     * Wraps a chart in a figure with a caption
+     * @param {string} svg - SVG markup
+     * @param {string} caption - Caption text
+     * @returns {string} Figure HTML
+     */
+    formatFigure(svg, caption) {
+        return `<figure>\n${svg}\n<figcaption>${this.escape(caption)}</figcaption>\n</figure>`;
+    }
+
+    /**
+     * Formats a report section
+     * @param {string} title - Section title
+     * @param {string[]} parts - Section content (HTML); empty parts are dropped
+     * @returns {string} Section HTML
+     */
+    formatSection(title, parts) {
+        return [
+            '<section>',
+            `<h2>${this.escape(title)}</h2>`,
+            ...parts.filter(part => part),
+            '</section>'
+        ].join('\n');
+    }
+
+    /**
+     * Escapes text for HTML element content and attribute values
+     * @param {*} value - Text to escape
+     * @returns {string} Escaped text
+     */
+    escape(value) {
+        return String(value ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+}
+
+export { HtmlFormatter };
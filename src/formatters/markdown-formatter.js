@@ -0,0 +1,930 @@
+/**
+ * Markdown formatter for AnalysisResult
+ * Converts analysis results to GitHub-flavored Markdown (headings, pipe tables,
+ * task lists) for pasting into pull requests and wikis
+ * Pure JavaScript - no external dependencies
+ */
+
+import { TextFormatter } from './text-formatter.js';
+
+class MarkdownFormatter {
+    constructor() {
+        // Number formatting and charts are shared with the text report
+        this.text = new TextFormatter();
+    }
+
+    /**
+     * Formats an AnalysisResult object to Markdown
+     * @param {Object} analysisResult - Analysis result from analyzer
+     * @param {boolean} showGraphs - Whether to include charts (as fenced code blocks)
+     * @returns {string} Formatted Markdown output
+     */
+    format(analysisResult, showGraphs = false) {
+        if (!analysisResult) {
+            throw new Error('AnalysisResult cannot be null or undefined');
+        }
+
+        const sections = [
+            this.formatMetadata(analysisResult.metadata),
+            this.formatSummary(analysisResult.summary),
+            this.formatCostAnalysis(analysisResult.cost_analysis, showGraphs),
+            this.formatUserBreakdown(analysisResult.user_breakdown),
+            this.formatModelEfficiency(analysisResult.model_efficiency),
+            this.formatUnresolvedModels(analysisResult.model_efficiency),
+            this.formatForecast(analysisResult.forecast),
+            this.formatBudget(analysisResult.budget),
+            this.formatExperiments(analysisResult.experiments),
+            this.formatPlanRecommendation(analysisResult.plan_recommendation),
+            this.formatCacheEfficiency(analysisResult.cache_efficiency),
+            this.formatOpportunities(analysisResult.opportunities),
+            this.formatPatterns(analysisResult.patterns, showGraphs),
+            this.formatPriceReconciliation(analysisResult.price_reconciliation)
+        ];
+
+        return sections.filter(s => s).join('\n\n') + '\n';
+    }
+
+    /**
+     * Formats the report title and metadata
+     * @param {Object} metadata - Metadata object
+     * @returns {string} Formatted metadata
+     */
+    formatMetadata(metadata) {
+        if (!metadata) return '';
+
+        const lines = [
+            '# Cursor Cost Explorer - Analysis Report',
+            '',
+            `- **Generated:** ${this.text.formatDate(metadata.generated_at)}`,
+            `- **Total Records:** ${metadata.total_records || 0}`,
+            `- **Analysis Version:** ${metadata.analysis_version || '1.0'}`
+        ];
+        if (metadata.timezone) {
+            lines.push(`- **Timezone:** ${metadata.timezone}`);
+        }
+        if (metadata.filters) {
+            lines.push(`- **Filters:** ${this.escape(this.text.formatFilters(metadata.filters))}`);
+        }
+        const mode = this.text.formatAnalysisMode(metadata);
+        if (mode) {
+            lines.push(`- **Mode:** ${mode}`);
+        }
+
+        return lines.join('\n');
+    }
+
+    /**
+     * Formats summary section
+     * @param {Object} summary - Summary object
+     * @returns {string} Formatted summary
+     */
+    formatSummary(summary) {
+        if (!summary) return '';
+
+        const lines = ['## Summary', ''];
+
+        if (summary.period) {
+            lines.push(`**Period:** ${summary.period.start} to ${summary.period.end} (${summary.period.days} days)`);
+            lines.push('');
+        }
+
+        if (summary.cost) {
+            lines.push(...this.formatTable([
+                ['Cost', 'Value'],
+                ['Total Cost', this.text.formatCurrency(summary.cost.total)],
+                ['Daily Average', this.text.formatCurrency(summary.cost.daily_average)],
+                ['Included Cost', this.text.formatCurrency(summary.cost.by_type?.included || 0)],
+                ['On-Demand Cost', this.text.formatCurrency(summary.cost.by_type?.on_demand || 0)]
+            ]));
+            lines.push('');
+        }
+
+        if (summary.usage) {
+            lines.push(...this.formatTable([
+                ['Usage', 'Value'],
+                ['Total Requests', this.text.formatNumber(summary.usage.total_requests)],
+                ['Requests per Day', this.text.formatNumber(summary.usage.requests_per_day, 2)],
+                ['Total Tokens', this.text.formatNumber(summary.usage.total_tokens)],
+                ['Cache Efficiency', this.text.formatPercentage(summary.usage.cache_efficiency)]
+            ]));
+        }
+
+        return this.joinLines(lines);
+    }
+
+    /**
+     * Formats cost analysis section
+     * @param {Object} costAnalysis - Cost analysis object
+     * @param {boolean} showGraphs - Whether to include charts
+     * @returns {string} Formatted cost analysis
+     */
+    formatCostAnalysis(costAnalysis, showGraphs = false) {
+        if (!costAnalysis) return '';
+
+        const lines = ['## Cost Analysis', ''];
+        const typeLabel = type => type.charAt(0).toUpperCase() + type.slice(1).replace('_', '-');
+
+        if (costAnalysis.breakdown_by_model && costAnalysis.breakdown_by_model.length > 0) {
+            lines.push('### Cost by Model', '');
+            const modelTable = [['Model', 'Cost', 'Requests', 'Percentage']];
+            costAnalysis.breakdown_by_model.forEach(item => {
+                modelTable.push([
+                    item.model || 'Unknown',
+                    this.text.formatCurrency(item.total_cost || 0),
+                    this.text.formatNumber(item.request_count || 0),
+                    this.text.formatPercentage(item.percentage || 0)
+                ]);
+            });
+            lines.push(...this.formatTable(modelTable), '');
+
+            if (showGraphs) {
+                const topModels = costAnalysis.breakdown_by_model.slice(0, 8).map(item => ({
+                    label: (item.model || 'Unknown').substring(0, 20),
+                    value: item.total_cost || 0,
+                    percentage: item.percentage || 0
+                }));
+                lines.push(...this.formatChart(this.text.generateHorizontalBarChart(topModels, 50)));
+            }
+        }
+
+        if (costAnalysis.breakdown_by_type) {
+            lines.push('### Cost by Type', '');
+            const typeTable = [['Type', 'Cost', 'Requests', 'Avg Cost/Request']];
+            const types = ['included', 'on_demand'];
+            types.forEach(type => {
+                const data = costAnalysis.breakdown_by_type[type];
+                if (data) {
+                    typeTable.push([
+                        typeLabel(type),
+                        this.text.formatCurrency(data.cost || 0),
+                        this.text.formatNumber(data.request_count || 0),
+                        this.text.formatCurrency(data.request_count > 0 ? data.cost / data.request_count : 0)
+                    ]);
+                }
+            });
+
+            // Errored requests are not charged
+            const erroredData = costAnalysis.breakdown_by_type.errored;
+            if (erroredData && erroredData.request_count > 0) {
+                typeTable.push(['Errored (Not Charged)', '$0.00', this.text.formatNumber(erroredData.request_count), '$0.00']);
+            }
+            lines.push(...this.formatTable(typeTable), '');
+
+            if (showGraphs) {
+                const totalCost = types.reduce((sum, type) => sum + (costAnalysis.breakdown_by_type[type]?.cost || 0), 0);
+                const typeData = types
+                    .filter(type => costAnalysis.breakdown_by_type[type]?.cost > 0)
+                    .map(type => ({
+                        label: typeLabel(type),
+                        value: costAnalysis.breakdown_by_type[type].cost,
+                        percentage: totalCost > 0 ? (costAnalysis.breakdown_by_type[type].cost / totalCost) * 100 : 0
+                    }));
+                lines.push(...this.formatChart(this.text.generateHorizontalBarChart(typeData, 50)));
+            }
+        }
+
+        const maxModeBreakdown = costAnalysis.breakdown_by_max_mode;
+        if (maxModeBreakdown && maxModeBreakdown.max_mode && maxModeBreakdown.max_mode.request_count > 0) {
+            lines.push('### Max Mode', '');
+            const maxModeTable = [['Model', 'Max Cost', 'Max Requests', 'Max Cost/M', 'Std Cost', 'Std Requests', 'Std Cost/M']];
+            maxModeBreakdown.by_model
+                .filter(item => item.max_mode.request_count > 0)
+                .forEach(item => {
+                    maxModeTable.push([
+                        item.model || 'Unknown',
+                        this.text.formatCurrency(item.max_mode.cost),
+                        this.text.formatNumber(item.max_mode.request_count),
+                        this.text.formatCurrency(item.max_mode.cost_per_million_tokens),
+                        this.text.formatCurrency(item.standard.cost),
+                        this.text.formatNumber(item.standard.request_count),
+                        this.text.formatCurrency(item.standard.cost_per_million_tokens)
+                    ]);
+                });
+            lines.push(...this.formatTable(maxModeTable), '');
+        }
+
+        if (costAnalysis.most_expensive_model) {
+            lines.push(`**Most Expensive Model:** ${this.escape(costAnalysis.most_expensive_model.model || 'Unknown')} ` +
+                `(${this.text.formatCurrency(costAnalysis.most_expensive_model.total_cost || 0)})`);
+            lines.push('');
+        }
+
+        if (costAnalysis.top_expensive_days && costAnalysis.top_expensive_days.length > 0) {
+            lines.push('### Top 5 Most Expensive Days', '');
+            const daysTable = [['Date', 'Cost', 'Requests']];
+            costAnalysis.top_expensive_days.forEach(day => {
+                daysTable.push([
+                    day.date || 'Unknown',
+                    this.text.formatCurrency(day.cost || 0),
+                    this.text.formatNumber(day.request_count || 0)
+                ]);
+            });
+            lines.push(...this.formatTable(daysTable), '');
+
+            if (showGraphs && costAnalysis.daily_costs && costAnalysis.daily_costs.length > 1) {
+                const dailyData = costAnalysis.daily_costs.slice(0, 30).map(day => ({
+                    date: day.date || '',
+                    cost: day.cost || 0
+                }));
+                lines.push('### Daily Cost Trend', '');
+                lines.push(...this.formatChart(this.text.generateLineChart(dailyData, 60, 6)));
+            }
+        }
+
+        return this.joinLines(lines);
+    }
+
+    /**
+     * Formats the per-user breakdown of a team-admin export
+     * @param {Object|null} userBreakdown - Per-user breakdown (null without a user column)
+     * @returns {string} Formatted per-user breakdown
+     */
+    formatUserBreakdown(userBreakdown) {
+        if (!userBreakdown) return '';
+
+        const lines = ['## Per-User Breakdown', '', `**Users:** ${userBreakdown.user_count}`];
+        if (userBreakdown.unassigned_requests > 0) {
+            lines.push('', `**Requests without a user:** ${this.text.formatNumber(userBreakdown.unassigned_requests)}`);
+        }
+        lines.push('');
+
+        const table = [['User', 'Cost', '% of Total', 'Requests', 'Cache Hit', 'Top Model', 'Seat']];
+        userBreakdown.users.forEach(user => {
+            const { seat } = user;
+            table.push([
+                user.user,
+                this.text.formatCurrency(user.total_cost),
+                this.text.formatPercentage(user.cost_percentage),
+                this.text.formatNumber(user.total_requests),
+                this.text.formatPercentage(user.cache_hit_rate),
+                user.models.length > 0 ? user.models[0].model : '-',
+                seat.action === 'keep'
+                    ? `keep ${seat.current_plan}`
+                    : `${seat.action}: ${seat.current_plan} → ${seat.recommended_plan}`
+            ]);
+        });
+        lines.push(...this.formatTable(table), '');
+
+        const { seat_changes: changes } = userBreakdown;
+        lines.push(`**Seat changes:** ${changes.upgrade} upgrade(s), ${changes.downgrade} downgrade(s), ${changes.keep} unchanged`);
+        if (changes.savings_monthly > 0) {
+            lines.push('', `**Potential savings from seat changes:** ${this.text.formatCurrency(changes.savings_monthly)}/month`);
+        }
+
+        return this.joinLines(lines);
+    }
+
+    /**
+     * Formats model efficiency section
+     * @param {Object} modelEfficiency - Model efficiency object
+     * @returns {string} Formatted model efficiency
+     */
+    formatModelEfficiency(modelEfficiency) {
+        if (!modelEfficiency || !modelEfficiency.rankings || modelEfficiency.rankings.length === 0) {
+            return '';
+        }
+
+        const lines = [
+            '## Model Efficiency Rankings',
+            '',
+            'Ranked by efficiency score (0-100, higher is cheaper per token). Thinking models are scored ' +
+                'on output tokens and get a 20% boost.',
+            ''
+        ];
+
+        const rankingsTable = [['Rank', 'Model', 'Efficiency', 'Cost/M Tokens', 'Cost/M Output', 'Registry Match']];
+        modelEfficiency.rankings.forEach(item => {
+            rankingsTable.push([
+                String(item.rank || ''),
+                item.model || 'Unknown',
+                this.text.formatNumber(item.efficiency_score || 0, 2),
+                this.text.formatCurrency(item.cost_per_million_tokens || 0),
+                this.text.formatCurrency(item.cost_per_million_output_tokens || 0),
+                item.resolution ? item.resolution.path : ''
+            ]);
+        });
+        lines.push(...this.formatTable(rankingsTable), '');
+
+        const recommendations = modelEfficiency.rankings.filter(item => item.recommendation);
+        if (recommendations.length > 0) {
+            lines.push('### Recommendations', '');
+            recommendations.forEach(item => {
+                lines.push(`- **${this.escape(item.model)}:** ${item.recommendation}`);
+            });
+        }
+
+        return this.joinLines(lines);
+    }
+
+    /**
+     * Formats the models that did not resolve to a registry entry
+     * @param {Object} modelEfficiency - Model efficiency object
+     * @returns {string} Formatted unresolved models section
+     */
+    formatUnresolvedModels(modelEfficiency) {
+        const unresolved = (modelEfficiency && modelEfficiency.unresolved_models) || [];
+        if (unresolved.length === 0) {
+            return '';
+        }
+
+        const lines = [
+            '## Unresolved Models',
+            '',
+            `> **Warning:** ${unresolved.length} model(s) did not match the model registry by name, alias, ` +
+                'variant or family. They have no registry category, pricing or use-case guidance. ' +
+                'Describe them in a models file and pass it with `--models <file>`.',
+            ''
+        ];
+
+        const table = [['Model', 'Requests', 'Cost', 'Tokens']];
+        unresolved.forEach(item => {
+            table.push([
+                item.model,
+                this.text.formatNumber(item.request_count || 0),
+                this.text.formatCurrency(item.total_cost || 0),
+                this.text.formatNumber(item.total_tokens || 0)
+            ]);
+        });
+        lines.push(...this.formatTable(table));
+
+        return this.joinLines(lines);
+    }
+
+    /**
+     * Formats spending forecast section
+     * @param {Object} forecast - Forecast object
+     * @returns {string} Formatted forecast
+     */
+    formatForecast(forecast) {
+        if (!forecast) return '';
+
+        const lines = [
+            '## Spending Forecast',
+            '',
+            `Based on ${forecast.history_days} days (${forecast.history_start} to ${forecast.history_end}).`,
+            ''
+        ];
+
+        if (!forecast.sufficient_data) {
+            lines.push(forecast.message);
+            return this.joinLines(lines);
+        }
+
+        const { trend } = forecast;
+        const growth = trend.monthly_growth_percentage;
+        lines.push(`**Current trajectory:** ${growth >= 0 ? '+' : ''}${growth.toFixed(1)}% monthly growth (${trend.direction})`);
+        lines.push('');
+
+        const band = `${Math.round(forecast.band_level * 100)}% band`;
+        lines.push(...this.formatTable([
+            ['Period', 'Forecast', `Low (${band})`, `High (${band})`],
+            [
+                `Next ${forecast.horizon_days} days`,
+                this.text.formatCurrency(forecast.next_period.forecast),
+                this.text.formatCurrency(forecast.next_period.low),
+                this.text.formatCurrency(forecast.next_period.high)
+            ],
+            [
+                `Cycle ending ${forecast.end_of_cycle.cycle_end}`,
+                this.text.formatCurrency(forecast.end_of_cycle.forecast),
+                this.text.formatCurrency(forecast.end_of_cycle.low),
+                this.text.formatCurrency(forecast.end_of_cycle.high)
+            ]
+        ]));
+        lines.push('');
+
+        lines.push(`- Your typical ${forecast.horizon_days} days: ${this.text.formatCurrency(forecast.typical_period_cost)}`);
+        lines.push(`- Spent this cycle so far: ${this.text.formatCurrency(forecast.end_of_cycle.spent_to_date)} ` +
+            `(${forecast.end_of_cycle.remaining_days} days left)`);
+
+        if (forecast.weekday_adjustments) {
+            const weekdays = Object.entries(forecast.weekday_adjustments).sort((a, b) => b[1] - a[1]);
+            const [busiest, busiestOffset] = weekdays[0];
+            const [quietest, quietestOffset] = weekdays[weekdays.length - 1];
+            lines.push(`- Busiest weekday: ${busiest} (+${this.text.formatCurrency(busiestOffset)}/day), ` +
+                `quietest: ${quietest} (-${this.text.formatCurrency(-quietestOffset)}/day)`);
+        }
+
+        return this.joinLines(lines);
+    }
+
+    /**
+     * Formats budget tracking section
+     * @param {Object|null} budget - Budget object
+     * @returns {string} Formatted budget (empty without a budget)
+     */
+    formatBudget(budget) {
+        if (!budget) return '';
+
+        const lines = ['## Budget', ''];
+
+        const exhaustion = budget.exhausted_on
+            ? `Exhausted on ${budget.exhausted_on}`
+            : (budget.projected_exhaustion_date ? `Expected ${budget.projected_exhaustion_date}` : 'Not expected this cycle');
+
+        lines.push(...this.formatTable([
+            ['Metric', 'Value'],
+            ['Monthly Budget', this.text.formatCurrency(budget.amount)],
+            ['Current Cycle', `${budget.cycle_start} to ${budget.cycle_end} (${budget.remaining_days} days left)`],
+            ['Spent So Far', `${this.text.formatCurrency(budget.spent_to_date)} (${this.text.formatPercentage(budget.percent_used)})`],
+            ['Projected Cycle Total', `${this.text.formatCurrency(budget.projected_total)} (${this.text.formatPercentage(budget.projected_percent)})`],
+            ['Projected From', this.text.formatProjectionMethod(budget.projection_method)],
+            ['Projected Overrun', this.text.formatCurrency(budget.projected_overrun)],
+            ['Budget Exhausted', exhaustion]
+        ]));
+        lines.push('');
+        if (budget.projection_method === 'forecast') {
+            lines.push(this.text.formatProjectionNote(), '');
+        }
+
+        if (budget.alerts.length === 0) {
+            lines.push(`No alerts: spend is projected to stay under ${budget.thresholds[0]}% of the budget.`);
+        } else {
+            lines.push('### Alerts', '');
+            budget.alerts.forEach(alert => {
+                lines.push(`- **${alert.severity.toUpperCase()}:** ${alert.message}`);
+            });
+        }
+
+        if (budget.over_budget) {
+            lines.push('', `> **Over budget** by ${this.text.formatCurrency(budget.spent_to_date - budget.amount)}`);
+        }
+
+        return this.joinLines(lines);
+    }
+
+    /**
+     * Formats the experiment log: before/after metrics and a verdict per experiment
+     * @param {Object[]|null} experiments - Experiment evaluations (null when none are recorded)
+     * @returns {string} Formatted experiment log
+     */
+    formatExperiments(experiments) {
+        if (!experiments || experiments.length === 0) return '';
+
+        const lines = ['## Experiment Log'];
+        const statusLabels = {
+            pending: 'Pending (no data since the start date)',
+            in_progress: 'In progress',
+            complete: 'Complete'
+        };
+
+        experiments.forEach((experiment, index) => {
+            lines.push('', `### Experiment ${index + 1}: ${this.escape(experiment.name)}`, '');
+            if (experiment.note) {
+                lines.push(`_${this.escape(experiment.note)}_`, '');
+            }
+            const observed = experiment.status !== 'pending' && experiment.days_observed > 0
+                ? ` (${experiment.days_observed} days)`
+                : '';
+            lines.push(`- **Started:** ${experiment.start_date}`);
+            lines.push(`- **Hypothesis:** Save ${this.text.formatCurrency(experiment.expected_monthly_savings)}/month`);
+            lines.push(`- **Status:** ${statusLabels[experiment.status]}${observed}`);
+
+            if (experiment.before && experiment.after) {
+                const { before, after, changes } = experiment;
+                lines.push('');
+                lines.push(...this.formatTable([
+                    ['Metric', 'Before', 'After', 'Change'],
+                    ['Cost per Day', this.text.formatCurrency(before.cost_per_day), this.text.formatCurrency(after.cost_per_day),
+                        this.text.formatChange(changes.cost_per_day_percentage)],
+                    ['Requests per Day', before.requests_per_day.toFixed(1), after.requests_per_day.toFixed(1),
+                        this.text.formatChange(changes.requests_per_day_percentage)],
+                    ['Cost per Request', `$${before.cost_per_request.toFixed(4)}`, `$${after.cost_per_request.toFixed(4)}`,
+                        this.text.formatChange(changes.cost_per_request_percentage)],
+                    ['Cache Hit Rate', this.text.formatPercentage(before.cache_hit_rate), this.text.formatPercentage(after.cache_hit_rate),
+                        this.formatPoints(changes.cache_hit_rate_points)]
+                ]));
+
+                const shifts = experiment.model_shifts.filter(s => Math.abs(s.difference_points) >= 1).slice(0, 5);
+                if (shifts.length > 0) {
+                    lines.push('', '**Model mix:**', '');
+                    shifts.forEach(shift => {
+                        lines.push(`- ${this.escape(shift.model)}: ${this.text.formatPercentage(shift.before_share)} → ` +
+                            `${this.text.formatPercentage(shift.after_share)} (${this.formatPoints(shift.difference_points)})`);
+                    });
+                }
+
+                lines.push('');
+                lines.push(`- **Monthly savings (volume-adjusted):** ${this.text.formatCurrency(experiment.monthly_savings.volume_adjusted)} ` +
+                    `vs ${this.text.formatCurrency(experiment.expected_monthly_savings)} expected`);
+                lines.push(`- **Monthly savings (raw cost per day):** ${this.text.formatCurrency(experiment.monthly_savings.raw)}`);
+            }
+
+            lines.push('', `**Verdict:** ${experiment.message}`);
+        });
+
+        return this.joinLines(lines);
+    }
+
+    /**
+     * Formats plan recommendation section, with the plan ranking, billing
+     * cycles and allowance replay as subsections
+     * @param {Object} planRecommendation - Plan recommendation object
+     * @returns {string} Formatted plan recommendation
+     */
+    formatPlanRecommendation(planRecommendation) {
+        if (!planRecommendation) return '';
+
+        const lines = ['## Plan Recommendation', ''];
+
+        lines.push(...this.formatTable([
+            ['Metric', 'Value'],
+            [this.text.formatCurrentPlanLabel(planRecommendation), planRecommendation.current_plan || 'Unknown'],
+            ['Current Plan Cost (Simulated)', this.text.formatCurrency(planRecommendation.current_plan_cost || 0)],
+            ['Recommended Plan', planRecommendation.recommended_plan || 'Unknown'],
+            ['Recommended Plan Cost (Simulated)', this.text.formatCurrency(planRecommendation.recommended_cost || 0)],
+            ['Monthly Savings', this.text.formatCurrency(planRecommendation.savings_monthly || 0)],
+            ['Yearly Savings', this.text.formatCurrency(planRecommendation.savings_yearly || 0)],
+            ['Monthly Usage at API Prices', this.text.formatCurrency(planRecommendation.current_monthly_cost || 0)],
+            ['Confidence', planRecommendation.confidence || 'low']
+        ]));
+        lines.push('');
+
+        const ranking = planRecommendation.plan_ranking;
+        if (ranking && ranking.length > 0) {
+            lines.push('### Plans Simulated Against Your Usage', '');
+            const rankingTable = [['Rank', 'Plan', 'Seats', 'Included', 'Subscription', 'Overage', 'Monthly Cost']];
+            ranking.forEach(item => {
+                rankingTable.push([
+                    String(item.rank),
+                    item.plan,
+                    String(item.seats),
+                    item.included_usage,
+                    this.text.formatCurrency(item.subscription_cost || 0),
+                    this.text.formatCurrency(item.overage_cost || 0),
+                    item.covers_usage
+                        ? this.text.formatCurrency(item.monthly_cost || 0)
+                        : `${this.text.formatCurrency(item.monthly_cost || 0)} (capped)`
+                ]);
+            });
+            lines.push(...this.formatTable(rankingTable), '');
+        }
+
+        const billingCycles = planRecommendation.billing_cycles;
+        if (billingCycles && billingCycles.cycles && billingCycles.cycles.length > 0) {
+            lines.push('### Billing Cycles', '');
+            lines.push(`Cycles start on day ${billingCycles.cycle_start_day}; partial cycles are projected by ${billingCycles.day_basis} days.`);
+            lines.push('');
+            const cycleTable = [['Cycle', 'Days Covered', 'Actual Cost', 'Projected Cost', 'Best Plan']];
+            billingCycles.cycles.forEach(cycle => {
+                cycleTable.push([
+                    `${cycle.start} to ${cycle.end}`,
+                    `${cycle.covered_days}/${cycle.length_days}`,
+                    this.text.formatCurrency(cycle.actual_cost || 0),
+                    cycle.complete ? '-' : this.text.formatCurrency(cycle.projected_cost || 0),
+                    cycle.recommended_plan || 'Unknown'
+                ]);
+            });
+            lines.push(...this.formatTable(cycleTable), '');
+
+            if (billingCycles.average) {
+                lines.push(`- **Average cycle:** ${this.text.formatCurrency(billingCycles.average.monthly_cost || 0)} → ` +
+                    `${billingCycles.average.recommended_plan}`);
+            }
+            if (billingCycles.worst_case) {
+                lines.push(`- **Worst case (${billingCycles.worst_case.cycle_start}):** ` +
+                    `${this.text.formatCurrency(billingCycles.worst_case.monthly_cost || 0)} → ${billingCycles.worst_case.recommended_plan}`);
+            }
+            lines.push('');
+        }
+
+        const replay = planRecommendation.allowance_replay;
+        if (replay && replay.plans && replay.plans.length > 0) {
+            lines.push('### Allowance Replay', '', 'Requests replayed in time order against each plan\'s allowance, per billing cycle.', '');
+            const replayTable = [['Plan', 'Cycle', 'Allowance', 'Exhausted On', 'Included', 'On-Demand', 'Overage After']];
+            replay.plans.forEach(plan => {
+                plan.cycles.forEach(cycle => {
+                    replayTable.push([
+                        plan.plan,
+                        `${cycle.start} to ${cycle.end}`,
+                        plan.included_usage.replace('/seat', plan.seats > 1 ? ` x ${plan.seats}` : ''),
+                        cycle.exhausted_on || 'not exhausted',
+                        this.text.formatNumber(cycle.included_requests),
+                        plan.capped
+                            ? `${this.text.formatNumber(cycle.unserved_requests)} (capped)`
+                            : this.text.formatNumber(cycle.on_demand_requests),
+                        this.text.formatCurrency(cycle.overage_cost || 0)
+                    ]);
+                });
+            });
+            lines.push(...this.formatTable(replayTable), '');
+        }
+
+        if (planRecommendation.reasoning) {
+            lines.push('### Reasoning', '');
+            if (Array.isArray(planRecommendation.reasoning)) {
+                planRecommendation.reasoning.forEach(reason => lines.push(`- ${reason}`));
+            } else {
+                lines.push(planRecommendation.reasoning);
+            }
+            lines.push('');
+        }
+
+        if (planRecommendation.actions && planRecommendation.actions.length > 0) {
+            lines.push('### Recommended Actions', '');
+            planRecommendation.actions.forEach((action, index) => {
+                lines.push(`${index + 1}. ${action}`);
+            });
+        }
+
+        return this.joinLines(lines);
+    }
+
+    /**
+     * Formats cache efficiency section
+     * @param {Object} cacheEfficiency - Cache efficiency object
+     * @returns {string} Formatted cache efficiency
+     */
+    formatCacheEfficiency(cacheEfficiency) {
+        if (!cacheEfficiency) return '';
+
+        const lines = ['## Cache Efficiency', ''];
+        const { metrics } = cacheEfficiency;
+
+        if (metrics) {
+            const metricsTable = [
+                ['Metric', 'Value'],
+                ['Overall Cache Efficiency', this.text.formatPercentage(metrics.overall_cache_efficiency || 0)],
+                ['Cache Hit Rate', this.text.formatPercentage(metrics.cache_hit_rate || 0)],
+                ['Average Cache Read Ratio', this.text.formatPercentage(metrics.average_cache_read_ratio || 0)]
+            ];
+            if (metrics.total_cache_reads !== undefined) {
+                metricsTable.push(['Total Cache Reads', this.text.formatNumber(metrics.total_cache_reads)]);
+            }
+            if (metrics.total_tokens !== undefined) {
+                metricsTable.push(['Total Tokens', this.text.formatNumber(metrics.total_tokens)]);
+            }
+            if (metrics.total_cache_write_tokens > 0) {
+                metricsTable.push(['Cache Write Tokens', this.text.formatNumber(metrics.total_cache_write_tokens)]);
+                metricsTable.push(['Write/Read Ratio', this.text.formatNumber(metrics.write_read_ratio, 3)]);
+                metricsTable.push(['Cache Reuse Factor', `${this.text.formatNumber(metrics.cache_reuse_factor, 1)}x`]);
+            }
+            lines.push(...this.formatTable(metricsTable), '');
+        }
+
+        if (cacheEfficiency.feedback && cacheEfficiency.feedback.length > 0) {
+            lines.push('### Feedback', '');
+            cacheEfficiency.feedback.forEach(feedback => {
+                lines.push(`- ${feedback}`);
+            });
+        }
+
+        return this.joinLines(lines);
+    }
+
+    /**
+     * Formats opportunities section as a task list, one unchecked item per opportunity
+     * @param {Object} opportunities - Opportunities object
+     * @returns {string} Formatted opportunities
+     */
+    formatOpportunities(opportunities) {
+        if (!opportunities || !opportunities.list || opportunities.list.length === 0) {
+            return '';
+        }
+
+        const lines = ['## Savings Opportunities', ''];
+
+        if (opportunities.total_potential_savings_monthly !== undefined) {
+            lines.push(`**Total Potential Savings:** ${this.text.formatCurrency(opportunities.total_potential_savings_monthly)}/month ` +
+                `(${this.text.formatCurrency(opportunities.total_potential_savings_yearly || 0)}/year)`);
+            lines.push('');
+        }
+
+        opportunities.list.forEach(opp => {
+            lines.push(`- [ ] **${this.escape(opp.title || 'Untitled Opportunity')}** - ` +
+                `${this.text.formatCurrency(opp.savings_monthly || 0)}/month (${this.text.formatCurrency(opp.savings_yearly || 0)}/year)`);
+            lines.push(`  - Type: ${opp.type || 'Unknown'} | Difficulty: ${opp.difficulty || 'medium'} | ` +
+                `Impact: ${opp.impact || 'medium'} | Confidence: ${opp.confidence || 'low'}`);
+
+            if (opp.action) {
+                lines.push(`  - Action: ${opp.action}`);
+            }
+            if (opp.reasoning) {
+                lines.push(`  - Reasoning: ${Array.isArray(opp.reasoning) ? opp.reasoning.join(' ') : opp.reasoning}`);
+            }
+            if (opp.from_model && opp.to_model) {
+                const share = opp.migration_percentage !== undefined
+                    ? ` (${this.text.formatPercentage(opp.migration_percentage)} of requests)`
+                    : '';
+                lines.push(`  - Migration: ${this.escape(opp.from_model)} → ${this.escape(opp.to_model)}${share}`);
+            }
+            if (opp.tips && opp.tips.length > 0) {
+                lines.push('  - Tips:');
+                opp.tips.forEach(tip => {
+                    lines.push(`    - ${tip}`);
+                });
+            }
+        });
+
+        return this.joinLines(lines);
+    }
+
+    /**
+     * Formats patterns section
+     * @param {Object} patterns - Patterns object
+     * @param {boolean} showGraphs - Whether to show charts instead of tables
+     * @returns {string} Formatted patterns
+     */
+    formatPatterns(patterns, showGraphs = false) {
+        if (!patterns) return '';
+
+        const lines = ['## Usage Patterns', ''];
+
+        if (patterns.work_style) {
+            if (typeof patterns.work_style === 'string') {
+                lines.push(`**Work Style:** ${patterns.work_style}`, '');
+            } else if (patterns.work_style.primary_style) {
+                const style = patterns.work_style;
+                lines.push(`**Work Style:** ${style.primary_style}` +
+                    (style.secondary_style ? ` (secondary: ${style.secondary_style})` : ''));
+                if (style.description) {
+                    lines.push('', style.description);
+                }
+                lines.push('');
+            }
+        }
+
+        if (patterns.peak_hours && patterns.peak_hours.length > 0) {
+            const hours = patterns.peak_hours
+                .map(h => (typeof h === 'object' && h.hour !== undefined ? `${h.hour}:00` : `${h}:00`))
+                .join(', ');
+            lines.push(`**Peak Hours:** ${hours}`, '');
+        }
+
+        if (patterns.hourly_distribution && patterns.hourly_distribution.length > 0) {
+            const distribution = patterns.hourly_distribution.map((count, hour) =>
+                (typeof count === 'object' && count.requests !== undefined
+                    ? { hour: count.hour || hour, count: count.requests }
+                    : { hour, count }));
+            const total = distribution.reduce((sum, item) => sum + (item.count || 0), 0);
+            const top = distribution
+                .filter(item => item.count > 0)
+                .sort((a, b) => b.count - a.count)
+                .slice(0, 5);
+
+            if (top.length > 0) {
+                lines.push('### Busiest Hours', '');
+                if (showGraphs) {
+                    lines.push(...this.formatChart(this.text.generateHorizontalBarChart(top.map(item => ({
+                        label: `${item.hour}:00`.padStart(5),
+                        value: item.count,
+                        percentage: total > 0 ? (item.count / total) * 100 : 0
+                    })), 50)));
+                } else {
+                    const hourlyTable = [['Hour', 'Requests']];
+                    top.forEach(item => hourlyTable.push([`${item.hour}:00`, this.text.formatNumber(item.count)]));
+                    lines.push(...this.formatTable(hourlyTable), '');
+                }
+            }
+        }
+
+        if (patterns.daily_distribution && patterns.daily_distribution.length > 0) {
+            const dayNames = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+            const days = patterns.daily_distribution.map((item, index) => ({
+                label: dayNames[index] || `Day ${index}`,
+                value: (typeof item === 'object' && item.requests !== undefined ? item.requests : item) || 0
+            }));
+
+            lines.push('### Weekly Usage Pattern', '');
+            if (showGraphs) {
+                lines.push(...this.formatChart(this.text.generateBarChart(days, 50, 8)));
+            } else {
+                const dailyTable = [['Day', 'Requests']];
+                days.forEach(day => dailyTable.push([day.label, this.text.formatNumber(day.value)]));
+                lines.push(...this.formatTable(dailyTable), '');
+            }
+        }
+
+        if (patterns.usage_consistency) {
+            lines.push(`**Usage Consistency:** ${patterns.usage_consistency}`, '');
+        }
+
+        if (patterns.weekend_ratio !== undefined) {
+            lines.push(`**Weekend Usage Ratio:** ${this.text.formatPercentage(patterns.weekend_ratio)}`, '');
+        }
+
+        if (patterns.recommendations && patterns.recommendations.length > 0) {
+            lines.push('### Recommendations', '');
+            patterns.recommendations.forEach((rec, index) => {
+                const text = typeof rec === 'string' ? rec : (rec.message || rec.title || JSON.stringify(rec));
+                lines.push(`${index + 1}. ${text}`);
+            });
+        }
+
+        return this.joinLines(lines);
+    }
+
+    /**
+     * Formats price reconciliation section (exported Cost vs token-computed price)
+     * @param {Object} reconciliation - Price reconciliation object
+     * @returns {string} Formatted price reconciliation
+     */
+    formatPriceReconciliation(reconciliation) {
+        if (!reconciliation || reconciliation.checked_rows === 0) return '';
+
+        const lines = ['## Price Reconciliation', ''];
+
+        lines.push(...this.formatTable([
+            ['Metric', 'Value'],
+            ['Rows Checked', this.text.formatNumber(reconciliation.checked_rows)],
+            ['Rows Flagged', this.text.formatNumber(reconciliation.flagged_rows)],
+            ['Exported Cost', this.text.formatCurrency(reconciliation.total_exported_cost)],
+            ['Computed Cost', this.text.formatCurrency(reconciliation.total_computed_cost)],
+            ['Difference', this.text.formatCurrency(reconciliation.total_difference)]
+        ]));
+        lines.push('');
+
+        if (reconciliation.flagged && reconciliation.flagged.length > 0) {
+            lines.push('### Largest Divergences', '');
+            const flaggedTable = [['Row', 'Date', 'Model', 'Exported', 'Computed', 'Difference']];
+            reconciliation.flagged.forEach(row => {
+                flaggedTable.push([
+                    String(row.row_number),
+                    (row.date || '').split('T')[0],
+                    row.model,
+                    this.text.formatCurrency(row.exported_cost),
+                    this.text.formatCurrency(row.computed_cost),
+                    this.text.formatPercentage(row.difference_percentage)
+                ]);
+            });
+            lines.push(...this.formatTable(flaggedTable), '');
+        }
+
+        if (reconciliation.unpriced_models && reconciliation.unpriced_models.length > 0) {
+            lines.push(`**Not priced (no price table):** ${reconciliation.unpriced_models.map(m => this.escape(m)).join(', ')}`);
+        }
+
+        return this.joinLines(lines);
+    }
+
+    /**
+     * Formats a Markdown pipe table; the first row is the header
+     * @param {Array<Array<string>>} rows - Array of rows, each row is an array of cells
+     * @returns {Array<string>} Table lines
+     */
+    formatTable(rows) {
+        if (!rows || rows.length === 0) return [];
+
+        const [header, ...body] = rows;
+        const row = cells => `| ${cells.map(cell => this.escapeCell(cell)).join(' | ')} |`;
+
+        return [
+            row(header),
+            `| ${header.map(() => '---').join(' | ')} |`,
+            ...body.map(row)
+        ];
+    }
+
+    /**
+     * Wraps chart lines in a fenced code block so they keep their alignment
+     * @param {Array<string>} chartLines - Chart lines from the text formatter
+     * @returns {Array<string>} Fenced block followed by a blank line (empty without a chart)
+     */
+    formatChart(chartLines) {
+        if (!chartLines || chartLines.length === 0) return [];
+        return ['```text', ...chartLines, '```', ''];
+    }
+
+    /**
+     * Formats a change in percentage points (e.g. "+2.5 pts")
+     * @param {number} points - Change in points
+     * @returns {string} Formatted change
+     */
+    formatPoints(points) {
+        return `${points >= 0 ? '+' : ''}${points.toFixed(1)} pts`;
+    }
+
+    /**
+     * Escapes characters Markdown would treat as formatting in inline text,
+     * and HTML tags and entities, which Markdown renderers pass through
+     * @param {string} value - Text to escape
+     * @returns {string} Escaped text
+     */
+    escape(value) {
+        return String(value ?? '').replace(/([\\`*_[\]<>&|])/g, '\\$1');
+    }
+
+    /**
+     * Escapes a table cell: pipes would split the cell, newlines the row, and
+     * HTML tags and entities are escaped as in inline text
+     * @param {*} value - Cell value
+     * @returns {string} Escaped cell
+     */
+    escapeCell(value) {
+        return String(value ?? '').replace(/([\\|<>&])/g, '\\$1').replace(/\r?\n/g, ' ');
+    }
+
+    /**
+     * Joins section lines, dropping trailing blank lines
+     * @param {Array<string>} lines - Section lines
+     * @returns {string} Section text
+     */
+    joinLines(lines) {
+        while (lines.length > 0 && lines[lines.length - 1] === '') {
+            lines.pop();
+        }
+        return lines.join('\n');
+    }
+}
+
+export { MarkdownFormatter };
@@ -4,7 +4,105 @@
  * Pure JavaScript - no external dependencies
  */
 
+/**
+ * ANSI colors by tone: green = good, yellow = warning, red = action
+ */
+const TONE_COLORS = {
+    good: '\x1b[32m',
+    warning: '\x1b[33m',
+    action: '\x1b[31m'
+};
+
+const ANSI_RESET = '\x1b[0m';
+
+const ANSI_PATTERN = /\x1b\[[0-9;]*m/g;
+
+/**
+ * ASCII stand-ins for the Unicode symbols and emoji that reach the report,
+ * from the formatter itself or from analyzer text (the emoji variant of a
+ * symbol is listed before its bare form)
+ */
+const ASCII_FALLBACKS = [
+    ['→', '->'],
+    ['⚠️', '[!]'],
+    ['⚠', '[!]'],
+    ['✅', '[ok]'],
+    ['🎉', '[*]'],
+    ['█', '#'],
+    ['░', '.'],
+    ['│', '|'],
+    ['─', '-']
+];
+
+/**
+ * Tone of each cache benchmark level
+ */
+const BENCHMARK_TONES = {
+    Poor: 'action',
+    Average: 'warning',
+    Good: 'good',
+    Excellent: 'good',
+    Outstanding: 'good'
+};
+
+/**
+ * Tone of each opportunity impact: high-impact opportunities call for action
+ */
+const IMPACT_TONES = {
+    high: 'action',
+    medium: 'warning',
+    low: 'good'
+};
+
+/**
+ * Tone of each experiment verdict
+ */
+const VERDICT_TONES = {
+    confirmed: 'good',
+    partial: 'warning',
+    not_confirmed: 'action'
+};
+
+/**
+ * Tone of each comparison status (unchanged and changed stay uncolored)
+ */
+const STATUS_TONES = {
+    improved: 'good',
+    regressed: 'action'
+};
+
+/**
+ * Tone of each budget alert severity
+ */
+const SEVERITY_TONES = {
+    warning: 'warning',
+    critical: 'action'
+};
+
+/**
+ * Report names of the sections a streaming analysis leaves out
+ */
+const SECTION_NAMES = {
+    user_breakdown: 'per-user breakdown',
+    model_efficiency: 'model efficiency',
+    experiments: 'experiments',
+    plan_recommendation: 'plan recommendation',
+    opportunities: 'opportunities',
+    price_reconciliation: 'price reconciliation'
+};
+
 class TextFormatter {
+    /**
+     * @param {Object} [options]
+     * @param {boolean} [options.color] - Color verdicts with ANSI codes (default false)
+     * @param {boolean} [options.unicode] - Use braille, block characters and emoji;
+     *   false replaces them with ASCII (default true)
+     */
+    constructor({ color = false, unicode = true } = {}) {
+        this.color = color;
+        this.unicode = unicode;
+    }
+
     /**
      * Formats an AnalysisResult object to plain text
      * @param {Object} analysisResult - Analysis result from analyzer
@@ -27,9 +125,24 @@ class TextFormatter {
         // Add cost analysis section (with optional graphs)
         sections.push(this.formatCostAnalysis(analysisResult.cost_analysis, showGraphs));
 
+        // Add per-user breakdown section (team-admin exports)
+        sections.push(this.formatUserBreakdown(analysisResult.user_breakdown));
+
         // Add model efficiency section
         sections.push(this.formatModelEfficiency(analysisResult.model_efficiency));
 
+        // Add unresolved models section
+        sections.push(this.formatUnresolvedModels(analysisResult.model_efficiency));
+
+        // Add spending forecast section
+        sections.push(this.formatForecast(analysisResult.forecast));
+
+        // Add budget section (only when a budget was given)
+        sections.push(this.formatBudget(analysisResult.budget));
+
+        // Add experiment log section
+        sections.push(this.formatExperiments(analysisResult.experiments));
+
         // Add plan recommendation section
         sections.push(this.formatPlanRecommendation(analysisResult.plan_recommendation));
 
@@ -42,7 +155,412 @@ class TextFormatter {
         // Add patterns section
         sections.push(this.formatPatterns(analysisResult.patterns, showGraphs));
 
-        return sections.filter(s => s).join('\n\n');
+        // Add price reconciliation section
+        sections.push(this.formatPriceReconciliation(analysisResult.price_reconciliation));
+
+        return this.finish(sections.filter(s => s).join('\n\n'));
+    }
+
+    /**
+     * Formats a what-if scenario result (baseline vs scenario side by side)
+     * @param {Object} whatIfResult - Result from the what-if engine
+     * @returns {string} Formatted what-if report
+     */
+    formatWhatIf(whatIfResult) {
+        if (!whatIfResult) {
+            throw new Error('What-if result cannot be null or undefined');
+        }
+
+        const { rules, substitution, comparison } = whatIfResult;
+        const lines = [
+            '='.repeat(80),
+            'CURSOR COST EXPLORER - WHAT-IF SCENARIO',
+            '='.repeat(80),
+            ''
+        ];
+
+        const period = whatIfResult.baseline.summary.period;
+        lines.push(`Period: ${period.start} to ${period.end} (${period.days} days)`);
+        if (whatIfResult.baseline.metadata?.filters) {
+            lines.push(this.colorize(`Filters: ${this.formatFilters(whatIfResult.baseline.metadata.filters)}`, 'warning'));
+        }
+        lines.push('');
+
+        lines.push('Substitution Rules:');
+        lines.push('');
+        const rulesTable = [
+            ['#', 'From', 'To', 'Share', 'Token Range', 'Moved', 'Cost Before', 'Cost After']
+        ];
+        substitution.by_rule.forEach((stats, index) => {
+            const rule = stats.rule;
+            const tokenRange = rule.maxTokens === Infinity
+                ? (rule.minTokens > 0 ? `>= ${rule.minTokens}` : 'any')
+                : `${rule.minTokens}-${rule.maxTokens}`;
+            rulesTable.push([
+                String(index + 1),
+                rule.from,
+                rule.to,
+                this.formatPercentage(rule.share * 100),
+                tokenRange,
+                `${stats.substituted}/${stats.matched}`,
+                this.formatCurrency(stats.baseline_cost),
+                this.formatCurrency(stats.scenario_cost)
+            ]);
+        });
+        lines.push(...this.formatTable(rulesTable));
+        lines.push('');
+
+        lines.push('Baseline vs Scenario:');
+        lines.push('');
+        const comparisonTable = [
+            ['Metric', 'Baseline', 'Scenario', 'Change'],
+            [
+                'Total Cost',
+                this.formatCurrency(comparison.total_cost.baseline),
+                this.formatCurrency(comparison.total_cost.scenario),
+                this.formatPercentage(comparison.total_cost.difference_percentage)
+            ],
+            [
+                'Monthly Cost',
+                this.formatCurrency(comparison.monthly_cost.baseline),
+                this.formatCurrency(comparison.monthly_cost.scenario),
+                this.formatPercentage(comparison.monthly_cost.difference_percentage)
+            ],
+            [
+                'Cache Hit Rate',
+                this.formatPercentage(comparison.cache_hit_rate.baseline),
+                this.formatPercentage(comparison.cache_hit_rate.scenario),
+                this.formatPercentage(comparison.cache_hit_rate.difference_percentage)
+            ],
+            [
+                'Recommended Plan',
+                comparison.recommended_plan.baseline,
+                comparison.recommended_plan.scenario,
+                comparison.recommended_plan.baseline === comparison.recommended_plan.scenario
+                    ? 'same'
+                    : this.colorize('changed', 'warning')
+            ]
+        ];
+        lines.push(...this.formatTable(comparisonTable));
+        lines.push('');
+
+        lines.push('Cost by Model:');
+        lines.push('');
+        const modelTable = [
+            ['Model', 'Baseline', 'Scenario', 'Difference']
+        ];
+        comparison.cost_by_model
+            .filter(item => item.difference !== 0)
+            .forEach(item => {
+                modelTable.push([
+                    item.model,
+                    this.formatCurrency(item.baseline),
+                    this.formatCurrency(item.scenario),
+                    this.formatCurrency(item.difference)
+                ]);
+            });
+        lines.push(...this.formatTable(modelTable));
+        lines.push('');
+
+        const savings = -comparison.total_cost.difference;
+        lines.push(savings >= 0
+            ? `Scenario would have saved ${this.formatCurrency(savings)} over this period.`
+            : `Scenario would have cost ${this.formatCurrency(-savings)} more over this period.`);
+
+        return this.finish(lines.join('\n'));
+    }
+
+    /**
+     * Formats a comparison of two analyses (baseline vs current side by side)
+     * @param {Object} comparisonResult - { labels: { baseline, current }, comparison }
+     * @returns {string} Formatted comparison report
+     */
+    formatComparison(comparisonResult) {
+        if (!comparisonResult || !comparisonResult.comparison) {
+            throw new Error('Comparison result cannot be null or undefined');
+        }
+
+        const { comparison } = comparisonResult;
+        const labels = comparisonResult.labels || { baseline: 'Baseline', current: 'Current' };
+        const lines = [
+            '='.repeat(80),
+            'CURSOR COST EXPLORER - COMPARISON',
+            '='.repeat(80),
+            ''
+        ];
+
+        const describe = (label, period) => {
+            const range = `${period.start} to ${period.end}`;
+            return label === range
+                ? `${range} (${period.days} days)`
+                : `${label} (${range}, ${period.days} days)`;
+        };
+        lines.push(`Baseline: ${describe(labels.baseline, comparison.periods.baseline)}`);
+        lines.push(`Current:  ${describe(labels.current, comparison.periods.current)}`);
+        const filters = comparison.filters || {};
+        if (filters.baseline || filters.current) {
+            const baselineFilters = this.formatFilters(filters.baseline);
+            const currentFilters = this.formatFilters(filters.current);
+            lines.push(this.colorize(baselineFilters === currentFilters
+                ? `Filters: ${baselineFilters}`
+                : `Filters: ${baselineFilters} (baseline), ${currentFilters} (current)`, 'warning'));
+        }
+        lines.push('');
+
+        const row = (metric, delta, format) => [
+            metric,
+            format(delta.baseline),
+            format(delta.current),
+            this.formatChange(delta.difference_percentage),
+            this.formatStatus(delta.status)
+        ];
+        const currency = value => this.formatCurrency(value);
+        const percentage = value => this.formatPercentage(value);
+
+        const metricsTable = [
+            ['Metric', 'Baseline', 'Current', 'Change', 'Status'],
+            row('Total Cost', comparison.total_cost, currency),
+            row('Daily Average Cost', comparison.daily_average_cost, currency),
+            row('Monthly Cost', comparison.monthly_cost, currency),
+            row('Cost per Request', comparison.cost_per_request, value => `$${value.toFixed(4)}`),
+            row('Cache Hit Rate', comparison.cache_hit_rate, percentage),
+            row('Error Rate', comparison.error_rate, percentage)
+        ];
+        // Streaming results have no plan recommendation to compare
+        const plans = comparison.plan_recommendation;
+        if (plans) {
+            metricsTable.push([
+                'Recommended Plan',
+                plans.baseline,
+                plans.current,
+                plans.changed ? this.colorize('changed', 'warning') : 'same',
+                this.formatStatus(plans.recommended_cost.status)
+            ]);
+        }
+        lines.push(...this.formatTable(metricsTable));
+        lines.push('');
+
+        lines.push('Cost by Model:');
+        lines.push('');
+        const modelTable = [['Model', 'Baseline', 'Current', 'Difference', 'Status']];
+        comparison.cost_by_model.forEach(item => {
+            modelTable.push([
+                item.model,
+                this.formatCurrency(item.baseline),
+                this.formatCurrency(item.current),
+                this.formatCurrency(item.difference),
+                this.formatStatus(item.status)
+            ]);
+        });
+        lines.push(...this.formatTable(modelTable));
+        lines.push('');
+
+        lines.push('Model Mix (share of requests):');
+        lines.push('');
+        const mixTable = [['Model', 'Baseline', 'Current', 'Shift']];
+        comparison.model_mix.forEach(item => {
+            mixTable.push([
+                item.model,
+                this.formatPercentage(item.baseline_share),
+                this.formatPercentage(item.current_share),
+                `${item.difference_points >= 0 ? '+' : ''}${item.difference_points.toFixed(1)} pts`
+            ]);
+        });
+        lines.push(...this.formatTable(mixTable));
+        lines.push('');
+
+        const metrics = [
+            ['total cost', comparison.total_cost],
+            ['daily average cost', comparison.daily_average_cost],
+            ['cost per request', comparison.cost_per_request],
+            ['cache hit rate', comparison.cache_hit_rate],
+            ['error rate', comparison.error_rate]
+        ];
+        const improved = metrics.filter(([, delta]) => delta.status === 'improved').map(([name]) => name);
+        const regressed = metrics.filter(([, delta]) => delta.status === 'regressed').map(([name]) => name);
+        lines.push(`Improvements: ${improved.length > 0 ? improved.join(', ') : 'none'}`);
+        lines.push(`Regressions:  ${regressed.length > 0 ? regressed.join(', ') : 'none'}`);
+
+        return this.finish(lines.join('\n'));
+    }
+
+    /**
+     * Formats a team analysis: summary, members, leaderboard, outliers and savings
+     * @param {Object} teamResult - Result from analyzeTeam
+     * @returns {string} Formatted team report
+     */
+    formatTeam(teamResult) {
+        if (!teamResult) {
+            throw new Error('Team result cannot be null or undefined');
+        }
+
+        const { summary, savings } = teamResult;
+        const lines = [
+            '='.repeat(80),
+            'CURSOR COST EXPLORER - TEAM REPORT',
+            '='.repeat(80),
+            ''
+        ];
+
+        lines.push(`Period: ${teamResult.period.start} to ${teamResult.period.end}`);
+        lines.push(`Members: ${teamResult.member_count}`);
+        if (teamResult.filters) {
+            lines.push(this.colorize(`Filters: ${this.formatFilters(teamResult.filters)}`, 'warning'));
+        }
+        lines.push('');
+
+        const summaryTable = [
+            ['Metric', 'Value'],
+            ['Total Spend', this.formatCurrency(summary.total_cost)],
+            ['Average per Member', this.formatCurrency(summary.average_cost)],
+            ['Median per Member', this.formatCurrency(summary.median_cost)],
+            ['Monthly Cost (team)', this.formatCurrency(summary.total_monthly_cost)],
+            ['Monthly Cost (average)', this.formatCurrency(summary.average_monthly_cost)],
+            ['Total Requests', this.formatNumber(summary.total_requests)],
+            ['Cost per Request', `$${summary.cost_per_request.toFixed(4)}`]
+        ];
+        lines.push(...this.formatTable(summaryTable));
+        lines.push('');
+
+        lines.push('Members:');
+        lines.push('');
+        const membersTable = [['Member', 'Spend', 'Monthly', 'Requests', '$/Request', 'Cache Hit', 'Errors', 'Plan']];
+        teamResult.members.forEach(member => {
+            const plan = member.recommended_plan === member.current_plan
+                ? this.colorize(member.current_plan, 'good')
+                : this.colorize(`${member.current_plan} -> ${member.recommended_plan}`, 'action');
+            membersTable.push([
+                member.is_outlier ? `${member.label} *` : member.label,
+                this.formatCurrency(member.total_cost),
+                this.formatCurrency(member.monthly_cost),
+                this.formatNumber(member.total_requests),
+                `$${member.cost_per_request.toFixed(4)}`,
+                this.formatPercentage(member.cache_hit_rate),
+                this.formatPercentage(member.error_rate),
+                plan
+            ]);
+        });
+        lines.push(...this.formatTable(membersTable));
+        if (teamResult.outliers.length > 0) {
+            lines.push('* outlier (see below)');
+        }
+        (teamResult.skipped_members || []).forEach(member => {
+            lines.push(this.colorize(`Skipped ${member.label}: ${member.reason}`, 'warning'));
+        });
+        lines.push('');
+
+        lines.push('Efficiency Leaderboard:');
+        lines.push('');
+        const leaderboardTable = [['Rank', 'Member', 'Efficiency Score', '$/1M Tokens', '$/Request', 'Cache Hit']];
+        teamResult.leaderboard.forEach(entry => {
+            leaderboardTable.push([
+                String(entry.rank),
+                entry.label,
+                entry.efficiency_score.toFixed(1),
+                this.formatCurrency(entry.cost_per_million_tokens),
+                `$${entry.cost_per_request.toFixed(4)}`,
+                this.formatPercentage(entry.cache_hit_rate)
+            ]);
+        });
+        lines.push(...this.formatTable(leaderboardTable));
+        lines.push('');
+
+        lines.push('Outliers:');
+        if (teamResult.outliers.length === 0) {
+            lines.push(teamResult.member_count < 3
+                ? '  Outliers are flagged in teams of 3 or more.'
+                : '  None - everyone is within range of the team median.');
+        } else {
+            teamResult.outliers.forEach(outlier => {
+                lines.push(`  - ${outlier.message}`);
+            });
+        }
+        lines.push('');
+
+        lines.push('Team Savings:');
+        lines.push(`  Plan changes: ${this.formatCurrency(savings.plan_switch_monthly)}/month`);
+        savings.plan_changes.forEach(change => {
+            lines.push(`    ${change.label}: ${change.current_plan} -> ${change.recommended_plan} ` +
+                `(saves ${this.formatCurrency(change.savings_monthly)}/month)`);
+        });
+        lines.push(`  Usage opportunities: ${this.formatCurrency(savings.opportunities_monthly)}/month`);
+        lines.push(`  Total potential: ${this.formatCurrency(savings.total_monthly)}/month ` +
+            `(${this.formatCurrency(savings.total_yearly)}/year)`);
+
+        return this.finish(lines.join('\n'));
+    }
+
+    /**
+     * Formats a relative change with its sign (e.g. "+12.50%")
+     * @param {number} value - Change in percent
+     * @returns {string} Formatted change
+     */
+    formatChange(value) {
+        const number = Number(value) || 0;
+        return `${number > 0 ? '+' : ''}${this.formatPercentage(number)}`;
+    }
+
+    /**
+     * Formats a comparison status, colored when it is an improvement or regression
+     * @param {string} status - Change status from the comparison engine
+     * @returns {string} Formatted status
+     */
+    formatStatus(status) {
+        return this.colorize(status, STATUS_TONES[status]);
+    }
+
+    /**
+     * Wraps text in the ANSI color of a tone
+     * @param {string} text - Text to color
+     * @param {string} [tone] - good, warning or action; anything else leaves the text as is
+     * @returns {string} Colored text (unchanged when color is off)
+     */
+    colorize(text, tone) {
+        if (!this.color || !TONE_COLORS[tone]) {
+            return text;
+        }
+        return `${TONE_COLORS[tone]}${text}${ANSI_RESET}`;
+    }
+
+    /**
+     * Applies the ASCII fallbacks to a finished report when Unicode is off
+     * @param {string} output - Formatted report
+     * @returns {string} Report for the target terminal
+     */
+    finish(output) {
+        if (this.unicode) {
+            return output;
+        }
+        return ASCII_FALLBACKS.reduce((text, [symbol, fallback]) => text.split(symbol).join(fallback), output);
+    }
+
+    /**
+     * Describes the filters a result was narrowed with
+     * @param {Object|null} filters - Metadata filters ({ since, until, models, exclude_models, kinds })
+     * @returns {string} One-line description, e.g. "since 2025-11-01, model claude*"
+     */
+    formatFilters(filters) {
+        if (!filters) return 'none';
+
+        const parts = [];
+        if (filters.since) parts.push(`since ${filters.since}`);
+        if (filters.until) parts.push(`until ${filters.until}`);
+        if (filters.models?.length > 0) parts.push(`model ${filters.models.join(' or ')}`);
+        if (filters.exclude_models?.length > 0) parts.push(`excluding model ${filters.exclude_models.join(', ')}`);
+        if (filters.kinds?.length > 0) parts.push(`kind ${filters.kinds.join(' or ')}`);
+        return parts.join(', ');
+    }
+
+    /**
+     * Describes how a streaming analysis differs from a full one
+     * @param {Object} metadata - Result metadata
+     * @returns {string|null} e.g. "streaming (without model efficiency, opportunities)", or null for full analyses
+     */
+    formatAnalysisMode(metadata) {
+        if (!metadata || !metadata.streaming) return null;
+
+        const omitted = (metadata.omitted_sections || []).map(section => SECTION_NAMES[section] || section);
+        return omitted.length > 0 ? `streaming (without ${omitted.join(', ')})` : 'streaming';
     }
 
     /**
@@ -62,6 +580,16 @@ class TextFormatter {
             `Total Records: ${metadata.total_records || 0}`,
             `Analysis Version: ${metadata.analysis_version || '1.0'}`
         ];
+        if (metadata.timezone) {
+            lines.push(`Timezone: ${metadata.timezone}`);
+        }
+        if (metadata.filters) {
+            lines.push(this.colorize(`Filters: ${this.formatFilters(metadata.filters)}`, 'warning'));
+        }
+        const mode = this.formatAnalysisMode(metadata);
+        if (mode) {
+            lines.push(`Mode: ${mode}`);
+        }
 
         return lines.join('\n');
     }
@@ -226,6 +754,33 @@ class TextFormatter {
             }
         }
 
+        // Max Mode breakdown (only when the export has Max Mode requests)
+        const maxModeBreakdown = costAnalysis.breakdown_by_max_mode;
+        if (maxModeBreakdown && maxModeBreakdown.max_mode && maxModeBreakdown.max_mode.request_count > 0) {
+            lines.push('Max Mode Breakdown:');
+            lines.push('');
+            const maxModeTable = [
+                ['Model', 'Max Cost', 'Max Requests', 'Max Cost/M', 'Std Cost', 'Std Requests', 'Std Cost/M']
+            ];
+
+            maxModeBreakdown.by_model
+                .filter(item => item.max_mode.request_count > 0)
+                .forEach(item => {
+                    maxModeTable.push([
+                        item.model || 'Unknown',
+                        this.formatCurrency(item.max_mode.cost),
+                        this.formatNumber(item.max_mode.request_count),
+                        this.formatCurrency(item.max_mode.cost_per_million_tokens),
+                        this.formatCurrency(item.standard.cost),
+                        this.formatNumber(item.standard.request_count),
+                        this.formatCurrency(item.standard.cost_per_million_tokens)
+                    ]);
+                });
+
+            lines.push(...this.formatTable(maxModeTable));
+            lines.push('');
+        }
+
         // Most expensive model
         if (costAnalysis.most_expensive_model) {
             lines.push(`Most Expensive Model: ${costAnalysis.most_expensive_model.model || 'Unknown'}`);
@@ -297,7 +852,7 @@ class TextFormatter {
         ];
 
         const rankingsTable = [
-            ['Rank', 'Model', 'Efficiency', 'Cost/M Tokens', 'Cost/M Output']
+            ['Rank', 'Model', 'Efficiency', 'Cost/M Tokens', 'Cost/M Output', 'Registry Match']
         ];
 
         modelEfficiency.rankings.forEach(item => {
@@ -306,7 +861,8 @@ class TextFormatter {
                 item.model || 'Unknown',
                 this.formatNumber(item.efficiency_score || 0, 2),
                 this.formatCurrency(item.cost_per_million_tokens || 0),
-                this.formatCurrency(item.cost_per_million_output_tokens || 0)
+                this.formatCurrency(item.cost_per_million_output_tokens || 0),
+                item.resolution ? item.resolution.path : ''
             ]);
         });
 
@@ -327,6 +883,275 @@ class TextFormatter {
         return lines.join('\n');
     }
 
+    /**
+     * Formats the models that did not resolve to a registry entry
+     * @param {Object} modelEfficiency - Model efficiency object
+     * @returns {string} Formatted unresolved models section
+     */
+    formatUnresolvedModels(modelEfficiency) {
+        const unresolved = (modelEfficiency && modelEfficiency.unresolved_models) || [];
+        if (unresolved.length === 0) {
+            return '';
+        }
+
+        const lines = [
+            '-'.repeat(80),
+            'UNRESOLVED MODELS',
+            '-'.repeat(80),
+            '',
+            `Warning: ${unresolved.length} model(s) did not match the model registry by name, alias,`,
+            'variant or family. They have no registry category, pricing or use-case guidance.',
+            'Describe them in a models file and pass it with --models <file>.',
+            ''
+        ];
+
+        const table = [['Model', 'Requests', 'Cost', 'Tokens']];
+        unresolved.forEach(item => {
+            table.push([
+                item.model,
+                this.formatNumber(item.request_count || 0),
+                this.formatCurrency(item.total_cost || 0),
+                this.formatNumber(item.total_tokens || 0)
+            ]);
+        });
+
+        lines.push(...this.formatTable(table));
+        lines.push('');
+
+        return lines.join('\n');
+    }
+
+    /**
+     * Formats spending forecast section
+     * @param {Object} forecast - Forecast object
+     * @returns {string} Formatted forecast
+     */
+    formatForecast(forecast) {
+        if (!forecast) return '';
+
+        const lines = [
+            '-'.repeat(80),
+            'SPENDING FORECAST',
+            '-'.repeat(80),
+            '',
+            `Based on ${forecast.history_days} days (${forecast.history_start} to ${forecast.history_end})`,
+            ''
+        ];
+
+        if (!forecast.sufficient_data) {
+            lines.push(forecast.message);
+            return lines.join('\n');
+        }
+
+        const { trend } = forecast;
+        const growth = trend.monthly_growth_percentage;
+        lines.push(`Current trajectory: ${growth >= 0 ? '+' : ''}${growth.toFixed(1)}% monthly growth (${trend.direction})`);
+        lines.push('');
+
+        const band = `${Math.round(forecast.band_level * 100)}% band`;
+        const forecastTable = [
+            ['Period', 'Forecast', `Low (${band})`, `High (${band})`],
+            [
+                `Next ${forecast.horizon_days} days`,
+                this.formatCurrency(forecast.next_period.forecast),
+                this.formatCurrency(forecast.next_period.low),
+                this.formatCurrency(forecast.next_period.high)
+            ],
+            [
+                `Cycle ending ${forecast.end_of_cycle.cycle_end}`,
+                this.formatCurrency(forecast.end_of_cycle.forecast),
+                this.formatCurrency(forecast.end_of_cycle.low),
+                this.formatCurrency(forecast.end_of_cycle.high)
+            ]
+        ];
+
+        lines.push(...this.formatTable(forecastTable));
+        lines.push('');
+        lines.push(`  Your typical ${forecast.horizon_days} days: ${this.formatCurrency(forecast.typical_period_cost)}`);
+        lines.push(`  Spent this cycle so far: ${this.formatCurrency(forecast.end_of_cycle.spent_to_date)} (${forecast.end_of_cycle.remaining_days} days left)`);
+
+        if (forecast.weekday_adjustments) {
+            const weekdays = Object.entries(forecast.weekday_adjustments).sort((a, b) => b[1] - a[1]);
+            const [busiest, busiestOffset] = weekdays[0];
+            const [quietest, quietestOffset] = weekdays[weekdays.length - 1];
+            lines.push(`  Busiest weekday: ${busiest} (+${this.formatCurrency(busiestOffset)}/day), quietest: ${quietest} (-${this.formatCurrency(-quietestOffset)}/day)`);
+        }
+
+        return lines.join('\n');
+    }
+
+    /**
+     * Formats budget tracking section
+     * @param {Object|null} budget - Budget object
+     * @returns {string} Formatted budget (empty without a budget)
+     */
+    formatBudget(budget) {
+        if (!budget) return '';
+
+        const lines = [
+            '-'.repeat(80),
+            'BUDGET',
+            '-'.repeat(80),
+            ''
+        ];
+
+        const exhaustion = budget.exhausted_on
+            ? `Exhausted on ${budget.exhausted_on}`
+            : (budget.projected_exhaustion_date ? `Expected ${budget.projected_exhaustion_date}` : 'Not expected this cycle');
+
+        const budgetTable = [
+            ['Metric', 'Value'],
+            ['Monthly Budget', this.formatCurrency(budget.amount)],
+            ['Current Cycle', `${budget.cycle_start} to ${budget.cycle_end} (${budget.remaining_days} days left)`],
+            ['Spent So Far', `${this.formatCurrency(budget.spent_to_date)} (${this.formatPercentage(budget.percent_used)})`],
+            ['Projected Cycle Total', `${this.formatCurrency(budget.projected_total)} (${this.formatPercentage(budget.projected_percent)})`],
+            ['Projected From', this.formatProjectionMethod(budget.projection_method)],
+            ['Projected Overrun', this.formatCurrency(budget.projected_overrun)],
+            ['Budget Exhausted', exhaustion]
+        ];
+
+        lines.push(...this.formatTable(budgetTable));
+        lines.push('');
+        if (budget.projection_method === 'forecast') {
+            lines.push(this.wrapText(this.formatProjectionNote(), 78));
+            lines.push('');
+        }
+
+        if (budget.alerts.length === 0) {
+            lines.push(`No alerts: spend is projected to stay under ${budget.thresholds[0]}% of the budget.`);
+        } else {
+            lines.push('Alerts:');
+            budget.alerts.forEach(alert => {
+                lines.push(`  ${this.colorize(`[${alert.severity.toUpperCase()}]`, SEVERITY_TONES[alert.severity])} ${alert.message}`);
+            });
+        }
+
+        if (budget.over_budget) {
+            lines.push('');
+            lines.push(this.colorize(`OVER BUDGET by ${this.formatCurrency(budget.spent_to_date - budget.amount)}`, 'action'));
+        }
+
+        return lines.join('\n');
+    }
+
+    /**
+     * Formats the per-user breakdown of a team-admin export
+     * @param {Object|null} userBreakdown - Per-user breakdown (null without a user column)
+     * @returns {string} Formatted per-user breakdown
+     */
+    formatUserBreakdown(userBreakdown) {
+        if (!userBreakdown) return '';
+
+        const lines = [
+            '-'.repeat(80),
+            'PER-USER BREAKDOWN',
+            '-'.repeat(80),
+            ''
+        ];
+
+        lines.push(`Users: ${userBreakdown.user_count}`);
+        if (userBreakdown.unassigned_requests > 0) {
+            lines.push(`Requests without a user: ${this.formatNumber(userBreakdown.unassigned_requests)}`);
+        }
+        lines.push('');
+
+        const table = [['User', 'Cost', '% of Total', 'Requests', 'Cache Hit', 'Top Model', 'Seat']];
+        userBreakdown.users.forEach(user => {
+            const { seat } = user;
+            table.push([
+                user.user,
+                this.formatCurrency(user.total_cost),
+                this.formatPercentage(user.cost_percentage),
+                this.formatNumber(user.total_requests),
+                this.formatPercentage(user.cache_hit_rate),
+                user.models.length > 0 ? user.models[0].model : '-',
+                seat.action === 'keep'
+                    ? this.colorize(`keep ${seat.current_plan}`, 'good')
+                    : this.colorize(`${seat.action}: ${seat.current_plan} -> ${seat.recommended_plan}`, 'action')
+            ]);
+        });
+        lines.push(...this.formatTable(table));
+        lines.push('');
+
+        const { seat_changes: changes } = userBreakdown;
+        lines.push(`Seat changes: ${changes.upgrade} upgrade(s), ${changes.downgrade} downgrade(s), ${changes.keep} unchanged`);
+        if (changes.savings_monthly > 0) {
+            lines.push(`Potential savings from seat changes: ${this.formatCurrency(changes.savings_monthly)}/month`);
+        }
+
+        return lines.join('\n');
+    }
+
+    /**
+     * Formats the experiment log: before/after metrics and a verdict per experiment
+     * @param {Object[]|null} experiments - Experiment evaluations (null when none are recorded)
+     * @returns {string} Formatted experiment log
+     */
+    formatExperiments(experiments) {
+        if (!experiments || experiments.length === 0) return '';
+
+        const lines = [
+            '-'.repeat(80),
+            'EXPERIMENT LOG',
+            '-'.repeat(80)
+        ];
+
+        const statusLabels = {
+            pending: 'Pending (no data since the start date)',
+            in_progress: 'In progress',
+            complete: 'Complete'
+        };
+
+        experiments.forEach((experiment, index) => {
+            lines.push('');
+            lines.push(`Experiment ${index + 1}: "${experiment.name}"`);
+            if (experiment.note) {
+                lines.push(`  ${experiment.note}`);
+            }
+            lines.push(`Started: ${experiment.start_date}`);
+            lines.push(`Hypothesis: Save ${this.formatCurrency(experiment.expected_monthly_savings)}/month`);
+            const observed = experiment.days_observed > 0 ? ` (${experiment.days_observed} days)` : '';
+            lines.push(`Status: ${statusLabels[experiment.status]}${experiment.status === 'pending' ? '' : observed}`);
+
+            if (experiment.before && experiment.after) {
+                const { before, after, changes } = experiment;
+                lines.push('');
+                const table = [
+                    ['Metric', 'Before', 'After', 'Change'],
+                    ['Cost per Day', this.formatCurrency(before.cost_per_day), this.formatCurrency(after.cost_per_day),
+                        this.formatChange(changes.cost_per_day_percentage)],
+                    ['Requests per Day', before.requests_per_day.toFixed(1), after.requests_per_day.toFixed(1),
+                        this.formatChange(changes.requests_per_day_percentage)],
+                    ['Cost per Request', `$${before.cost_per_request.toFixed(4)}`, `$${after.cost_per_request.toFixed(4)}`,
+                        this.formatChange(changes.cost_per_request_percentage)],
+                    ['Cache Hit Rate', this.formatPercentage(before.cache_hit_rate), this.formatPercentage(after.cache_hit_rate),
+                        `${changes.cache_hit_rate_points >= 0 ? '+' : ''}${changes.cache_hit_rate_points.toFixed(1)} pts`]
+                ];
+                lines.push(...this.formatTable(table));
+
+                const shifts = experiment.model_shifts.filter(s => Math.abs(s.difference_points) >= 1).slice(0, 5);
+                if (shifts.length > 0) {
+                    lines.push('');
+                    lines.push('Model mix:');
+                    shifts.forEach(shift => {
+                        const sign = shift.difference_points >= 0 ? '+' : '';
+                        lines.push(`  ${shift.model}: ${this.formatPercentage(shift.before_share)} -> ` +
+                            `${this.formatPercentage(shift.after_share)} (${sign}${shift.difference_points.toFixed(1)} pts)`);
+                    });
+                }
+
+                lines.push('');
+                lines.push(`Monthly savings (volume-adjusted): ${this.formatCurrency(experiment.monthly_savings.volume_adjusted)} ` +
+                    `vs ${this.formatCurrency(experiment.expected_monthly_savings)} expected`);
+                lines.push(`Monthly savings (raw cost per day): ${this.formatCurrency(experiment.monthly_savings.raw)}`);
+            }
+
+            lines.push(`Verdict: ${this.colorize(experiment.message, VERDICT_TONES[experiment.verdict])}`);
+        });
+
+        return lines.join('\n');
+    }
+
     /**
      * Formats plan recommendation section
      * @param {Object} planRecommendation - Plan recommendation object
@@ -344,18 +1169,26 @@ class TextFormatter {
 
         const planTable = [
             ['Metric', 'Value'],
-            ['Current Plan (Estimated)', planRecommendation.current_plan || 'Unknown'],
-            ['Current Monthly Cost', this.formatCurrency(planRecommendation.current_monthly_cost || 0)],
-            ['Recommended Plan', planRecommendation.recommended_plan || 'Unknown'],
-            ['Recommended Monthly Cost', this.formatCurrency(planRecommendation.recommended_cost || 0)],
+            [this.formatCurrentPlanLabel(planRecommendation), planRecommendation.current_plan || 'Unknown'],
+            ['Current Plan Cost (Simulated)', this.formatCurrency(planRecommendation.current_plan_cost || 0)],
+            ['Recommended Plan', this.colorize(
+                planRecommendation.recommended_plan || 'Unknown',
+                planRecommendation.recommended_plan === planRecommendation.current_plan ? 'good' : 'action'
+            )],
+            ['Recommended Plan Cost (Simulated)', this.formatCurrency(planRecommendation.recommended_cost || 0)],
             ['Monthly Savings', this.formatCurrency(planRecommendation.savings_monthly || 0)],
             ['Yearly Savings', this.formatCurrency(planRecommendation.savings_yearly || 0)],
+            ['Monthly Usage at API Prices', this.formatCurrency(planRecommendation.current_monthly_cost || 0)],
             ['Confidence', planRecommendation.confidence || 'low']
         ];
 
         lines.push(...this.formatTable(planTable));
         lines.push('');
 
+        lines.push(...this.formatPlanRanking(planRecommendation.plan_ranking));
+        lines.push(...this.formatBillingCycles(planRecommendation.billing_cycles));
+        lines.push(...this.formatAllowanceReplay(planRecommendation.allowance_replay));
+
         if (planRecommendation.reasoning) {
             lines.push('Reasoning:');
             lines.push(this.wrapText(planRecommendation.reasoning, 78));
@@ -373,6 +1206,147 @@ class TextFormatter {
         return lines.join('\n');
     }
 
+    /**
+     * Names the projection behind the budget's projected cycle total
+     * @param {string} method - Budget projection_method ('forecast' or 'run_rate')
+     * @returns {string} Row value
+     */
+    formatProjectionMethod(method) {
+        return method === 'forecast'
+            ? 'Spending forecast (daily trend)'
+            : 'Run rate (average daily spend this cycle)';
+    }
+
+    /**
+     * Explains why a forecast-based budget projection differs from the billing
+     * cycle projection in the plan section
+     * @returns {string} Note text
+     */
+    formatProjectionNote() {
+        return 'The budget projects the cycle from the spending forecast\'s daily trend. ' +
+            'The billing cycles in the plan section scale each cycle\'s spend to its full length instead, ' +
+            'so their projected cost can differ.';
+    }
+
+    /**
+     * Labels the current plan row by where the plan came from
+     * @param {Object} planRecommendation - Plan recommendation object
+     * @returns {string} Row label
+     */
+    formatCurrentPlanLabel(planRecommendation) {
+        return planRecommendation.current_plan_source === 'configured'
+            ? 'Current Plan (Configured)'
+            : 'Current Plan (Estimated)';
+    }
+
+    /**
+     * Formats every catalog plan ranked by simulated monthly cost
+     * @param {Object[]} planRanking - Plan simulations from the plan recommendation
+     * @returns {string[]} Formatted lines (empty if there is no ranking)
+     */
+    formatPlanRanking(planRanking) {
+        if (!planRanking || planRanking.length === 0) {
+            return [];
+        }
+
+        const lines = ['Plans Simulated Against Your Usage:', ''];
+
+        const rankingTable = [['Rank', 'Plan', 'Seats', 'Included', 'Subscription', 'Overage', 'Monthly Cost']];
+        planRanking.forEach(item => {
+            rankingTable.push([
+                String(item.rank),
+                item.plan,
+                String(item.seats),
+                item.included_usage,
+                this.formatCurrency(item.subscription_cost || 0),
+                this.formatCurrency(item.overage_cost || 0),
+                item.covers_usage
+                    ? this.formatCurrency(item.monthly_cost || 0)
+                    : `${this.formatCurrency(item.monthly_cost || 0)} (capped)`
+            ]);
+        });
+
+        lines.push(...this.formatTable(rankingTable));
+        lines.push('');
+
+        return lines;
+    }
+
+    /**
+     * Formats per-billing-cycle costs with the average and worst-case plan
+     * @param {Object} billingCycles - Billing cycle analysis from the plan recommendation
+     * @returns {string[]} Formatted lines (empty if there are no cycles)
+     */
+    formatBillingCycles(billingCycles) {
+        if (!billingCycles || !billingCycles.cycles || billingCycles.cycles.length === 0) {
+            return [];
+        }
+
+        const lines = [
+            `Billing Cycles (start on day ${billingCycles.cycle_start_day}, partial cycles projected by ${billingCycles.day_basis} days):`,
+            ''
+        ];
+
+        const cycleTable = [['Cycle', 'Days Covered', 'Actual Cost', 'Projected Cost', 'Best Plan']];
+        billingCycles.cycles.forEach(cycle => {
+            cycleTable.push([
+                `${cycle.start} to ${cycle.end}`,
+                `${cycle.covered_days}/${cycle.length_days}`,
+                this.formatCurrency(cycle.actual_cost || 0),
+                cycle.complete ? '-' : this.formatCurrency(cycle.projected_cost || 0),
+                cycle.recommended_plan || 'Unknown'
+            ]);
+        });
+
+        lines.push(...this.formatTable(cycleTable));
+        lines.push('');
+
+        if (billingCycles.average) {
+            lines.push(`  Average cycle: ${this.formatCurrency(billingCycles.average.monthly_cost || 0)} -> ${billingCycles.average.recommended_plan}`);
+        }
+        if (billingCycles.worst_case) {
+            lines.push(`  Worst case (${billingCycles.worst_case.cycle_start}): ${this.formatCurrency(billingCycles.worst_case.monthly_cost || 0)} -> ${billingCycles.worst_case.recommended_plan}`);
+        }
+        lines.push('');
+
+        return lines;
+    }
+
+    /**
+     * Formats the replay of records against each plan's allowance
+     * @param {Object} allowanceReplay - Allowance replay from the plan recommendation
+     * @returns {string[]} Formatted lines (empty if there is no replay)
+     */
+    formatAllowanceReplay(allowanceReplay) {
+        if (!allowanceReplay || !allowanceReplay.plans || allowanceReplay.plans.length === 0) {
+            return [];
+        }
+
+        const lines = ['Allowance Replay (requests in time order, per billing cycle):', ''];
+
+        const replayTable = [['Plan', 'Cycle', 'Allowance', 'Exhausted On', 'Included', 'On-Demand', 'Overage After']];
+        allowanceReplay.plans.forEach(plan => {
+            plan.cycles.forEach((cycle, index) => {
+                replayTable.push([
+                    index === 0 ? plan.plan : '',
+                    `${cycle.start} to ${cycle.end}`,
+                    plan.included_usage.replace('/seat', plan.seats > 1 ? ` x ${plan.seats}` : ''),
+                    cycle.exhausted_on || 'not exhausted',
+                    this.formatNumber(cycle.included_requests),
+                    plan.capped
+                        ? `${this.formatNumber(cycle.unserved_requests)} (capped)`
+                        : this.formatNumber(cycle.on_demand_requests),
+                    this.formatCurrency(cycle.overage_cost || 0)
+                ]);
+            });
+        });
+
+        lines.push(...this.formatTable(replayTable));
+        lines.push('');
+
+        return lines;
+    }
+
     /**
      * Formats cache efficiency section
      * @param {Object} cacheEfficiency - Cache efficiency object
@@ -392,7 +1366,10 @@ class TextFormatter {
             const metricsTable = [
                 ['Metric', 'Value'],
                 ['Overall Cache Efficiency', this.formatPercentage(cacheEfficiency.metrics.overall_cache_efficiency || 0)],
-                ['Cache Hit Rate', this.formatPercentage(cacheEfficiency.metrics.cache_hit_rate || 0)],
+                ['Cache Hit Rate', this.colorize(
+                    this.formatPercentage(cacheEfficiency.metrics.cache_hit_rate || 0),
+                    BENCHMARK_TONES[cacheEfficiency.benchmark?.level]
+                )],
                 ['Average Cache Read Ratio', this.formatPercentage(cacheEfficiency.metrics.average_cache_read_ratio || 0)]
             ];
 
@@ -402,6 +1379,11 @@ class TextFormatter {
             if (cacheEfficiency.metrics.total_tokens !== undefined) {
                 metricsTable.push(['Total Tokens', this.formatNumber(cacheEfficiency.metrics.total_tokens)]);
             }
+            if (cacheEfficiency.metrics.total_cache_write_tokens > 0) {
+                metricsTable.push(['Cache Write Tokens', this.formatNumber(cacheEfficiency.metrics.total_cache_write_tokens)]);
+                metricsTable.push(['Write/Read Ratio', this.formatNumber(cacheEfficiency.metrics.write_read_ratio, 3)]);
+                metricsTable.push(['Cache Reuse Factor', `${this.formatNumber(cacheEfficiency.metrics.cache_reuse_factor, 1)}x`]);
+            }
 
             lines.push(...this.formatTable(metricsTable));
             lines.push('');
@@ -448,7 +1430,9 @@ class TextFormatter {
             lines.push(`   Type: ${opp.type || 'Unknown'}`);
             lines.push(`   Monthly Savings: ${this.formatCurrency(opp.savings_monthly || 0)}`);
             lines.push(`   Yearly Savings: ${this.formatCurrency(opp.savings_yearly || 0)}`);
-            lines.push(`   Difficulty: ${opp.difficulty || 'medium'} | Impact: ${opp.impact || 'medium'} | Confidence: ${opp.confidence || 'low'}`);
+            const impact = opp.impact || 'medium';
+            lines.push(`   Difficulty: ${opp.difficulty || 'medium'} | Impact: ${this.colorize(impact, IMPACT_TONES[impact])} | ` +
+                `Confidence: ${opp.confidence || 'low'}`);
 
             if (opp.action) {
                 lines.push(`   Action: ${opp.action}`);
@@ -661,6 +1645,60 @@ class TextFormatter {
         return lines.join('\n');
     }
 
+    /**
+     * Formats price reconciliation section (exported Cost vs token-computed price)
+     * @param {Object} reconciliation - Price reconciliation object
+     * @returns {string} Formatted price reconciliation
+     */
+    formatPriceReconciliation(reconciliation) {
+        if (!reconciliation || reconciliation.checked_rows === 0) return '';
+
+        const lines = [
+            '-'.repeat(80),
+            'PRICE RECONCILIATION',
+            '-'.repeat(80),
+            ''
+        ];
+
+        const summaryTable = [
+            ['Metric', 'Value'],
+            ['Rows Checked', this.formatNumber(reconciliation.checked_rows)],
+            ['Rows Flagged', this.formatNumber(reconciliation.flagged_rows)],
+            ['Exported Cost', this.formatCurrency(reconciliation.total_exported_cost)],
+            ['Computed Cost', this.formatCurrency(reconciliation.total_computed_cost)],
+            ['Difference', this.formatCurrency(reconciliation.total_difference)]
+        ];
+        lines.push(...this.formatTable(summaryTable));
+        lines.push('');
+
+        if (reconciliation.flagged && reconciliation.flagged.length > 0) {
+            lines.push('Largest Divergences:');
+            lines.push('');
+            const flaggedTable = [
+                ['Row', 'Date', 'Model', 'Exported', 'Computed', 'Difference']
+            ];
+            reconciliation.flagged.forEach(row => {
+                flaggedTable.push([
+                    String(row.row_number),
+                    (row.date || '').split('T')[0],
+                    row.model,
+                    this.formatCurrency(row.exported_cost),
+                    this.formatCurrency(row.computed_cost),
+                    this.formatPercentage(row.difference_percentage)
+                ]);
+            });
+            lines.push(...this.formatTable(flaggedTable));
+            lines.push('');
+        }
+
+        if (reconciliation.unpriced_models && reconciliation.unpriced_models.length > 0) {
+            lines.push(`Not priced (no price table): ${reconciliation.unpriced_models.join(', ')}`);
+            lines.push('');
+        }
+
+        return lines.join('\n');
+    }
+
     /**
      * Formats a table with ASCII borders
      * @param {Array<Array<string>>} rows - Array of rows, each row is an array of cells
@@ -678,9 +1716,12 @@ class TextFormatter {
         const numCols = Math.max(...dataRows.map(row => row.length));
         const colWidths = Array(numCols).fill(0);
 
+        // Color codes take no space on screen
+        const visibleLength = cell => String(cell || '').replace(ANSI_PATTERN, '').length;
+
         dataRows.forEach(row => {
             row.forEach((cell, colIndex) => {
-                const cellLength = String(cell || '').length;
+                const cellLength = visibleLength(cell);
                 if (cellLength > colWidths[colIndex]) {
                     colWidths[colIndex] = cellLength;
                 }
@@ -693,7 +1734,7 @@ class TextFormatter {
             const cells = row.map((cell, colIndex) => {
                 const cellStr = String(cell || '');
                 const width = colWidths[colIndex];
-                return cellStr.padEnd(width, ' ');
+                return cellStr + ' '.repeat(width - visibleLength(cell));
             });
 
             // Regular row with borders using simple ASCII: | and -
@@ -977,8 +2018,10 @@ class TextFormatter {
             this.drawBrailleLine(brailleGrid, x1, y1, x2, y2, brailleWidth, brailleHeight);
         }
 
-        // Convert braille grid to braille characters
-        const brailleChars = this.brailleGridToChars(brailleGrid, brailleWidth, brailleHeight);
+        // Convert braille grid to braille characters (or ASCII where braille does not render)
+        const brailleChars = this.unicode
+            ? this.brailleGridToChars(brailleGrid, brailleWidth, brailleHeight)
+            : this.dotGridToAscii(brailleGrid, brailleWidth, brailleHeight);
 
         // Convert braille characters to display lines
         brailleChars.forEach(row => {
@@ -1108,6 +2151,49 @@ class TextFormatter {
         return result;
     }
 
+    /**
+     * Converts a braille dot grid to ASCII characters, one per 2x4 block of dots
+     * A block whose dots span all four rows becomes '|'; otherwise the
+     * character follows the dots' height: ' (top), - (middle) or . (bottom)
+     * @param {Array<Array<boolean>>} grid - The braille dot grid
+     * @param {number} gridWidth - Width of the dot grid
+     * @param {number} gridHeight - Height of the dot grid
+     * @returns {Array<Array<string>>} Array of rows, each containing ASCII characters
+     */
+    dotGridToAscii(grid, gridWidth, gridHeight) {
+        const charWidth = Math.ceil(gridWidth / 2);
+        const charHeight = Math.ceil(gridHeight / 4);
+        const result = [];
+
+        for (let charRow = 0; charRow < charHeight; charRow++) {
+            const row = [];
+            for (let charCol = 0; charCol < charWidth; charCol++) {
+                const dotRows = [];
+                for (let dotRow = 0; dotRow < 4; dotRow++) {
+                    for (let dotCol = 0; dotCol < 2; dotCol++) {
+                        const gridX = charCol * 2 + dotCol;
+                        const gridY = charRow * 4 + dotRow;
+                        if (gridY < gridHeight && gridX < gridWidth && grid[gridY][gridX]) {
+                            dotRows.push(dotRow);
+                        }
+                    }
+                }
+
+                if (dotRows.length === 0) {
+                    row.push(' ');
+                } else if (Math.min(...dotRows) === 0 && Math.max(...dotRows) === 3) {
+                    row.push('|');
+                } else {
+                    const average = dotRows.reduce((sum, dotRow) => sum + dotRow, 0) / dotRows.length;
+                    row.push(average < 1 ? '\'' : average < 2 ? '-' : '.');
+                }
+            }
+            result.push(row);
+        }
+
+        return result;
+    }
+
     /**
      * Draws a smooth line between two points using Unicode characters
      * @param {Array<Array<string>>} grid - The grid to draw on
@@ -4,10 +4,94 @@
  */
 
 // Re-export CSV parser
-export { parseCSV, parseCSVContent, parseCSVFile, CSVParser } from './domain/parsers/cursor-csv.js';
+export {
+    parseCSV,
+    parseCSVContent,
+    parseCSVFile,
+    parseCSVFiles,
+    streamCSVFile,
+    CSVParser
+} from './domain/parsers/cursor-csv.js';
+
+// Re-export the environment-agnostic parser core (for other runtimes and bundlers)
+export { CursorCSVParser } from './domain/parsers/cursor-csv-core.js';
 
 // Re-export analysis engine
-export { analyze, exportJSON, AnalysisEngine } from './domain/analyzer.js';
+export { analyze, analyzeStream, exportJSON, AnalysisEngine, STREAMING_OMITTED_SECTIONS } from './domain/analyzer.js';
+
+// Re-export what-if scenario engine
+export { whatIf, parseSubstitutionRule, WhatIfEngine } from './domain/what-if.js';
+
+// Re-export comparison of two analyses or periods
+export {
+    compareAnalyses,
+    compareRecords,
+    comparePeriods,
+    parseDateRange,
+    ComparisonEngine,
+    CHANGE_STATUS
+} from './domain/compare.js';
+
+// Re-export team analytics across developers' exports
+export { analyzeTeam, TeamAnalysisEngine } from './domain/team.js';
+
+// Re-export user-editable model registry
+export {
+    MODEL_REGISTRY,
+    MODEL_FAMILIES,
+    resolveModel,
+    loadModelRegistry,
+    resetModelRegistry,
+    validateModelRegistryConfig,
+    getUnknownModels
+} from './domain/models/registry.js';
+
+// Re-export configurable plan catalog
+export {
+    PLAN_CATALOG,
+    loadPlanCatalog,
+    resetPlanCatalog,
+    validatePlanCatalogConfig,
+    getPlans,
+    findPlanName
+} from './domain/models/plan-catalog.js';
+
+// Re-export billing-cycle modeling
+export {
+    splitIntoCycles,
+    projectMonthly,
+    normalizeBillingOptions,
+    DAY_BASIS,
+    DEFAULT_BILLING_OPTIONS
+} from './domain/billing-cycles.js';
+
+// Re-export time-zone bucketing
+export {
+    normalizeTimezone,
+    applyTimezone,
+    zoneRecord,
+    getZonedParts,
+    DEFAULT_TIMEZONE,
+    LOCAL_TIMEZONE
+} from './domain/timezone.js';
+
+// Re-export record filters
+export { normalizeFilters, filterRecords, createRecordFilter, summarizeFilters } from './domain/filters.js';
+
+// Re-export token-level pricing
+export { priceRecord, getModelPricing, hasModelPricing, MAX_MODE_UPLIFT } from './domain/models/pricing.js';
+export { PriceReconciliationAnalyzer } from './domain/analyzers/price-reconciliation.js';
+export { PlanReplaySimulator, REQUEST_BILLING } from './domain/analyzers/plan-replay.js';
+export { ForecastAnalyzer } from './domain/analyzers/forecast.js';
+export { BudgetAnalyzer, normalizeBudgetOptions, DEFAULT_BUDGET_THRESHOLDS } from './domain/analyzers/budget.js';
+export { UserBreakdownAnalyzer, SEAT_ACTIONS } from './domain/analyzers/users.js';
+export {
+    ExperimentAnalyzer,
+    validateExperiment,
+    validateExperimentLog,
+    EXPERIMENT_STATUS,
+    EXPERIMENT_VERDICT
+} from './domain/analyzers/experiments.js';
 
 // Re-export entities for advanced usage
 export { UsageRecord } from './domain/entities/UsageRecord.js';
@@ -19,4 +103,7 @@ export { WorkStyle } from './domain/entities/WorkStyle.js';
 
 // Re-export formatters
 export { TextFormatter } from './formatters/text-formatter.js';
+export { MarkdownFormatter } from './formatters/markdown-formatter.js';
+export { HtmlFormatter } from './formatters/html-formatter.js';
+export { CsvFormatter, EXPORT_TABLES } from './formatters/csv-formatter.js';
 
@@ -3,11 +3,13 @@
  * Uses ES modules - all processing happens client-side
  */
 
-// Import browser-compatible CSV parser (no fs dependency)
-import { parseCSVContent } from './browser-csv-parser.js';
+// Import the browser adapter of the shared CSV parser (no fs dependency)
+import { parseCSVFile } from './browser-csv-parser.js';
 
 // Import analysis engine and formatter directly (avoiding CSV parser's fs import)
 import { analyze } from '../domain/analyzer.js';
+import { analyzeTeam } from '../domain/team.js';
+import { loadModelRegistry } from '../domain/models/registry.js';
 import { TextFormatter } from '../formatters/text-formatter.js';
 
 // GitHub API to fetch star count
@@ -34,6 +36,12 @@ function setupFileHandling() {
     const outputSection = document.getElementById('outputSection');
     const outputContent = document.getElementById('outputContent');
     const errorContainer = document.getElementById('errorContainer');
+    const modelsInput = document.getElementById('modelsInput');
+    const modelsLink = document.getElementById('modelsLink');
+    const modelsStatus = document.getElementById('modelsStatus');
+
+    // Last analyzed CSV(s), re-run when a models file is loaded afterwards
+    let lastFiles = null;
 
     // Click to browse
     dropZone.addEventListener('click', () => {
@@ -53,19 +61,53 @@ function setupFileHandling() {
     dropZone.addEventListener('drop', (e) => {
         e.preventDefault();
         dropZone.classList.remove('dragover');
-        const files = e.dataTransfer.files;
-        if (files.length > 0) {
-            handleFile(files[0]);
-        }
+        handleFiles(Array.from(e.dataTransfer.files));
     });
 
     // File input change
     fileInput.addEventListener('change', (e) => {
+        handleFiles(Array.from(e.target.files));
+    });
+
+    // Model registry upload
+    modelsLink.addEventListener('click', () => {
+        modelsInput.click();
+    });
+
+    modelsInput.addEventListener('change', (e) => {
         if (e.target.files.length > 0) {
-            handleFile(e.target.files[0]);
+            handleModelsFile(e.target.files[0]);
         }
+        // Allow re-selecting the same file after editing it
+        modelsInput.value = '';
     });
 
+    async function handleModelsFile(file) {
+        errorContainer.innerHTML = '';
+
+        try {
+            const config = JSON.parse(await readFileAsText(file));
+            const loaded = loadModelRegistry(config);
+            modelsStatus.textContent = `(${loaded.length} model(s) loaded from ${file.name})`;
+
+            if (lastFiles) {
+                await handleFiles(lastFiles);
+            }
+        } catch (error) {
+            console.error('Error loading models file:', error);
+            showError(`Error loading models file: ${error.message}`);
+        }
+    }
+
+    // One CSV gives the personal report; several (one per developer) the team report
+    async function handleFiles(files) {
+        if (files.length === 1) {
+            await handleFile(files[0]);
+        } else if (files.length > 1) {
+            await handleTeamFiles(files);
+        }
+    }
+
     async function handleFile(file) {
         // Clear previous errors
         errorContainer.innerHTML = '';
@@ -77,18 +119,16 @@ function setupFileHandling() {
             showError('Please select a CSV file.');
             return;
         }
+        lastFiles = [file];
 
         // Show loading state
         outputSection.classList.add('active');
         outputContent.textContent = 'Loading and analyzing...\n\n';
 
         try {
-            // Read file content
-            const fileContent = await readFileAsText(file);
-
-            // Parse CSV
+            // Read and parse CSV
             outputContent.textContent = 'Parsing CSV...\n';
-            const parseResult = parseCSVContent(fileContent);
+            const parseResult = await parseCSVFile(file);
 
             if (!parseResult.records || parseResult.records.length === 0) {
                 throw new Error('CSV file contains no valid records. Please check that the file is a valid Cursor usage export.');
@@ -126,6 +166,48 @@ function setupFileHandling() {
         }
     }
 
+    async function handleTeamFiles(files) {
+        errorContainer.innerHTML = '';
+        outputSection.classList.remove('active');
+        outputContent.textContent = '';
+
+        const notCSV = files.filter(file => !file.name.endsWith('.csv'));
+        if (notCSV.length > 0) {
+            showError(`Please select CSV files only (not: ${notCSV.map(f => f.name).join(', ')}).`);
+            return;
+        }
+        lastFiles = files;
+
+        outputSection.classList.add('active');
+        outputContent.textContent = `Loading ${files.length} exports for a team report...\n\n`;
+
+        try {
+            // Each developer is labelled by their file name
+            const members = [];
+            for (const file of files) {
+                const parseResult = await parseCSVFile(file);
+                if (!parseResult.records || parseResult.records.length === 0) {
+                    throw new Error(`${file.name} contains no valid records. Please check that it is a valid Cursor usage export.`);
+                }
+                members.push({ label: file.name.replace(/\.csv$/, ''), records: parseResult.records });
+                outputContent.textContent += `Parsed ${parseResult.records.length} records from ${file.name}.\n`;
+            }
+
+            outputContent.textContent += 'Analyzing team...\n';
+            const teamResult = analyzeTeam(members);
+            outputContent.textContent = new TextFormatter().formatTeam(teamResult);
+
+            setTimeout(() => {
+                outputSection.scrollIntoView({ behavior: 'smooth', block: 'start' });
+            }, 100);
+
+        } catch (error) {
+            console.error('Error processing team files:', error);
+            showError(`Error: ${error.message}`);
+            outputSection.classList.remove('active');
+        }
+    }
+
     function readFileAsText(file) {
         return new Promise((resolve, reject) => {
             const reader = new FileReader();
@@ -0,0 +1,188 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { mkdtempSync, writeFileSync, readFileSync, rmSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import {
+    readJSONFile,
+    loadProjectConfig,
+    applyModelConfig,
+    applyPlanConfig,
+    resolveBillingOptions,
+    resolveSeats,
+    resolveCurrentPlan,
+    resolveBudgetOptions,
+    resolveTimezone,
+    resolveExperimentsPath,
+    loadExperiments,
+    saveExperiments,
+    PROJECT_CONFIG_FILE,
+    EXPERIMENTS_FILE
+} from '../../src/cli/config.js';
+import { getModelInfo, resetModelRegistry } from '../../src/domain/models/registry.js';
+import { PLAN_CATALOG, resetPlanCatalog } from '../../src/domain/models/plan-catalog.js';
+
+const modelsConfig = {
+    models: {
+        'gpt-5': {
+            displayName: 'GPT-5',
+            category: 'premium',
+            pricing: { input: 1.25, cacheWrite: 1.25, cacheRead: 0.125, output: 10 }
+        }
+    }
+};
+
+function createTempDir() {
+    return mkdtempSync(join(tmpdir(), 'cce-config-'));
+}
+
+afterEach(() => {
+    resetModelRegistry();
+    resetPlanCatalog();
+});
+
+test('readJSONFile reports missing files and invalid JSON', () => {
+    const dir = createTempDir();
+    const badFile = join(dir, 'bad.json');
+    writeFileSync(badFile, '{ not json');
+
+    assert.throws(() => readJSONFile(join(dir, 'missing.json')), /File not found/);
+    assert.throws(() => readJSONFile(badFile), /Invalid JSON in/);
+
+    rmSync(dir, { recursive: true, force: true });
+});
+
+test('loadProjectConfig returns null without a config file', () => {
+    const dir = createTempDir();
+    assert.strictEqual(loadProjectConfig(dir), null);
+    rmSync(dir, { recursive: true, force: true });
+});
+
+test('applyModelConfig loads a models file referenced by the project config', () => {
+    const dir = createTempDir();
+    writeFileSync(join(dir, 'models.json'), JSON.stringify(modelsConfig));
+    writeFileSync(join(dir, PROJECT_CONFIG_FILE), JSON.stringify({ models: 'models.json' }));
+
+    const loaded = applyModelConfig(loadProjectConfig(dir), null);
+
+    assert.deepStrictEqual(loaded, ['gpt-5']);
+    assert.strictEqual(getModelInfo('gpt-5').displayName, 'GPT-5');
+
+    rmSync(dir, { recursive: true, force: true });
+});
+
+test('applyModelConfig applies the --models file after the project config', () => {
+    const dir = createTempDir();
+    const modelsFile = join(dir, 'override.json');
+    writeFileSync(modelsFile, JSON.stringify({
+        models: { 'gpt-5': { displayName: 'GPT-5 (override)' } }
+    }));
+
+    applyModelConfig({ models: modelsConfig }, modelsFile);
+
+    assert.strictEqual(getModelInfo('gpt-5').displayName, 'GPT-5 (override)');
+    assert.strictEqual(getModelInfo('gpt-5').category, 'premium');
+
+    rmSync(dir, { recursive: true, force: true });
+});
+
+test('resolveBillingOptions lets CLI flags override the project config', () => {
+    const projectConfig = { billing: { cycleStartDay: 15, dayBasis: 'active' } };
+
+    assert.deepStrictEqual(resolveBillingOptions(null, {}), { cycleStartDay: 1, dayBasis: 'calendar' });
+    assert.deepStrictEqual(resolveBillingOptions(projectConfig, {}), { cycleStartDay: 15, dayBasis: 'active' });
+    assert.deepStrictEqual(
+        resolveBillingOptions(projectConfig, { cycleStartDay: 3, dayBasis: 'calendar' }),
+        { cycleStartDay: 3, dayBasis: 'calendar' }
+    );
+    assert.throws(() => resolveBillingOptions(null, { cycleStartDay: 40 }), /start day/);
+});
+
+test('applyPlanConfig loads plans from the project config and the --plans file', () => {
+    const dir = createTempDir();
+    const plansFile = join(dir, 'plans.json');
+    writeFileSync(plansFile, JSON.stringify({
+        plans: { 'Pro': { monthlyFee: 25, includedUsage: { dollars: 25 }, overage: { costMultiplier: 1 } } }
+    }));
+    const projectConfig = {
+        plans: { plans: { 'Enterprise': { monthlyFee: 100, includedUsage: { dollars: 100 } } } }
+    };
+
+    const loaded = applyPlanConfig(projectConfig, plansFile);
+
+    assert.deepStrictEqual(loaded, ['Enterprise', 'Pro']);
+    assert.strictEqual(PLAN_CATALOG['Enterprise'].monthlyFee, 100);
+    assert.strictEqual(PLAN_CATALOG['Pro'].monthlyFee, 25);
+
+    rmSync(dir, { recursive: true, force: true });
+});
+
+test('resolveSeats lets CLI flags override the project config', () => {
+    assert.strictEqual(resolveSeats(null, {}), 1);
+    assert.strictEqual(resolveSeats({ seats: 6 }, {}), 6);
+    assert.strictEqual(resolveSeats({ seats: 6 }, { seats: 3 }), 3);
+    assert.throws(() => resolveSeats(null, { seats: 0 }), /positive integer/);
+    assert.throws(() => resolveSeats(null, { seats: 2.5 }), /positive integer/);
+});
+
+test('resolveCurrentPlan lets the --plan flag override the project config', () => {
+    assert.strictEqual(resolveCurrentPlan(null, {}), undefined);
+    assert.strictEqual(resolveCurrentPlan({ plan: 'Teams' }, {}), 'Teams');
+    assert.strictEqual(resolveCurrentPlan({ plan: 'Teams' }, { plan: 'Ultra' }), 'Ultra');
+    assert.strictEqual(resolveCurrentPlan(null, { plan: 'ultra' }), 'Ultra', 'Should ignore case');
+    assert.throws(() => resolveCurrentPlan(null, { plan: 'Platinum' }), /Unknown plan: Platinum/);
+});
+
+test('resolveTimezone lets the --timezone flag override the project config', () => {
+    assert.strictEqual(resolveTimezone(null, {}), 'UTC');
+    assert.strictEqual(resolveTimezone({ timezone: 'Europe/Berlin' }, {}), 'Europe/Berlin');
+    assert.strictEqual(resolveTimezone({ timezone: 'Europe/Berlin' }, { timezone: 'Asia/Tokyo' }), 'Asia/Tokyo');
+    assert.throws(() => resolveTimezone(null, { timezone: 'Berlin' }), /Unknown timezone: Berlin/);
+});
+
+test('resolveBudgetOptions lets CLI flags override the project config', () => {
+    const projectConfig = { budget: { amount: 150, thresholds: [50, 100] } };
+
+    assert.strictEqual(resolveBudgetOptions(null, {}), null);
+    assert.deepStrictEqual(resolveBudgetOptions(projectConfig, {}), { amount: 150, thresholds: [50, 100] });
+    assert.deepStrictEqual(
+        resolveBudgetOptions(projectConfig, { budget: 90 }),
+        { amount: 90, thresholds: [50, 100] }
+    );
+    assert.deepStrictEqual(
+        resolveBudgetOptions(null, { budget: 90, budgetThresholds: [75] }),
+        { amount: 90, thresholds: [75] }
+    );
+    assert.throws(() => resolveBudgetOptions(null, { budget: -5 }), /positive amount/);
+});
+
+test('resolveExperimentsPath defaults to the working directory', () => {
+    const dir = createTempDir();
+
+    assert.strictEqual(resolveExperimentsPath(null, dir), join(dir, EXPERIMENTS_FILE));
+    assert.strictEqual(
+        resolveExperimentsPath({ experiments: 'notes/experiments.json', baseDir: dir }, '/elsewhere'),
+        join(dir, 'notes', 'experiments.json')
+    );
+
+    rmSync(dir, { recursive: true });
+});
+
+test('saveExperiments and loadExperiments round-trip the experiment log', () => {
+    const dir = createTempDir();
+    const filePath = join(dir, EXPERIMENTS_FILE);
+    const experiments = [{ name: 'Grok for refactors', startDate: '2025-11-01', expectedMonthlySavings: 70 }];
+
+    assert.deepStrictEqual(loadExperiments(filePath), []);
+
+    saveExperiments(filePath, experiments);
+    assert.deepStrictEqual(JSON.parse(readFileSync(filePath, 'utf-8')), { experiments });
+    assert.deepStrictEqual(loadExperiments(filePath), experiments);
+
+    assert.throws(() => saveExperiments(filePath, [...experiments, ...experiments]), /names must be unique/);
+
+    writeFileSync(filePath, JSON.stringify({ experiments: [{ name: 'Bad', startDate: 'soon' }] }));
+    assert.throws(() => loadExperiments(filePath), /Invalid experiment log/);
+
+    rmSync(dir, { recursive: true });
+});
@@ -7,7 +7,7 @@ test('parseArgs parses CSV file argument', () => {
     process.argv = ['node', 'cli.js', 'test.csv'];
 
     const args = parseArgs();
-    assert.strictEqual(args.csvFile, 'test.csv');
+    assert.deepStrictEqual(args.csvFiles, ['test.csv']);
     assert.strictEqual(args.showGraphs, false);
     assert.strictEqual(args.outputFile, null);
     assert.strictEqual(args.json, false);
@@ -20,18 +20,34 @@ test('parseArgs parses --show-graphs flag', () => {
     process.argv = ['node', 'cli.js', 'test.csv', '--show-graphs'];
 
     const args = parseArgs();
-    assert.strictEqual(args.csvFile, 'test.csv');
+    assert.deepStrictEqual(args.csvFiles, ['test.csv']);
     assert.strictEqual(args.showGraphs, true);
 
     process.argv = originalArgv;
 });
 
+test('parseArgs parses --no-color and --ascii flags', () => {
+    const originalArgv = process.argv;
+
+    process.argv = ['node', 'cli.js', 'test.csv'];
+    let args = parseArgs();
+    assert.strictEqual(args.noColor, false);
+    assert.strictEqual(args.ascii, false);
+
+    process.argv = ['node', 'cli.js', 'test.csv', '--no-color', '--ascii'];
+    args = parseArgs();
+    assert.strictEqual(args.noColor, true);
+    assert.strictEqual(args.ascii, true);
+
+    process.argv = originalArgv;
+});
+
 test('parseArgs parses --output flag', () => {
     const originalArgv = process.argv;
     process.argv = ['node', 'cli.js', 'test.csv', '--output', 'output.txt'];
 
     const args = parseArgs();
-    assert.strictEqual(args.csvFile, 'test.csv');
+    assert.deepStrictEqual(args.csvFiles, ['test.csv']);
     assert.strictEqual(args.outputFile, 'output.txt');
 
     process.argv = originalArgv;
@@ -42,7 +58,7 @@ test('parseArgs parses --json flag', () => {
     process.argv = ['node', 'cli.js', 'test.csv', '--json'];
 
     const args = parseArgs();
-    assert.strictEqual(args.csvFile, 'test.csv');
+    assert.deepStrictEqual(args.csvFiles, ['test.csv']);
     assert.strictEqual(args.json, true);
 
     process.argv = originalArgv;
@@ -53,7 +69,7 @@ test('parseArgs parses short flags', () => {
     process.argv = ['node', 'cli.js', 'test.csv', '-g', '-o', 'out.txt', '-j'];
 
     const args = parseArgs();
-    assert.strictEqual(args.csvFile, 'test.csv');
+    assert.deepStrictEqual(args.csvFiles, ['test.csv']);
     assert.strictEqual(args.showGraphs, true);
     assert.strictEqual(args.outputFile, 'out.txt');
     assert.strictEqual(args.json, true);
@@ -61,6 +77,56 @@ test('parseArgs parses short flags', () => {
     process.argv = originalArgv;
 });
 
+test('parseArgs parses --format', () => {
+    const originalArgv = process.argv;
+
+    process.argv = ['node', 'cli.js', 'test.csv'];
+    assert.strictEqual(parseArgs().format, 'text');
+
+    process.argv = ['node', 'cli.js', 'test.csv', '--format', 'markdown'];
+    const args = parseArgs();
+    assert.strictEqual(args.format, 'markdown');
+    assert.strictEqual(args.json, false);
+
+    process.argv = ['node', 'cli.js', 'test.csv', '-f', 'html'];
+    assert.strictEqual(parseArgs().format, 'html');
+
+    process.argv = ['node', 'cli.js', 'test.csv', '-f', 'json'];
+    assert.strictEqual(parseArgs().json, true);
+
+    process.argv = ['node', 'cli.js', 'test.csv', '--json'];
+    assert.strictEqual(parseArgs().format, 'json');
+
+    process.argv = originalArgv;
+});
+
+test('parseArgs validates --format', () => {
+    const originalArgv = process.argv;
+
+    process.argv = ['node', 'cli.js', 'test.csv', '--format', 'pdf'];
+    assert.throws(() => parseArgs(), /Unknown format: pdf \(expected text, json, markdown, html, csv, tsv\)/);
+
+    process.argv = ['node', 'cli.js', 'test.csv', '--format'];
+    assert.throws(() => parseArgs(), /--format requires one of: text, json, markdown, html, csv, tsv/);
+
+    process.argv = ['node', 'cli.js', 'test.csv', '--json', '--format', 'markdown'];
+    assert.throws(() => parseArgs(), /--json cannot be combined with --format markdown/);
+
+    process.argv = ['node', 'cli.js', 'compare', 'a.csv', 'b.csv', '--format', 'markdown'];
+    assert.throws(() => parseArgs(), /only available for the analysis report, not compare/);
+
+    process.argv = ['node', 'cli.js', 'team', 'team.csv', '--format', 'html'];
+    assert.throws(() => parseArgs(), /--format html is only available for the analysis report, not team/);
+
+    process.argv = ['node', 'cli.js', 'test.csv', '--format', 'csv'];
+    assert.throws(() => parseArgs(), /--format csv writes one file per table and requires --output <directory>/);
+
+    process.argv = ['node', 'cli.js', 'test.csv', '--format', 'tsv', '--output', 'tables'];
+    assert.strictEqual(parseArgs().outputFile, 'tables');
+
+    process.argv = originalArgv;
+});
+
 test('parseArgs throws error for missing --output value', () => {
     const originalArgv = process.argv;
     process.argv = ['node', 'cli.js', 'test.csv', '--output'];
@@ -83,14 +149,275 @@ test('parseArgs throws error for unknown option', () => {
     process.argv = originalArgv;
 });
 
-test('parseArgs throws error for multiple CSV files', () => {
+test('parseArgs collects multiple CSV files and directories', () => {
+    const originalArgv = process.argv;
+    process.argv = ['node', 'cli.js', 'test1.csv', 'test2.csv', 'exports/', '--json'];
+
+    const args = parseArgs();
+    assert.deepStrictEqual(args.csvFiles, ['test1.csv', 'test2.csv', 'exports/']);
+    assert.strictEqual(args.json, true);
+
+    process.argv = originalArgv;
+});
+
+test('parseArgs parses what-if subcommand with rules', () => {
+    const originalArgv = process.argv;
+    process.argv = ['node', 'cli.js', 'what-if', 'test.csv', '--rule', 'a=b,share=0.5', '-r', '*=c'];
+
+    const args = parseArgs();
+    assert.strictEqual(args.command, 'what-if');
+    assert.deepStrictEqual(args.csvFiles, ['test.csv']);
+    assert.deepStrictEqual(args.rules, [{ from: 'a', to: 'b', share: 0.5 }, { from: '*', to: 'c' }]);
+
+    process.argv = originalArgv;
+});
+
+test('parseArgs requires a rule for what-if', () => {
     const originalArgv = process.argv;
-    process.argv = ['node', 'cli.js', 'test1.csv', 'test2.csv'];
+    process.argv = ['node', 'cli.js', 'what-if', 'test.csv'];
 
     assert.throws(() => {
         parseArgs();
-    }, /Unexpected argument/);
+    }, /what-if requires at least one --rule/);
+
+    process.argv = originalArgv;
+});
+
+test('parseArgs parses compare subcommand with two inputs', () => {
+    const originalArgv = process.argv;
+    process.argv = ['node', 'cli.js', 'compare', 'october.json', 'november.csv'];
+
+    const args = parseArgs();
+    assert.strictEqual(args.command, 'compare');
+    assert.deepStrictEqual(args.csvFiles, ['october.json', 'november.csv']);
+    assert.deepStrictEqual(args.periods, []);
+
+    process.argv = originalArgv;
+});
+
+test('parseArgs parses compare periods', () => {
+    const originalArgv = process.argv;
+    process.argv = ['node', 'cli.js', 'compare', 'test.csv',
+        '--period', '2025-10-01..2025-10-15', '--period', '2025-10-16..2025-10-31'];
+
+    const args = parseArgs();
+    assert.deepStrictEqual(args.periods, [
+        { start: '2025-10-01', end: '2025-10-15' },
+        { start: '2025-10-16', end: '2025-10-31' }
+    ]);
+
+    process.argv = originalArgv;
+});
+
+test('parseArgs validates compare inputs', () => {
+    const originalArgv = process.argv;
+
+    process.argv = ['node', 'cli.js', 'compare', 'test.csv'];
+    assert.throws(() => parseArgs(), /compare requires two inputs/);
+
+    process.argv = ['node', 'cli.js', 'compare', 'test.csv', '--period', '2025-10-01..2025-10-15'];
+    assert.throws(() => parseArgs(), /compare requires exactly two --period ranges/);
+
+    process.argv = ['node', 'cli.js', 'compare', 'test.csv', '--period', '2025-10-15..2025-10-01'];
+    assert.throws(() => parseArgs(), /start is after end/);
+
+    process.argv = originalArgv;
+});
+
+test('parseArgs parses team members with optional labels', () => {
+    const originalArgv = process.argv;
+    process.argv = ['node', 'cli.js', 'team', 'alice=exports/alice.csv', 'bob.csv', 'team-exports/'];
+
+    const args = parseArgs();
+    assert.strictEqual(args.command, 'team');
+    assert.deepStrictEqual(args.teamMembers, [
+        { label: 'alice', path: 'exports/alice.csv' },
+        { label: null, path: 'bob.csv' },
+        { label: null, path: 'team-exports/' }
+    ]);
+
+    process.argv = ['node', 'cli.js', 'team', '=bob.csv'];
+    assert.throws(() => parseArgs(), /Invalid team member "=bob.csv"/);
 
     process.argv = originalArgv;
 });
 
+test('parseArgs parses experiment add', () => {
+    const originalArgv = process.argv;
+    process.argv = ['node', 'cli.js', 'experiment', 'add', 'Grok for refactors',
+        '--start', '2025-11-01', '--expect-savings', '70', '--note', 'Refactors only'];
+
+    const args = parseArgs();
+    assert.strictEqual(args.command, 'experiment');
+    assert.strictEqual(args.experimentAction, 'add');
+    assert.strictEqual(args.experimentName, 'Grok for refactors');
+    assert.strictEqual(args.experimentStart, '2025-11-01');
+    assert.strictEqual(args.expectedSavings, 70);
+    assert.strictEqual(args.experimentNote, 'Refactors only');
+    assert.deepStrictEqual(args.csvFiles, []);
+
+    process.argv = originalArgv;
+});
+
+test('parseArgs validates experiment actions', () => {
+    const originalArgv = process.argv;
+
+    process.argv = ['node', 'cli.js', 'experiment', 'list'];
+    assert.strictEqual(parseArgs().experimentAction, 'list');
+
+    process.argv = ['node', 'cli.js', 'experiment', 'start'];
+    assert.throws(() => parseArgs(), /experiment requires an action: add, list, remove/);
+
+    process.argv = ['node', 'cli.js', 'experiment', 'remove'];
+    assert.throws(() => parseArgs(), /experiment remove requires an experiment name/);
+
+    process.argv = ['node', 'cli.js', 'experiment', 'add', 'Grok', '--start', '2025-11-01'];
+    assert.throws(() => parseArgs(), /requires --start and --expect-savings/);
+
+    process.argv = ['node', 'cli.js', 'experiment', 'list', 'usage.csv'];
+    assert.throws(() => parseArgs(), /Unexpected argument: usage.csv/);
+
+    process.argv = originalArgv;
+});
+
+test('parseArgs parses --models flag', () => {
+    const originalArgv = process.argv;
+    process.argv = ['node', 'cli.js', 'test.csv', '--models', 'models.json'];
+
+    const args = parseArgs();
+    assert.strictEqual(args.modelsFile, 'models.json');
+
+    process.argv = originalArgv;
+});
+
+test('parseArgs throws when --models has no file', () => {
+    const originalArgv = process.argv;
+    process.argv = ['node', 'cli.js', 'test.csv', '--models'];
+
+    assert.throws(() => parseArgs(), /--models requires a file path/);
+
+    process.argv = originalArgv;
+});
+
+test('parseArgs parses --plans and --seats flags', () => {
+    const originalArgv = process.argv;
+    process.argv = ['node', 'cli.js', 'test.csv', '--plans', 'plans.json', '--seats', '8'];
+
+    const args = parseArgs();
+    assert.strictEqual(args.plansFile, 'plans.json');
+    assert.strictEqual(args.seats, 8);
+
+    process.argv = originalArgv;
+});
+
+test('parseArgs throws when --plans has no file', () => {
+    const originalArgv = process.argv;
+    process.argv = ['node', 'cli.js', 'test.csv', '--plans'];
+
+    assert.throws(() => parseArgs(), /--plans requires a file path/);
+
+    process.argv = originalArgv;
+});
+
+test('parseArgs parses the --plan flag', () => {
+    const originalArgv = process.argv;
+    process.argv = ['node', 'cli.js', 'test.csv', '--plan', 'Pro+'];
+
+    assert.strictEqual(parseArgs().plan, 'Pro+');
+
+    process.argv = ['node', 'cli.js', 'test.csv', '--plan'];
+    assert.throws(() => parseArgs(), /--plan requires a plan name/);
+
+    process.argv = originalArgv;
+});
+
+test('parseArgs parses budget flags', () => {
+    const originalArgv = process.argv;
+    process.argv = ['node', 'cli.js', 'test.csv', '--budget', '150', '--budget-alerts', '50,80,100'];
+
+    const args = parseArgs();
+    assert.strictEqual(args.budget, 150);
+    assert.deepStrictEqual(args.budgetThresholds, [50, 80, 100]);
+
+    process.argv = originalArgv;
+});
+
+test('parseArgs throws when --budget has no amount', () => {
+    const originalArgv = process.argv;
+    process.argv = ['node', 'cli.js', 'test.csv', '--budget'];
+
+    assert.throws(() => parseArgs(), /--budget requires an amount/);
+
+    process.argv = originalArgv;
+});
+
+test('parseArgs parses billing cycle flags', () => {
+    const originalArgv = process.argv;
+    process.argv = ['node', 'cli.js', 'test.csv', '--cycle-start-day', '15', '--day-basis', 'active'];
+
+    const args = parseArgs();
+    assert.strictEqual(args.cycleStartDay, 15);
+    assert.strictEqual(args.dayBasis, 'active');
+
+    process.argv = originalArgv;
+});
+
+test('parseArgs parses --timezone', () => {
+    const originalArgv = process.argv;
+    process.argv = ['node', 'cli.js', 'test.csv', '--timezone', 'America/New_York'];
+
+    assert.strictEqual(parseArgs().timezone, 'America/New_York');
+
+    process.argv = ['node', 'cli.js', 'test.csv', '--timezone'];
+    assert.throws(() => parseArgs(), /--timezone requires an IANA time zone name or "local"/);
+
+    process.argv = originalArgv;
+});
+
+test('parseArgs parses filter flags', () => {
+    const originalArgv = process.argv;
+    process.argv = [
+        'node', 'cli.js', 'test.csv',
+        '--since', '2025-11-01', '--until', '2025-11-07',
+        '--model', 'claude*', '--model', 'gpt-5', '--exclude-model', '*thinking',
+        '--kind', 'On-Demand'
+    ];
+
+    const args = parseArgs();
+    assert.strictEqual(args.since, '2025-11-01');
+    assert.strictEqual(args.until, '2025-11-07');
+    assert.deepStrictEqual(args.models, ['claude*', 'gpt-5']);
+    assert.deepStrictEqual(args.excludeModels, ['*thinking']);
+    assert.deepStrictEqual(args.kinds, ['On-Demand']);
+
+    process.argv = ['node', 'cli.js', 'test.csv', '--model'];
+    assert.throws(() => parseArgs(), /--model requires a model name or glob/);
+
+    process.argv = ['node', 'cli.js', 'test.csv', '--since', '2025-13-45'];
+    assert.throws(() => parseArgs(), /Invalid since date "2025-13-45" - expected YYYY-MM-DD/);
+
+    process.argv = ['node', 'cli.js', 'test.csv', '--until', 'yesterday'];
+    assert.throws(() => parseArgs(), /Invalid until date "yesterday"/);
+
+    process.argv = ['node', 'cli.js', 'test.csv', '--since', '2025-11-07', '--until', '2025-11-01'];
+    assert.throws(() => parseArgs(), /since \(2025-11-07\) is after until \(2025-11-01\)/);
+
+    process.argv = originalArgv;
+});
+
+test('parseArgs parses --stream for a single analysis input', () => {
+    const originalArgv = process.argv;
+    process.argv = ['node', 'cli.js', 'test.csv', '--stream'];
+    assert.strictEqual(parseArgs().stream, true);
+
+    process.argv = ['node', 'cli.js', 'test.csv'];
+    assert.strictEqual(parseArgs().stream, false);
+
+    process.argv = ['node', 'cli.js', 'a.csv', 'b.csv', '--stream'];
+    assert.throws(() => parseArgs(), /--stream requires a single CSV file/);
+
+    process.argv = ['node', 'cli.js', 'team', 'a.csv', '--stream'];
+    assert.throws(() => parseArgs(), /--stream is only available for the analysis report, not team/);
+
+    process.argv = originalArgv;
+});
@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { detectTerminalCapabilities } from '../../src/cli/terminal.js';
+
+const tty = { isTTY: true };
+const pipe = { isTTY: false };
+
+test('detectTerminalCapabilities colors interactive terminals only', () => {
+    const env = { LANG: 'en_US.UTF-8' };
+
+    assert.deepStrictEqual(detectTerminalCapabilities({ env, stream: tty, platform: 'linux' }), { color: true, unicode: true });
+    assert.strictEqual(detectTerminalCapabilities({ env, stream: pipe, platform: 'linux' }).color, false, 'Should not color pipes');
+    assert.strictEqual(detectTerminalCapabilities({ env, stream: null, platform: 'linux' }).color, false, 'Should not color files');
+});
+
+test('detectTerminalCapabilities honors NO_COLOR, --no-color and FORCE_COLOR', () => {
+    assert.strictEqual(detectTerminalCapabilities({ env: { NO_COLOR: '1' }, stream: tty }).color, false);
+    assert.strictEqual(detectTerminalCapabilities({ env: { NO_COLOR: '' }, stream: tty }).color, true,
+        'Should ignore an empty NO_COLOR');
+    assert.strictEqual(detectTerminalCapabilities({ env: {}, stream: tty, noColor: true }).color, false);
+    assert.strictEqual(detectTerminalCapabilities({ env: { TERM: 'dumb' }, stream: tty }).color, false);
+    assert.strictEqual(detectTerminalCapabilities({ env: { FORCE_COLOR: '1' }, stream: pipe }).color, true);
+    assert.strictEqual(detectTerminalCapabilities({ env: { FORCE_COLOR: '0' }, stream: tty }).color, false);
+    assert.strictEqual(detectTerminalCapabilities({ env: { FORCE_COLOR: '1', NO_COLOR: '1' }, stream: tty }).color, false,
+        'Should let NO_COLOR win');
+});
+
+test('detectTerminalCapabilities falls back to ASCII where Unicode may not render', () => {
+    const unicode = (env, platform = 'linux', ascii = false) =>
+        detectTerminalCapabilities({ env, stream: tty, platform, ascii }).unicode;
+
+    assert.strictEqual(unicode({}), true, 'Should assume Unicode without a locale');
+    assert.strictEqual(unicode({ LANG: 'C.UTF-8' }), true);
+    assert.strictEqual(unicode({ LANG: 'C' }), false, 'Should use ASCII under a non-UTF-8 locale');
+    assert.strictEqual(unicode({ LANG: 'en_US.UTF-8', LC_ALL: 'POSIX' }), false, 'Should let LC_ALL override LANG');
+    assert.strictEqual(unicode({ CI: 'true' }), false, 'Should use ASCII in CI logs');
+    assert.strictEqual(unicode({ CI: 'false' }), true);
+    assert.strictEqual(unicode({ TERM: 'dumb' }), false);
+    assert.strictEqual(unicode({}, 'linux', true), false, 'Should honor --ascii');
+    assert.strictEqual(unicode({}, 'win32'), false, 'Should use ASCII in legacy Windows consoles');
+    assert.strictEqual(unicode({ WT_SESSION: 'abc' }, 'win32'), true, 'Should trust Windows Terminal');
+    assert.strictEqual(unicode({ TERM_PROGRAM: 'vscode' }, 'win32'), true);
+});
@@ -1,6 +1,6 @@
 import { test } from 'node:test';
 import assert from 'node:assert';
-import { analyze, exportJSON, parseCSV } from '../../src/index.js';
+import { analyze, analyzeStream, exportJSON, parseCSV, STREAMING_OMITTED_SECTIONS } from '../../src/index.js';
 import { parseCSVContent } from '../../src/domain/parsers/cursor-csv.js';
 import { UsageRecord } from '../../src/domain/entities/UsageRecord.js';
 
@@ -61,6 +61,7 @@ test('analyze returns complete analysis structure', () => {
     assert.ok(result.cache_efficiency);
     assert.ok(result.opportunities);
     assert.ok(result.patterns);
+    assert.ok(result.forecast);
 
     // Check metadata
     assert.ok(result.metadata.generated_at);
@@ -261,3 +262,100 @@ test('analyze handles real CSV data end-to-end', () => {
     assert.ok(result.patterns.peak_hours.length > 0);
 });
 
+
+test('analyze tracks a budget only when one is given', () => {
+    const records = Array(10).fill(null).map((_, i) => createRecord({
+        date: `2025-11-${String(i + 1).padStart(2, '0')}T10:00:00Z`,
+        cost: 10,
+        totalTokens: 1000
+    }));
+
+    assert.strictEqual(analyze(records).budget, null);
+
+    const result = analyze(records, { budget: { amount: 80 } });
+    assert.strictEqual(result.budget.amount, 80);
+    assert.strictEqual(result.budget.over_budget, true);
+});
+
+test('analyze evaluates experiments only when some are recorded', () => {
+    const records = Array(20).fill(null).map((_, i) => createRecord({
+        date: `2025-11-${String(i + 1).padStart(2, '0')}T10:00:00Z`,
+        cost: i < 10 ? 2 : 1,
+        totalTokens: 1000
+    }));
+
+    assert.strictEqual(analyze(records).experiments, null);
+    assert.strictEqual(analyze(records, { experiments: [] }).experiments, null);
+
+    const result = analyze(records, {
+        experiments: [{ name: 'Cheaper model', startDate: '2025-11-11', expectedMonthlySavings: 30 }]
+    });
+    assert.strictEqual(result.experiments.length, 1);
+    assert.strictEqual(result.experiments[0].monthly_savings.volume_adjusted, 30);
+    assert.strictEqual(result.experiments[0].verdict, 'confirmed');
+});
+
+test('analyze includes a per-user breakdown only for exports with users', () => {
+    const records = Array(10).fill(null).map((_, i) => createRecord({
+        date: `2025-11-${String(i + 1).padStart(2, '0')}T10:00:00Z`,
+        cost: 1,
+        totalTokens: 1000
+    }));
+
+    assert.strictEqual(analyze(records).user_breakdown, null);
+
+    records.forEach((record, i) => {
+        record.user = i % 2 === 0 ? 'alice@example.com' : 'bob@example.com';
+    });
+    const result = analyze(records);
+    assert.strictEqual(result.user_breakdown.user_count, 2);
+    assert.strictEqual(result.user_breakdown.users[0].total_cost, 5);
+});
+
+test('analyzeStream matches analyze for the sections it computes', async () => {
+    const { records } = parseCSV('data/usage-events-2025-11-07.csv');
+    const options = {
+        timezone: 'America/New_York',
+        budget: { amount: 50 },
+        filters: { kinds: ['Included', 'On-Demand'] }
+    };
+
+    async function* stream() {
+        yield* records;
+    }
+
+    const full = analyze(records, options);
+    const streamed = await analyzeStream(stream(), options);
+
+    for (const section of ['summary', 'cost_analysis', 'model_efficiency', 'forecast', 'budget', 'cache_efficiency', 'patterns']) {
+        assert.deepStrictEqual(streamed[section], full[section], `${section} should match`);
+    }
+    assert.deepStrictEqual(streamed.opportunities, full.opportunities, 'opportunities should match');
+
+    // Without the records in time order, the plan section has no replay and estimates the current plan
+    const { allowance_replay: replay, current_plan_source: source, ...plan } = streamed.plan_recommendation;
+    const { allowance_replay: fullReplay, current_plan_source: fullSource, ...fullPlan } = full.plan_recommendation;
+    assert.deepStrictEqual(plan, fullPlan, 'plan_recommendation should match');
+    assert.strictEqual(replay, null);
+    assert.strictEqual(source, 'replay_estimate');
+    assert.strictEqual(fullSource, 'replay');
+    assert.ok(fullReplay.plans.length > 0);
+
+    assert.deepStrictEqual(Object.keys(streamed), Object.keys(full), 'Should keep the section order');
+    assert.strictEqual(streamed.metadata.total_records, full.metadata.total_records);
+    assert.deepStrictEqual(streamed.metadata.filters, full.metadata.filters);
+    assert.strictEqual(streamed.metadata.streaming, true);
+    assert.deepStrictEqual(streamed.metadata.omitted_sections, STREAMING_OMITTED_SECTIONS);
+    STREAMING_OMITTED_SECTIONS.forEach(section => assert.strictEqual(streamed[section], null));
+});
+
+test('analyzeStream accepts plain iterables and rejects empty input', async () => {
+    const records = [createRecord({ cost: 0.10 }), createRecord({ cost: 0.20, model: 'claude-4.5-sonnet' })];
+
+    const result = await analyzeStream(records);
+    assert.strictEqual(result.metadata.total_records, 2);
+    assert.strictEqual(result.budget, null, 'Should skip the budget without --budget');
+
+    await assert.rejects(analyzeStream([]), /Records array cannot be empty/);
+    await assert.rejects(analyzeStream(records, { filters: { models: ['gpt*'] } }), /No records match the filters/);
+});
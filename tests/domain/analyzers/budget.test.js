@@ -0,0 +1,104 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { BudgetAnalyzer, normalizeBudgetOptions } from '../../../src/domain/analyzers/budget.js';
+import { ForecastAnalyzer } from '../../../src/domain/analyzers/forecast.js';
+import { UsageRecord } from '../../../src/domain/entities/UsageRecord.js';
+
+// Helper function to create UsageRecord instances
+function createRecord(date, cost) {
+    return new UsageRecord({
+        date: `${date}T10:00:00Z`,
+        kind: 'Included',
+        model: 'grok',
+        cost,
+        totalTokens: 1000,
+        cacheRead: 0,
+        input: 0,
+        output: 0
+    });
+}
+
+// $10 a day from 2025-11-01 for `days` days
+function novemberRecords(days, cost = 10) {
+    return Array.from({ length: days }, (_, i) => createRecord(`2025-11-${String(i + 1).padStart(2, '0')}`, cost));
+}
+
+function analyzeBudget(records, budget, billing) {
+    const options = { budget, billing };
+    const forecast = new ForecastAnalyzer().analyze(records, options);
+    return new BudgetAnalyzer().analyze(records, forecast, options);
+}
+
+test('normalizeBudgetOptions validates the amount and sorts thresholds', () => {
+    assert.deepStrictEqual(normalizeBudgetOptions({ amount: 100 }), { amount: 100, thresholds: [80, 100, 120] });
+    assert.deepStrictEqual(
+        normalizeBudgetOptions({ amount: 50, thresholds: [100, 50] }),
+        { amount: 50, thresholds: [50, 100] }
+    );
+    assert.throws(() => normalizeBudgetOptions({ amount: 0 }), /Budget must be a positive amount/);
+    assert.throws(() => normalizeBudgetOptions({ amount: NaN }), /Budget must be a positive amount/);
+    assert.throws(() => normalizeBudgetOptions({ amount: 10, thresholds: [80, 'x'] }), /thresholds/);
+});
+
+test('analyze throws on empty records', () => {
+    assert.throws(() => new BudgetAnalyzer().analyze([], null, { budget: { amount: 10 } }), /Records array cannot be empty/);
+});
+
+test('analyze tracks spend to date and projects the cycle from the forecast', () => {
+    const budget = analyzeBudget(novemberRecords(10), { amount: 400 });
+
+    assert.strictEqual(budget.cycle_start, '2025-11-01');
+    assert.strictEqual(budget.cycle_end, '2025-11-30');
+    assert.strictEqual(budget.remaining_days, 20);
+    assert.strictEqual(budget.spent_to_date, 100);
+    assert.strictEqual(budget.percent_used, 25);
+    assert.strictEqual(budget.projection_method, 'forecast');
+    assert.ok(Math.abs(budget.projected_total - 300) < 1e-6);
+    assert.strictEqual(budget.projected_overrun, 0);
+    assert.strictEqual(budget.over_budget, false);
+    assert.strictEqual(budget.projected_exhaustion_date, null);
+    assert.deepStrictEqual(budget.alerts, []);
+});
+
+test('analyze predicts the exhaustion date and projected alerts', () => {
+    const budget = analyzeBudget(novemberRecords(10), { amount: 200 });
+
+    assert.strictEqual(budget.projected_exhaustion_date, '2025-11-20');
+    assert.ok(Math.abs(budget.projected_overrun - 100) < 1e-6);
+    assert.deepStrictEqual(budget.alerts.map(a => [a.threshold, a.status, a.severity]), [
+        [80, 'projected', 'warning'],
+        [100, 'projected', 'critical'],
+        [120, 'projected', 'critical']
+    ]);
+});
+
+test('analyze reports the day an exceeded budget ran out', () => {
+    const budget = analyzeBudget(novemberRecords(10), { amount: 75, thresholds: [50, 100] });
+
+    assert.strictEqual(budget.over_budget, true);
+    assert.strictEqual(budget.exhausted_on, '2025-11-08');
+    assert.strictEqual(budget.projected_exhaustion_date, null);
+    assert.strictEqual(budget.remaining_budget, 0);
+    assert.deepStrictEqual(budget.alerts.map(a => a.status), ['reached', 'reached']);
+});
+
+test('analyze only counts spend in the current billing cycle', () => {
+    const records = [createRecord('2025-10-20', 500), ...novemberRecords(10)];
+    const budget = analyzeBudget(records, { amount: 400 });
+
+    assert.strictEqual(budget.spent_to_date, 100);
+
+    const shifted = analyzeBudget(records, { amount: 400 }, { cycleStartDay: 15 });
+    assert.strictEqual(shifted.cycle_start, '2025-10-15');
+    assert.strictEqual(shifted.spent_to_date, 600);
+    assert.strictEqual(shifted.over_budget, true);
+});
+
+test('analyze falls back to the run rate without a forecast', () => {
+    const records = novemberRecords(3);
+    const budget = new BudgetAnalyzer().analyze(records, null, { budget: { amount: 200 } });
+
+    assert.strictEqual(budget.projection_method, 'run_rate');
+    assert.strictEqual(budget.projected_total, 300);
+    assert.strictEqual(budget.projected_exhaustion_date, '2025-11-20');
+});
@@ -14,7 +14,8 @@ function createRecord(data) {
         totalTokens: data.totalTokens,
         cacheRead: data.cacheRead || 0,
         input: data.input || 0,
-        output: data.output || 0
+        output: data.output || 0,
+        maxMode: data.maxMode || false
     });
 }
 
@@ -272,3 +273,74 @@ test('findTopExpensiveRequests includes context', () => {
     assert.ok(topRequests[0].row_number);
 });
 
+
+test('calculateBreakdownByMaxMode splits cost with and without Max Mode per model', () => {
+    const analyzer = new CostAnalyzer();
+    const records = [
+        createRecord({ date: '2025-10-10T10:00:00Z', cost: 4, totalTokens: 1_000_000, kind: 'On-Demand', model: 'claude', maxMode: true }),
+        createRecord({ date: '2025-10-10T11:00:00Z', cost: 2, totalTokens: 1_000_000, kind: 'On-Demand', model: 'claude' }),
+        createRecord({ date: '2025-10-10T12:00:00Z', cost: 1, totalTokens: 1_000_000, kind: 'Included', model: 'grok' })
+    ];
+
+    const breakdown = analyzer.calculateBreakdownByMaxMode(records);
+
+    assert.strictEqual(breakdown.max_mode.cost, 4);
+    assert.strictEqual(breakdown.max_mode.request_count, 1);
+    assert.strictEqual(breakdown.standard.cost, 3);
+    assert.strictEqual(breakdown.standard.request_count, 2);
+
+    const claude = breakdown.by_model.find(m => m.model === 'claude');
+    assert.strictEqual(breakdown.by_model[0].model, 'claude');
+    assert.strictEqual(claude.max_mode.cost_per_million_tokens, 4);
+    assert.strictEqual(claude.standard.cost_per_million_tokens, 2);
+
+    const grok = breakdown.by_model.find(m => m.model === 'grok');
+    assert.strictEqual(grok.max_mode.request_count, 0);
+    assert.strictEqual(grok.max_mode.cost_per_million_tokens, 0);
+
+    assert.ok(analyzer.analyze(records).breakdown_by_max_mode);
+});
+
+test('calculateSummary records calendar days and billing options', () => {
+    const analyzer = new CostAnalyzer();
+    const records = [
+        createRecord({ date: '2025-10-01T10:00:00Z', kind: 'Included', model: 'grok', cost: 1, totalTokens: 100 }),
+        createRecord({ date: '2025-10-10T10:00:00Z', kind: 'Included', model: 'grok', cost: 1, totalTokens: 100 })
+    ];
+
+    const summary = analyzer.calculateSummary(records, { cycleStartDay: 5, dayBasis: 'active' });
+
+    assert.strictEqual(summary.period.days, 2);
+    assert.strictEqual(summary.period.active_days, 2);
+    assert.strictEqual(summary.period.calendar_days, 10);
+    assert.strictEqual(summary.period.day_basis, 'active');
+    assert.strictEqual(summary.period.cycle_start_day, 5);
+});
+
+test('createAccumulator matches analyze on the same records', () => {
+    const { records } = parseCSV('data/usage-events-2025-11-07.csv');
+    const analyzer = new CostAnalyzer();
+    const options = { billing: { cycleStartDay: 5 } };
+
+    const accumulator = analyzer.createAccumulator(options);
+    records.forEach(record => accumulator.add(record));
+
+    assert.deepStrictEqual(accumulator.finish(), analyzer.analyze(records, options));
+});
+
+test('calculateSummary averages per day over the selected day basis', () => {
+    const analyzer = new CostAnalyzer();
+    const records = [
+        createRecord({ date: '2025-10-01T10:00:00Z', kind: 'Included', model: 'grok', cost: 6, totalTokens: 100 }),
+        createRecord({ date: '2025-10-10T10:00:00Z', kind: 'Included', model: 'grok', cost: 4, totalTokens: 100 })
+    ];
+
+    const calendar = analyzer.calculateSummary(records);
+    assert.strictEqual(calendar.period.days, 2, 'Should keep counting active days');
+    assert.strictEqual(calendar.cost.daily_average, 1); // $10 over 10 calendar days
+    assert.strictEqual(calendar.usage.requests_per_day, 0.2);
+
+    const active = analyzer.calculateSummary(records, { dayBasis: 'active' });
+    assert.strictEqual(active.cost.daily_average, 5); // $10 over 2 active days
+    assert.strictEqual(active.usage.requests_per_day, 1);
+});
@@ -0,0 +1,164 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import {
+    ExperimentAnalyzer,
+    validateExperiment,
+    validateExperimentLog,
+    EXPERIMENT_STATUS,
+    EXPERIMENT_VERDICT
+} from '../../../src/domain/analyzers/experiments.js';
+import { addDays } from '../../../src/domain/billing-cycles.js';
+import { UsageRecord } from '../../../src/domain/entities/UsageRecord.js';
+
+// Helper function to create UsageRecord instances
+function createRecord(date, data = {}) {
+    return new UsageRecord({
+        date: `${date}T10:00:00Z`,
+        kind: 'Included',
+        model: data.model || 'claude-4.5-sonnet-thinking',
+        cost: data.cost ?? 1,
+        totalTokens: 1000,
+        cacheRead: data.cacheRead || 0,
+        input: data.input ?? 1000,
+        output: 0
+    });
+}
+
+// `perDay` records a day for `days` days from `start`
+function createDays(start, days, perDay, data = {}) {
+    const records = [];
+    for (let day = 0; day < days; day++) {
+        for (let i = 0; i < perDay; i++) {
+            records.push(createRecord(addDays(start, day), data));
+        }
+    }
+    return records;
+}
+
+const experiment = {
+    name: 'Grok for refactors',
+    startDate: '2025-11-01',
+    expectedMonthlySavings: 30
+};
+
+test('validateExperiment checks name, start date and hypothesis', () => {
+    assert.deepStrictEqual(validateExperiment(experiment), []);
+    assert.deepStrictEqual(validateExperiment({ ...experiment, note: 'Refactors only' }), []);
+
+    const errors = validateExperiment({ name: '', startDate: '2025-11', expectedMonthlySavings: -5, note: 3 });
+    assert.strictEqual(errors.length, 4);
+    assert.ok(errors.some(e => e.includes('name')));
+    assert.ok(errors.some(e => e.includes('startDate')));
+    assert.ok(errors.some(e => e.includes('expectedMonthlySavings')));
+    assert.ok(errors.some(e => e.includes('note')));
+});
+
+test('validateExperimentLog requires an experiments array with unique names', () => {
+    assert.deepStrictEqual(validateExperimentLog({ experiments: [] }), []);
+    assert.ok(validateExperimentLog({})[0].includes('"experiments" array'));
+
+    const errors = validateExperimentLog({ experiments: [experiment, experiment] });
+    assert.deepStrictEqual(errors, ['"Grok for refactors": experiment names must be unique']);
+});
+
+test('analyze throws on empty records and invalid experiments', () => {
+    const analyzer = new ExperimentAnalyzer();
+    assert.throws(() => analyzer.analyze([], [experiment]), /Records array cannot be empty/);
+    assert.throws(
+        () => analyzer.analyze(createDays('2025-10-01', 1, 1), [{ ...experiment, startDate: 'soon' }]),
+        /Invalid experiments/
+    );
+});
+
+test('evaluate compares spend, volume and cache rate before and after the start date', () => {
+    const records = [
+        ...createDays('2025-10-18', 14, 2, { cost: 1, cacheRead: 0, input: 1000 }),
+        ...createDays('2025-11-01', 10, 2, { cost: 0.5, model: 'grok-code-fast-1', cacheRead: 500, input: 500 })
+    ];
+
+    const result = new ExperimentAnalyzer().evaluate(records, experiment);
+
+    assert.strictEqual(result.before.start, '2025-10-18');
+    assert.strictEqual(result.before.end, '2025-10-31');
+    assert.strictEqual(result.before.days, 14);
+    assert.strictEqual(result.before.cost_per_day, 2);
+    assert.strictEqual(result.after.days, 10);
+    assert.strictEqual(result.after.cost_per_day, 1);
+    assert.strictEqual(result.changes.cost_per_day_percentage, -50);
+    assert.strictEqual(result.changes.cost_per_request_percentage, -50);
+    assert.strictEqual(result.changes.requests_per_day_percentage, 0);
+    assert.strictEqual(result.changes.cache_hit_rate_points, 50);
+
+    assert.deepStrictEqual(result.model_shifts.map(s => [s.model, s.difference_points]), [
+        ['claude-4.5-sonnet-thinking', -100],
+        ['grok-code-fast-1', 100]
+    ]);
+
+    // $0.50 less per request, 2 requests a day, 30 days
+    assert.strictEqual(result.monthly_savings.volume_adjusted, 30);
+    assert.strictEqual(result.monthly_savings.raw, 30);
+    assert.strictEqual(result.realized_percentage, 100);
+    assert.strictEqual(result.status, EXPERIMENT_STATUS.IN_PROGRESS);
+    assert.strictEqual(result.verdict, EXPERIMENT_VERDICT.CONFIRMED);
+    assert.ok(result.message.includes('10 of 30 days observed'));
+});
+
+test('evaluate adjusts savings for request volume', () => {
+    // Cost per request halves, but twice as many requests keep daily spend flat
+    const records = [
+        ...createDays('2025-10-18', 14, 2, { cost: 1 }),
+        ...createDays('2025-11-01', 30, 4, { cost: 0.5 })
+    ];
+
+    const result = new ExperimentAnalyzer().evaluate(records, experiment);
+
+    assert.strictEqual(result.monthly_savings.raw, 0);
+    assert.strictEqual(result.monthly_savings.volume_adjusted, 60);
+    assert.strictEqual(result.status, EXPERIMENT_STATUS.COMPLETE);
+    assert.strictEqual(result.verdict, EXPERIMENT_VERDICT.CONFIRMED);
+});
+
+test('evaluate reports partial and unconfirmed savings', () => {
+    const analyzer = new ExperimentAnalyzer();
+    const before = createDays('2025-10-18', 14, 2, { cost: 1 });
+
+    const partial = analyzer.evaluate([...before, ...createDays('2025-11-01', 14, 2, { cost: 0.8 })], experiment);
+    assert.ok(Math.abs(partial.monthly_savings.volume_adjusted - 12) < 1e-9);
+    assert.strictEqual(partial.verdict, EXPERIMENT_VERDICT.PARTIAL);
+
+    const worse = analyzer.evaluate([...before, ...createDays('2025-11-01', 14, 2, { cost: 1.2 })], experiment);
+    assert.ok(worse.monthly_savings.volume_adjusted < 0);
+    assert.strictEqual(worse.verdict, EXPERIMENT_VERDICT.NOT_CONFIRMED);
+});
+
+test('evaluate needs data on both sides of the start date', () => {
+    const analyzer = new ExperimentAnalyzer();
+
+    const pending = analyzer.evaluate(createDays('2025-10-18', 14, 2), experiment);
+    assert.strictEqual(pending.status, EXPERIMENT_STATUS.PENDING);
+    assert.strictEqual(pending.after, null);
+    assert.strictEqual(pending.monthly_savings, null);
+    assert.strictEqual(pending.verdict, EXPERIMENT_VERDICT.INSUFFICIENT_DATA);
+
+    const early = analyzer.evaluate(
+        [...createDays('2025-10-18', 14, 2), ...createDays('2025-11-01', 3, 2, { cost: 0.5 })],
+        experiment
+    );
+    assert.strictEqual(early.status, EXPERIMENT_STATUS.IN_PROGRESS);
+    assert.strictEqual(early.monthly_savings.volume_adjusted, 30);
+    assert.strictEqual(early.verdict, EXPERIMENT_VERDICT.INSUFFICIENT_DATA);
+
+    const noBaseline = analyzer.evaluate(createDays('2025-11-01', 14, 2), experiment);
+    assert.strictEqual(noBaseline.before, null);
+    assert.strictEqual(noBaseline.verdict, EXPERIMENT_VERDICT.INSUFFICIENT_DATA);
+});
+
+test('analyze evaluates experiments in start-date order', () => {
+    const records = createDays('2025-10-01', 45, 1);
+    const results = new ExperimentAnalyzer().analyze(records, [
+        { name: 'Later', startDate: '2025-11-01', expectedMonthlySavings: 10 },
+        { name: 'Earlier', startDate: '2025-10-15', expectedMonthlySavings: 10 }
+    ]);
+
+    assert.deepStrictEqual(results.map(r => r.name), ['Earlier', 'Later']);
+});
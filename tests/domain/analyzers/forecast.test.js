@@ -0,0 +1,133 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { ForecastAnalyzer } from '../../../src/domain/analyzers/forecast.js';
+import { UsageRecord } from '../../../src/domain/entities/UsageRecord.js';
+
+// Helper function to create UsageRecord instances
+function createRecord(date, cost) {
+    return new UsageRecord({
+        date: `${date}T10:00:00Z`,
+        kind: 'Included',
+        model: 'grok',
+        cost,
+        totalTokens: 1000,
+        cacheRead: 0,
+        input: 0,
+        output: 0
+    });
+}
+
+// One record per day for `days` days starting 2025-10-01 (a Wednesday)
+function dailyRecords(days, costForDay) {
+    return Array.from({ length: days }, (_, i) => {
+        const date = new Date(Date.UTC(2025, 9, 1 + i)).toISOString().split('T')[0];
+        return createRecord(date, costForDay(i, date));
+    });
+}
+
+test('analyze throws on empty records', () => {
+    const analyzer = new ForecastAnalyzer();
+    assert.throws(() => analyzer.analyze([]), /Records array cannot be empty/);
+});
+
+test('analyze reports insufficient data for less than a week', () => {
+    const analyzer = new ForecastAnalyzer();
+    const result = analyzer.analyze(dailyRecords(5, () => 10));
+
+    assert.strictEqual(result.sufficient_data, false);
+    assert.strictEqual(result.history_days, 5);
+    assert.match(result.message, /At least 7 days/);
+    assert.strictEqual(result.daily, undefined);
+});
+
+test('buildDailySeries fills idle days with zero', () => {
+    const analyzer = new ForecastAnalyzer();
+    const series = analyzer.buildDailySeries([
+        createRecord('2025-10-01', 2),
+        createRecord('2025-10-01', 3),
+        createRecord('2025-10-04', 1)
+    ]);
+
+    assert.deepStrictEqual(series, [
+        { date: '2025-10-01', cost: 5 },
+        { date: '2025-10-02', cost: 0 },
+        { date: '2025-10-03', cost: 0 },
+        { date: '2025-10-04', cost: 1 }
+    ]);
+});
+
+test('analyze projects flat spend with a tight band', () => {
+    const analyzer = new ForecastAnalyzer();
+    const result = analyzer.analyze(dailyRecords(28, () => 10));
+
+    assert.strictEqual(result.sufficient_data, true);
+    assert.strictEqual(result.trend.direction, 'flat');
+    assert.strictEqual(result.daily.length, 30);
+    assert.strictEqual(result.daily[0].date, '2025-10-29');
+    assert.ok(Math.abs(result.next_period.forecast - 300) < 1e-6);
+    assert.ok(result.next_period.high - result.next_period.low < 1e-6);
+    assert.ok(Math.abs(result.typical_period_cost - 300) < 1e-9);
+});
+
+test('analyze follows a linear trend', () => {
+    const analyzer = new ForecastAnalyzer();
+    const result = analyzer.analyze(dailyRecords(20, i => 5 + i));
+
+    assert.strictEqual(result.trend.direction, 'increasing');
+    assert.ok(Math.abs(result.trend.slope_per_day - 1) < 1e-9);
+    assert.ok(Math.abs(result.daily[0].forecast - 25) < 1e-6);
+    assert.ok(Math.abs(result.daily[9].forecast - 34) < 1e-6);
+});
+
+test('analyze learns weekday seasonality', () => {
+    const analyzer = new ForecastAnalyzer();
+    // Weekdays cost $12, weekends $2
+    const weekend = date => [0, 6].includes(new Date(`${date}T00:00:00Z`).getUTCDay());
+    const result = analyzer.analyze(dailyRecords(28, (i, date) => (weekend(date) ? 2 : 12)));
+
+    assert.ok(result.weekday_adjustments.Saturday < 0);
+    assert.ok(result.weekday_adjustments.Tuesday > 0);
+
+    const saturday = result.daily.find(d => d.weekday === 'Saturday');
+    const tuesday = result.daily.find(d => d.weekday === 'Tuesday');
+    assert.ok(Math.abs(saturday.forecast - 2) < 0.5);
+    assert.ok(Math.abs(tuesday.forecast - 12) < 0.5);
+});
+
+test('analyze skips seasonality with less than two weeks of data', () => {
+    const analyzer = new ForecastAnalyzer();
+    const result = analyzer.analyze(dailyRecords(10, i => (i % 2 ? 4 : 8)));
+
+    assert.strictEqual(result.weekday_adjustments, null);
+    assert.ok(result.residual_std_dev > 0);
+    assert.ok(result.daily.every(d => d.low <= d.forecast && d.forecast <= d.high));
+});
+
+test('analyze never forecasts negative spend', () => {
+    const analyzer = new ForecastAnalyzer();
+    const result = analyzer.analyze(dailyRecords(14, i => Math.max(0, 20 - 2 * i)));
+
+    assert.strictEqual(result.trend.direction, 'decreasing');
+    assert.ok(result.daily.every(d => d.forecast >= 0 && d.low >= 0));
+});
+
+test('analyze estimates the end-of-cycle total from spend so far', () => {
+    const analyzer = new ForecastAnalyzer();
+    // 2025-10-01 to 2025-10-20 at $10/day; cycle runs to 2025-10-31
+    const result = analyzer.analyze(dailyRecords(20, () => 10));
+
+    assert.strictEqual(result.end_of_cycle.cycle_start, '2025-10-01');
+    assert.strictEqual(result.end_of_cycle.cycle_end, '2025-10-31');
+    assert.strictEqual(result.end_of_cycle.remaining_days, 11);
+    assert.ok(Math.abs(result.end_of_cycle.spent_to_date - 200) < 1e-9);
+    assert.ok(Math.abs(result.end_of_cycle.forecast - 310) < 1e-6);
+});
+
+test('analyze uses the configured billing cycle start day', () => {
+    const analyzer = new ForecastAnalyzer();
+    const result = analyzer.analyze(dailyRecords(20, () => 10), { billing: { cycleStartDay: 15 } });
+
+    assert.strictEqual(result.end_of_cycle.cycle_start, '2025-10-15');
+    assert.strictEqual(result.end_of_cycle.cycle_end, '2025-11-14');
+    assert.ok(Math.abs(result.end_of_cycle.spent_to_date - 60) < 1e-9);
+});
@@ -3,6 +3,7 @@ import assert from 'node:assert';
 import { ModelEfficiencyAnalyzer } from '../../../src/domain/analyzers/model-efficiency.js';
 import { UsageRecord } from '../../../src/domain/entities/UsageRecord.js';
 import { ModelUsage } from '../../../src/domain/entities/ModelUsage.js';
+import { parseCSV } from '../../../src/domain/parsers/cursor-csv.js';
 
 // Helper function to create UsageRecord instances
 function createRecord(data) {
@@ -303,3 +304,57 @@ test('groupByModel groups records correctly', () => {
     assert.strictEqual(groups['claude'].length, 1);
 });
 
+
+test('analyze lists models missing from the registry', () => {
+    const analyzer = new ModelEfficiencyAnalyzer();
+    const records = [
+        createRecord({ model: 'claude-4.5-sonnet', cost: 0.50, totalTokens: 100_000 }),
+        createRecord({ model: 'mystery-model-x', cost: 0.20, totalTokens: 100_000 }),
+        createRecord({ model: 'mystery-model-x', cost: 0.20, totalTokens: 100_000 })
+    ];
+
+    const result = analyzer.analyze(records);
+
+    assert.deepStrictEqual(result.unresolved_models, [
+        { model: 'mystery-model-x', request_count: 2, total_cost: 0.40, total_tokens: 200_000 }
+    ]);
+});
+
+test('analyze reports the registry resolution path for every ranked model', () => {
+    const analyzer = new ModelEfficiencyAnalyzer();
+    const records = [
+        createRecord({ model: 'claude-4.5-sonnet', cost: 0.50, totalTokens: 100_000 }),
+        createRecord({ model: 'claude-4-sonnet-thinking', cost: 0.50, totalTokens: 100_000 }),
+        createRecord({ model: 'mystery-model-x', cost: 0.20, totalTokens: 100_000 })
+    ];
+
+    const result = analyzer.analyze(records);
+    const byModel = Object.fromEntries(result.rankings.map(item => [item.model, item.resolution]));
+
+    assert.deepStrictEqual(byModel['claude-4.5-sonnet'], {
+        method: 'exact',
+        resolved_to: 'claude-4.5-sonnet',
+        path: 'exact:claude-4.5-sonnet'
+    });
+    assert.deepStrictEqual(byModel['claude-4-sonnet-thinking'], {
+        method: 'variant',
+        resolved_to: 'claude-4.5-sonnet',
+        path: 'variant:thinking > family:claude-sonnet > exact:claude-4.5-sonnet'
+    });
+    assert.deepStrictEqual(byModel['mystery-model-x'], {
+        method: 'unresolved',
+        resolved_to: null,
+        path: 'unresolved'
+    });
+});
+
+test('createAccumulator matches analyze on the same records', () => {
+    const { records } = parseCSV('data/usage-events-2025-11-07.csv');
+    const analyzer = new ModelEfficiencyAnalyzer();
+
+    const accumulator = analyzer.createAccumulator();
+    records.forEach(record => accumulator.add(record));
+
+    assert.deepStrictEqual(accumulator.finish(), analyzer.analyze(records));
+    assert.throws(() => analyzer.createAccumulator().finish(), /Records array cannot be empty/);
+});
@@ -1,7 +1,11 @@
-import { test } from 'node:test';
+import { test, afterEach } from 'node:test';
 import assert from 'node:assert';
-import { PlanOptimizer, PLAN_TIERS } from '../../../src/domain/analyzers/plan-optimization.js';
+import { PlanOptimizer } from '../../../src/domain/analyzers/plan-optimization.js';
 import { UsageRecord } from '../../../src/domain/entities/UsageRecord.js';
+import { PlanReplaySimulator } from '../../../src/domain/analyzers/plan-replay.js';
+import { PLAN_CATALOG, loadPlanCatalog, resetPlanCatalog } from '../../../src/domain/models/plan-catalog.js';
+
+afterEach(() => resetPlanCatalog());
 
 // Helper function to create UsageRecord instances
 function createRecord(data) {
@@ -65,62 +69,99 @@ test('calculateMonthlyCost handles partial month', () => {
     assert.strictEqual(monthlyCost, 100); // 50 / 15 * 30 = 100
 });
 
-test('detectCurrentPlan detects Ultra for high spending', () => {
+/**
+ * Runs the ranking and replay detectCurrentPlan works from
+ * @param {PlanOptimizer} optimizer - Optimizer under test
+ * @param {UsageRecord[]} records - Records of one billing cycle
+ * @param {Object} costSummary - Summary statistics
+ * @returns {Object} { ranking, replay }
+ */
+function simulate(optimizer, records, costSummary) {
+    const usageCost = records.reduce((sum, r) => sum + r.cost, 0);
+    return {
+        ranking: optimizer.rankPlans([{ usage_cost: usageCost, requests: records.length, weight: 30 }]),
+        replay: new PlanReplaySimulator().analyze(records, {
+            billing: { cycleStartDay: costSummary.period.cycle_start_day }
+        })
+    };
+}
+
+test('detectCurrentPlan picks the plan whose replay matches the export kinds', () => {
     const optimizer = new PlanOptimizer();
-    const records = Array(1000).fill(null).map(() => createRecord({
-        cost: 0.50,
-        kind: 'On-Demand',
-        totalTokens: 10000
-    }));
+    // $80 Included, then $20 On-Demand: only the $70-$80 allowances explain it
+    const records = [
+        ...Array(80).fill(null).map((_, i) => createRecord({
+            date: `2025-11-${String(Math.floor(i / 8) + 1).padStart(2, '0')}T10:00:00Z`,
+            cost: 1,
+            kind: 'Included'
+        })),
+        ...Array(20).fill(null).map(() => createRecord({ date: '2025-11-20T10:00:00Z', cost: 1, kind: 'On-Demand' }))
+    ];
+    const costSummary = { period: { days: 30, cycle_start_day: 1 }, cost: { total: 100 } };
+    const simulation = simulate(optimizer, records, costSummary);
+
+    const requestAnalysis = optimizer.analyzeRequestVolume(records, costSummary);
+    const currentPlan = optimizer.detectCurrentPlan(requestAnalysis, simulation);
+
+    // Pro+ bills the first $70 as included, so 10 Included rows disagree
+    assert.strictEqual(currentPlan.plan, 'Pro+');
+    assert.strictEqual(currentPlan.source, 'replay');
+    assert.strictEqual(currentPlan.match_rate, 0.9);
+    assert.strictEqual(currentPlan.confidence, 'medium');
+    assert.strictEqual(currentPlan.monthly_cost, simulation.ranking.find(r => r.plan === 'Pro+').monthly_cost);
+});
 
-    const costSummary = {
-        period: { days: 30 },
-        cost: { total: 500 }
-    };
+test('detectCurrentPlan detects Pro when the allowance runs out at $20', () => {
+    const optimizer = new PlanOptimizer();
+    const records = [
+        ...Array(20).fill(null).map(() => createRecord({ date: '2025-11-03T10:00:00Z', cost: 1, kind: 'Included' })),
+        ...Array(30).fill(null).map(() => createRecord({ date: '2025-11-10T10:00:00Z', cost: 1, kind: 'On-Demand' }))
+    ];
+    const costSummary = { period: { days: 30, cycle_start_day: 1 }, cost: { total: 50 } };
 
-    const monthlyCost = optimizer.calculateMonthlyCost(costSummary);
-    const currentPlan = optimizer.detectCurrentPlan(records, costSummary, monthlyCost);
+    const requestAnalysis = optimizer.analyzeRequestVolume(records, costSummary);
+    const currentPlan = optimizer.detectCurrentPlan(requestAnalysis, simulate(optimizer, records, costSummary));
 
-    assert.strictEqual(currentPlan.plan, PLAN_TIERS.ULTRA.name);
+    assert.strictEqual(currentPlan.plan, 'Pro');
+    assert.strictEqual(currentPlan.match_rate, 1);
     assert.strictEqual(currentPlan.confidence, 'high');
 });
 
-test('detectCurrentPlan detects Pro for moderate spending', () => {
+test('detectCurrentPlan ignores spend thresholds', () => {
     const optimizer = new PlanOptimizer();
-    const records = Array(500).fill(null).map(() => createRecord({
-        cost: 0.04,
-        kind: 'Included',
-        totalTokens: 1000
-    }));
+    // $300 of usage, all of it Included: only Ultra's $400 allowance covers it
+    const records = Array(100).fill(null).map(() => createRecord({ date: '2025-11-03T10:00:00Z', cost: 3, kind: 'Included' }));
+    const costSummary = { period: { days: 30, cycle_start_day: 1 }, cost: { total: 300 } };
 
-    const costSummary = {
-        period: { days: 30 },
-        cost: { total: 20 }
-    };
+    const requestAnalysis = optimizer.analyzeRequestVolume(records, costSummary);
+    const currentPlan = optimizer.detectCurrentPlan(requestAnalysis, simulate(optimizer, records, costSummary));
 
-    const monthlyCost = optimizer.calculateMonthlyCost(costSummary);
-    const currentPlan = optimizer.detectCurrentPlan(records, costSummary, monthlyCost);
-
-    assert.strictEqual(currentPlan.plan, PLAN_TIERS.PRO.name);
+    assert.strictEqual(currentPlan.plan, 'Ultra');
+    assert.strictEqual(currentPlan.confidence, 'high');
 });
 
-test('detectCurrentPlan detects Free for low spending', () => {
+test('detectCurrentPlan takes a configured plan as given', () => {
     const optimizer = new PlanOptimizer();
-    const records = Array(10).fill(null).map(() => createRecord({
-        cost: 0.01,
-        kind: 'Included',
-        totalTokens: 100
-    }));
-
-    const costSummary = {
-        period: { days: 30 },
-        cost: { total: 0.10 }
-    };
+    const records = Array(10).fill(null).map(() => createRecord({ cost: 0.01, kind: 'Included' }));
+    const costSummary = { period: { days: 30, cycle_start_day: 1 }, cost: { total: 0.10 } };
+    const simulation = simulate(optimizer, records, costSummary);
 
-    const monthlyCost = optimizer.calculateMonthlyCost(costSummary);
-    const currentPlan = optimizer.detectCurrentPlan(records, costSummary, monthlyCost);
+    const requestAnalysis = optimizer.analyzeRequestVolume(records, costSummary);
+    const currentPlan = optimizer.detectCurrentPlan(requestAnalysis, { ...simulation, plan: 'Business' });
 
-    assert.strictEqual(currentPlan.plan, PLAN_TIERS.FREE.name);
+    assert.strictEqual(currentPlan.plan, 'Business');
+    assert.strictEqual(currentPlan.source, 'configured');
+    assert.strictEqual(currentPlan.confidence, 'high');
+    assert.strictEqual(currentPlan.match_rate, null);
+    assert.strictEqual(
+        optimizer.detectCurrentPlan(requestAnalysis, { ...simulation, plan: 'pro+' }).plan,
+        'Pro+',
+        'Should match plan names regardless of case and use the catalog spelling'
+    );
+    assert.throws(
+        () => optimizer.detectCurrentPlan(requestAnalysis, { ...simulation, plan: 'Platinum' }),
+        /Unknown plan: Platinum/
+    );
 });
 
 test('analyzeRequestVolume calculates request metrics', () => {
@@ -143,13 +184,12 @@ test('analyzeRequestVolume calculates request metrics', () => {
     assert.strictEqual(analysis.on_demand_requests, 100);
     assert.strictEqual(analysis.errored_requests, 10);
     assert.strictEqual(analysis.monthly_requests, 510); // 510 / 30 * 30
-    assert.strictEqual(analysis.exceeds_pro_limit, true); // 510 > 500
 });
 
 test('generateRecommendation recommends Ultra for high spending', () => {
     const optimizer = new PlanOptimizer();
     const currentPlan = {
-        plan: PLAN_TIERS.PRO.name,
+        plan: 'Pro',
         confidence: 'high',
         monthly_cost: 250,
         monthly_requests: 1000,
@@ -158,9 +198,7 @@ test('generateRecommendation recommends Ultra for high spending', () => {
 
     const monthlyCost = 250;
     const requestAnalysis = {
-        monthly_requests: 1000,
-        exceeds_pro_limit: true,
-        exceeds_ultra_limit: false
+        monthly_requests: 1000
     };
 
     const costSummary = {
@@ -175,8 +213,8 @@ test('generateRecommendation recommends Ultra for high spending', () => {
         costSummary
     );
 
-    assert.strictEqual(recommendation.recommended_plan, PLAN_TIERS.ULTRA.name);
-    assert.strictEqual(recommendation.recommended_cost, PLAN_TIERS.ULTRA.monthlyCost);
+    assert.strictEqual(recommendation.recommended_plan, 'Ultra');
+    assert.strictEqual(recommendation.recommended_cost, 200);
     assert.ok(recommendation.savings_monthly > 0);
     assert.ok(recommendation.savings_yearly > 0);
     assert.ok(recommendation.reasoning.length > 0);
@@ -187,7 +225,7 @@ test('generateRecommendation recommends Ultra for high spending', () => {
 test('generateRecommendation recommends Pro for moderate spending', () => {
     const optimizer = new PlanOptimizer();
     const currentPlan = {
-        plan: PLAN_TIERS.PRO.name,
+        plan: 'Pro',
         confidence: 'high',
         monthly_cost: 50,
         monthly_requests: 400,
@@ -196,9 +234,7 @@ test('generateRecommendation recommends Pro for moderate spending', () => {
 
     const monthlyCost = 50;
     const requestAnalysis = {
-        monthly_requests: 400,
-        exceeds_pro_limit: false,
-        exceeds_ultra_limit: false
+        monthly_requests: 400
     };
 
     const costSummary = {
@@ -213,8 +249,9 @@ test('generateRecommendation recommends Pro for moderate spending', () => {
         costSummary
     );
 
-    assert.strictEqual(recommendation.recommended_plan, PLAN_TIERS.PRO.name);
-    assert.strictEqual(recommendation.recommended_cost, PLAN_TIERS.PRO.monthlyCost);
+    // $20 fee plus $30 of usage beyond the $20 allowance
+    assert.strictEqual(recommendation.recommended_plan, 'Pro');
+    assert.strictEqual(recommendation.recommended_cost, 50);
     assert.strictEqual(recommendation.savings_monthly, 0);
     assert.ok(recommendation.reasoning.length > 0);
 });
@@ -222,7 +259,7 @@ test('generateRecommendation recommends Pro for moderate spending', () => {
 test('generateRecommendation recommends Free for very low spending', () => {
     const optimizer = new PlanOptimizer();
     const currentPlan = {
-        plan: PLAN_TIERS.FREE.name,
+        plan: 'Free',
         confidence: 'high',
         monthly_cost: 5,
         monthly_requests: 30,
@@ -231,9 +268,7 @@ test('generateRecommendation recommends Free for very low spending', () => {
 
     const monthlyCost = 5;
     const requestAnalysis = {
-        monthly_requests: 30,
-        exceeds_pro_limit: false,
-        exceeds_ultra_limit: false
+        monthly_requests: 30
     };
 
     const costSummary = {
@@ -248,14 +283,14 @@ test('generateRecommendation recommends Free for very low spending', () => {
         costSummary
     );
 
-    assert.strictEqual(recommendation.recommended_plan, PLAN_TIERS.FREE.name);
+    assert.strictEqual(recommendation.recommended_plan, 'Free');
     assert.ok(recommendation.savings_monthly >= 0);
 });
 
 test('generateRecommendation calculates conservative savings', () => {
     const optimizer = new PlanOptimizer();
     const currentPlan = {
-        plan: PLAN_TIERS.PRO.name,
+        plan: 'Pro',
         confidence: 'high',
         monthly_cost: 250,
         monthly_requests: 1000,
@@ -264,9 +299,7 @@ test('generateRecommendation calculates conservative savings', () => {
 
     const monthlyCost = 250;
     const requestAnalysis = {
-        monthly_requests: 1000,
-        exceeds_pro_limit: true,
-        exceeds_ultra_limit: false
+        monthly_requests: 1000
     };
 
     const costSummary = {
@@ -281,6 +314,9 @@ test('generateRecommendation calculates conservative savings', () => {
         costSummary
     );
 
+    // Pro's simulated cost ($20 fee + $230 overage) against Ultra's flat $200
+    assert.strictEqual(recommendation.current_cost, 250);
+
     // Savings should be conservative (10% buffer)
     const expectedSavings = (250 - 200) * 0.9; // 45
     assert.ok(Math.abs(recommendation.savings_monthly - expectedSavings) < 0.01);
@@ -313,6 +349,31 @@ test('analyze returns complete plan analysis', () => {
     assert.ok(analysis.recommendation.actions.length > 0);
 });
 
+test('analyze compares simulated costs on both sides of the savings', () => {
+    const optimizer = new PlanOptimizer();
+    // $100 over all of November
+    const records = Array(120).fill(null).map((_, i) => createRecord({
+        date: `2025-11-${String((i % 30) + 1).padStart(2, '0')}T10:00:00Z`,
+        cost: 100 / 120,
+        kind: 'Included'
+    }));
+    const costSummary = {
+        period: { days: 30, active_days: 30, calendar_days: 30, day_basis: 'calendar', cycle_start_day: 1 },
+        cost: { total: 100 }
+    };
+
+    const analysis = optimizer.analyze(records, costSummary, { currentPlan: 'Ultra' });
+    const { recommendation } = analysis;
+
+    assert.strictEqual(analysis.actual_monthly_cost, 100);
+    assert.strictEqual(analysis.current_plan.monthly_cost, 200);
+    assert.strictEqual(recommendation.current_cost, 200);
+    // Pro+ simulates to $60 fee + $30 overage
+    assert.strictEqual(recommendation.recommended_plan, 'Pro+');
+    assert.ok(Math.abs(recommendation.recommended_cost - 90) < 1e-9);
+    assert.ok(Math.abs(recommendation.savings_monthly - (200 - 90) * 0.9) < 1e-9);
+});
+
 test('analyze handles edge case: single day of data', () => {
     const optimizer = new PlanOptimizer();
     const records = Array(20).fill(null).map(() => createRecord({
@@ -336,7 +397,7 @@ test('analyze handles edge case: single day of data', () => {
 test('generateRecommendation handles $180-220/month range', () => {
     const optimizer = new PlanOptimizer();
     const currentPlan = {
-        plan: PLAN_TIERS.PRO.name,
+        plan: 'Pro',
         confidence: 'medium',
         monthly_cost: 200,
         monthly_requests: 800,
@@ -345,9 +406,7 @@ test('generateRecommendation handles $180-220/month range', () => {
 
     const monthlyCost = 200;
     const requestAnalysis = {
-        monthly_requests: 800,
-        exceeds_pro_limit: true,
-        exceeds_ultra_limit: false
+        monthly_requests: 800
     };
 
     const costSummary = {
@@ -362,15 +421,16 @@ test('generateRecommendation handles $180-220/month range', () => {
         costSummary
     );
 
-    // Should recommend Ultra for better experience
-    assert.strictEqual(recommendation.recommended_plan, PLAN_TIERS.ULTRA.name);
+    // Pro+ ($60 + $130 overage) narrowly beats Ultra's flat $200
+    assert.strictEqual(recommendation.recommended_plan, 'Pro+');
+    assert.strictEqual(recommendation.recommended_cost, 190);
     assert.strictEqual(recommendation.confidence, 'medium');
 });
 
 test('generateRecommendation handles low spending with high request volume', () => {
     const optimizer = new PlanOptimizer();
     const currentPlan = {
-        plan: PLAN_TIERS.FREE.name,
+        plan: 'Free',
         confidence: 'medium',
         monthly_cost: 10,
         monthly_requests: 100,
@@ -397,6 +457,231 @@ test('generateRecommendation handles low spending with high request volume', ()
     );
 
     // Should recommend Pro because request volume exceeds Free limit
-    assert.strictEqual(recommendation.recommended_plan, PLAN_TIERS.PRO.name);
+    assert.strictEqual(recommendation.recommended_plan, 'Pro');
+});
+
+
+test('calculateMonthlyCost uses calendar days instead of active days', () => {
+    const optimizer = new PlanOptimizer();
+    const costSummary = {
+        period: { days: 10, active_days: 10, calendar_days: 30, day_basis: 'calendar' },
+        cost: { total: 100 }
+    };
+
+    assert.strictEqual(optimizer.calculateMonthlyCost(costSummary), 100);
+    assert.strictEqual(
+        optimizer.calculateMonthlyCost({ ...costSummary, period: { ...costSummary.period, day_basis: 'active' } }),
+        300
+    );
+});
+
+test('analyze recommends a plan per billing cycle with average and worst case', () => {
+    const optimizer = new PlanOptimizer();
+    const records = [
+        // September: $300 over the full cycle, 2 requests a day
+        ...Array(60).fill(null).map((_, i) => createRecord({
+            date: `2025-09-${String(Math.floor(i / 2) + 1).padStart(2, '0')}T10:00:00Z`,
+            cost: 5
+        })),
+        // October: $40 over the full cycle, 2 requests a day
+        ...Array(62).fill(null).map((_, i) => createRecord({
+            date: `2025-10-${String(Math.floor(i / 2) + 1).padStart(2, '0')}T10:00:00Z`,
+            cost: 40 / 62
+        }))
+    ];
+    const costSummary = {
+        period: { days: 61, active_days: 61, calendar_days: 61, day_basis: 'calendar', cycle_start_day: 1 },
+        cost: { total: 340 }
+    };
+
+    const { billing_cycles: billing } = optimizer.analyze(records, costSummary);
+
+    assert.strictEqual(billing.cycles.length, 2);
+    assert.strictEqual(billing.cycles[0].recommended_plan, 'Ultra');
+    assert.strictEqual(billing.cycles[1].recommended_plan, 'Pro');
+    assert.strictEqual(billing.worst_case.cycle_start, '2025-09-01');
+    assert.strictEqual(billing.worst_case.monthly_cost, 300);
+    assert.strictEqual(billing.worst_case.recommended_plan, 'Ultra');
+    // Weighted by covered days: (300 * 30 + 40 * 31) / 61
+    assert.ok(Math.abs(billing.average.monthly_cost - (300 * 30 + 40 * 31) / 61) < 1e-9);
+});
+
+test('simulatePlanCycle charges overage beyond a dollar allowance', () => {
+    const optimizer = new PlanOptimizer();
+    const result = optimizer.simulatePlanCycle(PLAN_CATALOG['Pro'], 50, 400);
+
+    assert.strictEqual(result.seats, 1);
+    assert.strictEqual(result.subscription_cost, 20);
+    assert.strictEqual(result.overage_cost, 30);
+    assert.strictEqual(result.total_cost, 50);
+    assert.strictEqual(result.unserved_requests, 0);
+});
+
+test('simulatePlanCycle caps usage on plans without overage', () => {
+    const optimizer = new PlanOptimizer();
+    const result = optimizer.simulatePlanCycle(PLAN_CATALOG['Free'], 10, 80);
+
+    assert.strictEqual(result.total_cost, 0);
+    assert.strictEqual(result.unserved_requests, 30);
+});
+
+test('simulatePlanCycle leaves On-Demand usage unserved on a capped request allowance', () => {
+    const optimizer = new PlanOptimizer();
+    const result = optimizer.simulatePlanCycle(PLAN_CATALOG['Free'], 35, 14, 1, 14);
+
+    assert.strictEqual(result.total_cost, 0);
+    assert.strictEqual(result.unserved_requests, 14);
+
+    // Dollar allowances already price the spend
+    const pro = optimizer.simulatePlanCycle(PLAN_CATALOG['Pro'], 35, 14, 1, 14);
+    assert.strictEqual(pro.total_cost, 35);
+    assert.strictEqual(pro.unserved_requests, 0);
+});
+
+test('analyze does not move a seat with costly On-Demand requests to a request allowance', () => {
+    const optimizer = new PlanOptimizer();
+    // $35 over 10 days in 14 requests: well within Free's 50 requests
+    const records = Array(14).fill(null).map((_, i) => createRecord({
+        date: `2025-11-${String(Math.floor(i / 1.4) + 1).padStart(2, '0')}T10:00:00Z`,
+        kind: 'On-Demand',
+        model: 'claude-4.5-sonnet',
+        cost: 2.5
+    }));
+    const costSummary = {
+        period: { days: 10, active_days: 10, calendar_days: 10, day_basis: 'calendar', cycle_start_day: 1 },
+        cost: { total: 35 }
+    };
+
+    const analysis = optimizer.analyze(records, costSummary);
+    const free = analysis.plan_ranking.find(r => r.plan === 'Free');
+
+    assert.ok(analysis.request_analysis.monthly_requests < 50);
+    assert.strictEqual(free.covers_usage, false);
+    assert.strictEqual(analysis.plan_ranking[analysis.plan_ranking.length - 1].plan, 'Free');
+    assert.notStrictEqual(analysis.recommendation.recommended_plan, 'Free');
+    assert.ok(analysis.billing_cycles.cycles.every(c => c.recommended_plan !== 'Free'));
+});
+
+test('simulatePlanCycle pools allowances across seats and applies minimum seats', () => {
+    const optimizer = new PlanOptimizer();
+
+    const teams = optimizer.simulatePlanCycle(PLAN_CATALOG['Teams'], 100, 500, 3);
+    assert.strictEqual(teams.seats, 3);
+    assert.strictEqual(teams.subscription_cost, 120);
+    assert.strictEqual(teams.overage_cost, 40);
+
+    const business = optimizer.simulatePlanCycle(PLAN_CATALOG['Business'], 100, 500, 2);
+    assert.strictEqual(business.seats, 5);
+    assert.strictEqual(business.subscription_cost, 300);
+    assert.strictEqual(business.overage_cost, 0);
+});
+
+test('simulatePlanCycle bills per request overage', () => {
+    const optimizer = new PlanOptimizer();
+    const plan = { name: 'Legacy', monthlyFee: 20, includedUsage: { requests: 500 }, overage: { pricePerRequest: 0.04 } };
+    const result = optimizer.simulatePlanCycle(plan, 100, 600);
+
+    assert.ok(Math.abs(result.overage_cost - 4) < 1e-9);
+});
+
+test('rankPlans ranks plans by simulated cost with capped plans last', () => {
+    const optimizer = new PlanOptimizer();
+    const ranking = optimizer.rankPlans([{ usage_cost: 100, requests: 500, weight: 30 }]);
+
+    assert.strictEqual(ranking.length, Object.keys(PLAN_CATALOG).length);
+    assert.deepStrictEqual(ranking.map(r => r.rank), ranking.map((_, i) => i + 1));
+    assert.strictEqual(ranking[0].plan, 'Pro+');
+    assert.strictEqual(ranking[0].monthly_cost, 90);
+    assert.strictEqual(ranking[ranking.length - 1].plan, 'Free');
+    assert.strictEqual(ranking[ranking.length - 1].covers_usage, false);
+
+    for (let i = 1; i < ranking.length - 1; i++) {
+        assert.ok(ranking[i].monthly_cost >= ranking[i - 1].monthly_cost);
+    }
+});
+
+test('rankPlans averages costs over periods by weight', () => {
+    const optimizer = new PlanOptimizer();
+    const ranking = optimizer.rankPlans([
+        { usage_cost: 20, requests: 100, weight: 1 },
+        { usage_cost: 60, requests: 100, weight: 3 }
+    ]);
+    const pro = ranking.find(r => r.plan === 'Pro');
+
+    // Pro costs $20 and $60 in the two periods
+    assert.strictEqual(pro.monthly_cost, 50);
 });
 
+test('analyze ranks plans from a loaded catalog', () => {
+    loadPlanCatalog({
+        replace: true,
+        plans: {
+            'Starter': { monthlyFee: 10, includedUsage: { dollars: 10 }, overage: { costMultiplier: 1.5 } },
+            'Unlimited': { monthlyFee: 500, includedUsage: { dollars: 10000 } }
+        }
+    });
+
+    const optimizer = new PlanOptimizer();
+    const records = Array(60).fill(null).map((_, i) => createRecord({
+        date: `2025-09-${String(Math.floor(i / 2) + 1).padStart(2, '0')}T10:00:00Z`,
+        cost: 1
+    }));
+    const costSummary = {
+        period: { days: 30, active_days: 30, calendar_days: 30, day_basis: 'calendar', cycle_start_day: 1 },
+        cost: { total: 60 }
+    };
+
+    const analysis = optimizer.analyze(records, costSummary);
+
+    assert.deepStrictEqual(analysis.plan_ranking.map(r => r.plan), ['Starter', 'Unlimited']);
+    assert.strictEqual(analysis.plan_ranking[0].monthly_cost, 85);
+    assert.strictEqual(analysis.recommendation.recommended_plan, 'Starter');
+});
+
+test('createAccumulator ranks plans like analyze and estimates the current plan from daily totals', () => {
+    const optimizer = new PlanOptimizer();
+    // Pro's $20 runs out on Nov 3; newest first, the way exports list requests
+    const records = [
+        ...Array(20).fill(null).map(() => createRecord({ date: '2025-11-03T10:00:00Z', cost: 1, kind: 'Included' })),
+        ...Array(30).fill(null).map(() => createRecord({ date: '2025-11-10T10:00:00Z', cost: 1, kind: 'On-Demand' }))
+    ].reverse();
+    const costSummary = {
+        period: { days: 30, active_days: 2, calendar_days: 30, day_basis: 'calendar', cycle_start_day: 1 },
+        cost: { total: 50 }
+    };
+
+    const accumulator = optimizer.createAccumulator({ billing: { cycleStartDay: 1 } });
+    records.forEach(record => accumulator.add(record));
+    const streamed = accumulator.finish(costSummary);
+    const full = optimizer.analyze(records, costSummary);
+
+    assert.deepStrictEqual(streamed.plan_ranking, full.plan_ranking);
+    assert.deepStrictEqual(streamed.billing_cycles, full.billing_cycles);
+    assert.deepStrictEqual(streamed.recommendation, full.recommendation);
+    assert.deepStrictEqual(streamed.request_analysis, full.request_analysis);
+    assert.strictEqual(streamed.allowance_replay, null);
+    assert.strictEqual(streamed.current_plan.plan, 'Pro');
+    assert.strictEqual(streamed.current_plan.source, 'replay_estimate');
+    assert.strictEqual(streamed.current_plan.match_rate, 1);
+    assert.throws(() => optimizer.createAccumulator().finish(costSummary), /Records array cannot be empty/);
+});
+
+test('analyze replays the records against each plan with the requested seats', () => {
+    const optimizer = new PlanOptimizer();
+    const records = Array(60).fill(null).map((_, i) => createRecord({
+        date: `2025-09-${String(Math.floor(i / 2) + 1).padStart(2, '0')}T10:00:00Z`,
+        cost: 1
+    }));
+    const costSummary = {
+        period: { days: 30, active_days: 30, calendar_days: 30, day_basis: 'calendar', cycle_start_day: 1 },
+        cost: { total: 60 }
+    };
+
+    const { allowance_replay: replay } = optimizer.analyze(records, costSummary, { seats: 2 });
+    const pro = replay.plans.find(p => p.plan === 'Pro');
+
+    assert.strictEqual(replay.seats, 2);
+    assert.strictEqual(pro.cycles[0].allowance, 40);
+    assert.strictEqual(pro.cycles[0].exhausted_on, '2025-09-20');
+    assert.strictEqual(pro.overage_cost, 20);
+});
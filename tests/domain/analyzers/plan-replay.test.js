@@ -0,0 +1,188 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { PlanReplaySimulator, REQUEST_BILLING } from '../../../src/domain/analyzers/plan-replay.js';
+import { PLAN_CATALOG, loadPlanCatalog, resetPlanCatalog } from '../../../src/domain/models/plan-catalog.js';
+import { UsageRecord } from '../../../src/domain/entities/UsageRecord.js';
+
+afterEach(() => resetPlanCatalog());
+
+// Helper function to create UsageRecord instances
+function createRecord(data) {
+    return new UsageRecord({
+        date: data.date || '2025-11-07T10:00:00Z',
+        kind: data.kind || 'Included',
+        model: data.model || 'grok',
+        cost: data.cost,
+        totalTokens: data.totalTokens || 1000,
+        cacheRead: 0,
+        input: 0,
+        output: 0
+    });
+}
+
+// $1 a day for the first 30 days of November, out of time order
+function novemberRecords() {
+    return Array(30).fill(null).map((_, i) => createRecord({
+        date: `2025-11-${String(30 - i).padStart(2, '0')}T10:00:00Z`,
+        cost: 1
+    }));
+}
+
+test('analyze throws on empty records', () => {
+    const simulator = new PlanReplaySimulator();
+    assert.throws(() => simulator.analyze([]), /Records array cannot be empty/);
+});
+
+test('replayPlan finds the day a dollar allowance runs out and the overage after it', () => {
+    const simulator = new PlanReplaySimulator();
+    const replay = simulator.replayPlan(novemberRecords(), PLAN_CATALOG['Pro']);
+    const [cycle] = replay.cycles;
+
+    assert.strictEqual(replay.cycles.length, 1);
+    assert.strictEqual(cycle.start, '2025-11-01');
+    assert.strictEqual(cycle.allowance, 20);
+    assert.strictEqual(cycle.exhausted_on, '2025-11-20');
+    assert.strictEqual(cycle.exhausted_at, '2025-11-20T10:00:00Z');
+    assert.strictEqual(cycle.included_requests, 20);
+    assert.strictEqual(cycle.on_demand_requests, 10);
+    assert.strictEqual(cycle.overage_cost, 10);
+    assert.strictEqual(cycle.total_cost, 30);
+    assert.strictEqual(replay.total_cost, 30);
+});
+
+test('replayPlan reports an allowance that never runs out', () => {
+    const simulator = new PlanReplaySimulator();
+    const replay = simulator.replayPlan(novemberRecords(), PLAN_CATALOG['Pro+']);
+
+    assert.strictEqual(replay.cycles[0].exhausted_on, null);
+    assert.strictEqual(replay.cycles[0].on_demand_requests, 0);
+    assert.strictEqual(replay.exhausted_cycles, 0);
+    assert.strictEqual(replay.total_cost, 60);
+});
+
+test('replayPlan counts the rows it bills the way the export recorded them', () => {
+    const simulator = new PlanReplaySimulator();
+    // Included through November 25, On-Demand after, plus one errored row
+    const records = [
+        ...novemberRecords().map(r => (r.getDateOnly() > '2025-11-25' ? createRecord({ date: r.date, cost: 1, kind: 'On-Demand' }) : r)),
+        createRecord({ date: '2025-11-15T12:00:00Z', cost: 0, kind: 'Errored, Not Charged' })
+    ];
+
+    const pro = simulator.replayPlan(records, PLAN_CATALOG['Pro']);
+    const proPlus = simulator.replayPlan(records, PLAN_CATALOG['Pro+']);
+
+    assert.strictEqual(pro.classified_requests, 30);
+    // Pro runs out on November 20, so five Included rows disagree
+    assert.strictEqual(pro.matching_requests, 25);
+    // Pro+ never runs out, so the five On-Demand rows disagree
+    assert.strictEqual(proPlus.matching_requests, 25);
+    assert.strictEqual(proPlus.cycles[0].matching_requests, 25);
+});
+
+test('replayPlan restarts the allowance every billing cycle', () => {
+    const simulator = new PlanReplaySimulator();
+    const records = [
+        ...novemberRecords(),
+        createRecord({ date: '2025-12-02T10:00:00Z', cost: 5 })
+    ];
+
+    const replay = simulator.replayPlan(records, PLAN_CATALOG['Pro']);
+
+    assert.strictEqual(replay.cycles.length, 2);
+    assert.strictEqual(replay.cycles[1].start, '2025-12-01');
+    assert.strictEqual(replay.cycles[1].included_requests, 1);
+    assert.strictEqual(replay.cycles[1].overage_cost, 0);
+    assert.strictEqual(replay.total_cost, 50);
+});
+
+test('replayPlan honors the billing cycle start day', () => {
+    const simulator = new PlanReplaySimulator();
+    const replay = simulator.replayPlan(novemberRecords(), PLAN_CATALOG['Pro'], { billing: { cycleStartDay: 15 } });
+
+    assert.deepStrictEqual(replay.cycles.map(c => c.start), ['2025-10-15', '2025-11-15']);
+    assert.strictEqual(replay.cycles[0].exhausted_on, null);
+    assert.strictEqual(replay.cycles[1].exhausted_on, null);
+});
+
+test('replayPlan marks requests beyond a capped allowance as unserved', () => {
+    const simulator = new PlanReplaySimulator();
+    const records = Array(60).fill(null).map((_, i) => createRecord({
+        date: `2025-11-${String(Math.floor(i / 2) + 1).padStart(2, '0')}T${i % 2 ? '14' : '10'}:00:00Z`,
+        cost: 0.1
+    }));
+
+    const replay = simulator.replayPlan(records, PLAN_CATALOG['Free']);
+
+    assert.strictEqual(replay.capped, true);
+    assert.strictEqual(replay.cycles[0].exhausted_at, '2025-11-25T14:00:00Z');
+    assert.strictEqual(replay.cycles[0].included_requests, 50);
+    assert.strictEqual(replay.cycles[0].unserved_requests, 10);
+    assert.strictEqual(replay.total_cost, 0);
+});
+
+test('replayPlan pools the allowance across billed seats', () => {
+    const simulator = new PlanReplaySimulator();
+    const replay = simulator.replayPlan(novemberRecords(), PLAN_CATALOG['Business'], { seats: 2 });
+
+    assert.strictEqual(replay.seats, 5);
+    assert.strictEqual(replay.cycles[0].allowance, 200);
+    assert.strictEqual(replay.cycles[0].subscription_cost, 300);
+});
+
+test('attributeRecords splits the request that crosses a dollar allowance', () => {
+    const simulator = new PlanReplaySimulator();
+    const records = [
+        createRecord({ date: '2025-11-01T10:00:00Z', cost: 15 }),
+        createRecord({ date: '2025-11-02T10:00:00Z', cost: 10 }),
+        createRecord({ date: '2025-11-03T10:00:00Z', cost: 4 })
+    ];
+
+    const attributions = simulator.attributeRecords(records, PLAN_CATALOG['Pro']);
+
+    assert.deepStrictEqual(attributions.map(a => a.billing), [
+        REQUEST_BILLING.INCLUDED, REQUEST_BILLING.ON_DEMAND, REQUEST_BILLING.ON_DEMAND
+    ]);
+    assert.strictEqual(attributions[1].included_cost, 5);
+    assert.strictEqual(attributions[1].overage_cost, 5);
+    assert.strictEqual(attributions[1].exhausts_allowance, true);
+    assert.strictEqual(attributions[2].overage_cost, 4);
+});
+
+test('attributeRecords does not draw errored requests from the allowance', () => {
+    const simulator = new PlanReplaySimulator();
+    const records = [
+        createRecord({ date: '2025-11-01T10:00:00Z', cost: 30, kind: 'Errored, Not Charged' }),
+        createRecord({ date: '2025-11-02T10:00:00Z', cost: 10 })
+    ];
+
+    const attributions = simulator.attributeRecords(records, PLAN_CATALOG['Pro']);
+
+    assert.strictEqual(attributions[0].billing, REQUEST_BILLING.NOT_CHARGED);
+    assert.strictEqual(attributions[1].billing, REQUEST_BILLING.INCLUDED);
+});
+
+test('attributeRecords bills per-request overage on request allowances', () => {
+    loadPlanCatalog({
+        plans: { 'Legacy': { monthlyFee: 20, includedUsage: { requests: 2 }, overage: { pricePerRequest: 0.04 } } }
+    });
+    const simulator = new PlanReplaySimulator();
+    const records = Array(3).fill(null).map((_, i) => createRecord({ date: `2025-11-0${i + 1}T10:00:00Z`, cost: 1 }));
+
+    const attributions = simulator.attributeRecords(records, PLAN_CATALOG['Legacy']);
+
+    assert.strictEqual(attributions[1].exhausts_allowance, true);
+    assert.strictEqual(attributions[2].billing, REQUEST_BILLING.ON_DEMAND);
+    assert.strictEqual(attributions[2].overage_cost, 0.04);
+});
+
+test('analyze replays every plan with uncapped plans first, cheapest first', () => {
+    const simulator = new PlanReplaySimulator();
+    // $30 over 60 requests: more than Free's 50-request cap
+    const records = [...novemberRecords(), ...novemberRecords()].map(r => createRecord({ date: r.date, cost: 0.5 }));
+    const result = simulator.analyze(records);
+
+    assert.strictEqual(result.cycle_start_day, 1);
+    assert.strictEqual(result.plans.length, Object.keys(PLAN_CATALOG).length);
+    assert.deepStrictEqual(result.plans.slice(0, 3).map(p => p.plan), ['Pro', 'Teams', 'Pro+']);
+    assert.strictEqual(result.plans[result.plans.length - 1].plan, 'Free');
+});
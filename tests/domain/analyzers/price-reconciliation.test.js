@@ -0,0 +1,106 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { PriceReconciliationAnalyzer, DEFAULT_TOLERANCE } from '../../../src/domain/analyzers/price-reconciliation.js';
+import { UsageRecord } from '../../../src/domain/entities/UsageRecord.js';
+
+// Helper function to create UsageRecord instances
+function createRecord(data) {
+    return new UsageRecord({
+        date: data.date || '2025-11-07T10:00:00Z',
+        kind: data.kind || 'On-Demand',
+        model: data.model || 'claude-4.5-sonnet',
+        cost: data.cost || 0,
+        totalTokens: data.totalTokens || 0,
+        cacheRead: data.cacheRead || 0,
+        cacheWrite: data.cacheWrite || 0,
+        input: data.input || 0,
+        output: data.output || 0,
+        maxMode: data.maxMode || false
+    });
+}
+
+test('PriceReconciliationAnalyzer class can be instantiated', () => {
+    const analyzer = new PriceReconciliationAnalyzer();
+    assert.ok(analyzer instanceof PriceReconciliationAnalyzer);
+});
+
+test('analyze throws on empty records', () => {
+    const analyzer = new PriceReconciliationAnalyzer();
+    assert.throws(() => {
+        analyzer.analyze([]);
+    }, /Records array cannot be empty/);
+});
+
+test('analyze flags rows whose exported cost diverges from computed price', () => {
+    const analyzer = new PriceReconciliationAnalyzer();
+    const records = [
+        // 100k input + 10k output on sonnet = $0.30 + $0.15 = $0.45
+        createRecord({ input: 100_000, output: 10_000, cost: 0.45 }),
+        createRecord({ input: 100_000, output: 10_000, cost: 0.90 }),
+        createRecord({ input: 100_000, output: 10_000, cost: 0.90, kind: 'Errored, Not Charged' }),
+        createRecord({ model: 'some-future-model', input: 100_000, cost: 0.10 })
+    ];
+
+    const result = analyzer.analyze(records);
+
+    assert.strictEqual(result.checked_rows, 2);
+    assert.strictEqual(result.flagged_rows, 1);
+    assert.strictEqual(result.skipped_rows, 1);
+    assert.strictEqual(result.unpriced_rows, 1);
+    assert.deepStrictEqual(result.unpriced_models, ['some-future-model']);
+    assert.strictEqual(result.flagged[0].row_number, 2);
+    assert.ok(Math.abs(result.flagged[0].difference - 0.45) < 1e-9);
+    assert.ok(Math.abs(result.flagged[0].difference_percentage - 100) < 1e-9);
+    assert.strictEqual(result.by_model[0].model, 'claude-4.5-sonnet');
+    assert.strictEqual(result.by_model[0].flagged_rows, 1);
+});
+
+test('analyze tolerates cent rounding on small requests', () => {
+    const analyzer = new PriceReconciliationAnalyzer();
+    // Computed price is $0.0045, exported as $0.01 after rounding
+    const records = [createRecord({ input: 1_000, output: 100, cost: 0.01 })];
+
+    const result = analyzer.analyze(records);
+
+    assert.strictEqual(result.flagged_rows, 0);
+    assert.deepStrictEqual(result.tolerance, DEFAULT_TOLERANCE);
+});
+
+test('analyze respects custom tolerance and limit', () => {
+    const analyzer = new PriceReconciliationAnalyzer();
+    const records = Array(5).fill(null).map(() =>
+        createRecord({ input: 100_000, output: 10_000, cost: 0.50 })
+    );
+
+    const strict = analyzer.analyze(records, { relativeTolerance: 0.05, limit: 2 });
+    assert.strictEqual(strict.flagged_rows, 5);
+    assert.strictEqual(strict.flagged.length, 2);
+
+    const loose = analyzer.analyze(records, { relativeTolerance: 0.5 });
+    assert.strictEqual(loose.flagged_rows, 0);
+});
+
+test('analyze prices Max Mode requests with the Max Mode uplift', () => {
+    const analyzer = new PriceReconciliationAnalyzer();
+    // $0.45 at token prices, $0.54 with the 20% Max Mode uplift
+    const records = [createRecord({ input: 100_000, output: 10_000, cost: 0.54, maxMode: true })];
+
+    const result = analyzer.analyze(records, { relativeTolerance: 0.05 });
+
+    assert.strictEqual(result.flagged_rows, 0);
+    assert.ok(Math.abs(result.total_computed_cost - 0.54) < 1e-9);
+});
+
+test('analyze skips zero-cost rows covered by the plan', () => {
+    const analyzer = new PriceReconciliationAnalyzer();
+    const records = [
+        createRecord({ input: 100_000, output: 10_000, cost: 0.45 }),
+        createRecord({ model: 'composer-1', kind: 'Included', input: 100_000, output: 10_000, cost: 0 })
+    ];
+
+    const result = analyzer.analyze(records);
+
+    assert.strictEqual(result.checked_rows, 1);
+    assert.strictEqual(result.skipped_rows, 1);
+    assert.strictEqual(result.flagged_rows, 0, 'Should not report a -100% divergence');
+});
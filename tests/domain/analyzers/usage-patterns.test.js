@@ -2,6 +2,8 @@ import { test } from 'node:test';
 import assert from 'node:assert';
 import { UsagePatternAnalyzer, WORK_STYLES } from '../../../src/domain/analyzers/usage-patterns.js';
 import { UsageRecord } from '../../../src/domain/entities/UsageRecord.js';
+import { CostAnalyzer } from '../../../src/domain/analyzers/cost.js';
+import { parseCSV } from '../../../src/domain/parsers/cursor-csv.js';
 
 // Helper function to create UsageRecord instances
 function createRecord(data) {
@@ -365,3 +367,14 @@ test('identifyWorkStyle defaults to steady user when no patterns detected', () =
     assert.ok(workStyle.primary_style);
 });
 
+
+test('createAccumulator matches analyze on the same records', () => {
+    const { records } = parseCSV('data/usage-events-2025-11-07.csv');
+    const costSummary = new CostAnalyzer().analyze(records).summary;
+    const analyzer = new UsagePatternAnalyzer();
+
+    const accumulator = analyzer.createAccumulator();
+    records.forEach(record => accumulator.add(record));
+
+    assert.deepStrictEqual(accumulator.finish(costSummary), analyzer.analyze(records, costSummary));
+});
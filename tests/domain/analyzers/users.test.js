@@ -0,0 +1,104 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { UserBreakdownAnalyzer, SEAT_ACTIONS, UNASSIGNED_USER } from '../../../src/domain/analyzers/users.js';
+import { UsageRecord } from '../../../src/domain/entities/UsageRecord.js';
+
+// Helper function to create UsageRecord instances
+function createRecord(data) {
+    return new UsageRecord({
+        date: data.date || '2025-11-07T10:00:00Z',
+        kind: data.kind || 'Included',
+        model: data.model || 'claude-4.5-sonnet-thinking',
+        cost: data.cost ?? 0.5,
+        totalTokens: data.totalTokens || 100_000,
+        cacheRead: data.cacheRead || 0,
+        input: data.input ?? 90_000,
+        output: data.output ?? 10_000,
+        user: data.user
+    });
+}
+
+// `perDay` records a day through November for one user
+function createUserRecords(user, perDay, data = {}) {
+    return Array.from({ length: 30 * perDay }, (_, i) => createRecord({
+        date: `2025-11-${String(Math.floor(i / perDay) + 1).padStart(2, '0')}T10:00:00Z`,
+        user,
+        ...data
+    }));
+}
+
+test('analyze throws on empty records', () => {
+    assert.throws(() => new UserBreakdownAnalyzer().analyze([]), /Records array cannot be empty/);
+});
+
+test('analyze returns null when no record has a user', () => {
+    assert.strictEqual(new UserBreakdownAnalyzer().analyze(createUserRecords(undefined, 1)), null);
+});
+
+test('analyze breaks cost, models and cache rate down by user', () => {
+    const records = [
+        ...createUserRecords('alice@example.com', 1, { cost: 1, cacheRead: 80_000, input: 20_000 }),
+        ...createUserRecords('bob@example.com', 1, { cost: 3, model: 'gpt-5' })
+    ];
+
+    const result = new UserBreakdownAnalyzer().analyze(records);
+
+    assert.strictEqual(result.user_count, 2);
+    assert.strictEqual(result.unassigned_requests, 0);
+    assert.deepStrictEqual(result.users.map(u => u.user), ['bob@example.com', 'alice@example.com']);
+
+    const [bob, alice] = result.users;
+    assert.strictEqual(bob.total_cost, 90);
+    assert.strictEqual(bob.cost_percentage, 75);
+    assert.strictEqual(bob.total_requests, 30);
+    assert.strictEqual(bob.cost_per_request, 3);
+    assert.deepStrictEqual(bob.models.map(m => m.model), ['gpt-5']);
+    assert.strictEqual(alice.cache_hit_rate, 80);
+    assert.strictEqual(bob.cache_hit_rate, 0);
+});
+
+test('analyze recommends a plan per seat', () => {
+    const records = [
+        ...createUserRecords('light@example.com', 1, { cost: 0.2 }),
+        ...createUserRecords('heavy@example.com', 10, { cost: 1 })
+    ];
+
+    const result = new UserBreakdownAnalyzer().analyze(records);
+    const light = result.users.find(u => u.user === 'light@example.com');
+    const heavy = result.users.find(u => u.user === 'heavy@example.com');
+
+    assert.notStrictEqual(light.seat.recommended_plan, heavy.seat.recommended_plan);
+    for (const user of result.users) {
+        assert.ok(Object.values(SEAT_ACTIONS).includes(user.seat.action));
+    }
+    const { seat_changes: changes } = result;
+    assert.strictEqual(changes.upgrade + changes.downgrade + changes.keep, 2);
+});
+
+test('analyze prices every seat from the configured current plan', () => {
+    const records = [
+        ...createUserRecords('light@example.com', 1, { cost: 0.2 }),
+        ...createUserRecords('heavy@example.com', 10, { cost: 1 })
+    ];
+
+    const result = new UserBreakdownAnalyzer().analyze(records, { currentPlan: 'Ultra' });
+    const light = result.users.find(u => u.user === 'light@example.com');
+
+    assert.ok(result.users.every(u => u.seat.current_plan === 'Ultra'));
+    assert.strictEqual(light.seat.action, SEAT_ACTIONS.DOWNGRADE);
+    // Ultra's $200 fee against the light seat's cheapest plan, less the 10% buffer
+    assert.ok(Math.abs(light.seat.savings_monthly - (200 - light.seat.recommended_cost) * 0.9) < 1e-9);
+});
+
+test('analyze groups records without a user as unassigned', () => {
+    const records = [
+        ...createUserRecords('alice@example.com', 1),
+        createRecord({ user: null })
+    ];
+
+    const result = new UserBreakdownAnalyzer().analyze(records);
+
+    assert.strictEqual(result.user_count, 1);
+    assert.strictEqual(result.unassigned_requests, 1);
+    assert.ok(result.users.some(u => u.user === UNASSIGNED_USER));
+});
@@ -0,0 +1,134 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import {
+    normalizeBillingOptions,
+    countCalendarDays,
+    addDays,
+    getBillingCycle,
+    getBasisDays,
+    projectMonthly,
+    splitIntoCycles,
+    DAY_BASIS
+} from '../../src/domain/billing-cycles.js';
+import { UsageRecord } from '../../src/domain/entities/UsageRecord.js';
+
+// Helper function to create UsageRecord instances
+function createRecord(date, cost) {
+    return new UsageRecord({
+        date: `${date}T10:00:00Z`,
+        kind: 'Included',
+        model: 'claude-4.5-sonnet',
+        cost,
+        totalTokens: 1000
+    });
+}
+
+test('normalizeBillingOptions fills defaults and validates', () => {
+    assert.deepStrictEqual(normalizeBillingOptions(), { cycleStartDay: 1, dayBasis: 'calendar' });
+    assert.deepStrictEqual(
+        normalizeBillingOptions({ cycleStartDay: 15, dayBasis: 'active' }),
+        { cycleStartDay: 15, dayBasis: 'active' }
+    );
+    assert.throws(() => normalizeBillingOptions({ cycleStartDay: 0 }), /start day must be an integer from 1 to 31/);
+    assert.throws(() => normalizeBillingOptions({ cycleStartDay: 2.5 }), /start day/);
+    assert.throws(() => normalizeBillingOptions({ dayBasis: 'weekdays' }), /Day basis must be one of/);
+});
+
+test('addDays crosses month and year boundaries', () => {
+    assert.strictEqual(addDays('2025-10-30', 3), '2025-11-02');
+    assert.strictEqual(addDays('2025-12-31', 1), '2026-01-01');
+    assert.strictEqual(addDays('2025-03-01', -1), '2025-02-28');
+});
+
+test('countCalendarDays counts both ends', () => {
+    assert.strictEqual(countCalendarDays('2025-10-10', '2025-10-10'), 1);
+    assert.strictEqual(countCalendarDays('2025-10-30', '2025-11-02'), 4);
+    assert.strictEqual(countCalendarDays('', ''), 0);
+});
+
+test('getBillingCycle finds the cycle containing a date', () => {
+    assert.deepStrictEqual(getBillingCycle('2025-11-07', 1), { start: '2025-11-01', end: '2025-11-30' });
+    assert.deepStrictEqual(getBillingCycle('2025-11-07', 15), { start: '2025-10-15', end: '2025-11-14' });
+    assert.deepStrictEqual(getBillingCycle('2025-11-15', 15), { start: '2025-11-15', end: '2025-12-14' });
+    assert.deepStrictEqual(getBillingCycle('2026-01-03', 15), { start: '2025-12-15', end: '2026-01-14' });
+});
+
+test('getBillingCycle clamps the start day to short months', () => {
+    assert.deepStrictEqual(getBillingCycle('2025-03-01', 31), { start: '2025-02-28', end: '2025-03-30' });
+    assert.deepStrictEqual(getBillingCycle('2025-04-30', 31), { start: '2025-04-30', end: '2025-05-30' });
+});
+
+test('projectMonthly spreads cost over calendar days by default', () => {
+    const period = { days: 10, active_days: 10, calendar_days: 30, day_basis: DAY_BASIS.CALENDAR };
+    assert.strictEqual(getBasisDays(period), 30);
+    assert.strictEqual(projectMonthly(100, period), 100);
+
+    const active = { ...period, day_basis: DAY_BASIS.ACTIVE };
+    assert.strictEqual(getBasisDays(active), 10);
+    assert.strictEqual(projectMonthly(100, active), 300);
+});
+
+test('projectMonthly falls back to days when calendar days are unknown', () => {
+    assert.strictEqual(projectMonthly(50, { days: 15 }), 100);
+    assert.strictEqual(projectMonthly(50, null), 50);
+});
+
+test('splitIntoCycles reports actual totals per cycle', () => {
+    const records = [
+        createRecord('2025-09-01', 10),
+        createRecord('2025-09-30', 20),
+        createRecord('2025-10-01', 5),
+        createRecord('2025-10-15', 5)
+    ];
+
+    const cycles = splitIntoCycles(records);
+
+    assert.strictEqual(cycles.length, 2);
+    assert.deepStrictEqual(
+        { ...cycles[0] },
+        {
+            start: '2025-09-01',
+            end: '2025-09-30',
+            length_days: 30,
+            covered_days: 30,
+            active_days: 2,
+            complete: true,
+            actual_cost: 30,
+            projected_cost: 30,
+            request_count: 2,
+            projected_requests: 2,
+            on_demand_requests: 0,
+            projected_on_demand_requests: 0
+        }
+    );
+
+    // October is covered for 15 of 31 days
+    assert.strictEqual(cycles[1].complete, false);
+    assert.strictEqual(cycles[1].covered_days, 15);
+    assert.strictEqual(cycles[1].actual_cost, 10);
+    assert.ok(Math.abs(cycles[1].projected_cost - (10 / 15) * 31) < 1e-9);
+});
+
+test('splitIntoCycles projects partial cycles by active days when asked', () => {
+    const records = [
+        createRecord('2025-10-01', 5),
+        createRecord('2025-10-15', 5)
+    ];
+
+    const [cycle] = splitIntoCycles(records, { dayBasis: DAY_BASIS.ACTIVE });
+
+    assert.strictEqual(cycle.active_days, 2);
+    assert.strictEqual(cycle.projected_cost, (10 / 2) * 31);
+});
+
+test('splitIntoCycles honours the cycle start day', () => {
+    const records = [
+        createRecord('2025-10-14', 1),
+        createRecord('2025-10-15', 2)
+    ];
+
+    const cycles = splitIntoCycles(records, { cycleStartDay: 15 });
+
+    assert.deepStrictEqual(cycles.map(c => c.start), ['2025-09-15', '2025-10-15']);
+    assert.deepStrictEqual(cycles.map(c => c.actual_cost), [1, 2]);
+});
@@ -0,0 +1,200 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import {
+    compareAnalyses,
+    compareRecords,
+    comparePeriods,
+    parseDateRange,
+    CHANGE_STATUS
+} from '../../src/domain/compare.js';
+import { analyze, analyzeStream } from '../../src/index.js';
+import { UsageRecord } from '../../src/domain/entities/UsageRecord.js';
+
+// Helper function to create UsageRecord instances
+function createRecord(data) {
+    return new UsageRecord({
+        date: data.date || '2025-11-07T10:00:00Z',
+        kind: data.kind || 'On-Demand',
+        model: data.model || 'claude-4.5-sonnet-thinking',
+        cost: data.cost ?? 0.45,
+        totalTokens: data.totalTokens || 110_000,
+        cacheRead: data.cacheRead || 0,
+        input: data.input ?? 100_000,
+        output: data.output ?? 10_000
+    });
+}
+
+function createDays(month, days, perDay, data = {}) {
+    const records = [];
+    for (let day = 1; day <= days; day++) {
+        for (let i = 0; i < perDay; i++) {
+            records.push(createRecord({
+                date: `2025-${month}-${String(day).padStart(2, '0')}T${String(10 + i).padStart(2, '0')}:00:00Z`,
+                ...data
+            }));
+        }
+    }
+    return records;
+}
+
+test('compareRecords throws when a side has no records', () => {
+    assert.throws(() => compareRecords([], createDays('11', 1, 1)), /Baseline has no records/);
+    assert.throws(() => compareRecords(createDays('11', 1, 1), []), /Current has no records/);
+});
+
+test('compareRecords flags lower cost as an improvement', () => {
+    const baseline = createDays('10', 10, 2, { cost: 1 });
+    const current = createDays('11', 10, 2, { cost: 0.5 });
+
+    const { comparison, baseline: baselineResult, current: currentResult } = compareRecords(baseline, current);
+
+    assert.strictEqual(baselineResult.summary.cost.total, 20);
+    assert.strictEqual(currentResult.summary.cost.total, 10);
+    assert.strictEqual(comparison.total_cost.difference, -10);
+    assert.strictEqual(comparison.total_cost.difference_percentage, -50);
+    assert.strictEqual(comparison.total_cost.status, CHANGE_STATUS.IMPROVED);
+    assert.strictEqual(comparison.cost_per_request.status, CHANGE_STATUS.IMPROVED);
+    assert.strictEqual(comparison.error_rate.status, CHANGE_STATUS.UNCHANGED);
+});
+
+test('compareRecords flags higher cost and errors as regressions', () => {
+    const baseline = createDays('10', 10, 2, { cost: 0.5 });
+    const current = [
+        ...createDays('11', 10, 2, { cost: 1 }),
+        ...createDays('11', 5, 1, { kind: 'Errored, Not Charged', cost: 0 })
+    ];
+
+    const { comparison } = compareRecords(baseline, current);
+
+    assert.strictEqual(comparison.total_cost.status, CHANGE_STATUS.REGRESSED);
+    assert.strictEqual(comparison.error_rate.baseline, 0);
+    assert.ok(Math.abs(comparison.error_rate.current - 20) < 0.001);
+    assert.strictEqual(comparison.error_rate.status, CHANGE_STATUS.REGRESSED);
+});
+
+test('compareAnalyses treats a higher cache hit rate as an improvement', () => {
+    const baseline = analyze(createDays('10', 7, 2, { cacheRead: 0, input: 100_000 }));
+    const current = analyze(createDays('11', 7, 2, { cacheRead: 80_000, input: 20_000 }));
+
+    const comparison = compareAnalyses(baseline, current);
+
+    assert.ok(comparison.cache_hit_rate.current > comparison.cache_hit_rate.baseline);
+    assert.strictEqual(comparison.cache_hit_rate.status, CHANGE_STATUS.IMPROVED);
+});
+
+test('compareAnalyses compares cost and share per model', () => {
+    const baseline = analyze(createDays('10', 10, 2, { model: 'claude-4.5-sonnet-thinking', cost: 1 }));
+    const current = analyze([
+        ...createDays('11', 10, 1, { model: 'claude-4.5-sonnet-thinking', cost: 1 }),
+        ...createDays('11', 10, 1, { model: 'grok-code-fast-1', cost: 0.05 })
+    ]);
+
+    const comparison = compareAnalyses(baseline, current);
+
+    const grok = comparison.cost_by_model.find(m => m.model === 'grok-code-fast-1');
+    assert.strictEqual(grok.baseline, 0);
+    assert.ok(Math.abs(grok.current - 0.5) < 0.001);
+    assert.strictEqual(grok.status, CHANGE_STATUS.REGRESSED);
+
+    const sonnet = comparison.cost_by_model.find(m => m.model === 'claude-4.5-sonnet-thinking');
+    assert.strictEqual(sonnet.difference, -10);
+    assert.strictEqual(sonnet.status, CHANGE_STATUS.IMPROVED);
+
+    assert.deepStrictEqual(comparison.model_mix.map(m => m.model), ['claude-4.5-sonnet-thinking', 'grok-code-fast-1']);
+    assert.strictEqual(comparison.model_mix[0].baseline_share, 100);
+    assert.strictEqual(comparison.model_mix[0].current_share, 50);
+    assert.strictEqual(comparison.model_mix[0].difference_points, -50);
+    assert.strictEqual(comparison.model_mix[0].status, CHANGE_STATUS.CHANGED);
+});
+
+test('compareAnalyses reports the plan recommendation on both sides', () => {
+    const baseline = analyze(createDays('10', 30, 2, { cost: 5 }));
+    const current = analyze(createDays('11', 30, 2, { cost: 0.1 }));
+
+    const comparison = compareAnalyses(baseline, current);
+
+    assert.strictEqual(comparison.plan_recommendation.baseline, baseline.plan_recommendation.recommended_plan);
+    assert.strictEqual(comparison.plan_recommendation.current, current.plan_recommendation.recommended_plan);
+    assert.strictEqual(comparison.plan_recommendation.changed, true);
+    assert.strictEqual(comparison.plan_recommendation.recommended_cost.status, CHANGE_STATUS.IMPROVED);
+});
+
+test('compareAnalyses works on analyses saved as JSON', () => {
+    const baseline = analyze(createDays('10', 10, 2, { cost: 1 }));
+    const current = analyze(createDays('11', 10, 2, { cost: 0.5 }));
+
+    const saved = compareAnalyses(JSON.parse(JSON.stringify(baseline)), JSON.parse(JSON.stringify(current)));
+
+    assert.deepStrictEqual(saved, compareAnalyses(baseline, current));
+});
+
+test('compareAnalyses compares saved streaming results', async () => {
+    const baselineRecords = createDays('10', 10, 2, { cost: 1 });
+    const currentRecords = createDays('11', 10, 2, { cost: 0.5 });
+    const saved = JSON.parse(JSON.stringify(await analyzeStream(baselineRecords)));
+
+    const comparison = compareAnalyses(saved, analyze(currentRecords));
+    const batch = compareAnalyses(analyze(baselineRecords), analyze(currentRecords));
+
+    assert.deepStrictEqual(comparison.plan_recommendation, batch.plan_recommendation);
+    assert.deepStrictEqual(comparison.total_cost, batch.total_cost);
+    assert.deepStrictEqual(comparison.monthly_cost, batch.monthly_cost);
+    assert.deepStrictEqual(comparison.cost_by_model, batch.cost_by_model);
+});
+
+test('compareAnalyses compares results without a plan recommendation', async () => {
+    const baselineRecords = createDays('10', 10, 2, { cost: 1 });
+    const currentRecords = createDays('11', 10, 2, { cost: 0.5 });
+    // Streaming results saved before the plan section was streamed
+    const saved = { ...JSON.parse(JSON.stringify(await analyzeStream(baselineRecords))), plan_recommendation: null };
+
+    const comparison = compareAnalyses(saved, analyze(currentRecords));
+    const batch = compareAnalyses(analyze(baselineRecords), analyze(currentRecords));
+
+    assert.strictEqual(comparison.plan_recommendation, null);
+    assert.deepStrictEqual(comparison.total_cost, batch.total_cost);
+    assert.deepStrictEqual(comparison.monthly_cost, batch.monthly_cost);
+});
+
+test('compareAnalyses rejects values that are not analysis results', () => {
+    const result = analyze(createDays('11', 1, 1));
+
+    assert.throws(() => compareAnalyses({ records: [] }, result), /must be analysis results/);
+    assert.throws(() => compareAnalyses(result, null), /must be analysis results/);
+});
+
+test('comparePeriods splits one record set by date range', () => {
+    const records = [
+        ...createDays('10', 10, 2, { cost: 1 }),
+        ...createDays('11', 10, 2, { cost: 2 })
+    ];
+
+    const { comparison } = comparePeriods(
+        records,
+        { start: '2025-10-01', end: '2025-10-31' },
+        { start: '2025-11-01', end: '2025-11-30' }
+    );
+
+    assert.strictEqual(comparison.periods.baseline.start, '2025-10-01');
+    assert.strictEqual(comparison.periods.current.end, '2025-11-10');
+    assert.strictEqual(comparison.total_cost.baseline, 20);
+    assert.strictEqual(comparison.total_cost.current, 40);
+    assert.strictEqual(comparison.total_cost.status, CHANGE_STATUS.REGRESSED);
+});
+
+test('comparePeriods throws when a range has no records', () => {
+    const records = createDays('10', 10, 1);
+
+    assert.throws(
+        () => comparePeriods(records, { start: '2025-10-01', end: '2025-10-05' }, { start: '2025-11-01', end: '2025-11-05' }),
+        /No records between 2025-11-01 and 2025-11-05/
+    );
+});
+
+test('parseDateRange parses and validates ranges', () => {
+    assert.deepStrictEqual(parseDateRange('2025-10-01..2025-10-15'), { start: '2025-10-01', end: '2025-10-15' });
+    assert.deepStrictEqual(parseDateRange('2025-10-01..2025-10-01'), { start: '2025-10-01', end: '2025-10-01' });
+    assert.throws(() => parseDateRange('2025-10-01'), /Invalid period/);
+    assert.throws(() => parseDateRange('2025-10-01..next week'), /Invalid period/);
+    assert.throws(() => parseDateRange('2025-10-15..2025-10-01'), /start is after end/);
+});
@@ -151,6 +151,59 @@ test('toObject returns plain object', () => {
     const record = new UsageRecord(data);
     const obj = record.toObject();
 
-    assert.deepStrictEqual(obj, data);
+    assert.deepStrictEqual(obj, { ...data, cacheWrite: 0, maxMode: false, user: null });
 });
 
+test('isMaxMode reflects the Max Mode flag and defaults to false', () => {
+    const base = {
+        date: '2025-11-07',
+        kind: 'On-Demand',
+        model: 'claude-4.5-sonnet',
+        cost: 0.50,
+        totalTokens: 1000,
+        cacheRead: 0,
+        input: 500,
+        output: 500
+    };
+
+    assert.strictEqual(new UsageRecord(base).isMaxMode(), false);
+    const maxRecord = new UsageRecord({ ...base, maxMode: true });
+    assert.strictEqual(maxRecord.isMaxMode(), true);
+    assert.strictEqual(maxRecord.toObject().maxMode, true);
+});
+
+test('user defaults to null and distinguishes otherwise identical events', () => {
+    const base = {
+        date: '2025-11-07T20:13:36.375Z',
+        kind: 'Included',
+        model: 'grok-code-fast-1',
+        cost: 0.03,
+        totalTokens: 1000,
+        cacheRead: 0,
+        input: 500,
+        output: 500
+    };
+
+    assert.strictEqual(new UsageRecord(base).user, null);
+
+    const alice = new UsageRecord({ ...base, user: 'alice@example.com' });
+    const bob = new UsageRecord({ ...base, user: 'bob@example.com' });
+    assert.strictEqual(alice.toObject().user, 'alice@example.com');
+    assert.notStrictEqual(alice.getDedupKey(), bob.getDedupKey());
+});
+
+test('withTimezone reads the date, hour and weekday in that zone', () => {
+    const record = new UsageRecord({
+        date: '2025-11-07T02:30:00Z',
+        kind: 'Included',
+        model: 'grok-code-fast-1',
+        cost: 0.03,
+        totalTokens: 1000
+    });
+    const zoned = record.withTimezone('America/Sao_Paulo');
+
+    assert.deepStrictEqual([record.getDateOnly(), record.getHour(), record.getDayOfWeek()], ['2025-11-07', 2, 5]);
+    assert.deepStrictEqual([zoned.getDateOnly(), zoned.getHour(), zoned.getDayOfWeek()], ['2025-11-06', 23, 4]);
+    assert.strictEqual(zoned.timezone, 'America/Sao_Paulo');
+    assert.strictEqual(zoned.getDedupKey(), record.getDedupKey(), 'Should still be the same event');
+});
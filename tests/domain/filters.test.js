@@ -0,0 +1,146 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { normalizeFilters, filterRecords, summarizeFilters } from '../../src/domain/filters.js';
+import { UsageRecord } from '../../src/domain/entities/UsageRecord.js';
+import { analyze, whatIf, analyzeTeam, compareRecords } from '../../src/index.js';
+
+// Helper function to create UsageRecord instances
+function createRecord(data) {
+    return new UsageRecord({
+        date: data.date || '2025-11-07T10:00:00Z',
+        kind: data.kind || 'Included',
+        model: data.model || 'claude-4.5-sonnet',
+        cost: data.cost || 0.10,
+        totalTokens: data.totalTokens || 1000,
+        input: 500,
+        output: 500
+    });
+}
+
+function createRecords() {
+    return [
+        createRecord({ date: '2025-11-01T10:00:00Z', model: 'claude-4.5-sonnet', kind: 'On-Demand' }),
+        createRecord({ date: '2025-11-02T10:00:00Z', model: 'claude-4.5-sonnet-thinking', kind: 'Included' }),
+        createRecord({ date: '2025-11-03T10:00:00Z', model: 'gpt-5', kind: 'On-Demand' }),
+        createRecord({ date: '2025-11-04T10:00:00Z', model: 'Claude-4-Sonnet', kind: 'Errored, Not Charged' }),
+        createRecord({ date: '2025-11-05T10:00:00Z', model: 'grok-code-fast-1', kind: 'Included' })
+    ];
+}
+
+const models = records => records.map(r => r.model);
+
+test('normalizeFilters returns null when nothing is filtered', () => {
+    assert.strictEqual(normalizeFilters(), null);
+    assert.strictEqual(normalizeFilters(null), null);
+    assert.strictEqual(normalizeFilters({ since: '', models: [], kinds: [] }), null);
+});
+
+test('normalizeFilters fills defaults and accepts single values', () => {
+    assert.deepStrictEqual(normalizeFilters({ since: '2025-11-01', models: 'claude*' }), {
+        since: '2025-11-01',
+        until: null,
+        models: ['claude*'],
+        excludeModels: [],
+        kinds: []
+    });
+});
+
+test('normalizeFilters validates dates and lists', () => {
+    assert.throws(() => normalizeFilters({ since: '11/01/2025' }), /Invalid since date "11\/01\/2025"/);
+    assert.throws(() => normalizeFilters({ until: '2025-13-45' }), /Invalid until date/);
+    assert.throws(() => normalizeFilters({ since: '2025-11-07', until: '2025-11-01' }), /since \(2025-11-07\) is after until/);
+    assert.throws(() => normalizeFilters({ models: [''] }), /Invalid models filter/);
+});
+
+test('filterRecords keeps an inclusive date range', () => {
+    const filtered = filterRecords(createRecords(), normalizeFilters({ since: '2025-11-02', until: '2025-11-04' }));
+    assert.deepStrictEqual(models(filtered), ['claude-4.5-sonnet-thinking', 'gpt-5', 'Claude-4-Sonnet']);
+});
+
+test('filterRecords matches model globs case-insensitively', () => {
+    const records = createRecords();
+
+    assert.deepStrictEqual(models(filterRecords(records, normalizeFilters({ models: ['claude*'] }))),
+        ['claude-4.5-sonnet', 'claude-4.5-sonnet-thinking', 'Claude-4-Sonnet']);
+    assert.deepStrictEqual(models(filterRecords(records, normalizeFilters({ models: ['gpt-?', 'grok*'] }))),
+        ['gpt-5', 'grok-code-fast-1']);
+    assert.deepStrictEqual(models(filterRecords(records, normalizeFilters({ models: ['claude-4.5-sonnet'] }))),
+        ['claude-4.5-sonnet'], 'Should match whole names only');
+    assert.deepStrictEqual(models(filterRecords(records, normalizeFilters({ models: ['claude-4.5*'] }))),
+        ['claude-4.5-sonnet', 'claude-4.5-sonnet-thinking'], 'Should treat dots literally');
+});
+
+test('filterRecords drops excluded models after selecting models', () => {
+    const filtered = filterRecords(createRecords(), normalizeFilters({ models: ['claude*'], excludeModels: ['*thinking'] }));
+    assert.deepStrictEqual(models(filtered), ['claude-4.5-sonnet', 'Claude-4-Sonnet']);
+});
+
+test('filterRecords matches kinds by full name or leading word', () => {
+    const records = createRecords();
+
+    assert.deepStrictEqual(models(filterRecords(records, normalizeFilters({ kinds: ['on-demand'] }))),
+        ['claude-4.5-sonnet', 'gpt-5']);
+    assert.deepStrictEqual(models(filterRecords(records, normalizeFilters({ kinds: ['Errored'] }))), ['Claude-4-Sonnet']);
+    assert.deepStrictEqual(models(filterRecords(records, normalizeFilters({ kinds: ['Errored, Not Charged'] }))),
+        ['Claude-4-Sonnet']);
+});
+
+test('filterRecords throws when no record matches', () => {
+    assert.throws(
+        () => filterRecords(createRecords(), normalizeFilters({ models: ['gemini*'], kinds: ['Included'] })),
+        /No records match the filters \(model gemini\*, kind Included\)/
+    );
+});
+
+test('summarizeFilters converts filters to their result form', () => {
+    assert.strictEqual(summarizeFilters(null), null);
+    assert.deepStrictEqual(summarizeFilters(normalizeFilters({ until: '2025-11-05', excludeModels: 'gpt*' })), {
+        since: null,
+        until: '2025-11-05',
+        models: [],
+        exclude_models: ['gpt*'],
+        kinds: []
+    });
+});
+
+test('analyze filters records and echoes the filters in metadata', () => {
+    const result = analyze(createRecords(), { filters: { models: ['claude*'], kinds: ['On-Demand'] } });
+
+    assert.strictEqual(result.metadata.total_records, 1);
+    assert.deepStrictEqual(result.cost_analysis.breakdown_by_model.map(m => m.model), ['claude-4.5-sonnet']);
+    assert.deepStrictEqual(result.metadata.filters.models, ['claude*']);
+    assert.deepStrictEqual(result.metadata.filters.kinds, ['On-Demand']);
+    assert.strictEqual(analyze(createRecords()).metadata.filters, null, 'Should mark unfiltered results');
+});
+
+test('analyze applies date filters to days in the analysis time zone', () => {
+    // 02:00 UTC on November 2 is still November 1 in New York
+    const records = [createRecord({ date: '2025-11-02T02:00:00Z' }), createRecord({ date: '2025-11-02T15:00:00Z' })];
+
+    assert.strictEqual(analyze(records, { filters: { since: '2025-11-02' } }).metadata.total_records, 2);
+    assert.strictEqual(
+        analyze(records, { filters: { since: '2025-11-02' }, timezone: 'America/New_York' }).metadata.total_records,
+        1
+    );
+});
+
+test('whatIf filters models before substituting them', () => {
+    const result = whatIf(createRecords(), [{ from: 'claude-4.5-sonnet-thinking', to: 'claude-4.5-sonnet' }], {
+        filters: { models: ['claude-4.5-sonnet-thinking'] }
+    });
+
+    assert.strictEqual(result.substitution.substituted_requests, 1);
+    assert.strictEqual(result.baseline.metadata.total_records, 1);
+    assert.strictEqual(result.scenario.metadata.total_records, 1, 'Should keep the substituted record');
+    assert.deepStrictEqual(result.scenario.metadata.filters, result.baseline.metadata.filters);
+});
+
+test('team and comparison results echo the filters', () => {
+    const filters = { kinds: ['On-Demand'] };
+    const team = analyzeTeam([{ label: 'alice', records: createRecords() }], { filters });
+    assert.deepStrictEqual(team.filters.kinds, ['On-Demand']);
+
+    const { comparison } = compareRecords(createRecords(), createRecords(), { filters });
+    assert.deepStrictEqual(comparison.filters.baseline.kinds, ['On-Demand']);
+    assert.deepStrictEqual(comparison.filters.current.kinds, ['On-Demand']);
+});
@@ -0,0 +1,113 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert';
+import {
+    PLAN_CATALOG,
+    validatePlan,
+    validatePlanCatalogConfig,
+    loadPlanCatalog,
+    resetPlanCatalog,
+    getPlans,
+    findPlanName,
+    describeIncludedUsage
+} from '../../../src/domain/models/plan-catalog.js';
+
+afterEach(() => {
+    resetPlanCatalog();
+});
+
+const validPlan = {
+    monthlyFee: 30,
+    includedUsage: { dollars: 30 },
+    overage: { costMultiplier: 1.2 }
+};
+
+test('built-in catalog includes individual and team plans', () => {
+    const names = getPlans().map(plan => plan.name);
+    for (const name of ['Free', 'Pro', 'Pro+', 'Ultra', 'Teams', 'Business']) {
+        assert.ok(names.includes(name), `missing ${name}`);
+    }
+});
+
+test('findPlanName ignores case and returns the catalog spelling', () => {
+    assert.strictEqual(findPlanName('ultra'), 'Ultra');
+    assert.strictEqual(findPlanName('PRO+'), 'Pro+');
+    assert.strictEqual(findPlanName('Business'), 'Business');
+    assert.strictEqual(findPlanName('Platinum'), undefined);
+});
+
+test('built-in plans are all valid', () => {
+    for (const [key, plan] of Object.entries(PLAN_CATALOG)) {
+        assert.deepStrictEqual(validatePlan(key, plan), []);
+    }
+});
+
+test('validatePlan accepts a valid plan', () => {
+    assert.deepStrictEqual(validatePlan('Custom', validPlan), []);
+});
+
+test('validatePlan reports bad fields, fees and allowances', () => {
+    const errors = validatePlan('Custom', {
+        monthlyFee: -5,
+        minSeats: 0,
+        colour: 'blue',
+        includedUsage: { dollars: 10, requests: 100 },
+        overage: { flatFee: 5 }
+    });
+
+    assert.ok(errors.includes('plans["Custom"].colour is not a known field'));
+    assert.ok(errors.includes('plans["Custom"].monthlyFee must be a non-negative number'));
+    assert.ok(errors.includes('plans["Custom"].minSeats must be a positive integer'));
+    assert.ok(errors.includes('plans["Custom"].includedUsage must have exactly one of: dollars, requests'));
+    assert.ok(errors.includes('plans["Custom"].overage.flatFee is not a known field'));
+});
+
+test('validatePlan requires included usage', () => {
+    const errors = validatePlan('Custom', { monthlyFee: 10 });
+    assert.ok(errors.includes('plans["Custom"].includedUsage is required'));
+});
+
+test('validatePlanCatalogConfig requires a plans object', () => {
+    assert.deepStrictEqual(validatePlanCatalogConfig(null), ['Plan catalog config must be an object']);
+    assert.deepStrictEqual(validatePlanCatalogConfig({}), ['Plan catalog config requires a "plans" object']);
+    assert.deepStrictEqual(validatePlanCatalogConfig({ replace: 'yes', plans: {} }), ['"replace" must be a boolean']);
+});
+
+test('loadPlanCatalog adds and overrides plans', () => {
+    const loaded = loadPlanCatalog({
+        plans: {
+            'Custom': validPlan,
+            'Pro': { monthlyFee: 25, includedUsage: { dollars: 25 }, overage: { costMultiplier: 1 } }
+        }
+    });
+
+    assert.deepStrictEqual(loaded, ['Custom', 'Pro']);
+    assert.strictEqual(PLAN_CATALOG['Custom'].name, 'Custom');
+    assert.strictEqual(PLAN_CATALOG['Pro'].monthlyFee, 25);
+    assert.ok(PLAN_CATALOG['Ultra']);
+});
+
+test('loadPlanCatalog with replace drops the built-in plans', () => {
+    loadPlanCatalog({ replace: true, plans: { 'Custom': validPlan } });
+    assert.deepStrictEqual(getPlans().map(plan => plan.name), ['Custom']);
+});
+
+test('loadPlanCatalog throws on invalid config and leaves the catalog unchanged', () => {
+    assert.throws(
+        () => loadPlanCatalog({ replace: true, plans: { 'Custom': { monthlyFee: 'free' } } }),
+        /Invalid plan catalog:/
+    );
+    assert.ok(PLAN_CATALOG['Pro']);
+});
+
+test('resetPlanCatalog restores the built-in plans', () => {
+    loadPlanCatalog({ replace: true, plans: { 'Custom': validPlan } });
+    resetPlanCatalog();
+
+    assert.strictEqual(PLAN_CATALOG['Custom'], undefined);
+    assert.strictEqual(PLAN_CATALOG['Pro'].monthlyFee, 20);
+});
+
+test('describeIncludedUsage formats dollar and request allowances', () => {
+    assert.strictEqual(describeIncludedUsage(PLAN_CATALOG['Pro']), '$20/seat');
+    assert.strictEqual(describeIncludedUsage(PLAN_CATALOG['Free']), '50 requests/seat');
+});
@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { priceRecord, getModelPricing, hasModelPricing, MAX_MODE_UPLIFT } from '../../../src/domain/models/pricing.js';
+import { UsageRecord } from '../../../src/domain/entities/UsageRecord.js';
+
+// Helper function to create UsageRecord instances
+function createRecord(data) {
+    return new UsageRecord({
+        date: data.date || '2025-11-07T10:00:00Z',
+        kind: data.kind || 'On-Demand',
+        model: data.model || 'claude-4.5-sonnet',
+        cost: data.cost || 0,
+        totalTokens: data.totalTokens || 0,
+        cacheRead: data.cacheRead || 0,
+        cacheWrite: data.cacheWrite || 0,
+        input: data.input || 0,
+        output: data.output || 0,
+        maxMode: data.maxMode || false
+    });
+}
+
+test('getModelPricing returns price table for known models', () => {
+    const pricing = getModelPricing('claude-4.5-sonnet');
+    assert.ok(pricing);
+    assert.strictEqual(pricing.input, 3);
+    assert.strictEqual(pricing.output, 15);
+    assert.ok(pricing.cacheWrite > pricing.input);
+    assert.ok(pricing.cacheRead < pricing.input);
+});
+
+test('getModelPricing returns null for unknown models', () => {
+    assert.strictEqual(getModelPricing('some-future-model'), null);
+    assert.strictEqual(hasModelPricing('some-future-model'), false);
+    assert.strictEqual(hasModelPricing('grok-code-fast-1'), true);
+});
+
+test('priceRecord computes cost from token breakdown', () => {
+    const record = createRecord({
+        input: 1_000_000,
+        cacheWrite: 1_000_000,
+        cacheRead: 1_000_000,
+        output: 1_000_000
+    });
+
+    const priced = priceRecord(record);
+
+    assert.strictEqual(priced.model, 'claude-4.5-sonnet');
+    assert.strictEqual(priced.input_cost, 3);
+    assert.strictEqual(priced.cache_write_cost, 3.75);
+    assert.ok(Math.abs(priced.cache_read_cost - 0.3) < 1e-9);
+    assert.strictEqual(priced.output_cost, 15);
+    assert.ok(Math.abs(priced.total - 22.05) < 1e-9);
+});
+
+test('priceRecord re-prices a record on another model', () => {
+    const record = createRecord({ input: 1_000_000, output: 1_000_000 });
+
+    const onGrok = priceRecord(record, 'grok-code-fast-1');
+
+    assert.strictEqual(onGrok.model, 'grok-code-fast-1');
+    assert.ok(Math.abs(onGrok.total - 1.7) < 1e-9);
+    assert.strictEqual(priceRecord(record, 'unknown-model'), null);
+});
+
+test('priceRecord adds the Max Mode uplift to Max Mode requests', () => {
+    const standard = priceRecord(createRecord({ input: 1_000_000, output: 1_000_000 }));
+    const maxMode = priceRecord(createRecord({ input: 1_000_000, output: 1_000_000, maxMode: true }));
+
+    assert.strictEqual(MAX_MODE_UPLIFT, 0.2);
+    assert.ok(Math.abs(maxMode.total - standard.total * 1.2) < 1e-9);
+    assert.ok(Math.abs(maxMode.output_cost - 18) < 1e-9);
+});
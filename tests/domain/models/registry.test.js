@@ -0,0 +1,199 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert';
+import {
+    MODEL_REGISTRY,
+    MODEL_FAMILIES,
+    getModelInfo,
+    resolveModel,
+    describeResolution,
+    validateModelEntry,
+    validateModelRegistryConfig,
+    loadModelRegistry,
+    resetModelRegistry,
+    getUnknownModels
+} from '../../../src/domain/models/registry.js';
+import { getModelPricing } from '../../../src/domain/models/pricing.js';
+
+afterEach(() => {
+    resetModelRegistry();
+});
+
+const validEntry = {
+    displayName: 'GPT-5',
+    category: 'premium',
+    useCase: 'Complex reasoning',
+    pricing: { input: 1.25, cacheWrite: 1.25, cacheRead: 0.125, output: 10 }
+};
+
+test('validateModelEntry accepts a valid entry', () => {
+    assert.deepStrictEqual(validateModelEntry('gpt-5', validEntry), []);
+});
+
+test('validateModelEntry reports unknown fields and wrong types', () => {
+    const errors = validateModelEntry('gpt-5', {
+        displayName: 5,
+        category: 'cheap',
+        colour: 'blue',
+        pricing: { input: -1, output: 'free', extra: 1 }
+    });
+
+    assert.ok(errors.includes('models["gpt-5"].displayName must be a string'));
+    assert.ok(errors.includes('models["gpt-5"].colour is not a known field'));
+    assert.ok(errors.some(error => error.startsWith('models["gpt-5"].category must be one of')));
+    assert.ok(errors.includes('models["gpt-5"].pricing.input must be a non-negative number'));
+    assert.ok(errors.includes('models["gpt-5"].pricing.output must be a non-negative number'));
+    assert.ok(errors.includes('models["gpt-5"].pricing.extra is not a known field'));
+});
+
+test('validateModelEntry requires every price', () => {
+    const errors = validateModelEntry('gpt-5', { pricing: { cacheRead: 0.1 } });
+    assert.deepStrictEqual(errors, [
+        'models["gpt-5"].pricing.input is required',
+        'models["gpt-5"].pricing.cacheWrite is required',
+        'models["gpt-5"].pricing.output is required'
+    ]);
+});
+
+test('loadModelRegistry rejects pricing without cache prices', () => {
+    assert.throws(
+        () => loadModelRegistry({ models: { 'gpt-5': { ...validEntry, pricing: { input: 1.25, output: 10 } } } }),
+        /pricing\.cacheWrite is required\n {2}models\["gpt-5"\]\.pricing\.cacheRead is required/
+    );
+    assert.strictEqual(getModelInfo('gpt-5'), null, 'Should not load the entry');
+});
+
+test('validateModelRegistryConfig requires a models object', () => {
+    assert.deepStrictEqual(validateModelRegistryConfig({}), ['Model registry config requires a "models" object']);
+    assert.deepStrictEqual(validateModelRegistryConfig([]), ['Model registry config must be an object']);
+    assert.deepStrictEqual(validateModelRegistryConfig({ replace: 'yes', models: {} }), ['"replace" must be a boolean']);
+});
+
+test('loadModelRegistry adds new models', () => {
+    const loaded = loadModelRegistry({ models: { 'gpt-5': validEntry } });
+
+    assert.deepStrictEqual(loaded, ['gpt-5']);
+    assert.strictEqual(getModelInfo('gpt-5').displayName, 'GPT-5');
+    assert.strictEqual(getModelInfo('gpt-5').name, 'gpt-5');
+    assert.deepStrictEqual(getModelPricing('gpt-5'), { input: 1.25, cacheWrite: 1.25, cacheRead: 0.125, output: 10 });
+    // Built-in models are kept
+    assert.ok(getModelInfo('claude-4.5-sonnet'));
+});
+
+test('loadModelRegistry merges overrides into existing entries', () => {
+    const originalCategory = MODEL_REGISTRY['claude-4.5-sonnet'].category;
+    loadModelRegistry({
+        models: { 'claude-4.5-sonnet': { pricing: { input: 2, cacheWrite: 2.5, cacheRead: 0.2, output: 10 } } }
+    });
+
+    assert.strictEqual(getModelPricing('claude-4.5-sonnet').input, 2);
+    assert.strictEqual(MODEL_REGISTRY['claude-4.5-sonnet'].category, originalCategory);
+});
+
+test('loadModelRegistry replaces the registry when asked', () => {
+    loadModelRegistry({ replace: true, models: { 'gpt-5': validEntry } });
+
+    assert.deepStrictEqual(Object.keys(MODEL_REGISTRY), ['gpt-5']);
+    assert.strictEqual(getModelInfo('claude-4.5-sonnet'), null);
+});
+
+test('loadModelRegistry rejects invalid configs without changing the registry', () => {
+    const before = Object.keys(MODEL_REGISTRY);
+
+    assert.throws(
+        () => loadModelRegistry({ replace: true, models: { 'gpt-5': { category: 'cheap' } } }),
+        /Invalid model registry:[\s\S]*category must be one of/
+    );
+    assert.deepStrictEqual(Object.keys(MODEL_REGISTRY), before);
+});
+
+test('resetModelRegistry restores the built-in models', () => {
+    const builtInPricing = getModelPricing('claude-4.5-sonnet');
+    loadModelRegistry({ replace: true, models: { 'gpt-5': validEntry } });
+
+    resetModelRegistry();
+
+    assert.strictEqual(getModelInfo('gpt-5'), null);
+    assert.deepStrictEqual(getModelPricing('claude-4.5-sonnet'), builtInPricing);
+});
+
+test('getUnknownModels returns unique unregistered names', () => {
+    assert.deepStrictEqual(
+        getUnknownModels(['gpt-5', 'claude-4.5-sonnet', 'gpt-5', 'agent_review']),
+        ['agent_review', 'gpt-5']
+    );
+
+    loadModelRegistry({ models: { 'gpt-5': validEntry } });
+    assert.deepStrictEqual(getUnknownModels(['gpt-5', 'agent_review']), ['agent_review']);
+});
+
+test('resolveModel matches exact names case-insensitively', () => {
+    const resolution = resolveModel('Claude-4.5-Sonnet');
+    assert.strictEqual(resolution.method, 'exact');
+    assert.strictEqual(resolution.resolved_to, 'claude-4.5-sonnet');
+    assert.deepStrictEqual(resolution.path, ['exact:claude-4.5-sonnet']);
+});
+
+test('resolveModel prefers the exact thinking entry over its base model', () => {
+    const resolution = resolveModel('claude-4.5-sonnet-thinking');
+    assert.strictEqual(resolution.resolved_to, 'claude-4.5-sonnet-thinking');
+    assert.strictEqual(resolution.info.isThinkingModel, true);
+});
+
+test('resolveModel follows declared aliases', () => {
+    const resolution = resolveModel('sonnet-4.5');
+    assert.strictEqual(resolution.method, 'alias');
+    assert.strictEqual(resolution.resolved_to, 'claude-4.5-sonnet');
+});
+
+test('resolveModel strips variant suffixes', () => {
+    loadModelRegistry({ models: { 'gpt-5': validEntry } });
+
+    const high = resolveModel('gpt-5-high');
+    assert.deepStrictEqual(high.path, ['variant:high', 'exact:gpt-5']);
+    assert.strictEqual(high.info.variant, 'high');
+    assert.strictEqual(high.info.isThinkingModel, false);
+
+    const thinking = resolveModel('gpt-5-thinking');
+    assert.strictEqual(thinking.info.isThinkingModel, true);
+});
+
+test('resolveModel resolves family members to the family model', () => {
+    const resolution = resolveModel('claude-4-sonnet');
+    assert.strictEqual(resolution.method, 'family');
+    assert.deepStrictEqual(resolution.path, ['family:claude-sonnet', 'exact:claude-4.5-sonnet']);
+});
+
+test('resolveModel never matches by substring', () => {
+    loadModelRegistry({ models: { 'gpt-5': validEntry } });
+
+    assert.strictEqual(resolveModel('gpt-5-codex').method, 'unresolved');
+    assert.strictEqual(resolveModel('grok').method, 'unresolved');
+    assert.strictEqual(resolveModel('claude-4.5-sonnet-fast').info, null);
+    assert.strictEqual(describeResolution(resolveModel('grok')), 'unresolved');
+});
+
+test('loadModelRegistry accepts aliases and families', () => {
+    loadModelRegistry({
+        models: { 'gpt-5': { ...validEntry, aliases: ['gpt5'] } },
+        families: { 'gpt-5': { pattern: '^gpt-5-codex', model: 'gpt-5' } }
+    });
+
+    assert.strictEqual(resolveModel('GPT5').resolved_to, 'gpt-5');
+    assert.deepStrictEqual(resolveModel('gpt-5-codex-high').path, ['variant:high', 'family:gpt-5', 'exact:gpt-5']);
+
+    resetModelRegistry();
+    assert.strictEqual(MODEL_FAMILIES['gpt-5'], undefined);
+    assert.strictEqual(resolveModel('gpt-5-codex').info, null, 'Should drop the compiled family pattern too');
+});
+
+test('validateModelRegistryConfig checks aliases and families', () => {
+    const errors = validateModelRegistryConfig({
+        models: { 'gpt-5': { aliases: 'gpt5' } },
+        families: { bad: { pattern: '(', model: 1, extra: true } }
+    });
+
+    assert.ok(errors.includes('models["gpt-5"].aliases must be an array of strings'));
+    assert.ok(errors.includes('families["bad"].extra is not a known field'));
+    assert.ok(errors.includes('families["bad"].model must be a string'));
+    assert.ok(errors.includes('families["bad"].pattern is not a valid regular expression'));
+});
@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { CSVTokenizer, tokenizeCSV } from '../../../src/domain/parsers/csv-tokenizer.js';
+
+const fields = rows => rows.map(row => row.fields);
+
+test('tokenizeCSV splits records and fields', () => {
+    assert.deepStrictEqual(fields(tokenizeCSV('a,b,c\n1,2,3\n')), [['a', 'b', 'c'], ['1', '2', '3']]);
+    assert.deepStrictEqual(fields(tokenizeCSV('a,b\r\n1,2')), [['a', 'b'], ['1', '2']], 'Should accept CRLF and no final line break');
+});
+
+test('tokenizeCSV keeps delimiters, escaped quotes and line breaks inside quoted fields', () => {
+    const rows = tokenizeCSV('id,note\n1,"one, two"\n2,"say ""hi"""\n3,"first\nsecond\r\nthird"\n4,last\n');
+
+    assert.deepStrictEqual(fields(rows), [
+        ['id', 'note'],
+        ['1', 'one, two'],
+        ['2', 'say "hi"'],
+        ['3', 'first\nsecond\r\nthird'],
+        ['4', 'last']
+    ]);
+    assert.deepStrictEqual(rows.map(row => row.line), [1, 2, 3, 4, 7], 'Should number records by physical line');
+});
+
+test('tokenizeCSV keeps whitespace inside quotes and trims unquoted fields', () => {
+    assert.deepStrictEqual(fields(tokenizeCSV(' a , "  b  " ,c\t')), [['a', '  b  ', 'c']]);
+});
+
+test('tokenizeCSV strips a byte order mark and skips blank lines', () => {
+    const rows = tokenizeCSV('\uFEFFDate,Kind\n\n  \r\n2025-11-07,Included\n\n');
+
+    assert.deepStrictEqual(fields(rows), [['Date', 'Kind'], ['2025-11-07', 'Included']]);
+    assert.strictEqual(rows[1].line, 4);
+});
+
+test('tokenizeCSV keeps empty fields from trailing delimiters', () => {
+    assert.deepStrictEqual(fields(tokenizeCSV('a,b,\n1,,\n"",x')), [['a', 'b', ''], ['1', '', ''], ['', 'x']]);
+});
+
+test('tokenizeCSV reports malformed records with line and column and resumes on the next line', () => {
+    const rows = tokenizeCSV('a,b\n"x"y,1\n2,3\n');
+
+    assert.strictEqual(rows[1].error, "Line 2, column 4: Unexpected character 'y' after closing quote");
+    assert.deepStrictEqual(rows[2], { fields: ['2', '3'], line: 3 });
+
+    const [, unterminated] = tokenizeCSV('a,b\n1,"open\n2,3\n');
+    assert.strictEqual(unterminated.error, 'Line 2, column 3: Unterminated quoted field - missing closing quote');
+});
+
+test('CSVTokenizer gives the same records for any chunking', () => {
+    const content = '\uFEFFa,b\r\n"multi\r\nline","say ""hi"""\r\nlast,row\r';
+    const expected = tokenizeCSV(content);
+
+    for (let size = 1; size <= 7; size++) {
+        const tokenizer = new CSVTokenizer();
+        const rows = [];
+        for (let i = 0; i < content.length; i += size) {
+            rows.push(...tokenizer.push(content.slice(i, i + size)));
+        }
+        rows.push(...tokenizer.end());
+        assert.deepStrictEqual(rows, expected, `Should match with ${size}-character chunks`);
+    }
+});
+
+test('CSVTokenizer accepts another delimiter', () => {
+    const tokenizer = new CSVTokenizer({ delimiter: '\t' });
+    assert.deepStrictEqual(fields([...tokenizer.push('a\t"b\tc"\n'), ...tokenizer.end()]), [['a', 'b\tc']]);
+});
@@ -1,7 +1,9 @@
 import { test } from 'node:test';
 import assert from 'node:assert';
-import { parseCSV, parseCSVContent, CSVParser } from '../../../src/domain/parsers/cursor-csv.js';
-import { readFileSync } from 'fs';
+import { parseCSV, parseCSVContent, parseCSVFile, parseCSVFiles, streamCSVFile, CSVParser } from '../../../src/domain/parsers/cursor-csv.js';
+import { readFileSync, writeFileSync, mkdtempSync, rmSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
 
 test('CSVParser class can be instantiated', () => {
     const parser = new CSVParser();
@@ -134,7 +136,7 @@ test('parseCSV throws on invalid input', () => {
 test('parseCSVContent throws on empty content', () => {
     assert.throws(() => {
         parseCSVContent('');
-    }, /CSV content must be/);
+    }, /CSV file is empty/);
 
     assert.throws(() => {
         parseCSVContent(null);
@@ -193,3 +195,208 @@ test('parseCSVContent validates date format', () => {
     assert.ok(result.errors.some(e => e.includes('Date format invalid')));
 });
 
+
+test('parseFiles merges overlapping exports and drops duplicates', () => {
+    const dir = mkdtempSync(join(tmpdir(), 'cce-'));
+    const header = 'Date,Kind,Model,Cost,Total Tokens,Cache Read,Output Tokens,Input (w/o Cache Write)';
+    const rowA = '"2025-11-01T10:00:00.000Z","Included","grok-code-fast-1","0.03","1000","800","100","100"';
+    const rowB = '"2025-11-02T10:00:00.000Z","Included","grok-code-fast-1","0.04","2000","1500","200","300"';
+    const rowC = '"2025-11-03T10:00:00.000Z","On-Demand","claude-4.5-sonnet","0.50","5000","3000","500","1500"';
+
+    try {
+        const week1 = join(dir, 'week-1.csv');
+        const week2 = join(dir, 'week-2.csv');
+        writeFileSync(week1, [header, rowA, rowB].join('\n'));
+        writeFileSync(week2, [header, rowB, rowC].join('\n'));
+
+        const result = parseCSVFiles([week1, week2]);
+        assert.strictEqual(result.validRows, 3);
+        assert.strictEqual(result.totalRows, 4);
+        assert.strictEqual(result.duplicateRows, 1);
+        assert.strictEqual(result.formatVersion, '1.0');
+        assert.deepStrictEqual(result.files.map(f => [f.merged, f.deduplicated]), [[2, 0], [1, 1]]);
+
+        // A directory expands to its CSV files
+        const dirResult = parseCSV([dir]);
+        assert.strictEqual(dirResult.files.length, 2);
+        assert.strictEqual(dirResult.validRows, 3);
+    } finally {
+        rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('parseFiles keeps identical rows within a single export', () => {
+    const dir = mkdtempSync(join(tmpdir(), 'cce-'));
+    const header = 'Date,Kind,Model,Cost,Total Tokens,Cache Read,Output Tokens,Input (w/o Cache Write)';
+    const row = '"2025-11-01T10:00:00.000Z","Included","grok-code-fast-1","0.03","1000","800","100","100"';
+
+    try {
+        const file = join(dir, 'usage.csv');
+        writeFileSync(file, [header, row, row].join('\n'));
+
+        const result = parseCSVFiles([file]);
+        assert.strictEqual(result.validRows, 2);
+        assert.strictEqual(result.duplicateRows, 0);
+    } finally {
+        rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('parseFiles throws on missing paths', () => {
+    assert.throws(() => {
+        parseCSVFiles(['data/does-not-exist.csv']);
+    }, /File not found/);
+});
+
+test('parseCSVFile reports parse errors as they are, not as read errors', () => {
+    const dir = mkdtempSync(join(tmpdir(), 'cce-'));
+    try {
+        const file = join(dir, 'other.csv');
+        writeFileSync(file, 'Foo,Bar\n1,2\n');
+
+        assert.throws(() => parseCSVFile(file), error =>
+            /^Columns '.*' missing/.test(error.message) && !error.message.includes('Error reading file'));
+    } finally {
+        rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('parseCSVContent reads the Max Mode column', () => {
+    const csv = `Date,Kind,Model,Max Mode,Input (w/o Cache Write),Cache Read,Output Tokens,Total Tokens,Cost
+"2025-11-07T20:13:36.375Z","On-Demand","claude-4.5-sonnet","Yes","6311","1432959","1627","1440897","0.90"
+"2025-11-07T20:08:40.938Z","On-Demand","claude-4.5-sonnet","No","92719","714628","1448","808795","0.40"`;
+
+    const result = parseCSVContent(csv);
+    assert.strictEqual(result.records[0].maxMode, true);
+    assert.strictEqual(result.records[1].maxMode, false);
+});
+
+test('parseCSVContent keeps cache-write tokens separate from fresh input', () => {
+    const csv = `Date,Kind,Model,Max Mode,Input (w/ Cache Write),Input (w/o Cache Write),Cache Read,Output Tokens,Total Tokens,Cost
+"2025-11-07T20:13:36.375Z","On-Demand","claude-4.5-sonnet","No","12000","6311","1432959","1627","1452897","0.90"`;
+
+    const record = parseCSVContent(csv).records[0];
+    assert.strictEqual(record.cacheWrite, 12000);
+    assert.strictEqual(record.input, 6311);
+});
+
+test('parseCSVContent keeps the user column of team-admin exports', () => {
+    const csv = `User,Date,Kind,Model,Cache Read,Total Tokens,Cost
+"alice@example.com","2025-11-07T20:13:36.375Z","Included","grok-code-fast-1","0","1000","0.03"
+"","2025-11-07T20:08:40.938Z","Included","grok-code-fast-1","0","1000","0.03"`;
+
+    const result = parseCSVContent(csv);
+    assert.strictEqual(result.userColumn, 'User');
+    assert.strictEqual(result.records[0].user, 'alice@example.com');
+    assert.strictEqual(result.records[1].user, null);
+});
+
+test('parseCSVContent detects user column aliases', () => {
+    const csv = `Date,Email,Kind,Model,Cache Read,Total Tokens,Cost
+"2025-11-07T20:13:36.375Z","bob@example.com","Included","grok-code-fast-1","0","1000","0.03"`;
+
+    const result = parseCSVContent(csv);
+    assert.strictEqual(result.userColumn, 'Email');
+    assert.strictEqual(result.records[0].user, 'bob@example.com');
+});
+
+test('parseCSVContent has no user dimension without a user column', () => {
+    const csv = `Date,Kind,Model,Cache Read,Total Tokens,Cost
+"2025-11-07T20:13:36.375Z","Included","grok-code-fast-1","0","1000","0.03"`;
+
+    const result = parseCSVContent(csv);
+    assert.strictEqual(result.userColumn, null);
+    assert.strictEqual(result.records[0].user, null);
+});
+
+test('streamFile yields the records and errors of parseFile', async () => {
+    const dir = mkdtempSync(join(tmpdir(), 'cce-'));
+    const header = 'Date,Kind,Model,Cost,Total Tokens,Cache Read,Output Tokens,Input (w/o Cache Write)';
+    const rows = [
+        '"2025-11-01T10:00:00.000Z","Included","grok-code-fast-1","0.03","1000","800","100","100"',
+        '"","","","","","","",""',
+        '',
+        '"11/02/2025","Included","grok-code-fast-1","0.03","1000","800","100","100"',
+        '"2025-11-03T10:00:00.000Z","On-Demand","claude-4.5-sonnet","0.50","5000","3000","500","1500"'
+    ];
+
+    try {
+        const file = join(dir, 'usage.csv');
+        writeFileSync(file, [header, ...rows].join('\r\n'));
+
+        const records = [];
+        const errors = [];
+        const progress = [];
+        const stream = streamCSVFile(file, {
+            onError: error => errors.push(error),
+            onProgress: update => progress.push(update),
+            progressInterval: 2
+        });
+        for await (const record of stream) {
+            records.push(record);
+        }
+
+        const parsed = parseCSVFile(file);
+        assert.deepStrictEqual(records, parsed.records);
+        assert.deepStrictEqual(errors, parsed.errors);
+
+        const last = progress[progress.length - 1];
+        assert.strictEqual(progress.length, 3, 'Should report every two rows and once at the end');
+        assert.strictEqual(last.done, true);
+        assert.strictEqual(last.bytesRead, last.totalBytes);
+        assert.deepStrictEqual([last.totalRows, last.validRows, last.skippedRows], [4, 2, 2]);
+        assert.strictEqual(last.formatVersion, '1.0');
+    } finally {
+        rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('streamFile rejects missing, empty and foreign files', async () => {
+    const dir = mkdtempSync(join(tmpdir(), 'cce-'));
+    const drain = async stream => {
+        for await (const record of stream) {
+            assert.ok(record);
+        }
+    };
+
+    try {
+        const empty = join(dir, 'empty.csv');
+        const foreign = join(dir, 'foreign.csv');
+        writeFileSync(empty, '\n\n');
+        writeFileSync(foreign, 'Name,Amount\n"a","1"\n');
+
+        await assert.rejects(drain(streamCSVFile(join(dir, 'missing.csv'))), /File not found/);
+        await assert.rejects(drain(streamCSVFile(empty)), /CSV file is empty/);
+        await assert.rejects(drain(streamCSVFile(foreign)), /Column.*missing/);
+    } finally {
+        rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('parseCSVContent keeps rows after a multi-line quoted field intact', () => {
+    const csv = `\uFEFFDate,Kind,Model,Cost,Total Tokens,Cache Read,Note,
+"2025-11-01T10:00:00Z","Included","gpt-5","0.10","1000","0","spans
+two lines, with ""quotes""",
+"2025-11-02T10:00:00Z","Included"," claude-4.5-sonnet ","0.20","2000","0","",
+"11/03/2025","Included","gpt-5","0.30","3000","0","",`;
+
+    const result = parseCSVContent(csv);
+    assert.strictEqual(result.totalRows, 3);
+    assert.strictEqual(result.validRows, 2);
+    assert.deepStrictEqual(result.records.map(r => r.cost), [0.10, 0.20]);
+    assert.strictEqual(result.records[1].model, 'claude-4.5-sonnet');
+    assert.deepStrictEqual(result.errors, [
+        'Line 5: Date format invalid - expected ISO 8601 (YYYY-MM-DD), got "11/03/2025", skipped'
+    ], 'Should name the physical line');
+});
+
+test('parseCSVContent skips malformed rows with their line and column', () => {
+    const csv = `Date,Kind,Model,Cost,Total Tokens,Cache Read
+"2025-11-01T10:00:00Z","Included"x,"gpt-5","0.10","1000","0"
+"2025-11-02T10:00:00Z","Included","gpt-5","0.20","2000","0"`;
+
+    const result = parseCSVContent(csv);
+    assert.strictEqual(result.validRows, 1);
+    assert.deepStrictEqual(result.errors, ["Line 2, column 34: Unexpected character 'x' after closing quote, skipped"]);
+    assert.throws(() => parseCSVContent('Date,"Kind\n'), /Header is malformed - Line 1, column 6: Unterminated quoted field/);
+});
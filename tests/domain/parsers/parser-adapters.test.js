@@ -0,0 +1,143 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { readFileSync, writeFileSync, mkdtempSync, rmSync } from 'fs';
+import { join, basename } from 'path';
+import { tmpdir } from 'os';
+import * as node from '../../../src/domain/parsers/cursor-csv.js';
+import * as browser from '../../../src/web/browser-csv-parser.js';
+import { CursorCSVParser } from '../../../src/domain/parsers/cursor-csv-core.js';
+import { analyze } from '../../../src/index.js';
+
+// The same suite runs against the Node (path) and browser (File) adapters
+const ADAPTERS = [
+    {
+        name: 'node',
+        parseFile: async path => node.parseCSVFile(path),
+        streamFile: (path, options) => node.streamCSVFile(path, options)
+    },
+    {
+        name: 'browser',
+        parseFile: path => browser.parseCSVFile(toFile(path)),
+        streamFile: (path, options) => browser.streamCSVFile(toFile(path), options)
+    }
+];
+
+const HEADER = 'Date,User,Kind,Model,Max Mode,Input (w/ Cache Write),Input (w/o Cache Write),Cache Read,Output Tokens,Total Tokens,Cost,Note,';
+
+// BOM, CRLF, blank lines, multi-line and escaped quotes, trailing delimiters and bad rows
+const EDGE_CASES = [
+    `\uFEFF${HEADER}`,
+    '"2025-11-01T10:00:00.000Z","alice@example.com","Included","gpt-5","No","0","100","800","100","1000","0.03","",',
+    '',
+    '"2025-11-01T11:00:00.000Z","bob@example.com","On-Demand","claude-4.5-sonnet","Yes","50","200","3000","500","3750","0.50","refactor,',
+    'then ""tests""",',
+    '"2025-11-02T09:00:00.000Z","alice@example.com","Included"x,"gpt-5","No","0","1","1","1","3","0.01","",',
+    '"11/02/2025","bob@example.com","Included","gpt-5","No","0","1","1","1","3","0.01","",',
+    '"","","","","","","","","","","","",',
+    '"2025-11-03T09:00:00.000Z","  carol@example.com  ","Errored, Not Charged","grok-code-fast-1","No","0","10","0","0","10","0","",',
+    ''
+].join('\r\n');
+
+function toFile(path) {
+    return new File([readFileSync(path)], basename(path), { type: 'text/csv' });
+}
+
+async function withExports(run) {
+    const dir = mkdtempSync(join(tmpdir(), 'cce-'));
+    try {
+        const files = {
+            sample: 'data/usage-events-2025-11-07.csv',
+            edgeCases: join(dir, 'edge-cases.csv'),
+            empty: join(dir, 'empty.csv'),
+            foreign: join(dir, 'foreign.csv')
+        };
+        writeFileSync(files.edgeCases, EDGE_CASES);
+        writeFileSync(files.empty, '');
+        writeFileSync(files.foreign, 'Name,Amount\n"a","1"\n');
+        await run(files);
+    } finally {
+        rmSync(dir, { recursive: true, force: true });
+    }
+}
+
+async function drain(stream) {
+    const records = [];
+    for await (const record of stream) {
+        records.push(record);
+    }
+    return records;
+}
+
+function withoutTimestamp(result) {
+    return { ...result, metadata: { ...result.metadata, generated_at: null } };
+}
+
+for (const adapter of ADAPTERS) {
+    test(`${adapter.name} adapter parses exports like the shared core`, async () => {
+        await withExports(async files => {
+            for (const path of [files.sample, files.edgeCases]) {
+                const expected = new CursorCSVParser().parseContent(readFileSync(path, 'utf-8'));
+                assert.deepStrictEqual(await adapter.parseFile(path), expected, `${path} should parse like the core`);
+            }
+        });
+    });
+
+    test(`${adapter.name} adapter handles RFC 4180 edge cases`, async () => {
+        await withExports(async files => {
+            const result = await adapter.parseFile(files.edgeCases);
+
+            assert.strictEqual(result.totalRows, 6);
+            assert.strictEqual(result.validRows, 3);
+            assert.strictEqual(result.userColumn, 'User');
+            assert.deepStrictEqual(result.records.map(r => r.user), ['alice@example.com', 'bob@example.com', 'carol@example.com']);
+            assert.strictEqual(result.records[1].maxMode, true);
+            assert.deepStrictEqual(result.errors, [
+                "Line 6, column 58: Unexpected character 'x' after closing quote, skipped",
+                'Line 7: Date format invalid - expected ISO 8601 (YYYY-MM-DD), got "11/02/2025", skipped',
+                'Line 8: Missing date or model, skipped'
+            ]);
+        });
+    });
+
+    test(`${adapter.name} adapter streams the records and errors of parseFile`, async () => {
+        await withExports(async files => {
+            for (const path of [files.sample, files.edgeCases]) {
+                const parsed = await adapter.parseFile(path);
+                const errors = [];
+                const progress = [];
+                const records = await drain(adapter.streamFile(path, {
+                    onError: error => errors.push(error),
+                    onProgress: update => progress.push(update),
+                    progressInterval: 500
+                }));
+
+                assert.deepStrictEqual(records, parsed.records);
+                assert.deepStrictEqual(errors, parsed.errors);
+
+                const last = progress[progress.length - 1];
+                assert.strictEqual(last.done, true);
+                assert.strictEqual(last.file.endsWith(basename(path)), true);
+                assert.strictEqual(last.bytesRead, readFileSync(path).length);
+                assert.deepStrictEqual([last.totalRows, last.validRows], [parsed.totalRows, parsed.validRows]);
+            }
+        });
+    });
+
+    test(`${adapter.name} adapter rejects empty and foreign exports`, async () => {
+        await withExports(async files => {
+            await assert.rejects(adapter.parseFile(files.empty), /^Error: CSV file is empty$/);
+            await assert.rejects(drain(adapter.streamFile(files.empty)), /^Error: CSV file is empty$/);
+            await assert.rejects(adapter.parseFile(files.foreign), /Column.*missing - is this a Cursor usage export\?/);
+            await assert.rejects(drain(adapter.streamFile(files.foreign)), /Column.*missing/);
+        });
+    });
+}
+
+test('CLI and web UI adapters produce identical analyses', async () => {
+    await withExports(async files => {
+        for (const path of [files.sample, files.edgeCases]) {
+            const [cli, web] = await Promise.all(ADAPTERS.map(adapter => adapter.parseFile(path)));
+            assert.deepStrictEqual(withoutTimestamp(analyze(web.records)), withoutTimestamp(analyze(cli.records)));
+        }
+    });
+});
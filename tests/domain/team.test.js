@@ -0,0 +1,127 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { analyzeTeam, TeamAnalysisEngine } from '../../src/domain/team.js';
+import { UsageRecord } from '../../src/domain/entities/UsageRecord.js';
+
+// Helper function to create UsageRecord instances
+function createRecord(data) {
+    return new UsageRecord({
+        date: data.date || '2025-11-07T10:00:00Z',
+        kind: data.kind || 'Included',
+        model: data.model || 'claude-4.5-sonnet-thinking',
+        cost: data.cost ?? 0.5,
+        totalTokens: data.totalTokens || 100_000,
+        cacheRead: data.cacheRead || 0,
+        input: data.input ?? 90_000,
+        output: data.output ?? 10_000
+    });
+}
+
+// `perDay` records a day through November
+function createMember(label, data = {}, perDay = 1) {
+    return {
+        label,
+        records: Array.from({ length: 30 * perDay }, (_, i) => createRecord({
+            date: `2025-11-${String(Math.floor(i / perDay) + 1).padStart(2, '0')}T10:00:00Z`,
+            ...data
+        }))
+    };
+}
+
+test('analyzeTeam validates members', () => {
+    assert.throws(() => analyzeTeam([]), /at least one member/);
+    assert.throws(() => analyzeTeam([createMember('alice'), createMember('alice')]), /Duplicate team member: alice/);
+    assert.throws(() => analyzeTeam([{ label: 'bob', records: [] }]), /"bob" has no records/);
+});
+
+test('analyzeTeam summarizes spend per member and for the team', () => {
+    const result = analyzeTeam([
+        createMember('alice', { cost: 1 }),
+        createMember('bob', { cost: 2 })
+    ]);
+
+    assert.strictEqual(result.member_count, 2);
+    assert.deepStrictEqual(result.period, { start: '2025-11-01', end: '2025-11-30' });
+    assert.deepStrictEqual(result.members.map(m => m.label), ['alice', 'bob']);
+    assert.strictEqual(result.members[0].total_cost, 30);
+    assert.strictEqual(result.members[1].total_requests, 30);
+    assert.strictEqual(result.members[1].cost_per_request, 2);
+    assert.strictEqual(result.summary.total_cost, 90);
+    assert.strictEqual(result.summary.average_cost, 45);
+    assert.strictEqual(result.summary.median_cost, 45);
+    assert.strictEqual(result.summary.total_requests, 60);
+    assert.strictEqual(result.summary.cost_per_request, 1.5);
+});
+
+test('analyzeTeam ranks members by relative cost per token', () => {
+    const result = analyzeTeam([
+        createMember('alice', { cost: 2 }),
+        createMember('bob', { cost: 1 }),
+        createMember('carol', { cost: 4 })
+    ]);
+
+    assert.deepStrictEqual(result.leaderboard.map(e => e.label), ['bob', 'alice', 'carol']);
+    assert.deepStrictEqual(result.leaderboard.map(e => e.efficiency_score), [100, 50, 25]);
+    assert.strictEqual(result.leaderboard[0].rank, 1);
+    assert.strictEqual(result.leaderboard[0].cost_per_million_tokens, 10);
+});
+
+test('analyzeTeam flags outliers against the team median', () => {
+    const result = analyzeTeam([
+        createMember('alice', { cost: 1, cacheRead: 80_000, input: 10_000 }),
+        createMember('bob', { cost: 1.2, cacheRead: 80_000, input: 10_000 }),
+        createMember('carol', { cost: 3, cacheRead: 10_000, input: 80_000 })
+    ]);
+
+    const carol = result.outliers.filter(o => o.label === 'carol').map(o => o.metric);
+    assert.deepStrictEqual(carol, ['monthly_cost', 'cost_per_request', 'cache_hit_rate']);
+    assert.ok(result.outliers.every(o => o.label === 'carol'));
+    assert.ok(result.outliers[0].message.includes('2.5x the team median'));
+    assert.deepStrictEqual(result.members.map(m => m.is_outlier), [false, false, true]);
+});
+
+test('analyzeTeam does not flag outliers in teams of two', () => {
+    const result = analyzeTeam([createMember('alice', { cost: 0.1 }), createMember('bob', { cost: 10 })]);
+    assert.deepStrictEqual(result.outliers, []);
+});
+
+test('analyzeTeam recommends a plan per person and totals team savings', () => {
+    const result = analyzeTeam([
+        createMember('alice', { cost: 0.2 }),
+        createMember('bob', { cost: 1 }, 10)
+    ]);
+
+    const [alice, bob] = result.members;
+    assert.notStrictEqual(alice.recommended_plan, bob.recommended_plan);
+
+    const planSavings = result.members.reduce((sum, m) => sum + m.plan_savings_monthly, 0);
+    assert.strictEqual(result.savings.plan_switch_monthly, planSavings);
+    assert.strictEqual(result.savings.total_monthly, planSavings + result.savings.opportunities_monthly);
+    assert.strictEqual(result.savings.total_yearly, result.savings.total_monthly * 12);
+    assert.ok(result.savings.plan_changes.every(c => c.savings_monthly > 0));
+});
+
+test('analyzeTeam skips members the filters leave without records', () => {
+    const october = {
+        label: 'bob',
+        records: [createRecord({ date: '2025-10-20T10:00:00Z' }), createRecord({ date: '2025-10-21T10:00:00Z' })]
+    };
+    const result = analyzeTeam([createMember('alice'), october], { filters: { since: '2025-11-06' } });
+
+    assert.strictEqual(result.member_count, 1);
+    assert.deepStrictEqual(result.members.map(m => m.label), ['alice']);
+    assert.deepStrictEqual(result.skipped_members, [{ label: 'bob', reason: 'No records match the filters' }]);
+    assert.strictEqual(result.members[0].total_requests, 25);
+    assert.deepStrictEqual(result.period, { start: '2025-11-06', end: '2025-11-30' });
+
+    assert.throws(
+        () => analyzeTeam([october], { filters: { since: '2025-11-06' } }),
+        /No records match the filters \(since 2025-11-06\)/
+    );
+});
+
+test('TeamAnalysisEngine median handles odd and even counts', () => {
+    const engine = new TeamAnalysisEngine();
+    assert.strictEqual(engine.median([3, 1, 2]), 2);
+    assert.strictEqual(engine.median([4, 1, 3, 2]), 2.5);
+});
@@ -0,0 +1,104 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import {
+    normalizeTimezone,
+    applyTimezone,
+    getZonedParts,
+    DEFAULT_TIMEZONE
+} from '../../src/domain/timezone.js';
+import { UsageRecord } from '../../src/domain/entities/UsageRecord.js';
+import { analyze, comparePeriods } from '../../src/index.js';
+
+// Helper function to create UsageRecord instances
+function createRecord(date, cost = 1) {
+    return new UsageRecord({
+        date,
+        kind: 'Included',
+        model: 'claude-4.5-sonnet',
+        cost,
+        totalTokens: 1000
+    });
+}
+
+test('normalizeTimezone defaults to UTC, resolves local and validates names', () => {
+    assert.strictEqual(normalizeTimezone(), DEFAULT_TIMEZONE);
+    assert.strictEqual(normalizeTimezone(null), 'UTC');
+    assert.strictEqual(normalizeTimezone('Asia/Tokyo'), 'Asia/Tokyo');
+    assert.strictEqual(normalizeTimezone('local'), Intl.DateTimeFormat().resolvedOptions().timeZone);
+    assert.throws(() => normalizeTimezone('Mars/Olympus_Mons'), /Unknown timezone: Mars\/Olympus_Mons/);
+});
+
+test('getZonedParts splits a timestamp in the given zone', () => {
+    assert.deepStrictEqual(getZonedParts('2025-11-07T02:30:00Z', 'UTC'), { date: '2025-11-07', hour: 2, weekday: 5 });
+    assert.deepStrictEqual(
+        getZonedParts('2025-11-07T02:30:00Z', 'America/Sao_Paulo'),
+        { date: '2025-11-06', hour: 23, weekday: 4 },
+        'Should fall on the previous evening three hours behind UTC'
+    );
+    assert.deepStrictEqual(getZonedParts('2025-11-07T20:00:00Z', 'Asia/Tokyo'), { date: '2025-11-08', hour: 5, weekday: 6 });
+    assert.strictEqual(getZonedParts('not a date', 'UTC'), null);
+});
+
+test('getZonedParts follows daylight saving time', () => {
+    assert.strictEqual(getZonedParts('2025-07-01T12:00:00Z', 'Europe/Berlin').hour, 14);
+    assert.strictEqual(getZonedParts('2025-12-01T12:00:00Z', 'Europe/Berlin').hour, 13);
+});
+
+test('applyTimezone zones copies of the records and keeps UTC records as they are', () => {
+    const records = [createRecord('2025-11-07T02:30:00Z')];
+
+    const zoned = applyTimezone(records, 'America/Sao_Paulo');
+    assert.notStrictEqual(zoned[0], records[0]);
+    assert.strictEqual(zoned[0].getDateOnly(), '2025-11-06');
+    assert.strictEqual(records[0].getDateOnly(), '2025-11-07', 'Should not change the original record');
+
+    assert.strictEqual(applyTimezone(records, 'UTC')[0], records[0]);
+    assert.strictEqual(applyTimezone(zoned, 'UTC')[0].getDateOnly(), '2025-11-07', 'Should zone records back to UTC');
+});
+
+test('analyze buckets days, hours and weekdays in the chosen time zone', () => {
+    // Late evening in New York is already the next day in UTC
+    const records = [
+        createRecord('2025-11-07T01:00:00Z', 2),
+        createRecord('2025-11-07T02:00:00Z', 3),
+        createRecord('2025-11-07T15:00:00Z', 5)
+    ];
+
+    const utc = analyze(records);
+    assert.strictEqual(utc.metadata.timezone, 'UTC');
+    assert.deepStrictEqual(utc.cost_analysis.daily_costs.map(d => d.date), ['2025-11-07']);
+
+    const newYork = analyze(records, { timezone: 'America/New_York' });
+    assert.strictEqual(newYork.metadata.timezone, 'America/New_York');
+    assert.deepStrictEqual(
+        newYork.cost_analysis.daily_costs.map(d => [d.date, d.cost]),
+        [['2025-11-06', 5], ['2025-11-07', 5]]
+    );
+    assert.strictEqual(newYork.patterns.hourly_distribution[20].requests, 1);
+    assert.strictEqual(newYork.patterns.hourly_distribution[21].requests, 1);
+    assert.strictEqual(newYork.patterns.hourly_distribution[10].requests, 1);
+    assert.strictEqual(newYork.patterns.daily_distribution[4].requests, 2, 'Should count two Thursday requests');
+    assert.strictEqual(newYork.summary.period.start, '2025-11-06');
+});
+
+test('analyze rejects an unknown time zone', () => {
+    assert.throws(() => analyze([createRecord('2025-11-07T01:00:00Z')], { timezone: 'Nowhere/Town' }),
+        /Unknown timezone/);
+});
+
+test('comparePeriods selects period days in the chosen time zone', () => {
+    const records = [
+        createRecord('2025-11-03T12:00:00Z'),
+        createRecord('2025-11-05T02:00:00Z'),
+        createRecord('2025-11-06T12:00:00Z')
+    ];
+    const baseline = { start: '2025-11-01', end: '2025-11-04' };
+    const current = { start: '2025-11-05', end: '2025-11-07' };
+
+    const utc = comparePeriods(records, baseline, current);
+    assert.strictEqual(utc.baseline.metadata.total_records, 1);
+
+    const losAngeles = comparePeriods(records, baseline, current, { timezone: 'America/Los_Angeles' });
+    assert.strictEqual(losAngeles.baseline.metadata.total_records, 2, 'Should move the early request to November 4');
+    assert.strictEqual(losAngeles.current.metadata.timezone, 'America/Los_Angeles');
+});
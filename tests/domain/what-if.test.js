@@ -0,0 +1,115 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { whatIf, parseSubstitutionRule, WhatIfEngine } from '../../src/domain/what-if.js';
+import { UsageRecord } from '../../src/domain/entities/UsageRecord.js';
+
+// Helper function to create UsageRecord instances
+function createRecord(data) {
+    return new UsageRecord({
+        date: data.date || '2025-11-07T10:00:00Z',
+        kind: data.kind || 'On-Demand',
+        model: data.model || 'claude-4.5-sonnet-thinking',
+        cost: data.cost ?? 0.45,
+        totalTokens: data.totalTokens || 110_000,
+        cacheRead: data.cacheRead || 0,
+        input: data.input ?? 100_000,
+        output: data.output ?? 10_000
+    });
+}
+
+function createDay(day, count, data = {}) {
+    return Array(count).fill(null).map((_, i) => createRecord({
+        date: `2025-11-${String(day).padStart(2, '0')}T${String(10 + i).padStart(2, '0')}:00:00Z`,
+        ...data
+    }));
+}
+
+test('whatIf throws without records or rules', () => {
+    assert.throws(() => whatIf([], [{ to: 'grok-code-fast-1' }]), /Records array cannot be empty/);
+    assert.throws(() => whatIf(createDay(1, 1), []), /At least one substitution rule/);
+});
+
+test('whatIf rejects targets without a price table', () => {
+    assert.throws(() => {
+        whatIf(createDay(1, 1), [{ from: 'claude-4.5-sonnet-thinking', to: 'some-future-model' }]);
+    }, /No price table for target model/);
+});
+
+test('whatIf substitutes every request of a model and re-prices it', () => {
+    const records = createDay(1, 4);
+
+    const result = whatIf(records, [{ from: 'claude-4.5-sonnet-thinking', to: 'grok-code-fast-1' }]);
+
+    // Sonnet prices 100k input + 10k output at $0.45, grok at $0.035: ratio applied to exported cost
+    assert.strictEqual(result.substitution.substituted_requests, 4);
+    assert.ok(Math.abs(result.comparison.total_cost.baseline - 1.8) < 1e-9);
+    assert.ok(Math.abs(result.comparison.total_cost.scenario - 0.14) < 1e-9);
+    assert.ok(result.comparison.total_cost.difference < 0);
+    assert.strictEqual(result.scenario.cost_analysis.breakdown_by_model[0].model, 'grok-code-fast-1');
+    assert.ok(result.baseline.summary);
+});
+
+test('whatIf calibrates re-pricing against the exported cost', () => {
+    // Exported cost is half the price-table cost: the scenario keeps that ratio
+    const records = createDay(1, 2, { cost: 0.225 });
+
+    const result = whatIf(records, [{ from: 'claude-4.5-sonnet-thinking', to: 'grok-code-fast-1' }]);
+
+    assert.ok(Math.abs(result.comparison.total_cost.scenario - 0.035) < 1e-9);
+});
+
+test('whatIf moves only the requested share of requests, spread over time', () => {
+    const records = [...createDay(1, 5), ...createDay(2, 5)];
+
+    const result = whatIf(records, [{ from: 'claude-4.5-sonnet-thinking', to: 'grok-code-fast-1', share: 0.4 }]);
+    const stats = result.substitution.by_rule[0];
+
+    assert.strictEqual(stats.matched, 10);
+    assert.strictEqual(stats.substituted, 4);
+    const movedDays = new Set(result.scenario.cost_analysis.daily_costs.map(d => d.date));
+    assert.strictEqual(movedDays.size, 2);
+});
+
+test('whatIf limits substitution to a token-size bucket', () => {
+    const records = [
+        ...createDay(1, 3, { totalTokens: 20_000 }),
+        ...createDay(2, 3, { totalTokens: 200_000 })
+    ];
+
+    const result = whatIf(records, [{ to: 'grok-code-fast-1', maxTokens: 50_000 }]);
+
+    assert.strictEqual(result.rules[0].from, '*');
+    assert.strictEqual(result.substitution.substituted_requests, 3);
+});
+
+test('whatIf applies the first matching rule and leaves errored requests alone', () => {
+    const records = [
+        ...createDay(1, 2),
+        createRecord({ date: '2025-11-03T10:00:00Z', kind: 'Errored, Not Charged' })
+    ];
+
+    const result = whatIf(records, [
+        { from: 'claude-4.5-sonnet-thinking', to: 'claude-4.5-sonnet' },
+        { from: 'claude-4.5-sonnet-thinking', to: 'grok-code-fast-1' }
+    ]);
+
+    assert.strictEqual(result.substitution.by_rule[0].substituted, 2);
+    assert.strictEqual(result.substitution.by_rule[1].substituted, 0);
+    assert.ok(result.scenario.cost_analysis.breakdown_by_model.some(m => m.model === 'claude-4.5-sonnet-thinking'));
+});
+
+test('parseSubstitutionRule parses command-line rules', () => {
+    assert.deepStrictEqual(parseSubstitutionRule('a=b'), { from: 'a', to: 'b' });
+    assert.deepStrictEqual(
+        parseSubstitutionRule('*=grok-code-fast-1,share=0.5,min-tokens=100,max-tokens=5000'),
+        { from: '*', to: 'grok-code-fast-1', share: 0.5, minTokens: 100, maxTokens: 5000 }
+    );
+    assert.throws(() => parseSubstitutionRule('no-target'), /expected <from>=<to>/);
+    assert.throws(() => parseSubstitutionRule('a=b,share=x'), /Invalid rule option/);
+    assert.throws(() => parseSubstitutionRule('a=b,speed=2'), /Unknown rule option/);
+});
+
+test('WhatIfEngine rejects invalid shares', () => {
+    const engine = new WhatIfEngine();
+    assert.throws(() => engine.normalizeRule({ to: 'grok-code-fast-1', share: 1.5 }), /share must be between 0 and 1/);
+});
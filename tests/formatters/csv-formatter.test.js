@@ -0,0 +1,97 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { CsvFormatter, EXPORT_TABLES } from '../../src/formatters/csv-formatter.js';
+import { analyze } from '../../src/index.js';
+import { UsageRecord } from '../../src/domain/entities/UsageRecord.js';
+
+// Helper function to create UsageRecord instances
+function createRecord(data) {
+    return new UsageRecord({
+        date: data.date || '2025-11-07T10:00:00Z',
+        kind: data.kind || 'Included',
+        model: data.model || 'grok-code-fast-1',
+        cost: data.cost || 0.01,
+        totalTokens: data.totalTokens || 1000,
+        cacheRead: data.cacheRead || 0,
+        input: data.input || 0,
+        output: data.output || 0
+    });
+}
+
+// One record a day through November
+function createDailyRecords(data = {}) {
+    return Array(20).fill(null).map((_, i) => createRecord({
+        date: `2025-11-${String(i + 1).padStart(2, '0')}T10:00:00Z`,
+        ...data
+    }));
+}
+
+test('CsvFormatter is exported from the package entry point', async () => {
+    const index = await import('../../src/index.js');
+    assert.strictEqual(index.CsvFormatter, CsvFormatter);
+    assert.strictEqual(index.EXPORT_TABLES, EXPORT_TABLES);
+});
+
+test('CsvFormatter rejects unknown formats and missing results', () => {
+    assert.throws(() => new CsvFormatter({ format: 'xlsx' }), /Unknown table format: xlsx \(expected csv, tsv\)/);
+    assert.throws(() => new CsvFormatter().formatTables(null), /cannot be null/);
+});
+
+test('CsvFormatter exports every aggregated table with stable headers', () => {
+    const tables = new CsvFormatter().formatTables(analyze(createDailyRecords({ cost: 0.25 })));
+
+    assert.deepStrictEqual(tables.map(t => t.fileName), [
+        'breakdown_by_model.csv',
+        'daily_costs.csv',
+        'hourly_distribution.csv',
+        'daily_distribution.csv',
+        'model_rankings.csv',
+        'opportunities.csv'
+    ]);
+
+    const byName = Object.fromEntries(tables.map(t => [t.name, t.content.split('\n')]));
+    assert.strictEqual(byName.breakdown_by_model[0], 'model,total_cost,request_count,percentage');
+    assert.strictEqual(byName.breakdown_by_model[1], 'grok-code-fast-1,5,20,100');
+    assert.strictEqual(byName.daily_costs[0],
+        'date,cost,request_count,total_tokens,average_cost_per_request,average_tokens_per_request');
+    assert.strictEqual(byName.daily_costs[1], '2025-11-01,0.25,1,1000,0.25,1000');
+    assert.strictEqual(byName.daily_costs.length, 22, 'Should have a header, a row per day and a trailing newline');
+    assert.strictEqual(byName.hourly_distribution[0], 'hour,requests,cost,percentage,cost_percentage');
+    assert.strictEqual(byName.hourly_distribution.length, 26, 'Should have a row per hour');
+    assert.strictEqual(byName.daily_distribution[0], 'day,day_name,requests,cost,percentage,cost_percentage');
+    assert.ok(byName.model_rankings[0].startsWith('rank,model,efficiency_score,'));
+});
+
+test('CsvFormatter writes a header-only table when the result has no rows', () => {
+    const tables = new CsvFormatter().formatTables({ opportunities: { list: [] } });
+    const opportunities = tables.find(t => t.name === 'opportunities');
+
+    assert.strictEqual(tables.length, EXPORT_TABLES.length, 'Should still write every table');
+    assert.strictEqual(opportunities.content,
+        'type,title,savings_monthly,savings_yearly,difficulty,impact,confidence,action,reasoning,' +
+        'from_model,to_model,migration_percentage\n');
+});
+
+test('CsvFormatter quotes cells that hold delimiters, quotes or line breaks', () => {
+    const formatter = new CsvFormatter();
+
+    assert.strictEqual(formatter.formatCell('Use for: reviews, refactors'), '"Use for: reviews, refactors"');
+    assert.strictEqual(formatter.formatCell('say "hi"'), '"say ""hi"""');
+    assert.strictEqual(formatter.formatCell('a\nb'), '"a\nb"');
+    assert.strictEqual(formatter.formatCell(0.1 + 0.2), '0.30000000000000004', 'Should not round numbers');
+    assert.strictEqual(formatter.formatCell(undefined), '');
+    assert.strictEqual(formatter.formatCell(NaN), '');
+    assert.strictEqual(formatter.formatCell(['a', 'b']), 'a; b');
+});
+
+test('CsvFormatter separates TSV cells with tabs', () => {
+    const formatter = new CsvFormatter({ format: 'tsv' });
+    const content = formatter.formatTable(
+        [['model', row => row.model], ['note', row => row.note]],
+        [{ model: 'grok-code-fast-1', note: 'cheap, fast' }, { model: 'a\tb', note: '' }]
+    );
+
+    assert.strictEqual(content, 'model\tnote\ngrok-code-fast-1\tcheap, fast\n"a\tb"\t\n');
+    assert.strictEqual(new CsvFormatter({ format: 'tsv' }).formatTables(analyze(createDailyRecords()))[0].fileName,
+        'breakdown_by_model.tsv');
+});
@@ -0,0 +1,138 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { HtmlFormatter } from '../../src/formatters/html-formatter.js';
+import { analyze, analyzeStream } from '../../src/index.js';
+import { UsageRecord } from '../../src/domain/entities/UsageRecord.js';
+
+// Helper function to create UsageRecord instances
+function createRecord(data) {
+    return new UsageRecord({
+        date: data.date || '2025-11-07T10:00:00Z',
+        kind: data.kind || 'Included',
+        model: data.model || 'grok-code-fast-1',
+        cost: data.cost || 0.01,
+        totalTokens: data.totalTokens || 1000,
+        cacheRead: data.cacheRead || 0,
+        input: data.input || 0,
+        output: data.output || 0
+    });
+}
+
+// One record a day through November, alternating two models
+function createDailyRecords(data = {}) {
+    return Array(20).fill(null).map((_, i) => createRecord({
+        date: `2025-11-${String(i + 1).padStart(2, '0')}T${String(9 + (i % 8)).padStart(2, '0')}:00:00Z`,
+        model: i % 2 === 0 ? 'grok-code-fast-1' : 'claude-4.5-sonnet',
+        ...data
+    }));
+}
+
+test('HtmlFormatter is exported from the package entry point', async () => {
+    const index = await import('../../src/index.js');
+    assert.strictEqual(index.HtmlFormatter, HtmlFormatter);
+});
+
+test('HtmlFormatter throws without an analysis result', () => {
+    assert.throws(() => new HtmlFormatter().format(null), /cannot be null/);
+});
+
+test('HtmlFormatter renders a self-contained document', () => {
+    const output = new HtmlFormatter().format(analyze(createDailyRecords({ cost: 0.5 })));
+
+    assert.ok(output.startsWith('<!DOCTYPE html>\n<html lang="en">'), 'Should be a full document');
+    assert.ok(output.trimEnd().endsWith('</html>'));
+    assert.ok(output.includes('<title>Cursor Cost Explorer - Analysis Report (2025-11-01 to 2025-11-20)</title>'));
+    assert.ok(!/<link|<img|\ssrc=|\shref=|@import|url\(/.test(output), 'Should not load external assets');
+    for (const heading of ['Summary', 'Cost Analysis', 'Spending Forecast', 'Plan Recommendation', 'Usage Patterns']) {
+        assert.ok(output.includes(`<h2>${heading}</h2>`), `Should include ${heading}`);
+    }
+});
+
+test('HtmlFormatter draws the daily cost, model and hourly charts as inline SVG', () => {
+    const output = new HtmlFormatter().format(analyze(createDailyRecords({ cost: 0.5 })));
+
+    assert.strictEqual((output.match(/<svg /g) || []).length, 3, 'Should draw three charts');
+    assert.ok(output.includes('aria-label="Daily cost"'));
+    assert.ok(/<polyline points="[\d., ]+"/.test(output), 'Should plot the daily cost line');
+    assert.strictEqual((output.match(/<path d="M/g) || []).length, 2, 'Should draw a pie slice per model');
+    assert.ok(output.includes('grok-code-fast-1 - 50.00% ($5.00)'), 'Should label the pie legend');
+    assert.strictEqual((output.match(/requests(, \$[\d.]+)?<\/title><\/rect>/g) || []).length, 24,
+        'Should draw a bar per hour');
+});
+
+test('HtmlFormatter groups small models into an Other pie slice', () => {
+    const breakdown = Array(8).fill(null).map((_, i) => ({ model: `model-${i}`, total_cost: 8 - i }));
+    const svg = new HtmlFormatter().generatePieChart(breakdown);
+
+    assert.strictEqual((svg.match(/<path /g) || []).length, 7, 'Should keep six models and an Other slice');
+    assert.ok(svg.includes('>Other - 8.33% ($3.00)</text>'));
+    assert.ok(!svg.includes('model-6'));
+});
+
+test('HtmlFormatter draws a full circle for a single model', () => {
+    const svg = new HtmlFormatter().generatePieChart([{ model: 'grok-code-fast-1', total_cost: 4 }]);
+
+    assert.ok(svg.includes('<circle cx="110" cy="110" r="100"'), 'Should not draw a degenerate arc');
+    assert.ok(!svg.includes('<path '));
+});
+
+test('HtmlFormatter renders sortable tables with a sort script', () => {
+    const formatter = new HtmlFormatter();
+    const table = formatter.formatTable([
+        ['Model', 'Cost'],
+        ['grok-code-fast-1', '$1,234.50']
+    ]);
+
+    assert.ok(table.startsWith('<table class="sortable">'));
+    assert.ok(table.includes('<th scope="col">Model</th><th scope="col">Cost</th>'));
+    assert.ok(table.includes('<td>grok-code-fast-1</td><td class="num">$1,234.50</td>'), 'Should right-align amounts');
+    assert.ok(!formatter.formatTable([['Metric', 'Value']], { sortable: false }).includes('sortable'));
+
+    const output = formatter.format(analyze(createDailyRecords()));
+    assert.ok(output.includes("document.querySelectorAll('table.sortable th')"), 'Should inline the sort script');
+});
+
+test('HtmlFormatter escapes analysis text', () => {
+    const formatter = new HtmlFormatter();
+
+    assert.strictEqual(formatter.escape('<b>"a" & \'b\'</b>'), '&lt;b&gt;&quot;a&quot; &amp; &#39;b&#39;&lt;/b&gt;');
+    assert.ok(formatter.formatTable([['Model'], ['<script>']]).includes('<td>&lt;script&gt;</td>'));
+    assert.ok(formatter.generatePieChart([{ model: 'a<b', total_cost: 1 }]).includes('a&lt;b'));
+});
+
+test('HtmlFormatter includes print styles', () => {
+    const output = new HtmlFormatter().format(analyze(createDailyRecords()));
+
+    assert.ok(output.includes('@media print {'), 'Should style the printed page');
+    assert.ok(output.includes('print-color-adjust: exact'), 'Should keep chart colors when printing');
+    assert.ok(output.includes('break-inside: avoid'), 'Should not split rows and charts across pages');
+});
+
+test('HtmlFormatter lists opportunities as checklist cards', () => {
+    const output = new HtmlFormatter().formatOpportunities({
+        total_potential_savings_monthly: 42,
+        total_potential_savings_yearly: 504,
+        list: [{
+            title: 'Switch simple tasks to grok-code-fast-1',
+            type: 'model_migration',
+            savings_monthly: 30,
+            savings_yearly: 360,
+            from_model: 'claude-4.5-sonnet',
+            to_model: 'grok-code-fast-1',
+            tips: ['Keep thinking models for design work']
+        }]
+    });
+
+    assert.ok(output.includes('<h2>Savings Opportunities</h2>'));
+    assert.ok(output.includes('<strong>Total Potential Savings:</strong> $42.00/month ($504.00/year)'));
+    assert.ok(output.includes('<h3><span class="checkbox"></span>Switch simple tasks to grok-code-fast-1</h3>'));
+    assert.ok(output.includes('<dt>Migration</dt><dd>claude-4.5-sonnet → grok-code-fast-1</dd>'));
+    assert.ok(output.includes('<li>Keep thinking models for design work</li>'));
+});
+
+test('HtmlFormatter renders streaming results without the omitted sections', async () => {
+    const html = new HtmlFormatter().format(await analyzeStream(createDailyRecords()));
+
+    assert.ok(html.includes('Mode: streaming (without per-user breakdown'));
+    assert.ok(!html.includes('undefined'), 'Should skip the omitted sections');
+});
@@ -0,0 +1,185 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { MarkdownFormatter } from '../../src/formatters/markdown-formatter.js';
+import { analyze, analyzeStream } from '../../src/index.js';
+import { UsageRecord } from '../../src/domain/entities/UsageRecord.js';
+
+// Helper function to create UsageRecord instances
+function createRecord(data) {
+    return new UsageRecord({
+        date: data.date || '2025-11-07T10:00:00Z',
+        kind: data.kind || 'Included',
+        model: data.model || 'grok-code-fast-1',
+        cost: data.cost || 0.01,
+        totalTokens: data.totalTokens || 1000,
+        cacheRead: data.cacheRead || 0,
+        input: data.input || 0,
+        output: data.output || 0
+    });
+}
+
+// One record a day through November
+function createDailyRecords(data = {}) {
+    return Array(20).fill(null).map((_, i) => createRecord({
+        date: `2025-11-${String(i + 1).padStart(2, '0')}T10:00:00Z`,
+        ...data
+    }));
+}
+
+test('MarkdownFormatter is exported from the package entry point', async () => {
+    const index = await import('../../src/index.js');
+    assert.strictEqual(index.MarkdownFormatter, MarkdownFormatter);
+});
+
+test('MarkdownFormatter throws without an analysis result', () => {
+    assert.throws(() => new MarkdownFormatter().format(null), /cannot be null/);
+});
+
+test('MarkdownFormatter renders every section as a heading', () => {
+    const output = new MarkdownFormatter().format(analyze(createDailyRecords({
+        model: 'claude-4.5-sonnet-thinking',
+        cost: 2,
+        totalTokens: 100000,
+        input: 90000,
+        output: 10000
+    })));
+
+    assert.ok(output.startsWith('# Cursor Cost Explorer - Analysis Report\n'), 'Should start with the report title');
+    for (const heading of [
+        '## Summary',
+        '## Cost Analysis',
+        '## Model Efficiency Rankings',
+        '## Spending Forecast',
+        '## Plan Recommendation',
+        '### Plans Simulated Against Your Usage',
+        '### Billing Cycles',
+        '### Allowance Replay',
+        '## Cache Efficiency',
+        '## Savings Opportunities',
+        '## Usage Patterns',
+        '## Price Reconciliation'
+    ]) {
+        assert.ok(output.includes(`\n${heading}\n`), `Should include ${heading}`);
+    }
+    assert.ok(!output.includes('='.repeat(80)), 'Should not use text report rules');
+    assert.ok(!output.includes('\n\n\n'), 'Should not leave runs of blank lines');
+});
+
+test('MarkdownFormatter lists the time zone and filters in the report metadata', () => {
+    const output = new MarkdownFormatter().format(analyze(createDailyRecords(), {
+        timezone: 'Europe/Berlin',
+        filters: { models: ['grok*'] }
+    }));
+
+    assert.ok(output.includes('- **Timezone:** Europe/Berlin'));
+    assert.ok(output.includes('- **Filters:** model grok\\*'), 'Should escape the glob');
+});
+
+test('MarkdownFormatter notes streaming results in the report metadata', async () => {
+    const output = new MarkdownFormatter().format(await analyzeStream(createDailyRecords()), true);
+
+    assert.ok(output.includes('- **Mode:** streaming (without per-user breakdown'));
+    assert.ok(!output.includes('undefined'), 'Should skip the omitted sections');
+});
+
+test('MarkdownFormatter renders tables as pipe tables', () => {
+    const output = new MarkdownFormatter().format(analyze(createDailyRecords({ cost: 0.5 })));
+
+    assert.ok(output.includes('| Model | Cost | Requests | Percentage |\n| --- | --- | --- | --- |\n'),
+        'Should have a header row and a delimiter row');
+    assert.ok(output.includes('| grok-code-fast-1 | $10.00 | 20 | 100.00% |'), 'Should have a row per model');
+    assert.ok(!output.includes('+-'), 'Should not draw ASCII borders');
+});
+
+test('MarkdownFormatter escapes pipes and newlines in table cells', () => {
+    const lines = new MarkdownFormatter().formatTable([
+        ['Model', 'Note'],
+        ['a|b', 'first\nsecond']
+    ]);
+
+    assert.deepStrictEqual(lines, [
+        '| Model | Note |',
+        '| --- | --- |',
+        '| a\\|b | first second |'
+    ]);
+});
+
+test('MarkdownFormatter escapes HTML in table cells', () => {
+    const model = '<img src=x onerror=alert(1)>';
+    const output = new MarkdownFormatter().format(analyze([
+        createRecord({ model, cost: 1 }),
+        createRecord({ model: 'a&lt;b', cost: 1 })
+    ]));
+
+    assert.ok(!output.includes(model), 'Should not pass the tag through');
+    assert.ok(output.includes('| \\<img src=x onerror=alert(1)\\> |'), 'Should escape the tag in the model table');
+    assert.ok(output.includes('| a\\&lt;b |'), 'Should escape the entity');
+});
+
+test('MarkdownFormatter lists opportunities as a task list', () => {
+    const output = new MarkdownFormatter().formatOpportunities({
+        total_potential_savings_monthly: 42,
+        total_potential_savings_yearly: 504,
+        list: [{
+            title: 'Switch simple tasks to grok-code-fast-1',
+            type: 'model_migration',
+            savings_monthly: 30,
+            savings_yearly: 360,
+            difficulty: 'easy',
+            impact: 'high',
+            confidence: 'medium',
+            action: 'Use grok for syntax checks',
+            from_model: 'claude-4.5-sonnet',
+            to_model: 'grok-code-fast-1',
+            migration_percentage: 40,
+            tips: ['Keep thinking models for design work']
+        }, {
+            title: 'Improve caching',
+            type: 'cache_optimization',
+            savings_monthly: 12,
+            savings_yearly: 144
+        }]
+    });
+
+    assert.ok(output.startsWith('## Savings Opportunities\n'));
+    assert.ok(output.includes('**Total Potential Savings:** $42.00/month ($504.00/year)'));
+    assert.ok(output.includes('- [ ] **Switch simple tasks to grok-code-fast-1** - $30.00/month ($360.00/year)'),
+        'Should render each opportunity as an unchecked task');
+    assert.ok(output.includes('- [ ] **Improve caching** - $12.00/month'));
+    assert.ok(output.includes('  - Migration: claude-4.5-sonnet → grok-code-fast-1 (40.00% of requests)'));
+    assert.ok(output.includes('    - Keep thinking models for design work'), 'Should nest tips under the task');
+});
+
+test('MarkdownFormatter renders charts as fenced code blocks only with graphs', () => {
+    const records = createDailyRecords({ cost: 0.5 });
+    const formatter = new MarkdownFormatter();
+
+    assert.ok(!formatter.format(analyze(records)).includes('```'), 'Should not draw charts by default');
+
+    const output = formatter.format(analyze(records), true);
+    const fences = output.match(/^```/gm) || [];
+    assert.ok(fences.length >= 2, 'Should fence charts');
+    assert.strictEqual(fences.length % 2, 0, 'Should close every fence');
+    assert.ok(output.includes('```text\ngrok-code-fast-'), 'Should fence the cost distribution chart');
+    assert.ok(output.includes('### Daily Cost Trend'), 'Should include the daily trend');
+});
+
+test('MarkdownFormatter includes budget, experiments and per-user sections when present', () => {
+    const records = createDailyRecords({ cost: 10 }).map((record, i) => {
+        record.user = i % 2 === 0 ? 'alice@example.com' : 'bob@example.com';
+        return record;
+    });
+
+    const output = new MarkdownFormatter().format(analyze(records, {
+        budget: { amount: 75 },
+        experiments: [{ name: 'Grok for refactors', startDate: '2025-11-11', expectedMonthlySavings: 50 }]
+    }));
+
+    assert.ok(output.includes('## Per-User Breakdown'), 'Should include the per-user breakdown');
+    assert.ok(output.includes('| alice@example.com | $100.00 | 50.00% |'), 'Should list each user');
+    assert.ok(output.includes('## Budget'), 'Should include the budget');
+    assert.ok(output.includes('- **CRITICAL:**'), 'Should list budget alerts');
+    assert.ok(output.includes('> **Over budget** by $125.00'), 'Should flag the overrun');
+    assert.ok(output.includes('### Experiment 1: Grok for refactors'), 'Should give each experiment a heading');
+    assert.ok(output.includes('**Verdict:**'), 'Should give a verdict');
+});
@@ -1,7 +1,7 @@
 import { test } from 'node:test';
 import assert from 'node:assert';
 import { TextFormatter } from '../../src/formatters/text-formatter.js';
-import { analyze } from '../../src/index.js';
+import { analyze, analyzeStream, analyzeTeam, compareAnalyses } from '../../src/index.js';
 import { UsageRecord } from '../../src/domain/entities/UsageRecord.js';
 
 // Helper function to create UsageRecord instances
@@ -180,6 +180,37 @@ test('Formatter includes metadata header', () => {
     assert.ok(output.includes('CURSOR COST EXPLORER'), 'Should include header');
     assert.ok(output.includes('Generated:'), 'Should include generation timestamp');
     assert.ok(output.includes('Total Records:'), 'Should include record count');
+    assert.ok(output.includes('Timezone: UTC'), 'Should include the bucketing time zone');
+});
+
+test('Formatter flags filtered reports in the header', () => {
+    const records = [
+        createRecord({ model: 'grok-code-fast-1' }),
+        createRecord({ model: 'claude-4.5-sonnet', kind: 'On-Demand' })
+    ];
+    const formatter = new TextFormatter();
+
+    const output = formatter.format(analyze(records, {
+        filters: { since: '2025-11-01', models: ['claude*'], excludeModels: ['*thinking'], kinds: ['On-Demand'] }
+    }));
+    assert.ok(output.includes('Filters: since 2025-11-01, model claude*, excluding model *thinking, kind On-Demand'));
+    assert.ok(!formatter.format(analyze(records)).includes('Filters:'), 'Should not flag a full report');
+});
+
+test('Formatter renders streaming results without the omitted sections', async () => {
+    const records = [
+        createRecord({ model: 'grok-code-fast-1' }),
+        createRecord({ model: 'claude-4.5-sonnet', kind: 'On-Demand' })
+    ];
+    const formatter = new TextFormatter();
+
+    const output = formatter.format(await analyzeStream(records), true);
+    assert.ok(output.includes('Mode: streaming (without per-user breakdown, experiments, price reconciliation)'));
+    assert.ok(output.includes('SUMMARY'), 'Should still render the computed sections');
+    assert.ok(output.includes('MODEL EFFICIENCY'), 'Should render the model rankings');
+    assert.ok(output.includes('PLAN RECOMMENDATION'), 'Should render the plan recommendation');
+    assert.ok(!output.includes('Allowance Replay'), 'Should skip the replay, which needs records in time order');
+    assert.ok(!formatter.format(analyze(records)).includes('Mode:'), 'Should not flag a full report');
 });
 
 test('Formatter includes cost breakdown tables', () => {
@@ -295,3 +326,247 @@ test('Formatter wraps text correctly', () => {
     });
 });
 
+
+test('Formatter includes the allowance replay', () => {
+    const records = Array(60).fill(null).map((_, i) => createRecord({
+        date: `2025-11-${String(Math.floor(i / 2) + 1).padStart(2, '0')}T10:00:00Z`,
+        cost: 1
+    }));
+
+    const analysisResult = analyze(records);
+    const formatter = new TextFormatter();
+    const output = formatter.format(analysisResult);
+
+    assert.ok(output.includes('Allowance Replay'), 'Should include allowance replay');
+    assert.ok(output.includes('2025-11-10'), 'Should show the day the Pro allowance runs out');
+    assert.ok(output.includes('not exhausted'), 'Should show allowances that last the cycle');
+});
+
+test('Formatter includes the spending forecast', () => {
+    const records = Array(21).fill(null).map((_, i) => createRecord({
+        date: `2025-11-${String(i + 1).padStart(2, '0')}T10:00:00Z`,
+        cost: 1 + i * 0.1
+    }));
+
+    const analysisResult = analyze(records);
+    const formatter = new TextFormatter();
+    const output = formatter.format(analysisResult);
+
+    assert.ok(output.includes('SPENDING FORECAST'), 'Should include forecast section');
+    assert.ok(output.includes('Next 30 days'), 'Should include the 30-day forecast');
+    assert.ok(output.includes('Cycle ending 2025-11-30'), 'Should include the end-of-cycle estimate');
+});
+
+test('Formatter includes the budget section only with a budget', () => {
+    const records = Array(10).fill(null).map((_, i) => createRecord({
+        date: `2025-11-${String(i + 1).padStart(2, '0')}T10:00:00Z`,
+        cost: 10
+    }));
+    const formatter = new TextFormatter();
+
+    assert.ok(!formatter.format(analyze(records)).includes('BUDGET'));
+
+    const output = formatter.format(analyze(records, { budget: { amount: 75 } }));
+    assert.ok(output.includes('BUDGET'), 'Should include budget section');
+    assert.ok(output.includes('Exhausted on 2025-11-08'), 'Should show when the budget ran out');
+    assert.ok(output.includes('[CRITICAL]'), 'Should list alerts');
+    assert.ok(output.includes('OVER BUDGET by $25.00'), 'Should flag the overrun');
+    assert.ok(output.includes('Projected From'), 'Should say which projection the budget uses');
+});
+
+test('Formatter formats a comparison', () => {
+    const baseline = Array(10).fill(null).map((_, i) => createRecord({
+        date: `2025-10-${String(i + 1).padStart(2, '0')}T10:00:00Z`,
+        model: 'claude-4.5-sonnet-thinking',
+        cost: 2
+    }));
+    const current = Array(10).fill(null).map((_, i) => createRecord({
+        date: `2025-11-${String(i + 1).padStart(2, '0')}T10:00:00Z`,
+        cost: 1
+    }));
+    const formatter = new TextFormatter();
+
+    const output = formatter.formatComparison({
+        labels: { baseline: 'october.csv', current: 'november.csv' },
+        comparison: compareAnalyses(analyze(baseline), analyze(current))
+    });
+
+    assert.ok(output.includes('COMPARISON'), 'Should include comparison header');
+    assert.ok(output.includes('october.csv (2025-10-01 to 2025-10-10'), 'Should label the baseline');
+    assert.ok(output.includes('-50.00%'), 'Should show the cost change');
+    assert.ok(output.includes('Model Mix'), 'Should include the model mix');
+    assert.ok(output.includes('+100.0 pts'), 'Should show the model shift');
+    assert.ok(output.includes('Improvements: total cost'), 'Should summarize improvements');
+    assert.throws(() => formatter.formatComparison(null), /cannot be null/);
+});
+
+test('formatComparison leaves out the plan row when a side has no plan recommendation', async () => {
+    const baseline = Array(10).fill(null).map((_, i) => createRecord({
+        date: `2025-10-${String(i + 1).padStart(2, '0')}T10:00:00Z`,
+        cost: 2
+    }));
+    const current = Array(10).fill(null).map((_, i) => createRecord({
+        date: `2025-11-${String(i + 1).padStart(2, '0')}T10:00:00Z`,
+        cost: 1
+    }));
+
+    const output = new TextFormatter().formatComparison({
+        labels: { baseline: 'october.csv', current: 'november.csv' },
+        comparison: compareAnalyses({ ...(await analyzeStream(baseline)), plan_recommendation: null }, analyze(current))
+    });
+
+    assert.ok(output.includes('Monthly Cost'), 'Should compare monthly cost');
+    assert.ok(!output.includes('Recommended Plan'), 'Should leave out the plan row');
+});
+
+test('Formatter includes the experiment log only with experiments', () => {
+    const records = Array(20).fill(null).map((_, i) => createRecord({
+        date: `2025-11-${String(i + 1).padStart(2, '0')}T10:00:00Z`,
+        model: i < 10 ? 'claude-4.5-sonnet-thinking' : 'grok-code-fast-1',
+        cost: i < 10 ? 2 : 1
+    }));
+    const formatter = new TextFormatter();
+
+    assert.ok(!formatter.format(analyze(records)).includes('EXPERIMENT LOG'));
+
+    const output = formatter.format(analyze(records, {
+        experiments: [
+            { name: 'Grok for refactors', startDate: '2025-11-11', expectedMonthlySavings: 50, note: 'Refactors only' },
+            { name: 'Next month', startDate: '2025-12-01', expectedMonthlySavings: 10 }
+        ]
+    }));
+    assert.ok(output.includes('EXPERIMENT LOG'), 'Should include experiment log');
+    assert.ok(output.includes('Experiment 1: "Grok for refactors"'), 'Should name experiments');
+    assert.ok(output.includes('Hypothesis: Save $50.00/month'), 'Should show the hypothesis');
+    assert.ok(output.includes('grok-code-fast-1: 0.00% -> 100.00%'), 'Should show the model mix shift');
+    assert.ok(output.includes('Partly confirmed: saving $30.00/month'), 'Should give a verdict');
+    assert.ok(output.includes('Status: Pending'), 'Should show experiments without data yet');
+});
+
+test('Formatter formats a team report', () => {
+    const member = (label, cost) => ({
+        label,
+        records: Array(10).fill(null).map((_, i) => createRecord({
+            date: `2025-11-${String(i + 1).padStart(2, '0')}T10:00:00Z`,
+            cost
+        }))
+    });
+    const formatter = new TextFormatter();
+
+    const output = formatter.formatTeam(analyzeTeam([member('alice', 1), member('bob', 1.1), member('carol', 5)]));
+
+    assert.ok(output.includes('TEAM REPORT'), 'Should include team header');
+    assert.ok(output.includes('Members: 3'), 'Should count members');
+    assert.ok(output.includes('Total Spend'), 'Should include team summary');
+    assert.ok(output.includes('carol *'), 'Should mark outliers in the member table');
+    assert.ok(output.includes("carol's monthly cost is"), 'Should list outliers');
+    assert.ok(output.includes('Efficiency Leaderboard'), 'Should include the leaderboard');
+    assert.ok(output.includes('Team Savings'), 'Should include team savings');
+    assert.throws(() => formatter.formatTeam(null), /cannot be null/);
+
+    const october = { label: 'dave', records: [createRecord({ date: '2025-10-20T10:00:00Z', cost: 1 })] };
+    const filtered = formatter.formatTeam(analyzeTeam([member('alice', 1), october], {
+        filters: { since: '2025-11-01' }
+    }));
+    assert.ok(filtered.includes('Skipped dave: No records match the filters'), 'Should note skipped members');
+});
+
+test('Formatter includes the per-user breakdown only with users', () => {
+    const records = Array(10).fill(null).map((_, i) => createRecord({
+        date: `2025-11-${String(i + 1).padStart(2, '0')}T10:00:00Z`,
+        cost: 1
+    }));
+    const formatter = new TextFormatter();
+
+    assert.ok(!formatter.format(analyze(records)).includes('PER-USER BREAKDOWN'));
+
+    records.forEach((record, i) => {
+        record.user = i < 7 ? 'alice@example.com' : 'bob@example.com';
+    });
+    const output = formatter.format(analyze(records));
+    assert.ok(output.includes('PER-USER BREAKDOWN'), 'Should include per-user section');
+    assert.ok(output.includes('Users: 2'), 'Should count users');
+    assert.ok(output.includes('alice@example.com'), 'Should list users');
+    assert.ok(output.includes('70.00%'), "Should show each user's share of cost");
+    assert.ok(output.includes('Seat changes:'), 'Should summarize seat changes');
+});
+
+test('Formatter emits no color codes by default', () => {
+    const records = Array(10).fill(null).map((_, i) => createRecord({
+        date: `2025-11-${String(i + 1).padStart(2, '0')}T10:00:00Z`,
+        cost: 10
+    }));
+    const output = new TextFormatter().format(analyze(records, { budget: { amount: 75 } }));
+
+    assert.ok(!output.includes('\x1b['), 'Should be plain text');
+});
+
+test('Formatter colors verdicts by tone when color is on', () => {
+    const records = Array(10).fill(null).map((_, i) => createRecord({
+        date: `2025-11-${String(i + 1).padStart(2, '0')}T10:00:00Z`,
+        cost: 10
+    }));
+    const formatter = new TextFormatter({ color: true });
+    const output = formatter.format(analyze(records, { budget: { amount: 75 } }));
+
+    assert.ok(output.includes('\x1b[31m[CRITICAL]\x1b[0m'), 'Should color critical alerts red');
+    assert.ok(output.includes('\x1b[31mOVER BUDGET by $25.00\x1b[0m'), 'Should color the overrun red');
+    assert.strictEqual(formatter.colorize('ok', 'good'), '\x1b[32mok\x1b[0m');
+    assert.strictEqual(formatter.colorize('check', 'warning'), '\x1b[33mcheck\x1b[0m');
+    assert.strictEqual(formatter.colorize('plain', undefined), 'plain', 'Should leave text without a tone alone');
+
+    const opportunities = formatter.formatOpportunities({
+        list: [
+            { title: 'Big', impact: 'high' },
+            { title: 'Small', impact: 'low' }
+        ]
+    });
+    assert.ok(opportunities.includes('Impact: \x1b[31mhigh\x1b[0m'), 'Should color high impact red');
+    assert.ok(opportunities.includes('Impact: \x1b[32mlow\x1b[0m'), 'Should color low impact green');
+});
+
+test('Formatter aligns tables that contain colored cells', () => {
+    const formatter = new TextFormatter({ color: true });
+    const lines = formatter.formatTable([
+        ['Metric', 'Value'],
+        ['Recommended Plan', formatter.colorize('Pro', 'good')],
+        ['Confidence', 'medium']
+    ]);
+    const visible = lines.map(line => line.replace(/\x1b\[[0-9;]*m/g, ''));
+
+    assert.ok(visible.every(line => line.length === visible[0].length), 'Should pad by visible width');
+    assert.strictEqual(visible[3], '| Recommended Plan | Pro    |');
+});
+
+test('Formatter falls back to ASCII when Unicode is off', () => {
+    const records = Array(20).fill(null).map((_, i) => createRecord({
+        date: `2025-11-${String(i + 1).padStart(2, '0')}T${String(9 + (i % 8)).padStart(2, '0')}:00:00Z`,
+        model: i % 2 === 0 ? 'grok-code-fast-1' : 'claude-4.5-sonnet',
+        cost: 1 + (i % 5)
+    }));
+    const result = analyze(records);
+
+    const unicode = new TextFormatter().format(result, true);
+    assert.ok(/[⠀-⣿]/.test(unicode), 'Should draw the trend with braille by default');
+    assert.ok(unicode.includes('█'));
+
+    const ascii = new TextFormatter({ unicode: false }).format(result, true);
+    assert.ok(!/[^\x00-\x7f]/.test(ascii), 'Should only contain ASCII characters');
+    assert.ok(ascii.includes('Daily Cost Trend:'), 'Should still draw the trend');
+    assert.ok(ascii.includes('#'), 'Should draw bars with #');
+
+    const formatter = new TextFormatter({ unicode: false });
+    assert.strictEqual(formatter.finish('A → B ⚠️ ✅ 🎉'), 'A -> B [!] [ok] [*]');
+});
+
+test('Formatter draws an ASCII trend that follows the data', () => {
+    const rows = new TextFormatter({ unicode: false }).generateLineChart([
+        { date: '2025-11-01', cost: 0 },
+        { date: '2025-11-02', cost: 10 }
+    ], 10, 2);
+
+    assert.deepStrictEqual(rows.slice(0, 2), [
+        '|     ...-\'|',
+        '| ..-\'\'    |'
+    ]);
+});